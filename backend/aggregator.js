@@ -7,38 +7,28 @@
  * @see ../docs/plans/clever-snacking-boole.md for design context
  */
 
-const fs = require('fs').promises;
-const path = require('path');
+const sessionIndex = require('./sessionIndex');
 
-const MEMORY_DIR = path.join(__dirname, '..', 'memory', 'sessions');
+/**
+ * Whether a session came from bulk history import rather than a live capture
+ */
+function isImported(session) {
+  return session.meta?.source === 'import';
+}
 
 /**
- * Load all sessions from disk
+ * Load all sessions
+ * Served from the session index: files are only re-read when their
+ * mtime/size changed. Debug traces are omitted (use memory.readSession).
+ * @param {Object} options
+ * @param {boolean} options.excludeImported - Skip sessions created by historyImport (default: false)
  * @returns {Promise<Array<Object>>} Array of full session objects with id added
  */
-async function getAllSessions() {
+async function getAllSessions(options = {}) {
+  const { excludeImported = false } = options;
   try {
-    const files = await fs.readdir(MEMORY_DIR);
-    const sessions = [];
-
-    for (const file of files.filter(f => f.endsWith('.json') && !f.includes('schema'))) {
-      try {
-        const filepath = path.join(MEMORY_DIR, file);
-        const content = await fs.readFile(filepath, 'utf-8');
-        const session = JSON.parse(content);
-        session._id = file.replace('.json', '');
-        session._filename = file;
-        sessions.push(session);
-      } catch (err) {
-        // Skip malformed files
-        console.warn(`Skipping malformed session: ${file}`);
-      }
-    }
-
-    // Sort by timestamp descending
-    return sessions.sort((a, b) =>
-      (b.timestamp || '').localeCompare(a.timestamp || '')
-    );
+    const sessions = await sessionIndex.getSessions();
+    return excludeImported ? sessions.filter(s => !isImported(s)) : sessions;
   } catch (error) {
     console.error('Failed to load sessions:', error.message);
     return [];
@@ -49,10 +39,11 @@ async function getAllSessions() {
  * Get sessions within a time range
  * @param {string|Date} start - Start date (inclusive)
  * @param {string|Date} end - End date (inclusive)
+ * @param {Object} options - Same as getAllSessions
  * @returns {Promise<Array<Object>>} Filtered sessions
  */
-async function getSessionsInRange(start, end) {
-  const sessions = await getAllSessions();
+async function getSessionsInRange(start, end, options = {}) {
+  const sessions = await getAllSessions(options);
   const startDate = new Date(start);
   const endDate = new Date(end);
 
@@ -63,67 +54,55 @@ async function getSessionsInRange(start, end) {
   });
 }
 
+/**
+ * Attach session context to flattened tab rows
+ */
+function withSessionContext(rows, sessionId, timestamp, sessionMode) {
+  return rows.map(row => ({
+    url: row.url,
+    title: row.title,
+    category: row.category,
+    sessionId,
+    sessionTimestamp: timestamp,
+    sessionMode,
+    disposition: row.disposition,
+    contentHash: row.contentHash || null,
+    contentPreview: row.contentPreview || ''
+  }));
+}
+
 /**
  * Extract all tabs from all sessions, flattened
+ * Uses precomputed tab rows from the session index; sessions that are not
+ * indexed (e.g. synthetic sessions passed in by callers) are flattened directly.
  * @param {Array<Object>} sessions - Sessions to extract from (or all if not provided)
  * @returns {Promise<Array<Object>>} All tabs with session context
  */
 async function extractAllTabs(sessions = null) {
-  if (!sessions) {
-    sessions = await getAllSessions();
-  }
+  const entries = await sessionIndex.getEntries();
+  const entryMap = new Map(entries.map(e => [e.id, e]));
 
   const tabs = [];
 
-  for (const session of sessions) {
-    if (!session.groups) continue;
-
-    // Handle both object and array group formats
-    const groups = Array.isArray(session.groups)
-      ? session.groups
-      : Object.entries(session.groups);
-
-    for (const entry of groups) {
-      const [category, items] = Array.isArray(entry)
-        ? entry
-        : [entry.name, entry.items];
-
-      if (!Array.isArray(items)) continue;
-
-      for (const tab of items) {
-        tabs.push({
-          url: tab.url,
-          title: tab.title,
-          category,
-          sessionId: session._id,
-          sessionTimestamp: session.timestamp,
-          sessionMode: session.thematicAnalysis?.sessionPattern?.type || null,
-          // Find disposition for this tab if any
-          disposition: findDisposition(session, tab)
-        });
-      }
+  if (!sessions) {
+    for (const entry of entries) {
+      tabs.push(...withSessionContext(entry.tabs, entry.id, entry.timestamp, entry.sessionPattern));
     }
+    return tabs;
   }
 
-  return tabs;
-}
-
-/**
- * Find disposition for a specific tab in a session
- */
-function findDisposition(session, tab) {
-  if (!session.dispositions || !Array.isArray(session.dispositions)) {
-    return null;
+  for (const session of sessions) {
+    const entry = session._id ? entryMap.get(session._id) : null;
+    const rows = entry ? entry.tabs : sessionIndex.flattenTabs(session);
+    tabs.push(...withSessionContext(
+      rows,
+      session._id,
+      session.timestamp,
+      session.thematicAnalysis?.sessionPattern?.type || null
+    ));
   }
 
-  // Dispositions reference items by various identifiers
-  const disposition = session.dispositions.find(d =>
-    d.itemId === tab.tabIndex ||
-    d.url === tab.url ||
-    d.title === tab.title
-  );
-
-  return disposition ? disposition.action : null;
+  return tabs;
 }
 
 /**
@@ -198,38 +177,40 @@ async function groupByCategory() {
 
 /**
  * Extract projects from thematicAnalysis across all sessions
+ * @param {Object} options
+ * @param {boolean} options.excludeImported - Skip imported sessions (default: false)
  * @returns {Promise<Map<string, Object>>} Project name -> aggregated info
  */
-async function groupByProject() {
-  const sessions = await getAllSessions();
+async function groupByProject(options = {}) {
+  const { excludeImported = false } = options;
+  const entries = await sessionIndex.getEntries();
   const projectMap = new Map();
 
-  for (const session of sessions) {
-    const projectSupport = session.thematicAnalysis?.projectSupport;
-    if (!projectSupport) continue;
+  for (const entry of entries) {
+    if (excludeImported && entry.source === 'import') continue;
 
-    // projectSupport is an object: { projectName: { explicit: [], implicit: [] } }
-    for (const [projectName, support] of Object.entries(projectSupport)) {
+    // entry.projects: { projectName: explicit + implicit tab count }
+    for (const [projectName, tabCount] of Object.entries(entry.projects || {})) {
       if (!projectMap.has(projectName)) {
         projectMap.set(projectName, {
           name: projectName,
           sessions: [],
           totalTabs: 0,
-          firstSeen: session.timestamp,
-          lastSeen: session.timestamp
+          firstSeen: entry.timestamp,
+          lastSeen: entry.timestamp
         });
       }
 
       const project = projectMap.get(projectName);
-      project.sessions.push(session._id);
-      project.totalTabs += (support.explicit?.length || 0) + (support.implicit?.length || 0);
+      project.sessions.push(entry.id);
+      project.totalTabs += tabCount;
 
       // Update first/last seen
-      if (session.timestamp < project.firstSeen) {
-        project.firstSeen = session.timestamp;
+      if (entry.timestamp < project.firstSeen) {
+        project.firstSeen = entry.timestamp;
       }
-      if (session.timestamp > project.lastSeen) {
-        project.lastSeen = session.timestamp;
+      if (entry.timestamp > project.lastSeen) {
+        project.lastSeen = entry.timestamp;
       }
     }
   }
@@ -242,8 +223,8 @@ async function groupByProject() {
  * @returns {Promise<Object>} Aggregate statistics
  */
 async function getStats() {
-  const sessions = await getAllSessions();
-  const tabs = await extractAllTabs(sessions);
+  const sessions = await sessionIndex.getEntries();
+  const tabs = await extractAllTabs();
 
   const categories = new Set();
   const domains = new Set();
@@ -280,6 +261,7 @@ async function getStats() {
 }
 
 module.exports = {
+  isImported,
   getAllSessions,
   getSessionsInRange,
   extractAllTabs,
@@ -12,6 +12,7 @@
 
 const { getRecurringUnfinished, getProjectHealth, getDistractionSignature } = require('./longitudinal');
 const aggregator = require('./aggregator');
+const { table, truncate } = require('./markdownNote');
 
 /**
  * Generate a weekly summary note
@@ -116,12 +117,12 @@ async function generateProjectHealthReport() {
 
 ## Status Summary
 
-| Status | Count | Description |
-|--------|-------|-------------|
-| Active | ${byStatus.active.length} | Activity within 3 days |
-| Cooling | ${byStatus.cooling.length} | Activity within 14 days |
-| Neglected | ${byStatus.neglected.length} | Activity within 30 days |
-| Abandoned | ${byStatus.abandoned.length} | No activity for 30+ days |
+${table(['Status', 'Count', 'Description'], [
+  ['Active', byStatus.active.length, 'Activity within 3 days'],
+  ['Cooling', byStatus.cooling.length, 'Activity within 14 days'],
+  ['Neglected', byStatus.neglected.length, 'Activity within 30 days'],
+  ['Abandoned', byStatus.abandoned.length, 'No activity for 30+ days']
+])}
 
 ---
 
@@ -265,9 +266,7 @@ async function generateDistractionSignature() {
 
 ### Day Distribution
 
-| Day | Distraction Count |
-|-----|------------------|
-${dayNames.map(d => `| ${d} | ${dayDist[d]} |`).join('\n')}
+${table(['Day', 'Distraction Count'], dayNames.map(d => [d, dayDist[d]]))}
 
 ---
 
@@ -308,11 +307,6 @@ function getWeekNumber(date) {
   return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
 }
 
-function truncate(str, len) {
-  if (!str) return '';
-  return str.length > len ? str.substring(0, len - 3) + '...' : str;
-}
-
 module.exports = {
   generateWeeklySummary,
   generateProjectHealthReport,
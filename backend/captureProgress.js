@@ -0,0 +1,144 @@
+/**
+ * Capture Progress Registry
+ *
+ * Tracks in-flight classification runs so their progress can be streamed
+ * over Server-Sent Events. Each capture buffers its events, so a client that
+ * connects late (the progress page, a reopened popup) replays everything
+ * that already happened before receiving live events.
+ *
+ * Captures live in memory only and are dropped a while after finishing;
+ * the durable record of a background capture is its job (see jobQueue.js).
+ */
+
+const crypto = require('crypto');
+
+const RETAIN_FINISHED_MS = 10 * 60 * 1000;  // Keep finished captures replayable for 10 minutes
+const HEARTBEAT_MS = 15000;                 // SSE comment ping to keep proxies from closing idle streams
+
+const captures = new Map();
+
+/**
+ * Register a new capture
+ * Reusing an ID (a retried job) replaces the previous run's record.
+ * @param {Object} info - Static details shown on the progress page (tabCount, engine, mode)
+ * @param {string} [id] - Capture ID, e.g. the job ID; generated if omitted
+ * @returns {Object} Capture record
+ */
+function createCapture(info = {}, id = crypto.randomBytes(6).toString('hex')) {
+  const capture = {
+    id,
+    info,
+    createdAt: new Date().toISOString(),
+    status: 'running',
+    events: [],
+    clients: new Set(),
+    sessionId: null,
+    error: null
+  };
+  captures.set(id, capture);
+  return capture;
+}
+
+function getCapture(id) {
+  return captures.get(id) || null;
+}
+
+/**
+ * Write one SSE frame to a client response
+ */
+function writeEvent(res, name, data) {
+  res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(capture, name, data) {
+  capture.events.push({ name, data });
+  for (const res of capture.clients) {
+    writeEvent(res, name, data);
+  }
+}
+
+/**
+ * Record a progress event and push it to connected clients
+ */
+function emitProgress(id, event) {
+  const capture = captures.get(id);
+  if (!capture || capture.status !== 'running') return;
+  broadcast(capture, 'progress', { ...event, at: event.at || new Date().toISOString() });
+}
+
+/**
+ * Mark a capture finished and close all streams
+ * @param {string} id - Capture ID
+ * @param {Object} outcome - { sessionId, totalTabs, source } on success, { error } on failure
+ */
+function finishCapture(id, outcome) {
+  const capture = captures.get(id);
+  if (!capture || capture.status !== 'running') return;
+
+  if (outcome.error) {
+    capture.status = 'failed';
+    capture.error = outcome.error;
+    broadcast(capture, 'failed', { error: outcome.error, at: new Date().toISOString() });
+  } else {
+    capture.status = 'done';
+    capture.sessionId = outcome.sessionId;
+    broadcast(capture, 'done', { ...outcome, at: new Date().toISOString() });
+  }
+
+  for (const res of capture.clients) {
+    res.end();
+  }
+  capture.clients.clear();
+
+  setTimeout(() => {
+    if (captures.get(id) === capture) captures.delete(id);
+  }, RETAIN_FINISHED_MS).unref();
+}
+
+/**
+ * Attach an HTTP response as an SSE subscriber
+ * Replays buffered events; ends immediately if the capture already finished.
+ */
+function subscribe(id, res) {
+  const capture = captures.get(id);
+  if (!capture) return false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders?.();
+
+  writeEvent(res, 'capture', {
+    id: capture.id,
+    info: capture.info,
+    createdAt: capture.createdAt,
+    status: capture.status
+  });
+  for (const { name, data } of capture.events) {
+    writeEvent(res, name, data);
+  }
+
+  if (capture.status !== 'running') {
+    res.end();
+    return true;
+  }
+
+  capture.clients.add(res);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    capture.clients.delete(res);
+  });
+
+  return true;
+}
+
+module.exports = {
+  createCapture,
+  getCapture,
+  emitProgress,
+  finishCapture,
+  subscribe
+};
@@ -0,0 +1,276 @@
+/**
+ * Capture Sources
+ *
+ * Adapters that turn browser state from somewhere other than the Chrome
+ * popup into capture tabs ({ url, title, content, browser? }), the same
+ * shape /api/captures and /classifyBrowserContext accept:
+ *
+ *   firefox-sessionstore - Firefox sessionstore.jsonlz4 / recovery.jsonlz4
+ *                          (mozLz4-compressed) or its decompressed JSON
+ *   urls                 - text, one URL per line: "url", "url title" or
+ *                          "url | title"; blank lines and # comments ignored
+ *   tabs-json            - a /classifyBrowserContext body ({ tabs }) or a bare tabs array
+ *
+ * Each adapter returns { tabs, info }; info holds the source-specific
+ * details saved as meta.sourceInfo. The CLI (scripts/memento.js) reads a
+ * file or stdin through readCaptureSource() and posts the tabs with
+ * `source` set to the adapter name.
+ *
+ * Every capture records meta.source: an adapter name, 'chrome-extension' or
+ * 'firefox-extension' for the extensions, or 'api' when the request names no
+ * known source. History imports keep their own 'import' (historyImport.js).
+ */
+
+const FILE_SOURCES = ['firefox-sessionstore', 'urls', 'tabs-json'];
+const EXTENSION_SOURCES = ['chrome-extension', 'firefox-extension'];
+const CAPTURE_SOURCES = [...EXTENSION_SOURCES, ...FILE_SOURCES];
+
+const MOZLZ4_MAGIC = 'mozLz40\0';
+
+// === mozLz4 ===
+
+/**
+ * Decompress one LZ4 block (no frame header) into `size` bytes
+ */
+function lz4BlockDecompress(input, size) {
+  const output = Buffer.alloc(size);
+  let inPos = 0;
+  let outPos = 0;
+
+  const readLength = base => {
+    let length = base;
+    if (base === 15) {
+      let byte;
+      do {
+        byte = input[inPos++];
+        length += byte;
+      } while (byte === 255);
+    }
+    return length;
+  };
+
+  while (inPos < input.length) {
+    const token = input[inPos++];
+    const literals = readLength(token >> 4);
+    if (outPos + literals > size || inPos + literals > input.length) {
+      throw new Error('Corrupt LZ4 block (literals overrun)');
+    }
+    input.copy(output, outPos, inPos, inPos + literals);
+    inPos += literals;
+    outPos += literals;
+    if (inPos >= input.length) break;  // Last sequence has literals only
+
+    const offset = input[inPos] | (input[inPos + 1] << 8);
+    inPos += 2;
+    const matchLength = readLength(token & 0x0f) + 4;
+    if (offset === 0 || offset > outPos || outPos + matchLength > size) {
+      throw new Error('Corrupt LZ4 block (bad match)');
+    }
+    // Byte by byte: matches may overlap the bytes they produce
+    for (let i = 0; i < matchLength; i++, outPos++) {
+      output[outPos] = output[outPos - offset];
+    }
+  }
+
+  return output.subarray(0, outPos);
+}
+
+function isMozLz4(buffer) {
+  return buffer.length >= 12 && buffer.toString('latin1', 0, 8) === MOZLZ4_MAGIC;
+}
+
+/**
+ * Firefox's mozLz4 container: magic, uint32 LE decompressed size, LZ4 block
+ */
+function decodeMozLz4(buffer) {
+  if (!isMozLz4(buffer)) {
+    throw new Error('Not a mozLz4 file');
+  }
+  return lz4BlockDecompress(buffer.subarray(12), buffer.readUInt32LE(8));
+}
+
+// === Adapters ===
+// Each returns { tabs: [{ url, title, content, browser? }], info }
+
+function isCapturableUrl(url) {
+  return typeof url === 'string' && /^(https?|file):/i.test(url);
+}
+
+/**
+ * Open windows and tabs from a Firefox session file. Each tab's current
+ * history entry gives its URL and title; window order, pinned state, last
+ * access and tab groups become the tab's `browser` layout as in extension
+ * captures. Closed windows and tabs are left out.
+ */
+function parseFirefoxSessionstore(session) {
+  if (!Array.isArray(session?.windows)) {
+    throw new Error('No windows in session file');
+  }
+
+  const tabs = [];
+  let skipped = 0;
+  session.windows.forEach((window, w) => {
+    const groups = new Map((window.groups || []).map(g => [g.id, {
+      id: g.id,
+      title: g.name || '',
+      color: g.color || null,
+      collapsed: Boolean(g.collapsed)
+    }]));
+
+    (window.tabs || []).forEach((tab, position) => {
+      const entries = tab.entries || [];
+      const entry = entries[(tab.index || entries.length) - 1];
+      if (!isCapturableUrl(entry?.url)) {
+        skipped++;
+        return;
+      }
+      tabs.push({
+        url: entry.url,
+        title: entry.title || '',
+        content: '',
+        browser: {
+          window: w + 1,
+          focusedWindow: session.selectedWindow === w + 1,
+          position,
+          pinned: Boolean(tab.pinned),
+          lastAccessed: tab.lastAccessed ? new Date(tab.lastAccessed).toISOString() : null,
+          group: groups.get(tab.groupId) || null
+        }
+      });
+    });
+  });
+
+  return {
+    tabs,
+    info: {
+      windows: session.windows.length,
+      tabsSkipped: skipped,
+      savedAt: session.session?.lastUpdate ? new Date(session.session.lastUpdate).toISOString() : null
+    }
+  };
+}
+
+function parseUrlList(text) {
+  const tabs = [];
+  let skipped = 0;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const [, url, title = ''] = /^(\S+)(?:\s+(?:\|\s*)?(.*))?$/.exec(line);
+    if (!/^https?:\/\//i.test(url)) {
+      skipped++;
+      continue;
+    }
+    tabs.push({ url, title: title.trim(), content: '' });
+  }
+  return { tabs, info: { linesSkipped: skipped } };
+}
+
+/**
+ * Tabs as the extensions send them; anything beyond url/title/content
+ * (browser layout, fields, contentHash, ...) passes through
+ */
+function parseTabsJson(json) {
+  const list = Array.isArray(json) ? json : json?.tabs;
+  if (!Array.isArray(list)) {
+    throw new Error('Expected a tabs array or { tabs: [...] }');
+  }
+  const tabs = list
+    .filter(tab => isCapturableUrl(tab?.url))
+    .map(tab => ({ ...tab, title: tab.title || '', content: tab.content || '' }));
+  return { tabs, info: { tabsSkipped: list.length - tabs.length } };
+}
+
+// === Detection and reading ===
+
+/**
+ * Guess the adapter from file contents
+ * @param {Buffer} buffer
+ * @returns {string|null} One of FILE_SOURCES, or null if unrecognized
+ */
+function detectSource(buffer) {
+  if (isMozLz4(buffer)) return 'firefox-sessionstore';
+  const text = buffer.toString('utf-8').trimStart();
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      return Array.isArray(JSON.parse(text).windows) ? 'firefox-sessionstore' : 'tabs-json';
+    } catch {
+      return null;
+    }
+  }
+  if (/^https?:\/\//im.test(text.slice(0, 4096))) return 'urls';
+  return null;
+}
+
+/**
+ * Parse capture input with one of the adapters
+ *
+ * @param {Buffer} buffer - File or stdin contents
+ * @param {Object} [options]
+ * @param {string} [options.format] - One of FILE_SOURCES (auto-detected if omitted)
+ * @param {string} [options.input] - Where it came from (a path or 'stdin'), kept in sourceInfo
+ * @returns {{success: boolean, message: string, source?: string, tabs?: Array, sourceInfo?: Object}}
+ */
+function readCaptureSource(buffer, { format = null, input = null } = {}) {
+  const source = format || detectSource(buffer);
+  if (!FILE_SOURCES.includes(source)) {
+    return {
+      success: false,
+      message: format
+        ? `Unknown format: ${format}. Use one of: ${FILE_SOURCES.join(', ')}`
+        : `Could not detect the format of ${input || 'the input'}. Pass one of: ${FILE_SOURCES.join(', ')}`
+    };
+  }
+
+  let parsed;
+  try {
+    switch (source) {
+      case 'firefox-sessionstore': {
+        const json = isMozLz4(buffer) ? decodeMozLz4(buffer) : buffer;
+        parsed = parseFirefoxSessionstore(JSON.parse(json.toString('utf-8')));
+        break;
+      }
+      case 'urls': parsed = parseUrlList(buffer.toString('utf-8')); break;
+      case 'tabs-json': parsed = parseTabsJson(JSON.parse(buffer.toString('utf-8'))); break;
+    }
+  } catch (error) {
+    return { success: false, message: `Failed to read ${source} input: ${error.message}` };
+  }
+
+  if (parsed.tabs.length === 0) {
+    return { success: false, message: `No capturable tabs in ${input || 'the input'}`, source };
+  }
+
+  return {
+    success: true,
+    message: `${parsed.tabs.length} tab(s) from ${source}`,
+    source,
+    tabs: parsed.tabs,
+    sourceInfo: { ...(input && { input }), ...parsed.info }
+  };
+}
+
+/**
+ * meta.source and meta.sourceInfo for a capture request
+ * @param {Object} request - Capture request body ({ source?, sourceInfo? })
+ * @returns {{source: string, sourceInfo?: Object}}
+ */
+function captureSourceMeta({ source, sourceInfo } = {}) {
+  const isObject = sourceInfo && typeof sourceInfo === 'object' && !Array.isArray(sourceInfo);
+  return {
+    source: CAPTURE_SOURCES.includes(source) ? source : 'api',
+    ...(isObject && { sourceInfo })
+  };
+}
+
+module.exports = {
+  readCaptureSource,
+  detectSource,
+  captureSourceMeta,
+  decodeMozLz4,
+  parseFirefoxSessionstore,
+  parseUrlList,
+  parseTabsJson,
+  CAPTURE_SOURCES,
+  FILE_SOURCES
+};
@@ -4,7 +4,12 @@
  * Fallback: Mock keyword-based classifier
  */
 
-const { runModel, getEngineInfo } = require('./models');
+const { getEngineInfo } = require('./models');
+const { runStructured, addUsage } = require('./structuredOutput');
+const { renderPrompt } = require('./promptRegistry');
+const { getPrice } = require('./models/pricing');
+const { checkBudget } = require('./usageLedger');
+const { PASS_SCHEMAS } = require('./passSchemas');
 const { getApprovedRules, incrementPreferenceApplications } = require('./correctionAnalyzer');
 
 const SCHEMA_VERSION = '1.3.0';  // Added dispositions array for Nuclear Option mode
@@ -104,6 +109,30 @@ function matchPreferencesToTabs(preferences, tabs) {
   }).filter(p => p.matchedTabs.length > 0);
 }
 
+/**
+ * Tab groups the user made in the browser, as a Pass 1 hint
+ * Empty when no captured tab was in a group (older captures, imports)
+ */
+function buildTabGroupsBlock(tabs) {
+  const groups = new Map();
+  tabs.forEach((tab, i) => {
+    const group = tab.browser?.group;
+    if (!group) return;
+    const key = `${tab.browser.window}:${group.id ?? group.title}`;
+    if (!groups.has(key)) groups.set(key, { ...group, window: tab.browser.window, tabNumbers: [] });
+    groups.get(key).tabNumbers.push(i + 1);
+  });
+  if (groups.size === 0) return '';
+
+  const lines = [...groups.values()].map(g =>
+    `- ${g.title ? `"${g.title}"` : 'Unnamed group'} (${g.color || 'grey'}${g.window ? `, window ${g.window}` : ''}): tabs ${g.tabNumbers.join(', ')}`
+  );
+  return `
+
+BROWSER TAB GROUPS (made by the user - strong evidence that these tabs belong together): keep a group's tabs in one category unless a tab clearly belongs elsewhere, and read the group name as a hint to which category (e.g. a group named after an active project).
+${lines.join('\n')}`;
+}
+
 /**
  * Build the classification prompt for the LLM (Pass 1)
  * Uses minimal output format to force explicit enumeration of ALL tabs
@@ -111,8 +140,10 @@ function matchPreferencesToTabs(preferences, tabs) {
  * @param {Array} tabs - Tab array
  * @param {Object|null} context - User context with active projects
  * @param {Array} learnedRules - Approved rules from correction analyzer
+ * @param {Object} [promptOptions] - renderPrompt options ({ version } or { template })
+ * @returns {{text, template, version}} Rendered pass1-classify prompt
  */
-function buildPrompt(tabs, context = null, learnedRules = []) {
+function buildPrompt(tabs, context = null, learnedRules = [], promptOptions = {}) {
   const { contextBlock, customCategories } = buildContextBlock(context);
   const learnedRulesBlock = buildLearnedRulesBlock(learnedRules);
 
@@ -128,141 +159,68 @@ function buildPrompt(tabs, context = null, learnedRules = []) {
     ? `${baseCategories}, ${customCategories.join(', ')}`
     : baseCategories;
 
-  return `${contextBlock}Assign each of these ${tabs.length} browser tabs to exactly one category.
-
-TABS:
-${tabSummaries}
-
-Categories: ${allCategories}
-
-OUTPUT FORMAT - respond with ONLY this JSON (no markdown, no explanation):
-{
-  "assignments": {
-    "1": {"category": "Category", "signals": ["signal1", "signal2"], "confidence": "high|medium|low"},
-    "2": {"category": "Category", "signals": ["signal1"], "confidence": "medium"}
-  },
-  "narrative": "2-3 sentence summary of user's browsing focus",
-  "sessionIntent": "2-3 sentence hypothesis about what the user is trying to accomplish. Be specific about goals, workflows, or problems they appear to be solving.",
-  "deepDive": [5, 12],
-  "overallConfidence": "high|medium|low",
-  "uncertainties": ["Describe specific tabs or patterns you're uncertain about AND why. E.g. 'Tab 7 could be Research or Education - title suggests academic but URL is blog'"]
+  return renderPrompt('pass1-classify', {
+    contextBlock,
+    tabCount: tabs.length,
+    tabSummaries,
+    allCategories,
+    learnedRulesBlock,
+    tabGroupsBlock: buildTabGroupsBlock(tabs)
+  }, promptOptions);
 }
 
-CRITICAL RULES:
-1. The "assignments" object MUST have EXACTLY ${tabs.length} entries (keys "1" through "${tabs.length}")
-2. Every value must be an object with "category", "signals", and "confidence" fields
-3. "signals" = evidence that led to this classification (URL patterns, title keywords, known sites)
-4. "confidence" = how certain: high (clear signals), medium (some ambiguity), low (guessing)
-5. "sessionIntent" = Be verbose. Explain what goal or workflow the user appears to be pursuing. Don't just name categories.
-6. "uncertainties" = Be explicit AND explanatory. For each uncertainty, explain the ambiguity. This enables human correction.
-7. "deepDive" = array of tab numbers for technical docs needing deeper analysis. Empty [] if none.
-8. DO NOT skip any tabs. List ALL ${tabs.length} assignments with reasoning.
-
-SPECIAL CATEGORY RULES:
-- "Transaction (Protected)": Use ONLY for active transactional/account management contexts. These are HIGH VALUE tabs that should never be accidentally trashed.
-  PROTECTED (use Transaction): logged into account dashboard, paying bills, managing settings, checkout flows, viewing balances, making transfers, tax filing in progress
-  NOT PROTECTED (use other categories): reading articles about finance, browsing product pages, viewing promotions, researching investment strategies
-  Same domain can be protected OR not:
-    - chase.com/education/credit-basics → Research (article about credit)
-    - chase.com/account/dashboard → Transaction (Protected) (logged into account)
-    - verizon.com/smartphones → Shopping (browsing products)
-    - verizon.com/account/bill-pay → Transaction (Protected) (paying bill)
-  Signals for PROTECTED: URL contains /account/, /dashboard/, /billing/, /pay/, /checkout/, /manage/, /settings/; page shows "logged in as", account numbers, balances, "pay now", order confirmation
-  Signals for NOT protected: URL is article/blog/learn/education/products; page is promotional, educational, or informational
-- "Academic (Synthesis)": Use for academic papers, arxiv PDFs, research publications, scholarly articles. These should be consolidated into notes. Signals: arxiv.org, .edu domains, PDF papers, "et al.", DOI links, journal names.
-${learnedRulesBlock}
-Your reasoning must be AUDITABLE. A human reviewing your output should understand exactly why each tab was classified the way it was.
-
-VERIFY before responding: Count your assignments. You must have exactly ${tabs.length} entries.`;
-}
+// Stored length of each extracted field value (the full values feed Pass 2)
+const FIELD_PREVIEW_LENGTH = 1000;
 
-/**
- * Strip ANSI escape codes from text to prevent terminal formatting issues
- */
-function stripAnsiCodes(text) {
-  if (!text) return text;
-  // Remove ANSI escape sequences (CSI sequences and other control sequences)
-  // Matches: \x1b[...m, \u001b[...m, ESC[...m, and other control sequences
-  return text
-    .replace(/\u001b\[[0-9;]*[a-zA-Z]/g, '')  // CSI sequences
-    .replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '')    // CSI sequences (hex)
-    .replace(/\u001b\[[0-9;]*m/g, '')         // SGR (Select Graphic Rendition) sequences
-    .replace(/\x1b\[[0-9;]*m/g, '');          // SGR sequences (hex)
+function previewFields(fields) {
+  const preview = {};
+  for (const [name, value] of Object.entries(fields)) {
+    preview[name] = Array.isArray(value)
+      ? value.map(v => String(v).slice(0, FIELD_PREVIEW_LENGTH))
+      : String(value).slice(0, FIELD_PREVIEW_LENGTH);
+  }
+  return preview;
 }
 
 /**
- * Strip ANSI codes and track how many were removed (for debugging)
+ * A tab as stored in session groups. The browser layout captured with it
+ * (window, tab group, position, pinned/audible, last access) rides along,
+ * as do PDF metadata from Pass 0 (title, authors, DOI, pages) and the
+ * fields a domain extractor pulled out, with the extractor version, and
+ * the capture's content hash and reading stats (word count, language).
  */
-function stripAnsiCodesWithCount(text) {
-  if (!text) return { text, count: 0 };
-
-  let count = 0;
-  const cleaned = text
-    .replace(/\u001b\[[0-9;]*[a-zA-Z]/g, () => { count++; return ''; })
-    .replace(/\x1b\[[0-9;]*[a-zA-Z]/g, () => { count++; return ''; })
-    .replace(/\u001b\[[0-9;]*m/g, () => { count++; return ''; })
-    .replace(/\x1b\[[0-9;]*m/g, () => { count++; return ''; });
-
-  return { text: cleaned, count };
+function toGroupItem(tab, tabIndex = null) {
+  return {
+    ...(tabIndex !== null && { tabIndex }),
+    title: tab.title || 'Untitled',
+    url: tab.url || '',
+    contentPreview: (tab.content || '').slice(0, 200),
+    ...(tab.browser && { browser: tab.browser }),
+    ...(tab.pdf && { pdf: tab.pdf }),
+    ...(tab.fields && Object.keys(tab.fields).length > 0 && { fields: previewFields(tab.fields) }),
+    ...(tab.extractor && { extractor: tab.extractor }),
+    ...(tab.contentHash && { contentHash: tab.contentHash }),
+    ...(tab.contentInfo && { contentInfo: tab.contentInfo })
+  };
 }
 
 /**
- * Parse LLM response (simplified format) into full structured format
+ * Build the full classification result from a validated Pass 1 response
  * Converts {assignments: {"1": "Cat", ...}} → {groups: {"Cat": [{tab}, ...]}}
  *
- * @param {string} responseText - Raw LLM response
+ * @param {Object} parsed - Pass 1 response, already validated against PASS_SCHEMAS.pass1
  * @param {Array} tabs - Original tab array
  * @param {Object} engineInfo - Engine metadata
- * @param {boolean} debugMode - If true, return parsing metadata for trace
- * @returns {Object} { result, parsingMeta? } - Result always returned, parsingMeta only in debugMode
+ * @returns {Object} { result, missingTabs }
  */
-function parseLLMResponse(responseText, tabs, engineInfo, debugMode = false) {
-  // Initialize parsing metadata (only populated when debugMode is true)
-  const parsingMeta = debugMode ? {
-    ansiStripped: 0,
-    fencesRemoved: 0,
-    jsonByteRange: null,
-    status: 'unknown'
-  } : null;
-
-  // Strip ANSI codes (with count tracking if debugging)
-  let cleanedText;
-  if (debugMode) {
-    const stripped = stripAnsiCodesWithCount(responseText);
-    cleanedText = stripped.text;
-    parsingMeta.ansiStripped = stripped.count;
-  } else {
-    cleanedText = stripAnsiCodes(responseText);
-  }
-
-  // Try to extract JSON from response
-  let jsonStr = cleanedText.trim();
-
-  // Handle markdown code blocks
-  const jsonMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
-  if (jsonMatch) {
-    jsonStr = jsonMatch[1].trim();
-    if (debugMode) parsingMeta.fencesRemoved = 1;
-  }
-
-  // Find JSON object boundaries
-  const startIdx = jsonStr.indexOf('{');
-  const endIdx = jsonStr.lastIndexOf('}');
-  if (startIdx !== -1 && endIdx !== -1) {
-    if (debugMode) parsingMeta.jsonByteRange = [startIdx, endIdx + 1];
-    jsonStr = jsonStr.slice(startIdx, endIdx + 1);
-  }
-
-  const parsed = JSON.parse(jsonStr);
-  if (debugMode) parsingMeta.status = 'success';
-
+function buildClassificationResult(parsed, tabs, engineInfo) {
   // Handle auditable format: {assignments: {"1": {category, signals, confidence}, ...}}
   const rawAssignments = parsed.assignments || {};
   const narrative = parsed.narrative || 'Session analyzed.';
   const sessionIntent = parsed.sessionIntent || null;
   const overallConfidence = parsed.overallConfidence || 'unknown';
   const uncertainties = parsed.uncertainties || [];
-  const deepDiveIndices = parsed.deepDive || [];
+  const deepDiveIndices = parsed.deepDive;
 
   // Log assignment count for debugging
   const assignmentCount = Object.keys(rawAssignments).length;
@@ -284,17 +242,11 @@ function parseLLMResponse(responseText, tabs, engineInfo, debugMode = false) {
         signals = [];
         confidence = 'unknown';
       } else {
-        category = assignment.category || 'Other';
-        signals = assignment.signals || [];
-        confidence = assignment.confidence || 'unknown';
+        ({ category, signals, confidence } = assignment);
       }
 
       if (!groups[category]) groups[category] = [];
-      groups[category].push({
-        tabIndex,
-        title: tab.title || 'Untitled',
-        url: tab.url || ''
-      });
+      groups[category].push(toGroupItem(tab, tabIndex));
 
       // Store reasoning for this tab
       reasoning[tabIndex] = {
@@ -315,20 +267,12 @@ function parseLLMResponse(responseText, tabs, engineInfo, debugMode = false) {
       missingTabs.push(i);
       const tab = tabs[i - 1];
       if (!groups['Unclassified']) groups['Unclassified'] = [];
-      groups['Unclassified'].push({
-        tabIndex: i,
-        title: tab.title || 'Untitled',
-        url: tab.url || ''
-      });
+      groups['Unclassified'].push(toGroupItem(tab, i));
     }
   }
   if (missingTabs.length > 0) {
     console.warn(`[Parser] ${missingTabs.length} tabs not classified by LLM: ${missingTabs.join(', ')}`);
   }
-  // Track missing tabs in parsing metadata for debugging
-  if (debugMode) {
-    parsingMeta.missingTabs = missingTabs;
-  }
 
   // Generate tasks from groups
   const actionMap = {
@@ -351,8 +295,8 @@ function parseLLMResponse(responseText, tabs, engineInfo, debugMode = false) {
   }));
 
   // Normalize deepDive (now just array of integers)
-  const normalizedDeepDive = (Array.isArray(deepDiveIndices) ? deepDiveIndices : [])
-    .filter(idx => typeof idx === 'number' && idx >= 1 && idx <= tabs.length)
+  const normalizedDeepDive = deepDiveIndices
+    .filter(idx => idx >= 1 && idx <= tabs.length)
     .map(idx => ({
       tabIndex: idx,
       reason: 'Flagged for deeper analysis',
@@ -391,11 +335,7 @@ function parseLLMResponse(responseText, tabs, engineInfo, debugMode = false) {
     }
   };
 
-  // Return result with optional parsingMeta for debug mode
-  if (debugMode) {
-    return { result, parsingMeta };
-  }
-  return { result };
+  return { result, missingTabs };
 }
 
 /**
@@ -468,89 +408,91 @@ function computeAttribution(tab, category, context) {
   return attribution;
 }
 
+/**
+ * Extractor fields (abstract, authors, README, ...) ahead of the page text
+ */
+function formatExtractedFields(fields) {
+  const lines = Object.entries(fields || {}).map(([name, value]) =>
+    `${name}: ${Array.isArray(value) ? value.join('; ') : value}`
+  );
+  return lines.length > 0 ? `EXTRACTED FIELDS:\n${lines.join('\n')}\n\nPAGE TEXT:\n` : '';
+}
+
 /**
  * Build the deep dive prompt for Pass 2
  * Analyzes a specific tab in detail based on hints from Pass 1
  */
-function buildDeepDivePrompt(tab, hints, fullContent) {
+function buildDeepDivePrompt(tab, hints, fullContent, promptOptions = {}) {
   const hintsStr = hints.length > 0 ? hints.join(', ') : 'general summary and key points';
 
   // Truncate content to avoid overwhelming the model
   const truncatedContent = fullContent.slice(0, 4000);
 
-  return `Analyze this tab. Respond with ONLY a JSON object - no explanation, no apology, no markdown fences.
-
-URL: ${tab.url || 'unknown'}
-Title: ${tab.title || 'Untitled'}
-Focus: ${hintsStr}
-
-Content:
-${truncatedContent}
-
-RESPOND WITH EXACTLY THIS FORMAT:
-{"summary":"2-3 sentences","keyPoints":["point1","point2"],"entities":{"authors":[],"organizations":[],"technologies":[]},"relevance":"why it matters"}`
+  return renderPrompt('pass2-deep-dive', {
+    url: tab.url || 'unknown',
+    title: tab.title || 'Untitled',
+    focus: hintsStr,
+    content: truncatedContent
+  }, promptOptions);
 }
 
 /**
  * Run deep dive analysis on a single tab (Pass 2)
  * @param {boolean} debugMode - If true, include prompt and raw response in result
+ * @param {Object} [options]
+ * @param {Object} [options.prompt] - renderPrompt options ({ version } or { template })
+ * @param {string} [options.purpose='pass2'] - Usage ledger tag
  */
-async function runDeepDive(tab, hints, engine, debugMode = false) {
-  // Use full content for deep dive (not truncated)
-  const fullContent = tab.content || '';
-  const prompt = buildDeepDivePrompt(tab, hints, fullContent);
+async function runDeepDive(tab, hints, engine, debugMode = false, { prompt: promptOptions = {}, purpose = 'pass2' } = {}) {
+  // Use full content for deep dive (not truncated), extracted fields first
+  const fullContent = formatExtractedFields(tab.fields) + (tab.content || '');
+  const { text: prompt, ...promptVersion } = buildDeepDivePrompt(tab, hints, fullContent, promptOptions);
 
   try {
-    const response = await runModel(engine, prompt);
-    const responseText = response.text;
-
-    // Parse the deep dive response
-    let cleanedText = stripAnsiCodes(responseText);
-    let jsonStr = cleanedText.trim();
-
-    // Handle markdown code blocks
-    const jsonMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (jsonMatch) {
-      jsonStr = jsonMatch[1].trim();
-    }
-
-    // Find JSON object boundaries
-    const startIdx = jsonStr.indexOf('{');
-    const endIdx = jsonStr.lastIndexOf('}');
-    if (startIdx !== -1 && endIdx !== -1) {
-      jsonStr = jsonStr.slice(startIdx, endIdx + 1);
-    }
-
-    const parsed = JSON.parse(jsonStr);
+    const response = await runStructured(engine, prompt, PASS_SCHEMAS.pass2, { purpose });
+    const parsed = response.data;
 
     const result = {
       url: tab.url,
       title: tab.title,
       analysis: {
-        summary: parsed.summary || '',
-        keyPoints: Array.isArray(parsed.keyPoints) ? parsed.keyPoints : [],
-        entities: parsed.entities || {},
-        relevance: parsed.relevance || ''
-      }
+        summary: parsed.summary,
+        keyPoints: parsed.keyPoints,
+        entities: parsed.entities,
+        relevance: parsed.relevance
+      },
+      usage: response.usage,
+      prompt: promptVersion
     };
 
     // Include trace data if debugging
     if (debugMode) {
       result.trace = {
         prompt: prompt,
-        rawResponse: responseText
+        rawResponse: response.text,
+        parsing: response.parsing
       };
     }
 
     return result;
   } catch (error) {
     console.warn(`Deep dive failed for ${tab.url}: ${error.message}`);
-    return {
+    const failed = {
       url: tab.url,
       title: tab.title,
       analysis: null,
-      error: error.message
+      error: error.message,
+      usage: error.usage || null,
+      prompt: promptVersion
     };
+    if (debugMode && error.parsing) {
+      failed.trace = {
+        prompt: prompt,
+        rawResponse: error.rawResponses[error.rawResponses.length - 1],
+        parsing: error.parsing
+      };
+    }
+    return failed;
   }
 }
 
@@ -558,7 +500,7 @@ async function runDeepDive(tab, hints, engine, debugMode = false) {
  * Build the visualization prompt for Pass 3
  * Generates a Mermaid diagram of the browsing session
  */
-function buildVisualizationPrompt(result, deepDiveResults, failures) {
+function buildVisualizationPrompt(result, deepDiveResults, failures, promptOptions = {}) {
   // Build category summary
   const categorySummary = Object.entries(result.groups)
     .map(([cat, tabs]) => `- ${cat}: ${tabs.length} tabs (${tabs.map(t => t.tabIndex).join(', ')})`)
@@ -580,94 +522,64 @@ function buildVisualizationPrompt(result, deepDiveResults, failures) {
     ? failures.map(f => `- Tab "${f.title}": ${f.error}`).join('\n')
     : 'None';
 
-  return `Generate a Mermaid diagram visualizing this browsing session.
-
-SESSION DATA:
-Narrative: ${result.narrative}
-
-Categories and tabs:
-${categorySummary}
-
-Deep dive results:
-${deepDiveSummary}
-
-Failures:
-${failureSummary}
-
-OUTPUT FORMAT - respond with ONLY valid Mermaid code (no markdown fences, no explanation):
-
-Requirements:
-1. Use "graph TB" (top to bottom)
-2. Create a subgraph for each category containing its tab nodes
-3. Use short node IDs like T1, T2 (tab index)
-4. Label nodes with truncated titles (max 30 chars)
-5. If there are deep dive insights, add annotation nodes connected with dotted lines
-6. If there are failures, style those nodes with fill:#f66
-7. Keep it readable - don't overcrowd
-
-Example structure:
-graph TB
-    subgraph Development
-        T3[mem0 GitHub]
-        T7[MCP Toolbox]
-    end
-    subgraph Research
-        T4[arXiv paper]
-    end
-    T4 -.->|"key insight"| I4[35% faster training]
-    style T4 fill:#f66`;
+  return renderPrompt('pass3-visualization', {
+    narrative: result.narrative,
+    categorySummary,
+    deepDiveSummary,
+    failureSummary
+  }, promptOptions);
 }
 
 /**
  * Run visualization generation (Pass 3)
  * @param {boolean} debugMode - If true, include prompt and raw response in result
+ * @param {Object} [options] - { prompt, purpose }, as for runDeepDive
  */
-async function generateVisualization(result, deepDiveResults, engine, debugMode = false) {
+async function generateVisualization(result, deepDiveResults, engine, debugMode = false, { prompt: promptOptions = {}, purpose = 'pass3' } = {}) {
   // Identify failures from deep dive results
   const failures = (deepDiveResults || []).filter(d => d.error);
 
-  const prompt = buildVisualizationPrompt(result, deepDiveResults, failures);
+  const { text: prompt, ...promptVersion } = buildVisualizationPrompt(result, deepDiveResults, failures, promptOptions);
 
   try {
-    const pass3Response = await runModel(engine, prompt);
-    const responseText = pass3Response.text;
-
-    // Clean the response - strip any markdown fences
-    let cleanedText = stripAnsiCodes(responseText).trim();
-
-    // Remove markdown code fences if present
-    const mermaidMatch = cleanedText.match(/```(?:mermaid)?\s*([\s\S]*?)```/);
-    if (mermaidMatch) {
-      cleanedText = mermaidMatch[1].trim();
-    }
-
-    // Basic validation - should start with graph or flowchart
-    if (!cleanedText.match(/^(graph|flowchart)\s+(TB|TD|BT|LR|RL)/i)) {
-      throw new Error('Invalid Mermaid: does not start with graph/flowchart directive');
-    }
+    // Schema rejects diagrams that don't start with a graph/flowchart directive
+    const response = await runStructured(engine, prompt, PASS_SCHEMAS.pass3, { purpose });
 
     const vizResult = {
       success: true,
-      mermaid: cleanedText,
-      failuresVisualized: failures.length
+      mermaid: response.data.mermaid.trim(),
+      failuresVisualized: failures.length,
+      usage: response.usage,
+      prompt: promptVersion
     };
 
     // Include trace data if debugging
     if (debugMode) {
       vizResult.trace = {
         prompt: prompt,
-        rawResponse: responseText
+        rawResponse: response.text,
+        parsing: response.parsing
       };
     }
 
     return vizResult;
   } catch (error) {
     console.warn(`Visualization failed: ${error.message}`);
-    return {
+    const failed = {
       success: false,
       mermaid: null,
-      error: error.message
+      error: error.message,
+      usage: error.usage || null,
+      prompt: promptVersion
     };
+    if (debugMode && error.parsing) {
+      failed.trace = {
+        prompt: prompt,
+        rawResponse: error.rawResponses[error.rawResponses.length - 1],
+        parsing: error.parsing
+      };
+    }
+    return failed;
   }
 }
 
@@ -675,7 +587,7 @@ async function generateVisualization(result, deepDiveResults, engine, debugMode
  * Build the thematic analysis prompt for Pass 4
  * Analyzes cross-category relationships and suggests actions
  */
-function buildThematicPrompt(result, tabs, context, deepDiveResults) {
+function buildThematicPrompt(result, tabs, context, deepDiveResults, promptOptions = {}) {
   // Build project list
   const projectList = context?.activeProjects?.map(p => {
     const keywords = p.keywords?.length > 0 ? ` (keywords: ${p.keywords.join(', ')})` : '';
@@ -706,87 +618,21 @@ function buildThematicPrompt(result, tabs, context, deepDiveResults) {
     `${i + 1}. ${t.title || 'Untitled'} | ${t.url || 'unknown'}`
   ).join('\n');
 
-  return `You are analyzing a browsing session for thematic relationships and action opportunities.
-
-USER'S ACTIVE PROJECTS:
-${projectList}
-
-SESSION CLASSIFICATION (from Pass 1):
-Narrative: ${result.narrative}
-Session Intent: ${result.sessionIntent || 'Not specified'}
-
-Categories:
-${categorySummary}
-
-DEEP ANALYSIS (from Pass 2):
-${deepDiveSummary}
-
-TAB LIST:
-${tabList}
-
-USER PROFILE (for action synthesis):
-- Works on complex parallel projects (fiction, technical, research)
-- Tendency toward productive research rabbit holes that can become avoidance
-- Values depth over quick wins
-- Risk: analysis paralysis disguised as research
-- Goal: turn intake into output
-
-TASK:
-1. Identify which tabs support which projects, EVEN IF CLASSIFIED IN DIFFERENT CATEGORIES
-   - A "Research" tab about authorship may support a "Creative Writing" project
-   - Look for THEMATIC connections, not just keyword matches
-2. Find thematic throughlines connecting tabs across categories
-3. Suggest 2-3 concrete actions the user should take (achievable in 30 minutes)
-
-OUTPUT FORMAT - respond with ONLY this JSON (no markdown, no explanation):
-{
-  "projectSupport": {
-    "ProjectName": {
-      "directTabs": [1, 3],
-      "supportingTabs": [9, 17],
-      "supportingEvidence": [
-        {"tabIndex": 9, "reason": "why this tab supports the project"}
-      ]
-    }
-  },
-  "thematicThroughlines": [
-    {
-      "theme": "Theme name",
-      "tabs": [9, 15, 17],
-      "projects": ["Project1", "Project2"],
-      "insight": "Why these connect and what it means"
-    }
-  ],
-  "alternativeNarrative": "1-2 sentences reframing the session through thematic lens rather than categorical",
-  "suggestedActions": [
-    {
-      "action": "Specific action (e.g. 'Write 500 words on X')",
-      "project": "ProjectName or 'system'",
-      "reason": "Why this action now",
-      "priority": "high|medium|low",
-      "tabsToClose": [11, 22]
-    }
-  ],
-  "sessionPattern": {
-    "type": "research-heavy|output-focused|balanced|scattered",
-    "intakeVsOutput": "X% intake, Y% output",
-    "riskFlags": ["analysis paralysis", "scope creep", etc.],
-    "recommendation": "One sentence on what to do"
-  }
-}
-
-CRITICAL:
-- Look for IMPLICIT connections, not just keyword matches
-- A tab about "The Rise and Fall of the Author" relates to fiction about authorship even without matching keywords
-- Actions should be specific and achievable in 30 minutes
-- Consider the user's tendency toward research over production`;
+  return renderPrompt('pass4-thematic', {
+    projectList,
+    narrative: result.narrative,
+    sessionIntent: result.sessionIntent || 'Not specified',
+    categorySummary,
+    deepDiveSummary,
+    tabList
+  }, promptOptions);
 }
 
 /**
  * Build a simplified thematic prompt when no projects are defined
  * Focuses on finding hidden connections and alternative perspectives
  */
-function buildSimplifiedThematicPrompt(result, tabs, deepDiveResults) {
+function buildSimplifiedThematicPrompt(result, tabs, deepDiveResults, promptOptions = {}) {
   // Build category summary
   const categorySummary = Object.entries(result.groups)
     .map(([cat, catTabs]) => `${cat}: tabs ${catTabs.map(t => t.tabIndex).join(', ')}`)
@@ -807,49 +653,12 @@ function buildSimplifiedThematicPrompt(result, tabs, deepDiveResults) {
     `${i + 1}. ${t.title || 'Untitled'} | ${t.url || 'unknown'}`
   ).join('\n');
 
-  return `You are analyzing a browsing session to find hidden connections and alternative perspectives.
-
-SESSION CLASSIFICATION:
-Narrative: ${result.narrative}
-
-Categories:
-${categorySummary}
-
-DEEP ANALYSIS:
-${deepDiveSummary}
-
-TAB LIST:
-${tabList}
-
-TASK:
-1. Look for HIDDEN CONNECTIONS between tabs that the categories might miss
-   - What themes connect tabs across different categories?
-   - What story might these tabs tell together?
-2. Provide an alternative perspective on what this session is really about
-3. Identify the overall session pattern
-
-OUTPUT FORMAT - respond with ONLY this JSON (no markdown, no explanation):
-{
-  "thematicThroughlines": [
-    {
-      "theme": "Theme name",
-      "tabs": [9, 15, 17],
-      "insight": "Why these connect - what they reveal together"
-    }
-  ],
-  "alternativeNarrative": "1-2 sentences reframing the session. What might you be ACTUALLY working toward, even if you don't realize it?",
-  "hiddenConnection": "One surprising connection between seemingly unrelated tabs",
-  "sessionPattern": {
-    "type": "research-heavy|output-focused|balanced|scattered|exploratory",
-    "observation": "What this browsing pattern suggests about your current state",
-    "recommendation": "One sentence on what to consider"
-  }
-}
-
-CRITICAL:
-- Look for what's NOT obvious from the categories
-- Find the implicit thread connecting disparate tabs
-- Be insightful, not just descriptive`;
+  return renderPrompt('pass4-simplified', {
+    narrative: result.narrative,
+    categorySummary,
+    deepDiveSummary,
+    tabList
+  }, promptOptions);
 }
 
 /**
@@ -859,74 +668,113 @@ CRITICAL:
  * @param {Object|null} context - Context with activeProjects
  * @param {string} engine - LLM engine to use
  * @param {boolean} debugMode - If true, include prompt and raw response
+ * @param {Object} [options] - { prompt, purpose }, as for runDeepDive
  * @returns {Object} Thematic analysis result
  */
-async function analyzeThematicRelationships(result, tabs, context, engine, debugMode = false) {
+async function analyzeThematicRelationships(result, tabs, context, engine, debugMode = false, { prompt: promptOptions = {}, purpose = 'pass4' } = {}) {
   const hasProjects = context?.activeProjects?.length > 0;
 
   // Use full prompt with projects, or simplified prompt without
-  const prompt = hasProjects
-    ? buildThematicPrompt(result, tabs, context, result.deepDiveResults)
-    : buildSimplifiedThematicPrompt(result, tabs, result.deepDiveResults);
+  const { text: prompt, ...promptVersion } = hasProjects
+    ? buildThematicPrompt(result, tabs, context, result.deepDiveResults, promptOptions)
+    : buildSimplifiedThematicPrompt(result, tabs, result.deepDiveResults, promptOptions);
 
   if (!hasProjects) {
     console.error('[Pass 4] Running in simplified mode (no projects defined)');
   }
 
   try {
-    const response = await runModel(engine, prompt);
-    const responseText = response.text;
-
-    // Parse the response
-    let cleanedText = stripAnsiCodes(responseText).trim();
-
-    // Handle markdown code blocks
-    const jsonMatch = cleanedText.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (jsonMatch) {
-      cleanedText = jsonMatch[1].trim();
-    }
-
-    // Find JSON object boundaries
-    const startIdx = cleanedText.indexOf('{');
-    const endIdx = cleanedText.lastIndexOf('}');
-    if (startIdx !== -1 && endIdx !== -1) {
-      cleanedText = cleanedText.slice(startIdx, endIdx + 1);
-    }
-
-    const parsed = JSON.parse(cleanedText);
+    const schemaDef = hasProjects ? PASS_SCHEMAS.pass4 : PASS_SCHEMAS.pass4Simplified;
+    const response = await runStructured(engine, prompt, schemaDef, { purpose });
+    const parsed = response.data;
 
     const thematicResult = {
       projectSupport: parsed.projectSupport || {},
-      thematicThroughlines: Array.isArray(parsed.thematicThroughlines) ? parsed.thematicThroughlines : [],
-      alternativeNarrative: parsed.alternativeNarrative || null,
+      thematicThroughlines: parsed.thematicThroughlines,
+      alternativeNarrative: parsed.alternativeNarrative,
       hiddenConnection: parsed.hiddenConnection || null,
-      suggestedActions: Array.isArray(parsed.suggestedActions) ? parsed.suggestedActions : [],
-      sessionPattern: parsed.sessionPattern || null
+      suggestedActions: parsed.suggestedActions || [],
+      sessionPattern: parsed.sessionPattern,
+      usage: response.usage,
+      prompt: promptVersion
     };
 
     // Include trace data if debugging
     if (debugMode) {
       thematicResult.trace = {
         prompt: prompt,
-        rawResponse: responseText
+        rawResponse: response.text,
+        parsing: response.parsing
       };
     }
 
     return thematicResult;
   } catch (error) {
     console.warn(`[Pass 4] Thematic analysis failed: ${error.message}`);
-    return {
+    const failed = {
       error: error.message,
       projectSupport: {},
       thematicThroughlines: [],
       alternativeNarrative: null,
       hiddenConnection: null,
       suggestedActions: [],
-      sessionPattern: null
+      sessionPattern: null,
+      usage: error.usage || null,
+      prompt: promptVersion
     };
+    if (debugMode && error.parsing) {
+      failed.trace = {
+        prompt: prompt,
+        rawResponse: error.rawResponses[error.rawResponses.length - 1],
+        parsing: error.parsing
+      };
+    }
+    return failed;
   }
 }
 
+/**
+ * Report a pipeline progress event to an optional listener
+ * Listener errors are logged and never interrupt classification
+ *
+ * Events: { pass, status: 'started'|'item'|'complete', durationMs?, usage?, ... }
+ */
+function reportProgress(onProgress, event) {
+  if (!onProgress) return;
+  try {
+    onProgress({ ...event, at: new Date().toISOString() });
+  } catch (err) {
+    console.warn(`[Progress] Listener failed: ${err.message}`);
+  }
+}
+
+/**
+ * Record token usage per pass and its cost (models/pricing.js) on result.meta.
+ * Cost is left off for models without a known price.
+ */
+function applyUsageMeta(result, passUsage, engineInfo) {
+  const passes = Object.values(passUsage).filter(Boolean);
+  if (passes.length === 0) return;
+
+  const total = passes.reduce((sum, usage) => addUsage(sum, usage), null);
+  result.meta.usage = {
+    ...passUsage,
+    totalInputTokens: total.input_tokens,
+    totalOutputTokens: total.output_tokens
+  };
+
+  const price = getPrice(engineInfo.engine, engineInfo.model);
+  if (!price) return;
+  const inputCost = total.input_tokens * price.input / 1e6;
+  const outputCost = total.output_tokens * price.output / 1e6;
+  result.meta.cost = {
+    inputCost: inputCost.toFixed(6),
+    outputCost: outputCost.toFixed(6),
+    totalCost: (inputCost + outputCost).toFixed(6),
+    currency: 'USD'
+  };
+}
+
 /**
  * Classify tabs using LLM (four-pass architecture)
  * Pass 1: Classify all tabs, identify candidates for deep dive
@@ -934,22 +782,58 @@ async function analyzeThematicRelationships(result, tabs, context, engine, debug
  * Pass 3: Generate session visualization
  * Pass 4: Thematic analysis & action synthesis (if projects exist)
  *
+ * With a checkpoint, the accumulated state is handed to checkpoint.save()
+ * after each pass, and passes already recorded in checkpoint.state are
+ * skipped — this is how the job queue resumes a failed capture.
+ *
  * @param {Array} tabs - Array of tab objects with url, title, content
  * @param {string} engine - LLM engine to use (default: ollama-local)
  * @param {Object|null} context - Optional context with activeProjects for smarter classification
  * @param {boolean} debugMode - If true, capture full trace for cognitive debugging
+ * @param {Function|null} onProgress - Optional listener for per-pass progress events
+ * @param {Object|null} checkpoint - Optional { state, save(state) } for resumable runs
  */
-async function classifyWithLLM(tabs, engine = DEFAULT_ENGINE, context = null, debugMode = false) {
+async function classifyWithLLM(tabs, engine = DEFAULT_ENGINE, context = null, debugMode = false, onProgress = null, checkpoint = null) {
+  // Over the monthly budget: run on the local engine instead (see usageLedger.js)
+  let budgetFallback = null;
+  const requested = getEngineInfo(engine);
+  const billed = requested.billedTo || requested;
+  const budget = await checkBudget(billed.engine || engine, billed.model);
+  if (budget.exceeded) {
+    console.warn(`[Budget] $${budget.spentUsd.toFixed(2)} of $${budget.budgetUsd} monthly budget spent; using ${budget.fallbackEngine} instead of ${engine}`);
+    budgetFallback = { requestedEngine: engine, spentUsd: budget.spentUsd, budgetUsd: budget.budgetUsd };
+    engine = budget.fallbackEngine;
+  }
+
   const engineInfo = getEngineInfo(engine);
+  const resumed = checkpoint?.state || null;
 
   // Initialize trace object for debug mode
-  const trace = debugMode ? {
+  const trace = debugMode ? (resumed?.trace || {
     pass1: {},
     pass2: [],
     pass3: {},
     pass4: {},
     perTabAttribution: {}
-  } : null;
+  }) : null;
+
+  // Pipeline state: everything needed to continue after the last completed pass
+  let completedPass = resumed?.completedPass || 0;
+  let result = resumed?.result || null;
+  // Token usage per pass; checkpoints from before per-pass tracking only carry pass1Usage
+  const passUsage = { ...(resumed?.passUsage || (resumed?.pass1Usage ? { pass1: resumed.pass1Usage } : {})) };
+  const durations = { ...(resumed?.durations || {}) };
+
+  async function completePass(pass) {
+    completedPass = pass;
+    if (checkpoint) {
+      await checkpoint.save({ completedPass, result, trace, durations, passUsage });
+    }
+  }
+
+  if (resumed) {
+    console.error(`[Resume] Continuing after pass ${completedPass}`);
+  }
 
   // Log context usage
   if (context && context.activeProjects) {
@@ -984,155 +868,235 @@ async function classifyWithLLM(tabs, engine = DEFAULT_ENGINE, context = null, de
   }
 
   // === PASS 1: Classification + Triage ===
-  console.error(`[Pass 1] Calling LLM via ${engineInfo.engine} (${engineInfo.model})...`);
-  const pass1Start = Date.now();
-  const prompt = buildPrompt(tabs, context, learnedRules);
+  if (completedPass < 1) {
+    console.error(`[Pass 1] Calling LLM via ${engineInfo.engine} (${engineInfo.model})...`);
+    const pass1Start = Date.now();
+    const { text: prompt, ...pass1Prompt } = buildPrompt(tabs, context, learnedRules);
+    reportProgress(onProgress, { pass: 1, status: 'started', totalTabs: tabs.length, engine: engineInfo.engine, model: engineInfo.model });
 
-  // Capture prompt in trace
-  if (debugMode) {
-    trace.pass1.prompt = prompt;
-    trace.pass1.learnedRulesCount = learnedRules.length;
-    if (learnedRules.length > 0) {
-      trace.pass1.learnedRules = learnedRules.map(r => ({ domain: r.domain, rule: r.rule }));
+    // Capture prompt in trace
+    if (debugMode) {
+      trace.pass1.prompt = prompt;
+      trace.pass1.learnedRulesCount = learnedRules.length;
+      if (learnedRules.length > 0) {
+        trace.pass1.learnedRules = learnedRules.map(r => ({ domain: r.domain, rule: r.rule }));
+      }
     }
-  }
 
-  const pass1Response = await runModel(engine, prompt);
-  const pass1Duration = Date.now() - pass1Start;
-  const responseText = pass1Response.text;
-  const pass1Usage = pass1Response.usage;
-  console.error('[Pass 1] Response received, parsing...');
+    let pass1Response;
+    try {
+      pass1Response = await runStructured(engine, prompt, PASS_SCHEMAS.pass1, { purpose: 'pass1' });
+    } catch (error) {
+      // Hand the partial trace to classifyTabs so the fallback result can still show why parsing failed
+      if (debugMode && error.parsing) {
+        trace.pass1.rawResponse = error.rawResponses[error.rawResponses.length - 1];
+        trace.pass1.parsing = error.parsing;
+        error.trace = trace;
+      }
+      throw error;
+    }
+    durations.pass1 = Date.now() - pass1Start;
+    passUsage.pass1 = pass1Response.usage;
+    console.error(`[Pass 1] Response validated (${pass1Response.parsing.status}, ${pass1Response.parsing.attempts} attempt(s))`);
+
+    const built = buildClassificationResult(pass1Response.data, tabs, engineInfo);
+    result = built.result;
+    // Template versions behind each pass (see promptRegistry.js)
+    result.meta.prompts = { pass1: pass1Prompt };
+    reportProgress(onProgress, {
+      pass: 1,
+      status: 'complete',
+      durationMs: durations.pass1,
+      usage: passUsage.pass1,
+      classifiedCount: result.classifiedCount,
+      missingTabs: built.missingTabs.length,
+      categories: Object.keys(result.groups).length,
+      deepDiveCount: result.deepDive.length,
+      parsing: pass1Response.parsing.status
+    });
 
-  // Capture raw response in trace
-  if (debugMode) {
-    trace.pass1.rawResponse = responseText;
-  }
+    // Capture raw response and parsing metadata in trace
+    if (debugMode) {
+      trace.pass1.rawResponse = pass1Response.text;
+      trace.pass1.parsing = { ...pass1Response.parsing, missingTabs: built.missingTabs };
+    }
 
-  const parseOutput = parseLLMResponse(responseText, tabs, engineInfo, debugMode);
-  const result = parseOutput.result;
+    await completePass(1);
+  } else {
+    reportProgress(onProgress, { pass: 1, status: 'complete', durationMs: durations.pass1, usage: passUsage.pass1, resumed: true });
+  }
 
-  // Capture parsing metadata in trace
-  if (debugMode && parseOutput.parsingMeta) {
-    trace.pass1.parsing = parseOutput.parsingMeta;
+  if (budgetFallback) {
+    result.meta.budgetFallback = budgetFallback;
   }
 
   // === PASS 2: Deep Dive (Conditional) ===
-  const pass2Start = Date.now();
-  if (result.deepDive && result.deepDive.length > 0) {
-    console.error(`[Pass 2] ${result.deepDive.length} tab(s) flagged for deep dive`);
-
-    const deepDiveResults = [];
-    for (const dive of result.deepDive) {
-      // tabIndex is 1-based from the prompt
-      const tabIdx = dive.tabIndex - 1;
-      if (tabIdx >= 0 && tabIdx < tabs.length) {
-        const tab = tabs[tabIdx];
-        console.error(`[Pass 2] Analyzing: ${tab.title || tab.url}`);
-        const diveResult = await runDeepDive(tab, dive.extractHints, engine, debugMode);
-        deepDiveResults.push(diveResult);
-
-        // Capture trace for this deep dive
-        if (debugMode && diveResult.trace) {
-          trace.pass2.push({
+  if (completedPass < 2) {
+    const pass2Start = Date.now();
+    if (result.deepDive && result.deepDive.length > 0) {
+      console.error(`[Pass 2] ${result.deepDive.length} tab(s) flagged for deep dive`);
+
+      reportProgress(onProgress, { pass: 2, status: 'started', total: result.deepDive.length });
+
+      const deepDiveResults = [];
+      for (const dive of result.deepDive) {
+        // tabIndex is 1-based from the prompt
+        const tabIdx = dive.tabIndex - 1;
+        if (tabIdx >= 0 && tabIdx < tabs.length) {
+          const tab = tabs[tabIdx];
+          console.error(`[Pass 2] Analyzing: ${tab.title || tab.url}`);
+          const diveStart = Date.now();
+          const { usage: diveUsage, prompt: divePrompt, ...diveResult } = await runDeepDive(tab, dive.extractHints, engine, debugMode);
+          result.meta.prompts = { ...result.meta.prompts, pass2: divePrompt };
+          deepDiveResults.push(diveResult);
+          passUsage.pass2 = addUsage(passUsage.pass2, diveUsage);
+          reportProgress(onProgress, {
+            pass: 2,
+            status: 'item',
+            index: deepDiveResults.length,
+            total: result.deepDive.length,
             tabIndex: dive.tabIndex,
-            title: tab.title,
-            prompt: diveResult.trace.prompt,
-            rawResponse: diveResult.trace.rawResponse
+            title: tab.title || tab.url,
+            success: !diveResult.error,
+            error: diveResult.error,
+            durationMs: Date.now() - diveStart,
+            usage: diveUsage || null
           });
+
+          // Capture trace for this deep dive
+          if (debugMode && diveResult.trace) {
+            trace.pass2.push({
+              tabIndex: dive.tabIndex,
+              title: tab.title,
+              prompt: diveResult.trace.prompt,
+              rawResponse: diveResult.trace.rawResponse,
+              parsing: diveResult.trace.parsing
+            });
+          }
         }
       }
-    }
 
-    // Fold deep dive results into the main result
-    result.deepDiveResults = deepDiveResults;
+      // Fold deep dive results into the main result
+      result.deepDiveResults = deepDiveResults;
 
-    // Update meta to reflect two passes
-    result.meta.passes = 2;
-    result.meta.timing = result.meta.timing || {};
-    result.meta.timing.pass2 = Date.now() - pass2Start;
-    console.error(`[Pass 2] Complete. ${deepDiveResults.length} deep dive(s) processed in ${result.meta.timing.pass2}ms`);
+      // Update meta to reflect two passes
+      result.meta.passes = 2;
+      result.meta.timing = result.meta.timing || {};
+      result.meta.timing.pass2 = Date.now() - pass2Start;
+      console.error(`[Pass 2] Complete. ${deepDiveResults.length} deep dive(s) processed in ${result.meta.timing.pass2}ms`);
+      reportProgress(onProgress, { pass: 2, status: 'complete', durationMs: result.meta.timing.pass2, count: deepDiveResults.length });
+    } else {
+      console.error('[Pass 1] No tabs flagged for deep dive');
+      reportProgress(onProgress, { pass: 2, status: 'complete', durationMs: 0, count: 0, skipped: true });
+      result.deepDiveResults = [];
+      result.meta.timing = { pass1: durations.pass1, pass2: 0 };
+    }
+
+    await completePass(2);
   } else {
-    console.error('[Pass 1] No tabs flagged for deep dive');
-    result.deepDiveResults = [];
-    result.meta.timing = { pass1: pass1Duration, pass2: 0 };
+    reportProgress(onProgress, { pass: 2, status: 'complete', durationMs: result.meta.timing?.pass2 || 0, count: result.deepDiveResults.length, resumed: true });
   }
 
   // === PASS 3: Visualization ===
-  console.error('[Pass 3] Generating session visualization...');
-  const pass3Start = Date.now();
-  const vizResult = await generateVisualization(result, result.deepDiveResults, engine, debugMode);
-  const pass3Duration = Date.now() - pass3Start;
-
-  // Capture Pass 3 trace
-  if (debugMode && vizResult.trace) {
-    trace.pass3 = {
-      prompt: vizResult.trace.prompt,
-      rawResponse: vizResult.trace.rawResponse
-    };
-  }
+  if (completedPass < 3) {
+    console.error('[Pass 3] Generating session visualization...');
+    const pass3Start = Date.now();
+    reportProgress(onProgress, { pass: 3, status: 'started' });
+    const { usage: pass3Usage, prompt: pass3Prompt, ...vizResult } = await generateVisualization(result, result.deepDiveResults, engine, debugMode);
+    result.meta.prompts = { ...result.meta.prompts, pass3: pass3Prompt };
+    durations.pass3 = Date.now() - pass3Start;
+    passUsage.pass3 = pass3Usage || null;
+    reportProgress(onProgress, {
+      pass: 3,
+      status: 'complete',
+      durationMs: durations.pass3,
+      usage: pass3Usage || null,
+      success: vizResult.success,
+      error: vizResult.error
+    });
 
-  if (vizResult.success) {
-    result.visualization = {
-      mermaid: vizResult.mermaid,
-      failuresVisualized: vizResult.failuresVisualized
-    };
-    result.meta.passes = 3;
+    // Capture Pass 3 trace
+    if (debugMode && vizResult.trace) {
+      trace.pass3 = {
+        prompt: vizResult.trace.prompt,
+        rawResponse: vizResult.trace.rawResponse,
+        parsing: vizResult.trace.parsing
+      };
+    }
+
+    if (vizResult.success) {
+      const pass1Duration = durations.pass1;
+      const pass3Duration = durations.pass3;
+      result.visualization = {
+        mermaid: vizResult.mermaid,
+        failuresVisualized: vizResult.failuresVisualized
+      };
+      result.meta.passes = 3;
       result.meta.timing = result.meta.timing || { pass1: pass1Duration };
       result.meta.timing.pass1 = pass1Duration;
       result.meta.timing.pass3 = pass3Duration;
       result.meta.timing.total = pass1Duration + (result.meta.timing.pass2 || 0) + pass3Duration;
       console.error(`[Timing] Pass1: ${pass1Duration}ms, Pass2: ${result.meta.timing.pass2 || 0}ms, Pass3: ${pass3Duration}ms, Total: ${result.meta.timing.total}ms`);
-      if (pass1Usage) {
-        result.meta.usage = {
-          pass1: pass1Usage,
-          totalInputTokens: pass1Usage.input_tokens || 0,
-          totalOutputTokens: pass1Usage.output_tokens || 0
-        };
-        // Claude 3.5 Haiku pricing: $1/1M input, $5/1M output
-        const inputCost = (pass1Usage.input_tokens || 0) * 0.000001;
-        const outputCost = (pass1Usage.output_tokens || 0) * 0.000005;
-        result.meta.cost = {
-          inputCost: inputCost.toFixed(6),
-          outputCost: outputCost.toFixed(6),
-          totalCost: (inputCost + outputCost).toFixed(6),
-          currency: 'USD'
-        };
-      }
-    console.error('[Pass 3] Visualization generated successfully');
+      console.error('[Pass 3] Visualization generated successfully');
+    } else {
+      result.visualization = {
+        mermaid: null,
+        error: vizResult.error
+      };
+      console.warn(`[Pass 3] Visualization failed: ${vizResult.error}`);
+    }
+
+    await completePass(3);
   } else {
-    result.visualization = {
-      mermaid: null,
-      error: vizResult.error
-    };
-    console.warn(`[Pass 3] Visualization failed: ${vizResult.error}`);
+    reportProgress(onProgress, { pass: 3, status: 'complete', durationMs: durations.pass3, success: Boolean(result.visualization?.mermaid), resumed: true });
   }
 
   // === PASS 4: Thematic Analysis (Conditional) ===
-  const pass4Start = Date.now();
-  console.error('[Pass 4] Analyzing thematic relationships...');
-  const thematicResult = await analyzeThematicRelationships(result, tabs, context, engine, debugMode);
-  const pass4Duration = Date.now() - pass4Start;
-
-  if (thematicResult) {
-    result.thematicAnalysis = thematicResult;
-    result.meta.passes = 4;
-    result.meta.timing.pass4 = pass4Duration;
-    result.meta.timing.total = pass1Duration + (result.meta.timing.pass2 || 0) + pass3Duration + pass4Duration;
-    console.error(`[Pass 4] Complete. ${thematicResult.suggestedActions?.length || 0} action(s) suggested in ${pass4Duration}ms`);
-    console.error(`[Timing] Pass1: ${pass1Duration}ms, Pass2: ${result.meta.timing.pass2 || 0}ms, Pass3: ${pass3Duration}ms, Pass4: ${pass4Duration}ms, Total: ${result.meta.timing.total}ms`);
-
-    // Capture Pass 4 trace
-    if (debugMode && thematicResult.trace) {
-      trace.pass4 = {
-        prompt: thematicResult.trace.prompt,
-        rawResponse: thematicResult.trace.rawResponse
-      };
+  if (completedPass < 4) {
+    const pass4Start = Date.now();
+    console.error('[Pass 4] Analyzing thematic relationships...');
+    reportProgress(onProgress, { pass: 4, status: 'started', mode: context?.activeProjects?.length > 0 ? 'projects' : 'simplified' });
+    const { usage: pass4Usage, prompt: pass4Prompt, ...thematicResult } = await analyzeThematicRelationships(result, tabs, context, engine, debugMode);
+    result.meta.prompts = { ...result.meta.prompts, pass4: pass4Prompt };
+    const pass4Duration = Date.now() - pass4Start;
+    durations.pass4 = pass4Duration;
+    passUsage.pass4 = pass4Usage || null;
+    reportProgress(onProgress, {
+      pass: 4,
+      status: 'complete',
+      durationMs: pass4Duration,
+      usage: pass4Usage || null,
+      success: !thematicResult.error,
+      error: thematicResult.error,
+      suggestedActions: thematicResult.suggestedActions?.length || 0
+    });
+
+    if (thematicResult) {
+      result.thematicAnalysis = thematicResult;
+      result.meta.passes = 4;
+      result.meta.timing.pass4 = pass4Duration;
+      result.meta.timing.total = durations.pass1 + (result.meta.timing.pass2 || 0) + durations.pass3 + pass4Duration;
+      console.error(`[Pass 4] Complete. ${thematicResult.suggestedActions?.length || 0} action(s) suggested in ${pass4Duration}ms`);
+      console.error(`[Timing] Pass1: ${durations.pass1}ms, Pass2: ${result.meta.timing.pass2 || 0}ms, Pass3: ${durations.pass3}ms, Pass4: ${pass4Duration}ms, Total: ${result.meta.timing.total}ms`);
+
+      // Capture Pass 4 trace
+      if (debugMode && thematicResult.trace) {
+        trace.pass4 = {
+          prompt: thematicResult.trace.prompt,
+          rawResponse: thematicResult.trace.rawResponse,
+          parsing: thematicResult.trace.parsing
+        };
+      }
+    } else {
+      result.thematicAnalysis = null;
+      console.error('[Pass 4] Skipped - no thematic analysis performed');
     }
-  } else {
-    result.thematicAnalysis = null;
-    console.error('[Pass 4] Skipped - no thematic analysis performed');
+
+    await completePass(4);
   }
 
+  applyUsageMeta(result, passUsage, engineInfo);
+
   // === Debug Mode: Compute per-tab attribution and attach trace ===
   if (debugMode) {
     // Compute attribution for each classified tab
@@ -1307,11 +1271,7 @@ async function classifyWithMock(tabs) {
   for (const tab of tabs) {
     const category = detectCategory(tab);
     if (!groups[category]) groups[category] = [];
-    groups[category].push({
-      title: tab.title || 'Untitled',
-      url: tab.url || '',
-      contentPreview: (tab.content || '').slice(0, 200)
-    });
+    groups[category].push(toGroupItem(tab));
   }
 
   return {
@@ -1348,15 +1308,20 @@ async function classifyWithMock(tabs) {
  * @param {string} engine - LLM engine to use (default: ollama-local)
  * @param {Object|null} context - Optional context with activeProjects for smarter classification
  * @param {boolean} debugMode - If true, capture full trace for cognitive debugging
+ * @param {Function|null} onProgress - Optional listener for per-pass progress events
  */
-async function classifyTabs(tabs, engine = DEFAULT_ENGINE, context = null, debugMode = false) {
+async function classifyTabs(tabs, engine = DEFAULT_ENGINE, context = null, debugMode = false, onProgress = null) {
   try {
-    const result = await classifyWithLLM(tabs, engine, context, debugMode);
+    const result = await classifyWithLLM(tabs, engine, context, debugMode, onProgress);
     console.error(`Classification completed via ${engine}${debugMode ? ' (debug mode)' : ''}`);
     return result;
   } catch (error) {
     console.warn(`LLM failed: ${error.message}. Falling back to mock classifier.`);
+    reportProgress(onProgress, { status: 'fallback', error: error.message });
     const result = await classifyWithMock(tabs);
+    if (debugMode && error.trace) {
+      result.trace = error.trace;
+    }
     console.error('Classification completed via mock fallback');
     return result;
   }
@@ -1365,6 +1330,11 @@ async function classifyTabs(tabs, engine = DEFAULT_ENGINE, context = null, debug
 module.exports = {
   classifyTabs,
   classifyWithLLM,  // Exported for re-classification (full)
+  classifyWithMock,  // Exported for history import (--mock)
   analyzeThematicRelationships,  // Exported for re-classification (pass4)
+  computeAttribution,  // Exported for /context keyword suggestions
+  buildPrompt,  // Exported for prompt evals and workbench template reruns
+  runDeepDive,
+  generateVisualization,
   DEFAULT_ENGINE
 };
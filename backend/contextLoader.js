@@ -2,6 +2,12 @@
  * Context Loader
  * Loads user context from ~/.memento/context.json if available.
  * Returns null if file doesn't exist - Memento works fine without it.
+ *
+ * File shape:
+ *   { version, generated, activeProjects: [...], archivedProjects: [...] }
+ * Project: { name, keywords, categoryType, writingTarget? }
+ * Only activeProjects reach the classifier; archived projects are kept for
+ * the /context editor so they can be restored.
  */
 
 const fs = require('fs');
@@ -9,7 +15,7 @@ const path = require('path');
 const os = require('os');
 
 // Context file location (user-level, shared across projects)
-const CONTEXT_PATH = path.join(os.homedir(), '.memento', 'context.json');
+const CONTEXT_PATH = process.env.MEMENTO_CONTEXT_PATH || path.join(os.homedir(), '.memento', 'context.json');
 
 // Maximum age before context is considered stale (24 hours)
 const MAX_CONTEXT_AGE_MS = 24 * 60 * 60 * 1000;
@@ -54,7 +60,7 @@ function loadContext() {
 
     // Check staleness
     if (isStale(context.generated)) {
-      console.error('[Context] Context file is stale (>24h), ignoring');
+      console.error('[Context] Context file is stale (>24h), ignoring. Refresh it at /context');
       return null;
     }
 
@@ -77,9 +83,46 @@ function getContextPath() {
   return CONTEXT_PATH;
 }
 
+/**
+ * Read context.json as stored, without the staleness/validity filtering of loadContext
+ * @returns {{exists: boolean, context: Object|null, stale: boolean, path: string, error?: string}}
+ */
+function readContextFile() {
+  try {
+    const context = JSON.parse(fs.readFileSync(CONTEXT_PATH, 'utf-8'));
+    return { exists: true, context, stale: isStale(context.generated), path: CONTEXT_PATH };
+  } catch (error) {
+    return {
+      exists: error.code !== 'ENOENT',
+      context: null,
+      stale: false,
+      path: CONTEXT_PATH,
+      ...(error.code !== 'ENOENT' && { error: error.message })
+    };
+  }
+}
+
+function normalizeProject(p, previous = {}) {
+  const keywords = (p.keywords || [])
+    .map(k => String(k).trim())
+    .filter((k, i, all) => k && all.findIndex(other => other.toLowerCase() === k.toLowerCase()) === i);
+
+  const project = {
+    name: String(p.name).trim(),
+    keywords,
+    categoryType: p.categoryType || 'Project'
+  };
+
+  // Callers that don't know about writing targets (set_active_projects) keep the stored one
+  const writingTarget = p.writingTarget === undefined ? previous.writingTarget : p.writingTarget;
+  if (writingTarget) project.writingTarget = String(writingTarget).trim();
+  return project;
+}
+
 /**
  * Save context to ~/.memento/context.json
- * @param {Object} data - Object with activeProjects array or {activeProjects: [...]}
+ * @param {Object} data - Object with activeProjects array or {activeProjects: [...], archivedProjects?: [...]}
+ *   archivedProjects is preserved from the existing file when omitted.
  * @returns {Promise<Object>} The saved context object
  */
 async function saveContext(data) {
@@ -90,21 +133,43 @@ async function saveContext(data) {
 
   // Normalize input - accept either {activeProjects: [...]} or just [...]
   const activeProjects = Array.isArray(data) ? data : (data.activeProjects || []);
+  const existing = readContextFile().context || {};
+  const archivedProjects = (!Array.isArray(data) && data.archivedProjects) || existing.archivedProjects || [];
+
+  const previousByName = new Map(
+    [...(existing.activeProjects || []), ...(existing.archivedProjects || [])].map(p => [p.name, p])
+  );
+  const normalize = list => list
+    .filter(p => p && p.name && String(p.name).trim())
+    .map(p => normalizeProject(p, previousByName.get(String(p.name).trim())));
 
   const contextData = {
     version: '1.0.0',
     generated: new Date().toISOString(),
-    activeProjects: activeProjects.map(p => ({
-      name: p.name,
-      keywords: p.keywords || [],
-      categoryType: p.categoryType || 'Project'
-    }))
+    activeProjects: normalize(activeProjects),
+    archivedProjects: normalize(archivedProjects)
   };
 
   await fs.promises.writeFile(CONTEXT_PATH, JSON.stringify(contextData, null, 2));
-  console.error(`[Context] Saved ${activeProjects.length} active project(s) to context.json`);
+  console.error(`[Context] Saved ${contextData.activeProjects.length} active project(s) to context.json`);
 
   return contextData;
 }
 
-module.exports = { loadContext, getContextPath, isStale, saveContext };
+/**
+ * Re-date context.json so stale context is used again, without changing projects
+ * @returns {Promise<{success: boolean, message: string, generated?: string}>}
+ */
+async function refreshContext() {
+  const { context, error } = readContextFile();
+  if (!context) {
+    return { success: false, message: error ? `Invalid context file: ${error}` : 'No context file to refresh' };
+  }
+
+  context.generated = new Date().toISOString();
+  await fs.promises.writeFile(CONTEXT_PATH, JSON.stringify(context, null, 2));
+  console.error('[Context] Refreshed context.json');
+  return { success: true, message: 'Context refreshed', generated: context.generated };
+}
+
+module.exports = { loadContext, getContextPath, isStale, saveContext, readContextFile, refreshContext };
@@ -0,0 +1,131 @@
+/**
+ * Context Suggestions
+ *
+ * Keyword suggestions for the /context editor, mined from past sessions:
+ *
+ * - Regrouped tabs: tabs the user moved into a project's category in
+ *   Launchpad (regroup dispositions) - the classifier missed them
+ * - Attribution misses: tabs filed under a project's category whose
+ *   title/content matched none of its keywords (computeAttribution
+ *   reports noContextMatch)
+ *
+ * Title words from those tabs are scored (regrouped tab = 2, miss = 1,
+ * each URL counted once) and the best ones not already keywords are returned.
+ */
+
+const { getAllSessions } = require('./aggregator');
+const { flattenTabs } = require('./sessionIndex');
+const { computeAttribution } = require('./classifier');
+const { extractTitleKeywords } = require('./themeDetection');
+
+const REGROUP_WEIGHT = 2;
+const MISS_WEIGHT = 1;
+const MIN_SCORE = 2;
+const MAX_SUGGESTIONS = 8;
+const MAX_EXAMPLES = 3;
+
+function projectCategory(project) {
+  return `${project.categoryType || 'Project'}: ${project.name}`;
+}
+
+/**
+ * Whether a session category belongs to a project: the exact
+ * "<categoryType>: <name>" label, or any category naming the project
+ */
+function isProjectCategory(category, project) {
+  if (!category) return false;
+  return category === projectCategory(project) ||
+    category.toLowerCase().includes(project.name.toLowerCase());
+}
+
+/**
+ * Tabs that count as evidence for a project, one per URL with the highest weight
+ * @returns {Map<string, {url, title, weight, source}>}
+ */
+function collectEvidence(sessions, project) {
+  const evidence = new Map();
+  const add = (tab, weight, source) => {
+    const key = tab.url || tab.title;
+    if (!key || !tab.title) return;
+    const existing = evidence.get(key);
+    if (!existing || existing.weight < weight) {
+      evidence.set(key, { url: tab.url, title: tab.title, weight, source });
+    }
+  };
+
+  const context = { activeProjects: [project] };
+
+  for (const session of sessions) {
+    const rows = flattenTabs(session);
+    const byItemId = new Map();
+    (Array.isArray(session.groups) ? [] : Object.values(session.groups || {})).flat().forEach(item => {
+      if (item) byItemId.set(item.url || `tab-${item.tabIndex}`, item);
+    });
+
+    const regrouped = new Map();
+    for (const d of session.dispositions || []) {
+      if (d.action === 'regroup') regrouped.set(d.itemId, d.to);
+    }
+
+    for (const [itemId, to] of regrouped) {
+      const item = byItemId.get(itemId) || rows.find(r => r.url === itemId);
+      if (item && isProjectCategory(to, project)) add(item, REGROUP_WEIGHT, 'regroup');
+    }
+
+    for (const row of rows) {
+      if (regrouped.has(row.url) || !isProjectCategory(row.category, project)) continue;
+      const item = byItemId.get(row.url) || row;
+      const attribution = computeAttribution({ ...row, content: item.contentPreview }, row.category, context);
+      if (attribution.noContextMatch) add(row, MISS_WEIGHT, 'miss');
+    }
+  }
+
+  return evidence;
+}
+
+/**
+ * Suggest keywords for one project
+ * @param {Object} project - { name, keywords, categoryType }
+ * @param {Array} sessions - Full sessions (from aggregator.getAllSessions)
+ * @returns {Array<{keyword, score, regrouped, misses, examples}>}
+ */
+function suggestForProject(project, sessions) {
+  const known = (project.keywords || []).map(k => k.toLowerCase());
+  const nameWords = new Set(extractTitleKeywords(project.name));
+  const scores = new Map();
+
+  for (const tab of collectEvidence(sessions, project).values()) {
+    for (const word of new Set(extractTitleKeywords(tab.title))) {
+      if (nameWords.has(word) || known.some(k => k.includes(word) || word.includes(k))) continue;
+
+      const entry = scores.get(word) || { keyword: word, score: 0, regrouped: 0, misses: 0, examples: [] };
+      entry.score += tab.weight;
+      if (tab.source === 'regroup') entry.regrouped++;
+      else entry.misses++;
+      if (entry.examples.length < MAX_EXAMPLES) entry.examples.push(tab.title);
+      scores.set(word, entry);
+    }
+  }
+
+  return [...scores.values()]
+    .filter(s => s.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || a.keyword.localeCompare(b.keyword))
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Suggest keywords for each project
+ * @param {Array} projects - Active projects from context.json
+ * @returns {Promise<Object>} { [projectName]: suggestions }
+ */
+async function suggestKeywords(projects) {
+  const sessions = await getAllSessions();
+  const suggestions = {};
+  for (const project of projects || []) {
+    if (!project?.name) continue;
+    suggestions[project.name] = suggestForProject(project, sessions);
+  }
+  return suggestions;
+}
+
+module.exports = { suggestKeywords, suggestForProject, isProjectCategory };
@@ -12,33 +12,63 @@ const fs = require('fs').promises;
 const path = require('path');
 const { getAllSessions } = require('./aggregator');
 
-const EXTRACTORS_PATH = path.join(__dirname, 'extractors.json');
-
-// Default extractors for known problematic domains
+const EXTRACTORS_PATH = process.env.MEMENTO_EXTRACTORS_PATH || path.join(__dirname, 'extractors.json');
+
+// Default extractors for known problematic domains.
+// fields: structured values the extension pulls out of matching pages, as
+// { selector, attribute?, multiple?, maxLength? } (a bare string is a selector;
+// <meta> elements yield their content attribute). selectors: older
+// selector-only configs, captured as a single "selected" field.
+// version: bumped each time a domain's config changes, recorded per tab.
 const DEFAULT_EXTRACTORS = {
   domains: {
     'arxiv.org': {
       selectors: ['meta[name="citation_abstract"]', 'meta[name="citation_title"]', 'meta[name="citation_author"]'],
+      fields: {
+        title: 'meta[name="citation_title"]',
+        authors: { selector: 'meta[name="citation_author"]', multiple: true },
+        abstract: { selector: 'meta[name="citation_abstract"], blockquote.abstract', maxLength: 4000 },
+        doi: 'meta[name="citation_doi"]'
+      },
+      version: 2,
       expectedCategory: 'Academic',
       notes: 'Academic preprints - use citation metadata'
     },
     'scholar.google.com': {
       selectors: ['.gs_rs', '.gs_rt'],
+      fields: {
+        resultTitles: { selector: '.gs_rt', multiple: true },
+        resultSnippets: { selector: '.gs_rs', multiple: true }
+      },
+      version: 2,
       expectedCategory: 'Academic',
       notes: 'Google Scholar search results'
     },
     'github.com': {
       selectors: ['meta[name="description"]', '.f4.my-3', '.repository-content'],
+      fields: {
+        description: '.f4.my-3, meta[property="og:description"]',
+        topics: { selector: 'a.topic-tag', multiple: true },
+        readme: { selector: 'article.markdown-body', maxLength: 8000 }
+      },
+      version: 2,
       expectedCategory: null, // Can be many things
       notes: 'Repositories - check for README content'
     },
     'medium.com': {
       selectors: ['meta[name="description"]', 'article h1', 'article section'],
+      fields: {
+        title: 'article h1',
+        authors: { selector: 'meta[name="author"]', multiple: true },
+        description: 'meta[name="description"]',
+        article: { selector: 'article section', multiple: true, maxLength: 8000 }
+      },
+      version: 2,
       expectedCategory: null,
       notes: 'Articles - paywall may limit extraction'
     }
   },
-  version: '1.0.0',
+  version: '1.1.0',
   lastUpdated: null
 };
 
@@ -51,7 +81,7 @@ async function loadExtractors() {
     return JSON.parse(content);
   } catch (err) {
     // Return defaults if file doesn't exist
-    return { ...DEFAULT_EXTRACTORS };
+    return structuredClone(DEFAULT_EXTRACTORS);
   }
 }
 
@@ -60,7 +90,7 @@ async function loadExtractors() {
  */
 async function saveExtractors(extractors) {
   extractors.lastUpdated = new Date().toISOString();
-  await fs.writeFile(EXTRACTORS_PATH, JSON.stringify(extractors, null, 2));
+  await fs.writeFile(EXTRACTORS_PATH, JSON.stringify(extractors, null, 2) + '\n');
   return extractors;
 }
 
@@ -291,14 +321,18 @@ function generateRecommendation(rate) {
 
 /**
  * Add a domain to the extractors config
+ * Replacing an existing domain's config bumps its version.
  * @param {string} domain - Domain name
  * @param {Object} config - Extractor configuration
  */
 async function addExtractor(domain, config) {
   const extractors = await loadExtractors();
+  const existing = extractors.domains[domain];
 
   extractors.domains[domain] = {
     selectors: config.selectors || [],
+    fields: config.fields || {},
+    version: existing ? (existing.version || 1) + 1 : 1,
     expectedCategory: config.expectedCategory || null,
     notes: config.notes || `Added from correction analysis`,
     addedAt: new Date().toISOString()
@@ -307,6 +341,36 @@ async function addExtractor(domain, config) {
   return saveExtractors(extractors);
 }
 
+/**
+ * Field specs as the extension runs them: { selector, attribute?, multiple?, maxLength? }
+ */
+function normalizeFields(config) {
+  const fields = {};
+  for (const [name, spec] of Object.entries(config.fields || {})) {
+    const normalized = typeof spec === 'string' ? { selector: spec } : spec;
+    if (normalized?.selector) fields[name] = normalized;
+  }
+  if (Object.keys(fields).length === 0 && config.selectors?.length > 0) {
+    fields.selected = { selector: config.selectors.join(', '), multiple: true };
+  }
+  return fields;
+}
+
+/**
+ * Extractors config for captures (GET /api/extractors): per domain, the
+ * field specs to run and the version to record on each tab
+ */
+async function getCaptureExtractors() {
+  const extractors = await loadExtractors();
+  const domains = {};
+  for (const [domain, config] of Object.entries(extractors.domains || {})) {
+    const fields = normalizeFields(config);
+    if (Object.keys(fields).length === 0) continue;
+    domains[domain] = { version: config.version || 1, fields };
+  }
+  return { version: extractors.version, lastUpdated: extractors.lastUpdated, domains };
+}
+
 /**
  * Get extractors for a specific domain (if any)
  */
@@ -352,7 +416,7 @@ async function getCorrectionStats() {
 // PROMPT RULE GENERATION
 // ============================================================
 
-const LEARNED_RULES_PATH = path.join(__dirname, 'prompts', 'learned-rules.json');
+const LEARNED_RULES_PATH = process.env.MEMENTO_LEARNED_RULES_PATH || path.join(__dirname, 'prompts', 'learned-rules.json');
 
 /**
  * Load learned rules from disk
@@ -616,6 +680,7 @@ module.exports = {
   suggestExtractors,
   addExtractor,
   getExtractorForDomain,
+  getCaptureExtractors,
   getCorrectionStats,
   DEFAULT_EXTRACTORS,
   // New rule generation exports
@@ -12,6 +12,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { resolveSessionPath } = require('./sessionPath');
+const sessionIndex = require('./sessionIndex');
 
 const MEMORY_DIR = path.join(__dirname, '..', 'memory', 'sessions');
 
@@ -118,6 +119,7 @@ async function appendDisposition(sessionId, disposition) {
 
     // Write back
     await fs.writeFile(filepath, JSON.stringify(session, null, 2));
+    await sessionIndex.updateSession(sessionId, session);
 
     console.error(`Disposition appended: ${disposition.action} on ${disposition.itemId} in session ${sessionId}`);
 
@@ -268,6 +270,7 @@ async function getSessionWithDispositions(sessionId) {
       sessionId,
       capturedAt: session.meta?.capturedAt || session.timestamp,
       originalGroups: session.groups,
+      deepDiveResults: session.deepDiveResults || [],
       itemStates: Object.fromEntries(itemStates),
       itemCategories: Object.fromEntries(itemCategories),
       dispositionCount: (session.dispositions || []).length,
@@ -355,6 +358,7 @@ async function appendBatchDisposition(sessionId, dispositions) {
 
     // Write back
     await fs.writeFile(filepath, JSON.stringify(session, null, 2));
+    await sessionIndex.updateSession(sessionId, session);
 
     console.error(`Batch disposition appended: ${entries.length} items in session ${sessionId}`);
 
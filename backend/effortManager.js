@@ -4,13 +4,16 @@
  * Manages user-created efforts (grouped tabs representing a single work focus).
  * Efforts allow users to group related tabs that the AI scattered across categories.
  *
- * Efforts are stored in the session JSON alongside dispositions.
+ * Efforts are stored in the session JSON alongside dispositions, and mirrored
+ * into the cross-session registry (effortRegistry.js) under the same ID.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const { resolveSessionPath } = require('./sessionPath');
 const { appendBatchDisposition } = require('./dispositions');
+const sessionIndex = require('./sessionIndex');
+const effortRegistry = require('./effortRegistry');
 
 const MEMORY_DIR = path.join(__dirname, '..', 'memory', 'sessions');
 
@@ -66,6 +69,9 @@ async function createEffort(sessionId, name, items) {
     session.efforts.push(effort);
 
     await fs.writeFile(filepath, JSON.stringify(session, null, 2));
+    await sessionIndex.updateSession(sessionId, session);
+
+    await effortRegistry.syncFromSession(effort, sessionId, 'created');
 
     console.error(`[Effort] Created "${name}" with ${items.length} items in session ${sessionId}`);
 
@@ -142,6 +148,9 @@ async function completeEffort(sessionId, effortId) {
 
     // Save updated session
     await fs.writeFile(filepath, JSON.stringify(session, null, 2));
+    await sessionIndex.updateSession(sessionId, session);
+
+    await effortRegistry.syncFromSession(effort, sessionId, 'completed');
 
     console.error(`[Effort] Completed "${effort.name}" with ${effort.items.length} items`);
 
@@ -199,6 +208,9 @@ async function deferEffort(sessionId, effortId) {
 
     // Save updated session
     await fs.writeFile(filepath, JSON.stringify(session, null, 2));
+    await sessionIndex.updateSession(sessionId, session);
+
+    await effortRegistry.syncFromSession(effort, sessionId, 'deferred');
 
     console.error(`[Effort] Deferred "${effort.name}" with ${effort.items.length} items`);
 
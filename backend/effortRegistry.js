@@ -0,0 +1,346 @@
+/**
+ * Effort Registry
+ *
+ * Cross-session record of efforts, stored at ~/.memento/efforts.json.
+ * effortManager.js keeps a copy of each effort in the session it was
+ * created in; the registry is what carries an effort forward:
+ *
+ * - Every session-level create/complete/defer is mirrored here (same ID)
+ * - After a capture is saved, attachCapture() matches its URLs against
+ *   open (pending or deferred) efforts and adds the effort to the new
+ *   session, so it shows up in that session's Launchpad
+ * - /efforts and the MCP effort tools read and resolve efforts here
+ *
+ * Each effort keeps a history of events (created, attached, resumed,
+ * deferred, completed, item_completed, item_reopened) for the timeline.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { readSession } = require('./memory');
+const { resolveSessionPath } = require('./sessionPath');
+const sessionIndex = require('./sessionIndex');
+
+const EFFORTS_PATH = process.env.MEMENTO_EFFORTS_PATH || path.join(os.homedir(), '.memento', 'efforts.json');
+const MEMORY_DIR = path.join(__dirname, '..', 'memory', 'sessions');
+
+const EFFORT_STATUSES = ['pending', 'deferred', 'completed'];
+
+// Registry writes are read-modify-write; run them one at a time
+let writeQueue = Promise.resolve();
+
+/**
+ * Compare URLs without fragment, trailing slash or host case
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href.replace(/\/$/, '');
+  } catch {
+    return String(url || '');
+  }
+}
+
+async function readRegistry() {
+  try {
+    const content = await fs.readFile(EFFORTS_PATH, 'utf-8');
+    const registry = JSON.parse(content);
+    return { version: '1.0.0', efforts: [], ...registry };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Efforts] Failed to read registry: ${error.message}`);
+    }
+    return { version: '1.0.0', efforts: [] };
+  }
+}
+
+/**
+ * Apply a change to the registry and save it
+ * @param {Function} mutate - (registry) => result; the registry is saved afterwards
+ */
+function updateRegistry(mutate) {
+  const run = writeQueue.then(async () => {
+    const registry = await readRegistry();
+    const result = await mutate(registry);
+    registry.updatedAt = new Date().toISOString();
+    await fs.mkdir(path.dirname(EFFORTS_PATH), { recursive: true });
+    await fs.writeFile(EFFORTS_PATH, JSON.stringify(registry, null, 2));
+    return result;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+function addHistory(effort, event, details = {}) {
+  const at = new Date().toISOString();
+  effort.history.push({ at, event, ...details });
+  effort.updatedAt = at;
+}
+
+/**
+ * Registry view of a session-level effort
+ */
+function fromSessionEffort(effort, sessionId) {
+  const createdAt = effort.createdAt || new Date().toISOString();
+  return {
+    id: effort.id,
+    name: effort.name,
+    status: 'pending',
+    createdAt,
+    updatedAt: createdAt,
+    sessions: [sessionId],
+    items: effort.items.map(item => ({
+      url: item.url,
+      title: item.title,
+      lastSeenAt: createdAt,
+      lastSeenSession: sessionId
+    })),
+    history: []
+  };
+}
+
+/**
+ * Mirror a session-level effort change into the registry.
+ * Efforts created before the registry existed are registered on first sync.
+ * @param {Object} effort - Effort as stored in the session
+ * @param {string} sessionId - Session the change happened in
+ * @param {'created'|'completed'|'deferred'} event
+ */
+async function syncFromSession(effort, sessionId, event) {
+  try {
+    return await updateRegistry(registry => {
+      let entry = registry.efforts.find(e => e.id === effort.id);
+      if (!entry) {
+        entry = fromSessionEffort(effort, sessionId);
+        registry.efforts.push(entry);
+        addHistory(entry, 'created', { sessionId, itemCount: entry.items.length });
+      }
+      if (!entry.sessions.includes(sessionId)) entry.sessions.push(sessionId);
+
+      // Already resolved from /efforts or MCP: don't record it twice
+      if (event === 'completed' && entry.status !== 'completed') markCompleted(entry, sessionId);
+      if (event === 'deferred' && entry.status === 'pending') markDeferred(entry, sessionId);
+      return entry;
+    });
+  } catch (error) {
+    console.error(`[Efforts] Failed to sync "${effort.name}": ${error.message}`);
+    return null;
+  }
+}
+
+function markCompleted(entry, sessionId) {
+  const at = new Date().toISOString();
+  entry.status = 'completed';
+  entry.completedAt = at;
+  entry.items.forEach(item => { if (!item.completedAt) item.completedAt = at; });
+  addHistory(entry, 'completed', sessionId ? { sessionId } : {});
+}
+
+function markDeferred(entry, sessionId) {
+  entry.status = 'deferred';
+  entry.deferredAt = new Date().toISOString();
+  addHistory(entry, 'deferred', sessionId ? { sessionId } : {});
+}
+
+/**
+ * Summary fields for listings: age, item completion, last activity
+ */
+function summarizeEffort(effort, now = Date.now()) {
+  const completedItems = effort.items.filter(item => item.completedAt).length;
+  return {
+    ...effort,
+    ageDays: Math.floor((now - new Date(effort.createdAt).getTime()) / 86400000),
+    itemCount: effort.items.length,
+    completedItems,
+    sessionCount: effort.sessions.length,
+    lastActivity: effort.updatedAt
+  };
+}
+
+/**
+ * List registry efforts, newest activity first
+ * @param {Object} [options]
+ * @param {string} [options.status] - pending | deferred | completed | open (pending + deferred)
+ * @returns {Promise<Array>}
+ */
+async function listEfforts({ status } = {}) {
+  const { efforts } = await readRegistry();
+  return efforts
+    .filter(e => !status || (status === 'open' ? e.status !== 'completed' : e.status === status))
+    .map(e => summarizeEffort(e))
+    .sort((a, b) => (b.lastActivity || '').localeCompare(a.lastActivity || ''));
+}
+
+async function getEffort(effortId) {
+  const { efforts } = await readRegistry();
+  const effort = efforts.find(e => e.id === effortId);
+  return effort ? summarizeEffort(effort) : null;
+}
+
+/**
+ * Complete or defer an effort from outside a session (/efforts, MCP).
+ * Session copies are left alone; their Launchpad cards still resolve normally.
+ * @param {string} effortId
+ * @param {'completed'|'deferred'} status
+ * @returns {Promise<{success: boolean, message: string, effort?: Object}>}
+ */
+async function setEffortStatus(effortId, status) {
+  if (status !== 'completed' && status !== 'deferred') {
+    return { success: false, message: `Invalid status: ${status}` };
+  }
+
+  try {
+    return await updateRegistry(registry => {
+      const effort = registry.efforts.find(e => e.id === effortId);
+      if (!effort) {
+        return { success: false, message: `Effort not found: ${effortId}` };
+      }
+      if (effort.status === 'completed') {
+        return { success: false, message: 'Effort already completed' };
+      }
+      if (effort.status === status) {
+        return { success: false, message: `Effort already ${status}` };
+      }
+
+      if (status === 'completed') markCompleted(effort);
+      else markDeferred(effort);
+
+      console.error(`[Efforts] ${status === 'completed' ? 'Completed' : 'Deferred'} "${effort.name}"`);
+      return { success: true, message: `Effort ${status}`, effort: summarizeEffort(effort) };
+    });
+  } catch (error) {
+    console.error(`[Efforts] Failed to update ${effortId}: ${error.message}`);
+    return { success: false, message: `Failed to update effort: ${error.message}` };
+  }
+}
+
+const completeEffort = effortId => setEffortStatus(effortId, 'completed');
+const deferEffort = effortId => setEffortStatus(effortId, 'deferred');
+
+/**
+ * Tick or untick a single item of an effort
+ * @returns {Promise<{success: boolean, message: string, effort?: Object}>}
+ */
+async function setItemCompleted(effortId, url, completed = true) {
+  try {
+    return await updateRegistry(registry => {
+      const effort = registry.efforts.find(e => e.id === effortId);
+      if (!effort) {
+        return { success: false, message: `Effort not found: ${effortId}` };
+      }
+      const item = effort.items.find(i => normalizeUrl(i.url) === normalizeUrl(url));
+      if (!item) {
+        return { success: false, message: 'Item not found in effort' };
+      }
+      if (!!item.completedAt === completed) {
+        return { success: true, message: 'No change', effort: summarizeEffort(effort) };
+      }
+
+      if (completed) item.completedAt = new Date().toISOString();
+      else delete item.completedAt;
+      addHistory(effort, completed ? 'item_completed' : 'item_reopened', { url: item.url });
+      return { success: true, message: completed ? 'Item completed' : 'Item reopened', effort: summarizeEffort(effort) };
+    });
+  } catch (error) {
+    console.error(`[Efforts] Failed to update item in ${effortId}: ${error.message}`);
+    return { success: false, message: `Failed to update item: ${error.message}` };
+  }
+}
+
+/**
+ * Open efforts whose URLs appear in a session
+ * @param {Array} efforts - Registry efforts
+ * @param {Object} session - Session with groups
+ * @returns {Array<{effort, items: Array<{itemId, title, url, category}>}>}
+ */
+function matchSession(efforts, session) {
+  const tabs = new Map();
+  for (const [category, items] of Object.entries(session.groups || {})) {
+    for (const item of items || []) {
+      if (item.url) tabs.set(normalizeUrl(item.url), { itemId: item.url, title: item.title, url: item.url, category });
+    }
+  }
+
+  const matches = [];
+  for (const effort of efforts) {
+    if (effort.status === 'completed') continue;
+    const items = effort.items
+      .filter(item => !item.completedAt)
+      .map(item => tabs.get(normalizeUrl(item.url)))
+      .filter(Boolean);
+    if (items.length > 0) matches.push({ effort, items });
+  }
+  return matches;
+}
+
+/**
+ * Carry open efforts into a newly saved capture.
+ * Matching tabs are grouped under the effort in the new session (so Launchpad
+ * shows them as an effort card) and the registry records the sighting.
+ * A deferred effort that shows up again is resumed. Non-fatal: errors are logged.
+ * @param {string} sessionId - Saved session ID
+ * @returns {Promise<Array<{effortId, name, urls}>>} Efforts attached
+ */
+async function attachCapture(sessionId) {
+  try {
+    const session = await readSession(sessionId);
+    if (!session) return [];
+
+    const attached = await updateRegistry(registry => {
+      const matches = matchSession(registry.efforts, session);
+      for (const { effort, items } of matches) {
+        const urls = items.map(i => i.url);
+        if (!effort.sessions.includes(sessionId)) effort.sessions.push(sessionId);
+        const seenAt = new Date().toISOString();
+        effort.items.forEach(item => {
+          if (!urls.some(url => normalizeUrl(url) === normalizeUrl(item.url))) return;
+          item.lastSeenAt = seenAt;
+          item.lastSeenSession = sessionId;
+        });
+        addHistory(effort, 'attached', { sessionId, urls });
+        if (effort.status === 'deferred') {
+          effort.status = 'pending';
+          addHistory(effort, 'resumed', { sessionId });
+        }
+      }
+      return matches;
+    });
+
+    if (attached.length === 0) return [];
+
+    session.efforts = [
+      ...(session.efforts || []),
+      ...attached.map(({ effort, items }) => ({
+        id: effort.id,
+        name: effort.name,
+        items: items.map(item => ({ itemId: item.itemId, title: item.title, url: item.url, originalCategory: item.category })),
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        carriedFrom: effort.sessions[0]
+      }))
+    ];
+    await fs.writeFile(resolveSessionPath(MEMORY_DIR, sessionId), JSON.stringify(session, null, 2));
+    await sessionIndex.updateSession(sessionId, session);
+
+    console.error(`[Efforts] Attached ${attached.length} effort(s) to session ${sessionId}`);
+    return attached.map(({ effort, items }) => ({ effortId: effort.id, name: effort.name, urls: items.map(i => i.url) }));
+  } catch (error) {
+    console.error(`[Efforts] Failed to attach efforts to ${sessionId}: ${error.message}`);
+    return [];
+  }
+}
+
+module.exports = {
+  EFFORT_STATUSES,
+  syncFromSession,
+  listEfforts,
+  getEffort,
+  completeEffort,
+  deferEffort,
+  setItemCompleted,
+  matchSession,
+  attachCapture,
+  normalizeUrl
+};
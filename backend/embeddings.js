@@ -0,0 +1,243 @@
+/**
+ * Embeddings
+ *
+ * Text vectors for theme clustering (themeDetection.js).
+ *
+ * Providers:
+ *   ollama - POST /api/embed on the local Ollama server (OLLAMA_EMBED_ENDPOINT,
+ *            default next to OLLAMA_ENDPOINT) with OLLAMA_EMBED_MODEL
+ *            (default nomic-embed-text). Vectors are cached in
+ *            ~/.memento/embeddings.json (MEMENTO_EMBEDDINGS_PATH) per model,
+ *            keyed by URL and content hash, so a page is only re-embedded
+ *            when its content changes.
+ *   local  - Fallback, not an embedding model: hashed word and character
+ *            n-gram counts weighted by inverse document frequency over the
+ *            texts being embedded. It only matches shared words, so tabs
+ *            about one topic in different words stay apart (keyword-quality
+ *            themes; /intentions says so). Vectors depend on the batch, so
+ *            they are not cached.
+ *
+ * MEMENTO_EMBEDDINGS picks 'ollama' or 'local'; unset, Ollama is tried first
+ * and the local embedder used when it can't be reached. One run never mixes
+ * providers. Ollama calls are recorded in the usage ledger as 'theme-embed'.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { recordUsage } = require('./usageLedger');
+
+const CACHE_PATH = process.env.MEMENTO_EMBEDDINGS_PATH || path.join(os.homedir(), '.memento', 'embeddings.json');
+const OLLAMA_EMBED_ENDPOINT = process.env.OLLAMA_EMBED_ENDPOINT
+  || (process.env.OLLAMA_ENDPOINT || 'http://localhost:11434/api/generate').replace(/\/api\/generate$/, '/api/embed');
+const OLLAMA_EMBED_MODEL = process.env.OLLAMA_EMBED_MODEL || 'nomic-embed-text';
+
+const BATCH_SIZE = 32;
+const TIMEOUT_MS = 60000;
+const LOCAL_MODEL = 'hashed-ngrams-v1';
+const LOCAL_DIMENSIONS = 512;
+
+// === Cache ===
+
+/**
+ * Cache key: URL plus content hash (or, for tabs captured before content
+ * hashing, a hash of the embedded text itself)
+ */
+function cacheKey(item) {
+  const version = item.contentHash || crypto.createHash('sha256').update(item.text).digest('hex');
+  return crypto.createHash('sha256').update(`${item.url}\n${version}`).digest('hex').slice(0, 32);
+}
+
+async function loadCache() {
+  try {
+    const data = JSON.parse(await fs.readFile(CACHE_PATH, 'utf-8'));
+    return data.models ? data : { models: {} };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Embeddings] Ignoring unreadable cache ${CACHE_PATH}: ${error.message}`);
+    }
+    return { models: {} };
+  }
+}
+
+async function saveCache(cache) {
+  try {
+    await fs.mkdir(path.dirname(CACHE_PATH), { recursive: true });
+    await fs.writeFile(CACHE_PATH, JSON.stringify(cache));
+  } catch (error) {
+    console.error(`[Embeddings] Failed to write cache: ${error.message}`);
+  }
+}
+
+function encodeVector(vector) {
+  return Buffer.from(Float32Array.from(vector).buffer).toString('base64');
+}
+
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  return new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4);
+}
+
+// === Providers ===
+
+async function embedWithOllama(texts) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  const started = Date.now();
+  try {
+    const response = await fetch(OLLAMA_EMBED_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: OLLAMA_EMBED_MODEL, input: texts }),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`Ollama HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    if (!Array.isArray(data.embeddings) || data.embeddings.length !== texts.length) {
+      throw new Error('Ollama returned no embeddings');
+    }
+    await recordUsage({
+      purpose: 'theme-embed',
+      engine: 'ollama-local',
+      model: OLLAMA_EMBED_MODEL,
+      usage: { input_tokens: data.prompt_eval_count || 0, output_tokens: 0 },
+      durationMs: Date.now() - started
+    });
+    return data.embeddings;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function localTokens(text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+  const tokens = [...words];
+  // Character trigrams tie inflections together (cluster / clustering)
+  for (const word of words) {
+    if (word.length < 5) continue;
+    const padded = `^${word}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) tokens.push(`#${padded.slice(i, i + 3)}`);
+  }
+  return tokens;
+}
+
+function hashSlot(token) {
+  const digest = crypto.createHash('md5').update(token).digest();
+  return { slot: digest.readUInt32LE(0) % LOCAL_DIMENSIONS, sign: digest[4] & 1 ? 1 : -1 };
+}
+
+/**
+ * Hashed tf-idf vectors, L2-normalized. IDF comes from this batch: words
+ * common to most texts (site names, "the") weigh next to nothing. Lexical
+ * only; used when Ollama can't be.
+ */
+function embedLocally(texts) {
+  const counts = texts.map(text => {
+    const tf = new Map();
+    for (const token of localTokens(text)) tf.set(token, (tf.get(token) || 0) + 1);
+    return tf;
+  });
+  const df = new Map();
+  for (const tf of counts) {
+    for (const token of tf.keys()) df.set(token, (df.get(token) || 0) + 1);
+  }
+
+  return counts.map(tf => {
+    const vector = new Float32Array(LOCAL_DIMENSIONS);
+    for (const [token, count] of tf) {
+      const idf = Math.log((texts.length + 1) / (df.get(token) + 1));
+      const { slot, sign } = hashSlot(token);
+      vector[slot] += sign * (1 + Math.log(count)) * idf * (token.startsWith('#') ? 0.5 : 1);
+    }
+    const norm = Math.hypot(...vector) || 1;
+    return vector.map(v => v / norm);
+  });
+}
+
+// === API ===
+
+function requestedProvider() {
+  const configured = process.env.MEMENTO_EMBEDDINGS;
+  return configured === 'ollama' || configured === 'local' ? configured : null;
+}
+
+/**
+ * Embed items, reusing cached Ollama vectors
+ *
+ * @param {Array<{url: string, text: string, contentHash?: string}>} items
+ * @param {Object} [options]
+ * @param {string} [options.provider] - 'ollama' | 'local' (default: MEMENTO_EMBEDDINGS, else Ollama with local fallback)
+ * @returns {Promise<{vectors: Float32Array[], provider: string, model: string, cached: number, computed: number, fallbackReason?: string}>}
+ *   vectors aligned with items
+ */
+async function embedItems(items, { provider = requestedProvider() } = {}) {
+  const local = extra => ({
+    vectors: embedLocally(items.map(item => item.text)),
+    provider: 'local',
+    model: LOCAL_MODEL,
+    cached: 0,
+    computed: items.length,
+    ...extra
+  });
+
+  if (provider === 'local' || items.length === 0) return local();
+
+  const cache = await loadCache();
+  const modelCache = cache.models[`ollama:${OLLAMA_EMBED_MODEL}`] || {};
+  const keys = items.map(cacheKey);
+  const vectors = keys.map(key => (modelCache[key] ? decodeVector(modelCache[key]) : null));
+  const missing = vectors.map((v, i) => (v ? null : i)).filter(i => i !== null);
+
+  try {
+    for (let start = 0; start < missing.length; start += BATCH_SIZE) {
+      const batch = missing.slice(start, start + BATCH_SIZE);
+      const embeddings = await embedWithOllama(batch.map(i => items[i].text));
+      batch.forEach((index, j) => {
+        vectors[index] = Float32Array.from(embeddings[j]);
+        modelCache[keys[index]] = encodeVector(embeddings[j]);
+      });
+    }
+  } catch (error) {
+    if (provider === 'ollama') throw error;
+    console.warn(`[Embeddings] Ollama unavailable (${error.message}); using the local embedder`);
+    return local({ fallbackReason: error.message });
+  }
+
+  if (missing.length > 0) {
+    cache.models[`ollama:${OLLAMA_EMBED_MODEL}`] = modelCache;
+    await saveCache(cache);
+  }
+
+  return {
+    vectors,
+    provider: 'ollama',
+    model: OLLAMA_EMBED_MODEL,
+    cached: items.length - missing.length,
+    computed: missing.length
+  };
+}
+
+/**
+ * Cosine similarity of two vectors
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = {
+  embedItems,
+  embedLocally,
+  cosineSimilarity,
+  LOCAL_MODEL
+};
@@ -0,0 +1,432 @@
+/**
+ * History Import
+ *
+ * Turns browsing history from before Memento existed into synthetic
+ * sessions so longitudinal queries and theme detection can see it.
+ *
+ * Supported inputs:
+ *   chrome       - a copy of Chrome's `History` SQLite file (visits + urls tables)
+ *   bookmarks    - Netscape bookmark HTML (Chrome/Firefox/Safari export)
+ *   onetab       - OneTab text export ("url | title" lines, blank line between groups)
+ *   sessionbuddy - Session Buddy JSON export (sessions/windows/tabs or collections/folders/links)
+ *
+ * Timestamped sources (chrome, bookmarks) are bucketed into fixed time
+ * windows; grouped sources (onetab, sessionbuddy) become one session per
+ * group. Each session is classified with classifyTabs (or classifyWithMock
+ * when `mock` is set), stamped with the window start as its timestamp and
+ * saved with meta.source = "import". OneTab groups and undated Session Buddy
+ * groups have no start; they are stamped at import time and can't be
+ * filtered with since/until.
+ *
+ * Each window has a content key (meta.importKey: format, start if dated,
+ * sorted URLs). Re-running an import skips windows whose key is already
+ * stored, so undated groups are not imported twice under new session IDs.
+ * Only the key marks a duplicate: a window whose session ID (second) is held
+ * by another session is saved under the next free second.
+ *
+ * Longitudinal queries accept `excludeImported` to leave these out.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const sessionIndex = require('./sessionIndex');
+const { classifyTabs, classifyWithMock, DEFAULT_ENGINE } = require('./classifier');
+const { loadContext } = require('./contextLoader');
+const { saveSession, sessionIdForDate } = require('./memory');
+
+const IMPORT_FORMATS = ['chrome', 'bookmarks', 'onetab', 'sessionbuddy'];
+
+// Chrome stores visit_time as microseconds since 1601-01-01 UTC
+const WEBKIT_EPOCH_OFFSET_MS = 11644473600000;
+
+const DEFAULTS = {
+  windowHours: 3,   // Bucket size for timestamped sources
+  minTabs: 3,       // Windows with fewer distinct URLs are skipped
+  maxTabs: 40       // Most-visited URLs kept per window (keeps LLM prompts bounded)
+};
+
+// === Parsers ===
+// Each returns { visits: [{ url, title, visitedAt }] } or { groups: [{ label, at, tabs }] }
+// (at is null for undated groups)
+
+async function parseChromeHistory(buffer) {
+  // sql.js is only needed for this format; load lazily
+  const initSqlJs = require('sql.js');
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(buffer);
+
+  try {
+    const visits = [];
+    const stmt = db.prepare(`
+      SELECT urls.url AS url, urls.title AS title, visits.visit_time / 1000 - ${WEBKIT_EPOCH_OFFSET_MS} AS visited_at
+      FROM visits JOIN urls ON urls.id = visits.url
+      ORDER BY visits.visit_time
+    `);
+    while (stmt.step()) {
+      const row = stmt.getAsObject();
+      visits.push({ url: row.url, title: row.title, visitedAt: row.visited_at });
+    }
+    stmt.free();
+    return { visits };
+  } finally {
+    db.close();
+  }
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function parseBookmarks(html) {
+  const visits = [];
+  const linkPattern = /<A\s+([^>]*)>([\s\S]*?)<\/A>/gi;
+  let match;
+
+  while ((match = linkPattern.exec(html)) !== null) {
+    const attrs = match[1];
+    const href = attrs.match(/HREF="([^"]*)"/i);
+    if (!href) continue;
+    const added = attrs.match(/ADD_DATE="(\d+)"/i);
+    visits.push({
+      url: decodeEntities(href[1]),
+      title: decodeEntities(match[2].replace(/<[^>]+>/g, '').trim()),
+      visitedAt: added ? Number(added[1]) * 1000 : null
+    });
+  }
+
+  return { visits };
+}
+
+function parseOneTab(text) {
+  // OneTab exports carry no dates
+  const groups = text.split(/\r?\n\s*\r?\n/)
+    .map(block => block.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const sep = line.indexOf(' | ');
+        return sep === -1
+          ? { url: line, title: '' }
+          : { url: line.slice(0, sep).trim(), title: line.slice(sep + 3).trim() };
+      }))
+    .filter(tabs => tabs.length > 0);
+
+  return {
+    groups: groups.map((tabs, i) => ({
+      label: `OneTab group ${i + 1}`,
+      at: null,
+      tabs
+    }))
+  };
+}
+
+function parseSessionBuddy(json) {
+  const data = JSON.parse(json);
+  const groups = [];
+  const toTime = value => (value ? new Date(value).getTime() || null : null);
+
+  // v3 backups: { sessions: [{ name, created|generated, windows: [{ tabs }] }] }
+  for (const session of data.sessions || []) {
+    groups.push({
+      label: session.name || 'Session Buddy session',
+      at: toTime(session.created || session.generated || session.modified),
+      tabs: (session.windows || []).flatMap(w => w.tabs || [])
+    });
+  }
+
+  // v4 exports: { collections: [{ title, created, folders: [{ links }] }] }
+  for (const collection of data.collections || []) {
+    groups.push({
+      label: collection.title || 'Session Buddy collection',
+      at: toTime(collection.created || collection.updated),
+      tabs: (collection.folders || []).flatMap(f => f.links || [])
+    });
+  }
+
+  return {
+    groups: groups.map(g => ({
+      ...g,
+      tabs: g.tabs.map(t => ({ url: t.url, title: t.title || '' }))
+    }))
+  };
+}
+
+/**
+ * Detect the export format from file content
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} One of IMPORT_FORMATS, or null if unrecognized
+ */
+function detectFormat(buffer) {
+  if (buffer.slice(0, 16).toString('latin1') === 'SQLite format 3\u0000') return 'chrome';
+
+  const head = buffer.slice(0, 2048).toString('utf-8').trimStart();
+  if (/NETSCAPE-Bookmark-file/i.test(head)) return 'bookmarks';
+  if (head.startsWith('{') || head.startsWith('[')) return 'sessionbuddy';
+  if (/^https?:\/\//m.test(head)) return 'onetab';
+  return null;
+}
+
+// === Bucketing ===
+
+function isImportableUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+/**
+ * Dedupe tabs by URL, keep the most-visited up to maxTabs
+ */
+function collapseTabs(entries, maxTabs) {
+  const byUrl = new Map();
+  for (const entry of entries) {
+    if (!isImportableUrl(entry.url)) continue;
+    const existing = byUrl.get(entry.url);
+    if (existing) {
+      existing.visitCount++;
+      if (!existing.title && entry.title) existing.title = entry.title;
+    } else {
+      byUrl.set(entry.url, { url: entry.url, title: entry.title || '', visitCount: 1 });
+    }
+  }
+
+  return Array.from(byUrl.values())
+    .sort((a, b) => b.visitCount - a.visitCount)
+    .slice(0, maxTabs);
+}
+
+/**
+ * Turn parsed input into synthetic session windows. Undated groups are
+ * stamped at `now`, one second apart in file order, so each gets a
+ * distinct session ID; since/until never apply to them.
+ * @returns {Array<{start, end, label, tabs, visitCount, undated}>} Oldest first
+ */
+function buildWindows(parsed, options) {
+  const { windowHours, minTabs, maxTabs, since, until, now = Date.now() } = options;
+  const inRange = at => at !== null && (!since || at >= since) && (!until || at <= until);
+  const windows = [];
+
+  if (parsed.groups) {
+    const undatedCount = parsed.groups.filter(g => g.at === null).length;
+    let undatedIndex = 0;
+    for (const group of parsed.groups) {
+      const undated = group.at === null;
+      if (!undated && !inRange(group.at)) continue;
+      const at = undated ? now - (undatedCount - undatedIndex++) * 1000 : group.at;
+      windows.push({ start: at, end: at, label: group.label, tabs: collapseTabs(group.tabs, maxTabs), visitCount: group.tabs.length, undated });
+    }
+  } else {
+    const windowMs = windowHours * 60 * 60 * 1000;
+    const buckets = new Map();
+    for (const visit of parsed.visits) {
+      if (!inRange(visit.visitedAt)) continue;
+      const start = Math.floor(visit.visitedAt / windowMs) * windowMs;
+      if (!buckets.has(start)) buckets.set(start, []);
+      buckets.get(start).push(visit);
+    }
+    for (const [start, visits] of buckets) {
+      windows.push({ start, end: start + windowMs, label: null, tabs: collapseTabs(visits, maxTabs), visitCount: visits.length, undated: false });
+    }
+  }
+
+  const kept = windows
+    .filter(w => w.tabs.length >= minTabs)
+    .sort((a, b) => a.start - b.start);
+
+  // Session IDs have second resolution; nudge groups that share a second
+  for (let i = 1; i < kept.length; i++) {
+    const prevSecond = Math.floor(kept[i - 1].start / 1000);
+    if (Math.floor(kept[i].start / 1000) <= prevSecond) {
+      kept[i].start = (prevSecond + 1) * 1000;
+    }
+  }
+
+  return kept;
+}
+
+/**
+ * Content key of an import window: format, start (dated windows only) and
+ * sorted URLs, so the same group maps to the same key on every run
+ */
+function importKey(format, window) {
+  const urls = window.tabs.map(t => t.url).sort();
+  const start = window.undated ? '' : new Date(window.start).toISOString();
+  return crypto.createHash('sha256').update([format, start, ...urls].join('\n')).digest('hex').slice(0, 16);
+}
+
+// === Import ===
+
+/**
+ * Import a history/bookmark export as synthetic sessions
+ *
+ * @param {string} filePath - Path to the export file
+ * @param {Object} [options]
+ * @param {string} [options.format] - One of IMPORT_FORMATS (auto-detected if omitted)
+ * @param {string} [options.engine] - LLM engine for classifyTabs
+ * @param {boolean} [options.mock=false] - Use the keyword classifier instead of the LLM
+ * @param {number} [options.windowHours=3] - Window size for timestamped sources
+ * @param {number} [options.minTabs=3] - Skip windows with fewer distinct URLs
+ * @param {number} [options.maxTabs=40] - Most-visited URLs kept per window
+ * @param {string} [options.since] - Only import activity on/after this date (not for undated groups)
+ * @param {string} [options.until] - Only import activity on/before this date (not for undated groups)
+ * @param {boolean} [options.dryRun=false] - Report windows without classifying or saving
+ * @returns {Promise<{success: boolean, message: string, format?: string, windows?: Array, imported?: string[], existing?: string[]}>}
+ */
+async function importHistory(filePath, options = {}) {
+  const {
+    format: requestedFormat = null,
+    engine = DEFAULT_ENGINE,
+    mock = false,
+    windowHours = DEFAULTS.windowHours,
+    minTabs = DEFAULTS.minTabs,
+    maxTabs = DEFAULTS.maxTabs,
+    since = null,
+    until = null,
+    dryRun = false
+  } = options;
+
+  let buffer;
+  try {
+    buffer = await fs.readFile(filePath);
+  } catch (error) {
+    return { success: false, message: `Cannot read ${filePath}: ${error.message}` };
+  }
+
+  const format = requestedFormat || detectFormat(buffer);
+  if (!IMPORT_FORMATS.includes(format)) {
+    return {
+      success: false,
+      message: requestedFormat
+        ? `Unknown format: ${requestedFormat}. Use one of: ${IMPORT_FORMATS.join(', ')}`
+        : `Could not detect the export format of ${filePath}. Pass one of: ${IMPORT_FORMATS.join(', ')}`
+    };
+  }
+
+  let parsed;
+  try {
+    switch (format) {
+      case 'chrome': parsed = await parseChromeHistory(buffer); break;
+      case 'bookmarks': parsed = parseBookmarks(buffer.toString('utf-8')); break;
+      case 'onetab': parsed = parseOneTab(buffer.toString('utf-8')); break;
+      case 'sessionbuddy': parsed = parseSessionBuddy(buffer.toString('utf-8')); break;
+    }
+  } catch (error) {
+    return { success: false, message: `Failed to parse ${format} export: ${error.message}` };
+  }
+
+  const undated = (parsed.groups || []).filter(g => g.at === null).length;
+  if ((since || until) && undated > 0) {
+    return {
+      success: false,
+      message: `${undated} ${format} group(s) carry no dates, so since/until can't select them. Import without since/until.`
+    };
+  }
+
+  const windows = buildWindows(parsed, {
+    windowHours,
+    minTabs,
+    maxTabs,
+    since: since ? new Date(since).getTime() : null,
+    until: until ? new Date(until).getTime() : null
+  });
+
+  const summary = windows.map(w => ({
+    sessionId: sessionIdForDate(new Date(w.start)),
+    start: new Date(w.start).toISOString(),
+    tabs: w.tabs.length,
+    visits: w.visitCount,
+    label: w.label,
+    undated: w.undated,
+    importKey: importKey(format, w)
+  }));
+
+  if (dryRun) {
+    return {
+      success: true,
+      message: `${windows.length} session(s) would be imported from ${format}`,
+      format,
+      windows: summary
+    };
+  }
+
+  const context = mock ? null : loadContext();
+  const importedAt = new Date().toISOString();
+  const imported = [];
+  const existing = [];
+
+  // Sessions from earlier runs, by content key; any session ID is taken
+  const importedKeys = new Map();
+  const takenIds = new Set();
+  for (const entry of await sessionIndex.getEntries()) {
+    takenIds.add(entry.id);
+    if (entry.importKey) importedKeys.set(entry.importKey, entry.id);
+  }
+
+  for (let i = 0; i < windows.length; i++) {
+    const window = windows[i];
+
+    const previousId = importedKeys.get(summary[i].importKey);
+    if (previousId) {
+      existing.push(previousId);
+      continue;
+    }
+
+    // Another session (a capture, another import) holds this second: use the next free one
+    let at = window.start;
+    while (takenIds.has(sessionIdForDate(new Date(at)))) at += 1000;
+    summary[i].sessionId = sessionIdForDate(new Date(at));
+
+    console.error(`[Import] ${i + 1}/${windows.length} ${summary[i].start} (${window.tabs.length} tabs)`);
+    const tabs = window.tabs.map(t => ({ url: t.url, title: t.title, content: '' }));
+    const result = mock
+      ? await classifyWithMock(tabs)
+      : await classifyTabs(tabs, engine, context, false);
+
+    result.timestamp = summary[i].start;
+    result.meta = {
+      ...result.meta,
+      source: 'import',
+      importFormat: format,
+      importKey: summary[i].importKey,
+      importedAt,
+      window: {
+        start: summary[i].start,
+        undated: window.undated,
+        end: new Date(window.end).toISOString(),
+        label: window.label,
+        visits: window.visitCount
+      }
+    };
+
+    const savedId = await saveSession(result, { at });
+    if (savedId) {
+      imported.push(savedId);
+      takenIds.add(savedId);
+    }
+  }
+
+  return {
+    success: true,
+    message: `Imported ${imported.length} session(s) from ${format}` +
+      (existing.length > 0 ? `, ${existing.length} already imported` : ''),
+    format,
+    windows: summary,
+    imported,
+    existing
+  };
+}
+
+module.exports = {
+  importHistory,
+  detectFormat,
+  parseBookmarks,
+  parseOneTab,
+  parseSessionBuddy,
+  buildWindows,
+  IMPORT_FORMATS
+};
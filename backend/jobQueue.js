@@ -0,0 +1,358 @@
+/**
+ * Capture Job Queue
+ *
+ * Runs captures in the background, one at a time, and persists each job to
+ * memory/jobs/<jobId>.json as it goes:
+ *   - the request (tabs, engine, context) is written before any pass runs
+ *   - Pass 0 replaces the stored tabs with their extracted content
+ *   - Passes 1-4 store the classifier checkpoint (see classifyWithLLM)
+ *
+ * A job that throws, or that was running when the server stopped, is marked
+ * failed with its checkpoint intact. retryJob() re-queues it and the
+ * classifier resumes after the last completed pass.
+ *
+ * When the LLM fails, the capture is still saved with the keyword (mock)
+ * classifier, as classifyTabs does. A manual job then stays failed with its
+ * checkpoint and fallbackSession; a successful retry overwrites that session
+ * (same ID, dispositions kept). Scheduled jobs are deleted instead, since
+ * the next snapshot captures the same tabs again.
+ *
+ * Successful jobs are deleted once the session is saved; the session file
+ * is the durable artifact from then on.
+ *
+ * Job status: pending → running → (deleted) | failed
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { classifyWithLLM, classifyWithMock } = require('./classifier');
+const { processVisualExtractionTabs } = require('./pdfExtractor');
+const { captureSourceMeta } = require('./captureSources');
+const { loadContext } = require('./contextLoader');
+const { saveSession, readSession } = require('./memory');
+const { attachCapture } = require('./effortRegistry');
+
+const JOBS_DIR = path.join(__dirname, '..', 'memory', 'jobs');
+
+// In-process FIFO; each entry is { jobId, onProgress, resolve, reject }
+const waiting = [];
+let activeJobId = null;
+
+// Jobs created or retried by this process (never treated as interrupted)
+const ownedJobIds = new Set();
+
+async function ensureDir() {
+  await fs.mkdir(JOBS_DIR, { recursive: true });
+}
+
+function jobPath(jobId) {
+  return path.join(JOBS_DIR, `${jobId}.json`);
+}
+
+/**
+ * Write a job atomically (tmp file + rename) so a crash mid-write
+ * never leaves a truncated job behind
+ */
+async function writeJob(job) {
+  await ensureDir();
+  job.updatedAt = new Date().toISOString();
+  const tmpPath = `${jobPath(job.id)}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(job));
+  await fs.rename(tmpPath, jobPath(job.id));
+}
+
+async function readJob(jobId) {
+  if (!/^[a-f0-9]+$/.test(jobId)) return null;
+  try {
+    return JSON.parse(await fs.readFile(jobPath(jobId), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Jobs] Failed to read job ${jobId}:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Summary view of a job (no tab content or checkpoint payload)
+ */
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    tabCount: job.request.tabs.length,
+    engine: job.request.engine || 'default',
+    mode: job.request.mode || 'results',
+    trigger: job.request.trigger || 'manual',
+    completedPass: job.completedPass,
+    attempts: job.attempts,
+    error: job.error,
+    fallbackSessionId: job.fallbackSession?.id || null
+  };
+}
+
+/**
+ * Create and persist a new job
+ * @param {Object} request - { tabs, engine, context, debugMode, mode, trigger, source, sourceInfo } from the capture request
+ * @returns {Promise<Object>} The stored job
+ */
+async function createJob({ tabs, engine, context, debugMode, mode, trigger, source, sourceInfo }) {
+  const job = {
+    id: crypto.randomBytes(6).toString('hex'),
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    request: {
+      tabs,
+      engine,
+      // Resolve context now so a retry classifies against the same projects
+      context: context || loadContext(),
+      debugMode: debugMode ?? true,
+      mode: mode === 'launchpad' ? 'launchpad' : 'results',
+      trigger: trigger === 'scheduled' ? 'scheduled' : 'manual',
+      ...captureSourceMeta({ source, sourceInfo })
+    },
+    completedPass: -1,   // -1 = nothing yet, 0 = PDF extraction done, 1-4 = classifier passes
+    checkpoint: null,
+    attempts: 0,
+    error: null,
+    fallbackSession: null   // { id, savedAt } of a keyword-fallback session a retry replaces
+  };
+  ownedJobIds.add(job.id);
+  await writeJob(job);
+  return job;
+}
+
+/**
+ * Run one job to completion or failure
+ * @returns {Promise<{sessionId, totalTabs, source}>}
+ */
+async function runJob(jobId, onProgress) {
+  const job = await readJob(jobId);
+  if (!job) {
+    throw new Error(`Job not found: ${jobId}`);
+  }
+
+  job.status = 'running';
+  job.attempts++;
+  job.error = null;
+  await writeJob(job);
+
+  try {
+    const { request } = job;
+
+    // === PASS 0: PDF extraction ===
+    if (job.completedPass < 0) {
+      const visualExtractionCount = request.tabs.filter(t => t.needsVisualExtraction).length;
+      if (visualExtractionCount > 0) {
+        console.log(`[Pass 0] Extracting content from ${visualExtractionCount} PDF(s)...`);
+        const pass0Start = Date.now();
+        onProgress?.({ pass: 0, status: 'started', total: visualExtractionCount });
+        request.tabs = await processVisualExtractionTabs(request.tabs, onProgress);
+        onProgress?.({ pass: 0, status: 'complete', durationMs: Date.now() - pass0Start, count: visualExtractionCount });
+      }
+      job.completedPass = 0;
+      await writeJob(job);
+    }
+
+    // === PASSES 1-4: classifier with per-pass checkpoints ===
+    let classification;
+    let llmError = null;
+    try {
+      classification = await classifyWithLLM(
+        request.tabs,
+        request.engine,
+        request.context,
+        request.debugMode,
+        onProgress,
+        {
+          state: job.checkpoint,
+          save: async (state) => {
+            job.checkpoint = state;
+            job.completedPass = state.completedPass;
+            await writeJob(job);
+          }
+        }
+      );
+    } catch (error) {
+      console.warn(`[Jobs] ${job.id} LLM failed after pass ${job.completedPass}: ${error.message}. Falling back to mock classifier.`);
+      onProgress?.({ status: 'fallback', error: error.message });
+      llmError = error;
+      classification = await classifyWithMock(request.tabs);
+      if (request.debugMode && error.trace) {
+        classification.trace = error.trace;
+      }
+    }
+
+    classification.meta = {
+      ...classification.meta,
+      trigger: request.trigger || 'manual',
+      ...captureSourceMeta(request)
+    };
+
+    // A retry replaces the keyword fallback saved by an earlier attempt
+    const previous = job.fallbackSession;
+    if (previous) {
+      const fallbackSession = await readSession(previous.id);
+      if (fallbackSession?.dispositions?.length > 0) {
+        classification.dispositions = fallbackSession.dispositions;
+      }
+    }
+    const savedAt = previous?.savedAt || new Date().toISOString();
+
+    const sessionId = await saveSession(classification, { at: savedAt });
+    if (!sessionId) {
+      throw new Error('Session could not be saved');
+    }
+    await attachCapture(sessionId);
+
+    if (llmError && request.trigger !== 'scheduled') {
+      job.status = 'failed';
+      job.error = `${llmError.message} (saved with the keyword classifier; Retry re-runs the LLM)`;
+      job.fallbackSession = { id: sessionId, savedAt };
+      await writeJob(job);
+      console.log(`[Jobs] ${job.id} fell back → session ${sessionId}, kept for retry (attempt ${job.attempts})`);
+    } else {
+      await fs.unlink(jobPath(job.id)).catch(() => {});
+      console.log(`[Jobs] ${job.id} ${llmError ? 'fell back' : 'complete'} → session ${sessionId} (attempt ${job.attempts})`);
+    }
+
+    return { sessionId, totalTabs: classification.totalTabs, source: classification.source };
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    await writeJob(job);
+    console.error(`[Jobs] ${job.id} failed after pass ${job.completedPass}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Process queued jobs one at a time
+ */
+async function drain() {
+  if (activeJobId) return;
+
+  while (waiting.length > 0) {
+    const { jobId, onProgress, resolve, reject } = waiting.shift();
+    activeJobId = jobId;
+    try {
+      resolve(await runJob(jobId, onProgress));
+    } catch (error) {
+      reject(error);
+    }
+    activeJobId = null;
+  }
+}
+
+/**
+ * Queue a job for execution
+ * @param {string} jobId - Job ID
+ * @param {Function|null} onProgress - Progress listener for this run
+ * @returns {Promise<{sessionId, totalTabs, source}>} Settles when the job finishes
+ */
+function enqueue(jobId, onProgress = null) {
+  return new Promise((resolve, reject) => {
+    waiting.push({ jobId, onProgress, resolve, reject });
+    if (activeJobId) {
+      onProgress?.({ status: 'queued', position: waiting.length });
+    }
+    drain();
+  });
+}
+
+/**
+ * Reset a failed job to pending so it can be queued again
+ * @returns {Promise<{success: boolean, message?: string, job?: Object}>}
+ */
+async function retryJob(jobId) {
+  const job = await readJob(jobId);
+  if (!job) {
+    return { success: false, message: 'Job not found' };
+  }
+  if (job.status !== 'failed') {
+    return { success: false, message: `Job is ${job.status}, only failed jobs can be retried` };
+  }
+
+  job.status = 'pending';
+  ownedJobIds.add(job.id);
+  await writeJob(job);
+  return { success: true, job };
+}
+
+/**
+ * Delete a job that is not currently running
+ */
+async function discardJob(jobId) {
+  const job = await readJob(jobId);
+  if (!job) {
+    return { success: false, message: 'Job not found' };
+  }
+  if (job.id === activeJobId) {
+    return { success: false, message: 'Job is running' };
+  }
+
+  const queued = waiting.findIndex(w => w.jobId === jobId);
+  if (queued !== -1) {
+    waiting.splice(queued, 1)[0].reject(new Error('Job discarded'));
+  }
+
+  await fs.unlink(jobPath(jobId));
+  return { success: true };
+}
+
+/**
+ * List unfinished jobs (pending, running, failed), newest first
+ */
+async function listJobs() {
+  try {
+    await ensureDir();
+    const files = (await fs.readdir(JOBS_DIR)).filter(f => f.endsWith('.json'));
+    const jobs = await Promise.all(files.map(f => readJob(f.replace('.json', ''))));
+    return jobs
+      .filter(Boolean)
+      .map(summarizeJob)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  } catch (error) {
+    console.error('[Jobs] Failed to list jobs:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Mark jobs left pending/running by a previous server process as failed
+ * Call once at startup; jobs this process created are left alone.
+ */
+async function recoverInterruptedJobs() {
+  const jobs = await listJobs();
+  let recovered = 0;
+
+  for (const summary of jobs) {
+    if ((summary.status === 'pending' || summary.status === 'running') && !ownedJobIds.has(summary.id)) {
+      const job = await readJob(summary.id);
+      if (!job) continue;   // Discarded since it was listed
+      job.status = 'failed';
+      job.error = 'Interrupted: server stopped before the capture finished';
+      await writeJob(job);
+      recovered++;
+    }
+  }
+
+  if (recovered > 0) {
+    console.log(`[Jobs] ${recovered} interrupted capture(s) marked failed, retry from /history`);
+  }
+  return recovered;
+}
+
+module.exports = {
+  createJob,
+  enqueue,
+  retryJob,
+  discardJob,
+  listJobs,
+  recoverInterruptedJobs,
+  JOBS_DIR
+};
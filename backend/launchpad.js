@@ -8,6 +8,9 @@
  * - Promote (create KB artifact)
  * - Regroup (move to different category via drag/drop)
  *
+ * Every action also has a key (j/k to move, d/t/l/p/m/x/u, f for focus
+ * mode, ? for the full list), so a session can be triaged without the mouse.
+ *
  * See: docs/SESSION-ARTIFACT-INVARIANTS.md
  */
 
@@ -22,7 +25,7 @@
  * @returns {string} HTML page
  */
 function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMode = false, preferenceCount = 0, efforts = []) {
-  const { originalGroups, itemStates, itemCategories, unresolvedCount, capturedAt } = sessionState;
+  const { originalGroups, itemStates, itemCategories, unresolvedCount, capturedAt, deepDiveResults = [] } = sessionState;
   const resumeState = lockStatus.resumeState || {};
   const pageTitle = reviewMode ? 'Review' : 'Launchpad';
 
@@ -93,11 +96,14 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
   // Generate efforts section (if any efforts exist)
   const effortsSectionHtml = efforts.length > 0 ? renderEffortsSection(efforts) : '';
 
+  // Pass 2 analyses by URL, shown in keyboard focus mode
+  const deepDives = new Map(deepDiveResults.filter(d => d.analysis).map(d => [d.url, d.analysis]));
+
   // Generate category sections (hiding items that are in efforts)
   const categorySections = Array.from(categorizedItems.entries())
     .map(([category, items]) => {
       const visibleItems = items.filter(item => !itemsInEfforts.has(item.itemId));
-      return renderCategorySection(category, visibleItems, allCategories);
+      return renderCategorySection(category, visibleItems, allCategories, deepDives);
     })
     .join('\n');
 
@@ -716,6 +722,36 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
       background: #8b5cf6;
     }
 
+    /* Promote Modal Styles */
+    .promote-modal {
+      max-width: 480px;
+    }
+    .promote-modal h3 {
+      color: #3b82f6;
+    }
+    .promote-modal select {
+      width: 100%;
+      padding: 10px 12px;
+      border: 1px solid #374151;
+      border-radius: 6px;
+      background: #111827;
+      color: #fff;
+      font-size: 14px;
+      margin-bottom: 0.75em;
+    }
+    .promote-hint {
+      font-size: 12px;
+      color: #6b7280;
+      margin-bottom: 1.25em;
+    }
+    .modal-btn.promote {
+      background: #1e3a8a;
+      color: #bfdbfe;
+    }
+    .modal-btn.promote:hover {
+      background: #1e40af;
+    }
+
     /* Effort Modal Styles */
     .effort-modal {
       max-width: 450px;
@@ -820,6 +856,11 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
       color: #fcd34d;
     }
     .effort-btn.defer:hover { background: #92400e; }
+    .effort-btn.reopen {
+      background: #1e3a8a;
+      color: #bfdbfe;
+    }
+    .effort-btn.reopen:hover { background: #1e40af; }
     .effort-items {
       padding: 8px 0;
       display: none;
@@ -909,6 +950,94 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
       color: #6ee7b7;
       margin-top: 1em;
     }
+
+    /* Keyboard triage */
+    .item.kb-focus {
+      background: #1a1a2e;
+      box-shadow: inset 3px 0 0 #3b82f6;
+    }
+
+    .item.kb-focus .item-actions {
+      opacity: 1;
+    }
+
+    .item-detail {
+      display: none;
+      margin-top: 12px;
+      font-size: 13px;
+      line-height: 1.5;
+      color: #bbb;
+    }
+
+    .item-detail p { margin-bottom: 8px; white-space: pre-wrap; }
+    .item-detail ul { margin: 0 0 8px 18px; }
+    .item-preview.empty { color: #666; font-style: italic; }
+
+    .item-detail-label {
+      font-size: 11px;
+      text-transform: uppercase;
+      letter-spacing: 0.05em;
+      color: #666;
+      margin-bottom: 4px;
+    }
+
+    body.focus-mode .item:not(.kb-focus),
+    body.focus-mode .category:not(:has(.kb-focus)),
+    body.focus-mode .efforts-container {
+      display: none;
+    }
+
+    body.focus-mode .item.kb-focus .item-detail {
+      display: block;
+    }
+
+    .kb-hint {
+      font-size: 12px;
+      color: #666;
+    }
+
+    .kb-hint kbd,
+    .shortcut-list kbd {
+      display: inline-block;
+      min-width: 20px;
+      padding: 1px 6px;
+      background: #222;
+      border: 1px solid #444;
+      border-radius: 4px;
+      font-family: inherit;
+      font-size: 12px;
+      text-align: center;
+      color: #e0e0e0;
+    }
+
+    .shortcut-list {
+      display: grid;
+      grid-template-columns: auto 1fr;
+      gap: 8px 16px;
+      margin-bottom: 16px;
+      font-size: 14px;
+      color: #ccc;
+    }
+
+    .category-picker-list {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      margin-bottom: 16px;
+    }
+
+    .category-picker-list button {
+      text-align: left;
+      padding: 8px 12px;
+      background: #222;
+      border: 1px solid #333;
+      border-radius: 6px;
+      color: #e0e0e0;
+      font-size: 14px;
+      cursor: pointer;
+    }
+
+    .category-picker-list button:hover { background: #2a2a2a; }
   </style>
 </head>
 <body class="${reviewMode ? 'review-mode' : ''}">
@@ -968,6 +1097,7 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
         Force Clear Lock (Dev)
       </button>
     </div>
+    <span class="kb-hint">Press <kbd>?</kbd> for keyboard shortcuts</span>
     <button id="clear-lock-btn" class="clear-lock-btn ${unresolvedCount === 0 ? 'enabled' : ''}"
             onclick="clearLock()" ${unresolvedCount > 0 ? 'disabled' : ''}>
       ${unresolvedCount === 0 ? 'Complete Session' : 'Resolve all items to unlock'}
@@ -1004,6 +1134,56 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
     </div>
   </div>
 
+  <!-- Promote Target Modal -->
+  <div id="promote-modal" class="modal-overlay">
+    <div class="modal promote-modal">
+      <h3>Promote to Note</h3>
+      <p class="modal-subtitle">Write a note for <strong id="promote-item-title"></strong></p>
+      <select id="promote-target"></select>
+      <div id="promote-hint" class="promote-hint"></div>
+      <div class="modal-actions">
+        <button class="modal-btn cancel" onclick="closePromoteModal()">Cancel</button>
+        <button class="modal-btn promote" id="promote-confirm" onclick="confirmPromote()">Write Note</button>
+      </div>
+    </div>
+  </div>
+
+  <!-- Category Picker Modal (keyboard "m") -->
+  <div id="category-picker-modal" class="modal-overlay">
+    <div class="modal">
+      <h3>Move to Category</h3>
+      <p class="modal-subtitle" id="category-picker-subtitle"></p>
+      <div id="category-picker-list" class="category-picker-list"></div>
+      <div class="modal-actions">
+        <button class="modal-btn cancel" onclick="closeCategoryPicker()">Cancel</button>
+      </div>
+    </div>
+  </div>
+
+  <!-- Keyboard Shortcuts Modal -->
+  <div id="shortcut-modal" class="modal-overlay">
+    <div class="modal">
+      <h3>Keyboard Shortcuts</h3>
+      <div class="shortcut-list">
+        <span><kbd>j</kbd> <kbd>k</kbd></span><span>Next / previous tab</span>
+        <span><kbd>d</kbd></span><span>Done</span>
+        <span><kbd>t</kbd></span><span>Trash (Defer in protected categories)</span>
+        <span><kbd>l</kbd></span><span>Later</span>
+        <span><kbd>p</kbd></span><span>Promote / Synthesize</span>
+        <span><kbd>m</kbd></span><span>Move to category (<kbd>1</kbd>-<kbd>9</kbd> to pick)</span>
+        <span><kbd>x</kbd></span><span>Select for batch; <kbd>d</kbd> <kbd>t</kbd> <kbd>l</kbd> <kbd>m</kbd> then apply to the selection</span>
+        <span><kbd>u</kbd></span><span>Undo the last action</span>
+        <span><kbd>f</kbd> / <kbd>Enter</kbd></span><span>Focus mode: one tab with its captured content and deep dive</span>
+        <span><kbd>o</kbd></span><span>Open the tab</span>
+        <span><kbd>Esc</kbd></span><span>Close dialog / leave focus mode / clear selection</span>
+        <span><kbd>?</kbd></span><span>Show this list</span>
+      </div>
+      <div class="modal-actions">
+        <button class="modal-btn cancel" onclick="closeShortcutHelp()">Close</button>
+      </div>
+    </div>
+  </div>
+
   <!-- Create Effort Modal -->
   <div id="effort-modal" class="modal-overlay">
     <div class="modal effort-modal">
@@ -1034,6 +1214,59 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
       document.getElementById('resolved-count').textContent = resolvedCount;
     }
 
+    // === Extension bridge: act on the real browser tabs (extension/bridge.js) ===
+    // Resolves with the extension's response, or null when the extension isn't installed
+    let bridgeRequestId = 0;
+    const closedTabUrls = new Set(); // Closed by a Trash/Done here; Undo reopens them
+
+    function sendToExtension(type, payload) {
+      if (document.documentElement.dataset.mementoExtension !== 'ready') return Promise.resolve(null);
+
+      const requestId = ++bridgeRequestId;
+      return new Promise(resolve => {
+        const timer = setTimeout(() => finish(null), 5000);
+        function finish(response) {
+          clearTimeout(timer);
+          window.removeEventListener('message', onMessage);
+          resolve(response);
+        }
+        function onMessage(event) {
+          if (event.source === window && event.data?.source === 'memento-extension' && event.data.requestId === requestId) {
+            finish(event.data.response);
+          }
+        }
+        window.addEventListener('message', onMessage);
+        window.postMessage({ source: 'memento-page', requestId, type, ...payload }, window.location.origin);
+      });
+    }
+
+    async function closeBrowserTabs(urls) {
+      const result = await sendToExtension('closeTabs', { urls });
+      if (result?.closed > 0) urls.forEach(url => closedTabUrls.add(url));
+      return result;
+    }
+
+    // Effort URLs and name as rendered in its card
+    function getEffortTabs(effortId) {
+      const card = document.getElementById('effort-' + effortId);
+      return {
+        title: card?.querySelector('.effort-name')?.textContent || '',
+        urls: Array.from(card?.querySelectorAll('.effort-item a') || []).map(a => a.getAttribute('href'))
+      };
+    }
+
+    async function reopenEffort(effortId) {
+      const { title, urls } = getEffortTabs(effortId);
+      const result = await sendToExtension('openTabs', { title, urls });
+      if (!result) {
+        showToast('Install the Memento extension to reopen tabs', 'error');
+      } else if (result.success) {
+        showToast('Reopened ' + result.opened + ' tabs', 'success');
+      } else {
+        showToast(result.message || 'Failed to reopen tabs', 'error');
+      }
+    }
+
     async function recordDisposition(itemId, action, extra = {}) {
       try {
         const response = await fetch('/api/launchpad/' + SESSION_ID + '/disposition', {
@@ -1045,38 +1278,118 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
         const result = await response.json();
 
         if (result.success) {
-          // Update UI
-          const itemEl = document.querySelector('[data-item-id="' + CSS.escape(itemId) + '"]');
-          if (itemEl) {
-            const statusClass = action === 'trash' ? 'trashed' : action === 'complete' ? 'completed' : action === 'defer' ? 'deferred' : action === 'later' ? 'later' : 'promoted';
-            itemEl.classList.add(statusClass);
+          markResolved(itemId, action);
+          showToast('Item ' + action + (action === 'trash' ? 'ed' : 'd'), 'success');
+          if (action === 'trash' || action === 'complete') closeBrowserTabs([itemId]);
+        } else {
+          showToast(result.message || 'Failed', 'error');
+        }
+      } catch (error) {
+        showToast('Error: ' + error.message, 'error');
+      }
+    }
 
-            // Track action for undo and show undo button
-            lastActions.set(itemId, action);
-            showUndoButton(itemEl, itemId, action);
-          }
+    // === Promote: pick a note target, write the note, record its URI ===
+    let promoteTargets = null;
+    let promoteItemId = null;
+
+    async function loadPromoteTargets() {
+      if (promoteTargets) return promoteTargets;
+      const response = await fetch('/api/promote/targets');
+      promoteTargets = await response.json();
+
+      const select = document.getElementById('promote-target');
+      const lastTarget = localStorage.getItem('memento-promote-target');
+      select.innerHTML = '';
+      promoteTargets.targets.forEach(target => {
+        const option = document.createElement('option');
+        option.value = target.id;
+        option.textContent = target.label;
+        if (target.id === lastTarget) option.selected = true;
+        select.appendChild(option);
+      });
 
-          // Update counts and progress
-          unresolvedCount--;
-          resolvedCount++;
-          document.getElementById('unresolved-count').textContent = unresolvedCount;
-          updateProgress();
+      const missing = promoteTargets.roots.filter(r => !r.available);
+      document.getElementById('promote-hint').textContent = missing.length > 0
+        ? 'Not found: ' + missing.map(r => r.label + (r.path ? ' (' + r.path + ')' : ' (not configured)')).join(', ')
+        : '';
+      return promoteTargets;
+    }
 
-          // Enable clear button if all resolved
-          if (unresolvedCount === 0) {
-            const btn = document.getElementById('clear-lock-btn');
-            btn.classList.add('enabled');
-            btn.disabled = false;
-            btn.textContent = 'Complete Session';
-            document.querySelector('.status').classList.add('complete');
-          }
+    async function showPromoteModal(itemId) {
+      promoteItemId = itemId;
+      const itemEl = document.querySelector('[data-item-id="' + CSS.escape(itemId) + '"]');
+      document.getElementById('promote-item-title').textContent = itemEl?.querySelector('.item-title a')?.textContent || itemId;
+      document.getElementById('promote-modal').classList.add('visible');
 
-          showToast('Item ' + action + (action === 'trash' ? 'ed' : 'd'), 'success');
+      try {
+        await loadPromoteTargets();
+      } catch (error) {
+        showToast('Could not load note targets: ' + error.message, 'error');
+      }
+    }
+
+    function closePromoteModal() {
+      document.getElementById('promote-modal').classList.remove('visible');
+      promoteItemId = null;
+    }
+
+    async function confirmPromote() {
+      const targetId = document.getElementById('promote-target').value;
+      const itemId = promoteItemId;
+      if (!itemId || !targetId) return;
+
+      const confirmBtn = document.getElementById('promote-confirm');
+      confirmBtn.disabled = true;
+      try {
+        const response = await fetch('/api/launchpad/' + SESSION_ID + '/promote', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ itemId, targetId })
+        });
+        const result = await response.json();
+
+        if (result.success) {
+          localStorage.setItem('memento-promote-target', targetId);
+          closePromoteModal();
+          markResolved(itemId, 'promote');
+          showToast(result.message, 'success');
         } else {
           showToast(result.message || 'Failed', 'error');
         }
       } catch (error) {
         showToast('Error: ' + error.message, 'error');
+      } finally {
+        confirmBtn.disabled = false;
+      }
+    }
+
+    // Mark an item resolved in the UI and update progress
+    function markResolved(itemId, action) {
+      const itemEl = document.querySelector('[data-item-id="' + CSS.escape(itemId) + '"]');
+      if (itemEl) {
+        const statusClass = action === 'trash' ? 'trashed' : action === 'complete' ? 'completed' : action === 'defer' ? 'deferred' : action === 'later' ? 'later' : 'promoted';
+        itemEl.classList.add(statusClass);
+
+        // Track action for undo and show undo button
+        lastActions.set(itemId, action);
+        showUndoButton(itemEl, itemId, action);
+        if (itemEl === focusedItem) focusNextPending();
+      }
+
+      // Update counts and progress
+      unresolvedCount--;
+      resolvedCount++;
+      document.getElementById('unresolved-count').textContent = unresolvedCount;
+      updateProgress();
+
+      // Enable clear button if all resolved
+      if (unresolvedCount === 0) {
+        const btn = document.getElementById('clear-lock-btn');
+        btn.classList.add('enabled');
+        btn.disabled = false;
+        btn.textContent = 'Complete Session';
+        document.querySelector('.status').classList.add('complete');
       }
     }
 
@@ -1144,6 +1457,8 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
 
           lastActions.delete(itemId);
           showToast('Action undone', 'success');
+
+          if (closedTabUrls.delete(itemId)) sendToExtension('openTabs', { urls: [itemId] });
         } else {
           showToast(result.message || 'Failed to undo', 'error');
         }
@@ -1224,8 +1539,9 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
         showToast('Error: ' + error.message, 'error');
       }
 
-      // Reset the dropdown
-      event.target.selectedIndex = 0;
+      // Reset the dropdown (also reached from the keyboard category picker)
+      const dropdown = document.querySelector('[data-item-id="' + CSS.escape(itemId) + '"] .move-select');
+      if (dropdown) dropdown.selectedIndex = 0;
     }
 
     // Update category item counts after move
@@ -1420,8 +1736,10 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
             document.querySelector('.status').classList.add('complete');
           }
 
+          const resolvedIds = Array.from(selectedItems);
           clearSelection();
           showToast(count + ' items ' + (action === 'trash' ? 'trashed' : action === 'complete' ? 'completed' : 'marked later'), 'success');
+          if (action === 'trash' || action === 'complete') closeBrowserTabs(resolvedIds);
         } else {
           showToast(result.message || 'Batch action failed', 'error');
         }
@@ -1604,6 +1922,7 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
 
           clearSelection();
           showToast('Effort "' + name + '" created with ' + items.length + ' tabs', 'success');
+          sendToExtension('groupTabs', { title: name, urls: items.map(item => item.url) });
         } else {
           showToast(result.message || 'Failed to create effort', 'error');
         }
@@ -1671,6 +1990,7 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
             card.classList.add('effort-completed');
             card.querySelector('.effort-actions').innerHTML = '<span style="color: #10b981">Completed</span>';
           }
+          closeBrowserTabs(getEffortTabs(effortId).urls);
 
           // Update counts
           unresolvedCount -= result.completedCount || 0;
@@ -1708,8 +2028,11 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
           const card = document.getElementById('effort-' + effortId);
           if (card) {
             card.classList.add('effort-completed');
-            card.querySelector('.effort-actions').innerHTML = '<span style="color: #fcd34d">Deferred</span>';
+            card.querySelector('.effort-actions').innerHTML = '<span style="color: #fcd34d">Deferred</span>' +
+              ' <button class="effort-btn reopen" onclick="reopenEffort(\\'' + effortId + '\\')">Reopen</button>';
           }
+          // Saved in the session; close its tabs until it is reopened
+          closeBrowserTabs(getEffortTabs(effortId).urls);
 
           // Update counts
           unresolvedCount -= result.deferredCount || 0;
@@ -1754,6 +2077,203 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
       }
     });
 
+    // === Keyboard triage (press ? for the list) ===
+    // Letter keys act on the focused tab, or on the batch selection when one exists.
+    let focusedItem = null;
+    let pickerCategories = [];
+
+    function triageItems() {
+      return Array.from(document.querySelectorAll('#categories .item:not(.in-effort)'));
+    }
+
+    function isResolved(itemEl) {
+      return ['trashed', 'completed', 'promoted', 'deferred', 'later'].some(c => itemEl.classList.contains(c));
+    }
+
+    function focusedItemId() {
+      return focusedItem ? focusedItem.getAttribute('data-item-id') : null;
+    }
+
+    // Category the item currently sits in (data-category isn't updated on move)
+    function currentCategory(itemEl) {
+      return itemEl.closest('.category')?.querySelector('.category-header span')?.textContent || '';
+    }
+
+    function setFocusedItem(itemEl) {
+      if (focusedItem) focusedItem.classList.remove('kb-focus');
+      focusedItem = itemEl;
+      if (!itemEl) return;
+      itemEl.classList.add('kb-focus');
+      itemEl.scrollIntoView({ block: 'nearest' });
+    }
+
+    function moveFocus(step) {
+      const items = triageItems();
+      if (items.length === 0) return;
+      const index = items.indexOf(focusedItem);
+      const next = index === -1
+        ? (step > 0 ? 0 : items.length - 1)
+        : Math.min(Math.max(index + step, 0), items.length - 1);
+      setFocusedItem(items[next]);
+    }
+
+    // After the focused tab is resolved, move on to the next pending one
+    function focusNextPending() {
+      const items = triageItems();
+      const index = items.indexOf(focusedItem);
+      const next = items.slice(index + 1).find(el => !isResolved(el)) || items.find(el => !isResolved(el));
+      if (next) {
+        setFocusedItem(next);
+      } else if (document.body.classList.contains('focus-mode')) {
+        toggleFocusMode();
+      }
+    }
+
+    function triageAction(action) {
+      if (selectedItems.size > 0) {
+        if (action === 'trash') confirmBatchTrash();
+        else batchAction(action);
+        return;
+      }
+      if (!focusedItem || isResolved(focusedItem)) return;
+
+      // Protected categories have Defer in place of Trash
+      if (action === 'trash' && focusedItem.querySelector('.action-btn.defer')) action = 'defer';
+      recordDisposition(focusedItemId(), action);
+    }
+
+    function promoteFocused() {
+      if (focusedItem && !isResolved(focusedItem)) showPromoteModal(focusedItemId());
+    }
+
+    function toggleFocusedSelection() {
+      if (!focusedItem || isResolved(focusedItem)) return;
+      const checkbox = focusedItem.querySelector('.item-checkbox');
+      checkbox.checked = !checkbox.checked;
+      toggleItemSelection(focusedItemId(), checkbox);
+    }
+
+    // Undo the focused tab's action, otherwise the most recent one
+    function undoLast() {
+      const itemId = lastActions.has(focusedItemId()) ? focusedItemId() : Array.from(lastActions.keys()).pop();
+      if (!itemId) {
+        showToast('Nothing to undo', 'error');
+        return;
+      }
+      undoDisposition(itemId, lastActions.get(itemId));
+    }
+
+    function openFocused() {
+      const link = focusedItem?.querySelector('.item-title a');
+      if (link) window.open(link.href, '_blank');
+    }
+
+    function toggleFocusMode() {
+      const entering = !document.body.classList.contains('focus-mode');
+      if (entering && !focusedItem) {
+        const items = triageItems();
+        setFocusedItem(items.find(el => !isResolved(el)) || items[0] || null);
+        if (!focusedItem) return;
+      }
+      document.body.classList.toggle('focus-mode', entering);
+      if (focusedItem) focusedItem.scrollIntoView({ block: 'nearest' });
+    }
+
+    function showCategoryPicker() {
+      const batch = selectedItems.size > 0;
+      if (!batch && (!focusedItem || isResolved(focusedItem))) return;
+
+      const from = batch ? null : currentCategory(focusedItem);
+      pickerCategories = ALL_CATEGORIES.filter(cat => cat !== from);
+      document.getElementById('category-picker-subtitle').textContent = batch
+        ? selectedItems.size + ' selected tabs'
+        : (focusedItem.querySelector('.item-title a')?.textContent || focusedItemId());
+
+      const list = document.getElementById('category-picker-list');
+      list.innerHTML = '';
+      pickerCategories.forEach((category, i) => {
+        const button = document.createElement('button');
+        button.textContent = (i < 9 ? (i + 1) + '. ' : '') + category;
+        button.onclick = () => pickCategory(i);
+        list.appendChild(button);
+      });
+      document.getElementById('category-picker-modal').classList.add('visible');
+    }
+
+    function closeCategoryPicker() {
+      document.getElementById('category-picker-modal').classList.remove('visible');
+    }
+
+    function pickCategory(index) {
+      const category = pickerCategories[index];
+      if (!category) return;
+      closeCategoryPicker();
+
+      if (selectedItems.size > 0) {
+        batchMove(category);
+      } else if (focusedItem) {
+        moveToCategory(focusedItemId(), category, currentCategory(focusedItem));
+      }
+    }
+
+    function showShortcutHelp() {
+      document.getElementById('shortcut-modal').classList.add('visible');
+    }
+
+    function closeShortcutHelp() {
+      document.getElementById('shortcut-modal').classList.remove('visible');
+    }
+
+    const MODAL_CLOSERS = {
+      'confirm-modal': closeModal,
+      'promote-modal': closePromoteModal,
+      'effort-modal': closeEffortModal,
+      'category-picker-modal': closeCategoryPicker,
+      'shortcut-modal': closeShortcutHelp
+    };
+
+    const TRIAGE_KEYS = {
+      j: () => moveFocus(1),
+      k: () => moveFocus(-1),
+      d: () => triageAction('complete'),
+      t: () => triageAction('trash'),
+      l: () => triageAction('later'),
+      p: promoteFocused,
+      m: showCategoryPicker,
+      x: toggleFocusedSelection,
+      u: undoLast,
+      f: toggleFocusMode,
+      Enter: toggleFocusMode,
+      o: openFocused,
+      '?': showShortcutHelp
+    };
+
+    document.addEventListener('keydown', function(e) {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const openModal = document.querySelector('.modal-overlay.visible');
+
+      if (e.key === 'Escape') {
+        if (openModal) MODAL_CLOSERS[openModal.id]?.();
+        else if (document.body.classList.contains('focus-mode')) toggleFocusMode();
+        else if (selectedItems.size > 0) clearSelection();
+        return;
+      }
+
+      if (openModal) {
+        if (openModal.id === 'category-picker-modal' && /^[1-9]$/.test(e.key)) pickCategory(Number(e.key) - 1);
+        return;
+      }
+
+      // Leave typing and native button/link activation alone
+      if (e.target.matches('input:not([type="checkbox"]), select, textarea, [contenteditable]')) return;
+      if (e.key === 'Enter' && e.target.closest('button, a')) return;
+
+      const handler = TRIAGE_KEYS[e.key];
+      if (!handler) return;
+      e.preventDefault();
+      handler();
+    });
+
     // Pause to Dashboard with confirmation
     function pauseToDashboard() {
       if (unresolvedCount > 0) {
@@ -1800,8 +2320,9 @@ function renderLaunchpadPage(sessionId, sessionState, lockStatus = {}, reviewMod
  * @param {string} category - The category name
  * @param {Array} items - Items in this category
  * @param {Array} allCategories - All available categories (for move dropdown)
+ * @param {Map} deepDives - Deep dive analysis by URL (for focus mode)
  */
-function renderCategorySection(category, items, allCategories = []) {
+function renderCategorySection(category, items, allCategories = [], deepDives = new Map()) {
   const pendingCount = items.filter(i => i.state.status === 'pending').length;
 
   // Determine special category classes
@@ -1824,6 +2345,7 @@ function renderCategorySection(category, items, allCategories = []) {
           <a href="${escapeHtml(item.url)}" target="_blank">${escapeHtml(item.title || item.url)}</a>
         </div>
         <div class="item-url">${escapeHtml(item.url)}</div>
+        ${renderItemDetail(item, deepDives.get(item.url))}
       </div>
       <div class="item-actions">
         <select class="move-select" onchange="moveToCategory('${escapeJs(item.itemId)}', this.value, '${escapeJs(category)}')">
@@ -1833,7 +2355,7 @@ function renderCategorySection(category, items, allCategories = []) {
         ${isProtected ? `<button class="action-btn defer" onclick="recordDisposition('${escapeJs(item.itemId)}', 'defer')">Defer</button>` : `<button class="action-btn trash" onclick="recordDisposition('${escapeJs(item.itemId)}', 'trash')">Trash</button>`}
         <button class="action-btn later" onclick="recordDisposition('${escapeJs(item.itemId)}', 'later')">Later</button>
         <button class="action-btn complete" onclick="recordDisposition('${escapeJs(item.itemId)}', 'complete')">Done</button>
-        <button class="action-btn promote" onclick="recordDisposition('${escapeJs(item.itemId)}', 'promote', {target: 'basic-memory://notes/promoted'})">${isSynthesis ? 'Synthesize' : 'Promote'}</button>
+        <button class="action-btn promote" onclick="showPromoteModal('${escapeJs(item.itemId)}')">${isSynthesis ? 'Synthesize' : 'Promote'}</button>
       </div>
     </div>
   `).join('\n');
@@ -1849,6 +2371,28 @@ function renderCategorySection(category, items, allCategories = []) {
   `;
 }
 
+/**
+ * Render the captured preview and deep dive summary for an item.
+ * Hidden until the item is opened in keyboard focus mode.
+ * @param {Object} item - Group item
+ * @param {Object} [analysis] - Deep dive analysis { summary, keyPoints }
+ */
+function renderItemDetail(item, analysis) {
+  const preview = (item.contentPreview || '').trim();
+  const keyPoints = analysis?.keyPoints || [];
+
+  return `
+        <div class="item-detail">
+          ${analysis?.summary ? `
+          <div class="item-detail-label">Deep dive</div>
+          <p>${escapeHtml(analysis.summary)}</p>
+          ${keyPoints.length > 0 ? `<ul>${keyPoints.map(point => `<li>${escapeHtml(point)}</li>`).join('')}</ul>` : ''}
+          ` : ''}
+          <div class="item-detail-label">Captured content</div>
+          ${preview ? `<p class="item-preview">${escapeHtml(preview)}</p>` : '<p class="item-preview empty">No content was captured for this tab.</p>'}
+        </div>`;
+}
+
 /**
  * Format a timestamp for display
  */
@@ -1900,7 +2444,8 @@ function renderEffortsSection(efforts) {
     const isDeferred = effort.status === 'deferred';
     const statusClass = isCompleted ? 'effort-completed' : (isDeferred ? 'effort-completed' : '');
     const statusLabel = isCompleted ? '<span style="color: #10b981">Completed</span>' :
-                        isDeferred ? '<span style="color: #fcd34d">Deferred</span>' :
+                        isDeferred ? `<span style="color: #fcd34d">Deferred</span>
+                         <button class="effort-btn reopen" onclick="reopenEffort('${escapeJs(effort.id)}')">Reopen</button>` :
                         `<button class="effort-btn done" onclick="completeEffort('${escapeJs(effort.id)}')">Mark Done</button>
                          <button class="effort-btn defer" onclick="deferEffort('${escapeJs(effort.id)}')">Defer</button>`;
 
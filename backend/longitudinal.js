@@ -20,21 +20,27 @@ const aggregator = require('./aggregator');
  * Find tabs that appear in 2+ sessions but never get completed.
  * Dimensions: Topic × Time × Disposition
  *
+ * Captures carry a content hash, so each reappearance is either a revisit
+ * (same content as the last hashed capture) or a content change (the page
+ * itself changed: a live doc, an updated issue). Captures without a hash
+ * (older sessions, imports) count as neither.
+ *
  * @param {Object} options
  * @param {number} options.minOccurrences - Minimum appearances (default: 2)
  * @param {string} options.timeRange - ISO date range 'start/end' or 'all' (default: 'all')
+ * @param {boolean} options.excludeImported - Ignore bulk-imported history sessions (default: false)
  * @returns {Promise<Array>} Recurring unfinished tabs
  */
 async function getRecurringUnfinished(options = {}) {
-  const { minOccurrences = 2, timeRange = 'all' } = options;
+  const { minOccurrences = 2, timeRange = 'all', excludeImported = false } = options;
 
   // Get sessions (filtered by time range if specified)
   let sessions;
   if (timeRange === 'all') {
-    sessions = await aggregator.getAllSessions();
+    sessions = await aggregator.getAllSessions({ excludeImported });
   } else {
     const [start, end] = timeRange.split('/');
-    sessions = await aggregator.getSessionsInRange(start, end);
+    sessions = await aggregator.getSessionsInRange(start, end, { excludeImported });
   }
 
   // Group by URL
@@ -58,7 +64,8 @@ async function getRecurringUnfinished(options = {}) {
     entry.occurrences.push({
       sessionId: tab.sessionId,
       timestamp: tab.sessionTimestamp,
-      category: tab.category
+      category: tab.category,
+      contentHash: tab.contentHash
     });
 
     if (tab.disposition) {
@@ -87,6 +94,18 @@ async function getRecurringUnfinished(options = {}) {
       gaps.push(Math.round((curr - prev) / (1000 * 60 * 60 * 24))); // days
     }
 
+    let lastHash = null;
+    let revisits = 0;
+    let contentChanges = 0;
+    for (const { contentHash } of data.occurrences) {
+      if (!contentHash) continue;
+      if (lastHash) {
+        if (contentHash === lastHash) revisits++;
+        else contentChanges++;
+      }
+      lastHash = contentHash;
+    }
+
     const avgGap = gaps.length > 0
       ? Math.round(gaps.reduce((a, b) => a + b, 0) / gaps.length)
       : null;
@@ -105,6 +124,11 @@ async function getRecurringUnfinished(options = {}) {
       gapPattern: {
         avgDaysBetween: avgGap,
         gaps: gaps
+      },
+      content: {
+        revisits,
+        changes: contentChanges,
+        lastHash
       }
     });
   }
@@ -121,13 +145,13 @@ async function getRecurringUnfinished(options = {}) {
  *
  * @param {Object} options
  * @param {boolean} options.includeAbandoned - Include projects >30 days inactive (default: true)
+ * @param {boolean} options.excludeImported - Ignore bulk-imported history sessions (default: false)
  * @returns {Promise<Array>} Project health reports
  */
 async function getProjectHealth(options = {}) {
-  const { includeAbandoned = true } = options;
+  const { includeAbandoned = true, excludeImported = false } = options;
 
-  const projectMap = await aggregator.groupByProject();
-  const sessions = await aggregator.getAllSessions();
+  const projectMap = await aggregator.groupByProject({ excludeImported });
 
   const now = new Date();
   const reports = [];
@@ -187,10 +211,11 @@ async function getProjectHealth(options = {}) {
  * @param {Object} options
  * @param {string} options.timeRange - ISO date range 'start/end' or 'all' (default: 'all')
  * @param {string} options.modeFilter - Filter to specific mode (default: null = all)
+ * @param {boolean} options.excludeImported - Ignore bulk-imported history sessions (default: false)
  * @returns {Promise<Object>} Distraction profile
  */
 async function getDistractionSignature(options = {}) {
-  const { timeRange = 'all', modeFilter = null } = options;
+  const { timeRange = 'all', modeFilter = null, excludeImported = false } = options;
 
   // Distraction categories
   const distractionCategories = new Set([
@@ -212,10 +237,10 @@ async function getDistractionSignature(options = {}) {
   // Get sessions
   let sessions;
   if (timeRange === 'all') {
-    sessions = await aggregator.getAllSessions();
+    sessions = await aggregator.getAllSessions({ excludeImported });
   } else {
     const [start, end] = timeRange.split('/');
-    sessions = await aggregator.getSessionsInRange(start, end);
+    sessions = await aggregator.getSessionsInRange(start, end, { excludeImported });
   }
 
   // Filter by mode if specified
@@ -0,0 +1,213 @@
+/**
+ * Markdown Note Builder
+ *
+ * Shared building blocks for every markdown document Memento produces:
+ * attention-sync summaries, theme notes (themeSaver) and session exports
+ * (sessionExport). Notes follow Basic Memory conventions: YAML frontmatter,
+ * `- [label] value` observations and [[Wiki Links]] for relations.
+ *
+ * markdownToHtml() renders the subset these helpers emit, so HTML exports
+ * are derived from the same markdown instead of a separate template.
+ */
+
+const { escapeHtml } = require('./renderers/layout');
+
+/**
+ * Quote a YAML scalar unless it is a plain token (keeps dates as strings)
+ */
+function yamlScalar(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const text = String(value);
+  return /^[a-z][a-z0-9_./-]*$/i.test(text) ? text : JSON.stringify(text);
+}
+
+/**
+ * Render a YAML frontmatter block
+ * Arrays become block lists; null/undefined fields are omitted.
+ * @param {Object} fields - Ordered key/value pairs
+ * @returns {string}
+ */
+function frontmatter(fields) {
+  const lines = ['---'];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null || value === undefined) continue;
+    if (Array.isArray(value)) {
+      lines.push(`${key}:`);
+      value.forEach(item => lines.push(`- ${yamlScalar(item)}`));
+    } else {
+      lines.push(`${key}: ${yamlScalar(value)}`);
+    }
+  }
+  lines.push('---');
+  return lines.join('\n');
+}
+
+/**
+ * Basic Memory observation line: "- [Label] value"
+ */
+function observation(label, value) {
+  return `- [${label}] ${value}`;
+}
+
+function escapeTableCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Render a markdown table
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array>} rows - Cell values (pipes and newlines are escaped)
+ * @returns {string}
+ */
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(h => '-'.repeat(h.length + 2)).join('|')}|`,
+    ...rows.map(row => `| ${row.map(escapeTableCell).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Markdown link with brackets in the text escaped
+ */
+function mdLink(text, url) {
+  const label = String(text || url).replace(/([[\]])/g, '\\$1');
+  return `[${label}](${String(url).replace(/ /g, '%20').replace(/\)/g, '%29')})`;
+}
+
+/**
+ * Obsidian/Basic Memory wiki-link; strips characters not allowed in note names
+ */
+function wikiLink(name) {
+  return `[[${String(name).replace(/[[\]|#^]/g, '').trim()}]]`;
+}
+
+function slugify(text) {
+  return String(text).toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-');
+}
+
+function truncate(str, len) {
+  if (!str) return '';
+  return str.length > len ? str.substring(0, len - 3) + '...' : str;
+}
+
+// === HTML rendering ===
+
+/**
+ * Inline markdown: wiki-links, links, bold, italics, code
+ * Input is raw markdown; output is escaped HTML.
+ */
+function renderInline(text) {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\[\[([^\]]+)\]\]/g, '<span class="wikilink">$1</span>')
+    .replace(/\[((?:\\.|[^\]\\])*)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      const safe = /^(https?:|\/|#)/i.test(url) ? url : '#';
+      return `<a href="${safe}">${label}</a>`;
+    })
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/\\([\\[\]|*_`])/g, '$1');
+}
+
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim());
+}
+
+/**
+ * Render markdown produced by this module's helpers to HTML
+ * Supports frontmatter (dropped), headings, paragraphs, lists, blockquotes,
+ * tables, rules and fenced code (```mermaid becomes <pre class="mermaid">).
+ * @param {string} markdown
+ * @returns {string} HTML fragment
+ */
+function markdownToHtml(markdown) {
+  const lines = markdown.replace(/^---\n[\s\S]*?\n---\n/, '').split('\n');
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.startsWith('```')) {
+      const lang = line.slice(3).trim();
+      const code = [];
+      for (i++; i < lines.length && !lines[i].startsWith('```'); i++) code.push(lines[i]);
+      i++;
+      html.push(lang === 'mermaid'
+        ? `<pre class="mermaid">${escapeHtml(code.join('\n'))}</pre>`
+        : `<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^---+\s*$/.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (line.startsWith('|')) {
+      const rows = [];
+      for (; i < lines.length && lines[i].startsWith('|'); i++) rows.push(lines[i]);
+      const [head, , ...body] = rows;
+      html.push(`<table><thead><tr>${splitTableRow(head).map(c => `<th>${renderInline(c)}</th>`).join('')}</tr></thead>` +
+        `<tbody>${body.map(r => `<tr>${splitTableRow(r).map(c => `<td>${renderInline(c)}</td>`).join('')}</tr>`).join('')}</tbody></table>`);
+      continue;
+    }
+
+    if (/^\s*([-*]|\d+\.)\s/.test(line)) {
+      const ordered = /^\s*\d+\./.test(line);
+      const items = [];
+      for (; i < lines.length && /^\s*([-*]|\d+\.)\s/.test(lines[i]); i++) {
+        items.push(`<li>${renderInline(lines[i].replace(/^\s*([-*]|\d+\.)\s+/, ''))}</li>`);
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      html.push(`<${tag}>${items.join('')}</${tag}>`);
+      continue;
+    }
+
+    if (line.startsWith('>')) {
+      const quote = [];
+      for (; i < lines.length && lines[i].startsWith('>'); i++) quote.push(lines[i].replace(/^>\s?/, ''));
+      html.push(`<blockquote>${renderInline(quote.join(' '))}</blockquote>`);
+      continue;
+    }
+
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    const paragraph = [line];
+    for (i++; i < lines.length && lines[i].trim() !== '' && !/^(#|```|\||>|---|\s*([-*]|\d+\.)\s)/.test(lines[i]); i++) {
+      paragraph.push(lines[i]);
+    }
+    html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+module.exports = {
+  frontmatter,
+  observation,
+  table,
+  mdLink,
+  wikiLink,
+  slugify,
+  truncate,
+  markdownToHtml
+};
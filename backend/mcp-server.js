@@ -18,13 +18,17 @@ const { StdioServerTransport } = require(path.join(sdkPath, 'stdio.js'));
 const { z } = require('zod');
 
 const { listSessions, readSession, getLatestSession, searchSessions } = require('./memory');
+const { queryError } = require('./sessionSearch');
 const { loadContext, saveContext } = require('./contextLoader');
 const { reclassifySession } = require('./mcp/reclassify');
 const { getLockStatus, clearLock } = require('./lockManager');
 const { getRecurringUnfinished, getProjectHealth, getDistractionSignature } = require('./longitudinal');
 const aggregator = require('./aggregator');
+const { compareSessions } = require('./sessionCompare');
+const { importHistory, IMPORT_FORMATS } = require('./historyImport');
 const attentionSync = require('./attention-sync');
 const correctionAnalyzer = require('./correctionAnalyzer');
+const effortRegistry = require('./effortRegistry');
 
 // Create the MCP server
 const server = new McpServer({
@@ -75,6 +79,33 @@ server.tool(
   }
 );
 
+server.tool(
+  'compare_sessions',
+  'Diff two sessions: tabs added, closed and persisted, category moves and disposition changes for the same URL, and the shift in Pass 4 intake/output percentages',
+  {
+    a: z.string().describe('Earlier session ID'),
+    b: z.string().describe('Later session ID')
+  },
+  async ({ a, b }) => {
+    const comparison = await compareSessions(a, b);
+    if (!comparison) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Session not found: ${a} or ${b}`
+        }],
+        isError: true
+      };
+    }
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(comparison, null, 2)
+      }]
+    };
+  }
+);
+
 server.tool(
   'get_latest',
   'Get the most recent browsing session',
@@ -100,19 +131,35 @@ server.tool(
 
 server.tool(
   'search_sessions',
-  'Search sessions for matching keywords. Returns sessions containing the query string.',
+  'Full-text search across sessions (tab titles, URLs, content, narratives, deep dives, Pass 4 themes). Results are ranked by relevance with highlighted snippets. Supports "quoted phrases" and filters: domain:arxiv.org category:Research before:2026-03-01 after:2026-02-01 disposition:pending pattern:research-heavy',
   {
-    query: z.string().describe('Search query to match against session content')
+    query: z.string().describe('Search query, e.g. \'"attention mechanism" domain:arxiv.org disposition:pending\''),
+    limit: z.number().default(20).describe('Maximum sessions to return (default: 20)')
   },
-  async ({ query }) => {
-    const results = await searchSessions(query);
+  async ({ query, limit }) => {
+    const invalid = queryError(query);
+    if (invalid) {
+      return {
+        content: [{
+          type: 'text',
+          text: invalid
+        }],
+        isError: true
+      };
+    }
+    const results = await searchSessions(query, { limit });
     return {
       content: [{
         type: 'text',
         text: JSON.stringify({
           query,
           matchCount: results.length,
-          results
+          // Plain-text snippets only (HTML highlights are for the web UI)
+          results: results.map(r => ({
+            ...r,
+            snippetHtml: undefined,
+            matches: r.matches.map(m => ({ ...m, snippetHtml: undefined }))
+          }))
         }, null, 2)
       }]
     };
@@ -143,8 +190,9 @@ server.tool(
     projects: z.array(z.object({
       name: z.string().describe('Project name'),
       keywords: z.array(z.string()).optional().describe('Keywords for matching'),
-      categoryType: z.string().optional().describe('Category type (e.g., Project, Development, Creative Writing)')
-    })).describe('Array of project objects')
+      categoryType: z.string().optional().describe('Category type (e.g., Project, Development, Creative Writing)'),
+      writingTarget: z.string().optional().describe('Start Writing target: https URL, obsidian://new?vault=X, obsidian:<folder>, vscode:<dir>, basic-memory:<folder> or markdown:<folder>; kept if omitted')
+    })).describe('Array of project objects. Archived projects are kept.')
   },
   async ({ projects }) => {
     try {
@@ -180,9 +228,21 @@ server.tool(
     session_id: z.string().describe('Session ID to reclassify'),
     scope: z.enum(['pass4', 'full']).default('pass4').describe('pass4 = thematic analysis only (default), full = all 4 passes')
   },
-  async ({ session_id, scope }) => {
+  async ({ session_id, scope }, extra) => {
     try {
-      const result = await reclassifySession(session_id, scope);
+      // Forward pipeline progress as MCP progress notifications when the client asked for them
+      const progressToken = extra?._meta?.progressToken;
+      let step = 0;
+      const onProgress = progressToken === undefined ? null : (event) => {
+        step++;
+        const label = event.pass === undefined ? event.status : `Pass ${event.pass} ${event.status}`;
+        extra.sendNotification({
+          method: 'notifications/progress',
+          params: { progressToken, progress: step, message: `${label}${event.durationMs ? ` (${event.durationMs}ms)` : ''}` }
+        }).catch(() => {});
+      };
+
+      const result = await reclassifySession(session_id, scope, undefined, onProgress);
       return {
         content: [{
           type: 'text',
@@ -263,16 +323,17 @@ server.tool(
   'Find tabs that appear in 2+ sessions but never get completed. Reveals persistent unfinished work.',
   {
     minOccurrences: z.number().default(2).describe('Minimum number of appearances (default: 2)'),
-    timeRange: z.string().default('all').describe('ISO date range "start/end" or "all" (default: all)')
+    timeRange: z.string().default('all').describe('ISO date range "start/end" or "all" (default: all)'),
+    excludeImported: z.boolean().default(false).describe('Ignore sessions created by bulk history import (default: false)')
   },
-  async ({ minOccurrences, timeRange }) => {
-    const results = await getRecurringUnfinished({ minOccurrences, timeRange });
+  async ({ minOccurrences, timeRange, excludeImported }) => {
+    const results = await getRecurringUnfinished({ minOccurrences, timeRange, excludeImported });
     return {
       content: [{
         type: 'text',
         text: JSON.stringify({
           query: 'recurring_unfinished',
-          params: { minOccurrences, timeRange },
+          params: { minOccurrences, timeRange, excludeImported },
           count: results.length,
           results: results.slice(0, 20) // Limit to top 20
         }, null, 2)
@@ -285,16 +346,17 @@ server.tool(
   'longitudinal_project_health',
   'Get health status of all tracked projects. Shows active, cooling, neglected, and abandoned projects.',
   {
-    includeAbandoned: z.boolean().default(true).describe('Include projects >30 days inactive (default: true)')
+    includeAbandoned: z.boolean().default(true).describe('Include projects >30 days inactive (default: true)'),
+    excludeImported: z.boolean().default(false).describe('Ignore sessions created by bulk history import (default: false)')
   },
-  async ({ includeAbandoned }) => {
-    const results = await getProjectHealth({ includeAbandoned });
+  async ({ includeAbandoned, excludeImported }) => {
+    const results = await getProjectHealth({ includeAbandoned, excludeImported });
     return {
       content: [{
         type: 'text',
         text: JSON.stringify({
           query: 'project_health',
-          params: { includeAbandoned },
+          params: { includeAbandoned, excludeImported },
           count: results.length,
           results
         }, null, 2)
@@ -308,16 +370,17 @@ server.tool(
   'Identify distraction patterns: top distraction domains, time-of-day vulnerability, mode correlation.',
   {
     timeRange: z.string().default('all').describe('ISO date range "start/end" or "all" (default: all)'),
-    modeFilter: z.string().optional().describe('Filter to specific mode (research-heavy, output-focused, etc.)')
+    modeFilter: z.string().optional().describe('Filter to specific mode (research-heavy, output-focused, etc.)'),
+    excludeImported: z.boolean().default(false).describe('Ignore sessions created by bulk history import (default: false)')
   },
-  async ({ timeRange, modeFilter }) => {
-    const results = await getDistractionSignature({ timeRange, modeFilter });
+  async ({ timeRange, modeFilter, excludeImported }) => {
+    const results = await getDistractionSignature({ timeRange, modeFilter, excludeImported });
     return {
       content: [{
         type: 'text',
         text: JSON.stringify({
           query: 'distraction_signature',
-          params: { timeRange, modeFilter },
+          params: { timeRange, modeFilter, excludeImported },
           results
         }, null, 2)
       }]
@@ -325,6 +388,30 @@ server.tool(
   }
 );
 
+server.tool(
+  'import_history',
+  'Import a browser history or bookmark export (Chrome History SQLite copy, Netscape bookmark HTML, OneTab or Session Buddy export) as synthetic sessions marked meta.source "import", so longitudinal queries see pre-Memento history. Use dryRun first to preview.',
+  {
+    path: z.string().describe('Absolute path to the export file'),
+    format: z.enum(IMPORT_FORMATS).optional().describe('Export format (auto-detected if omitted)'),
+    mock: z.boolean().default(false).describe('Use the keyword classifier instead of the LLM (fast, free)'),
+    windowHours: z.number().default(3).describe('Window size for history/bookmarks (default: 3)'),
+    since: z.string().optional().describe('Only import activity on/after this date'),
+    until: z.string().optional().describe('Only import activity on/before this date'),
+    dryRun: z.boolean().default(false).describe('List the sessions that would be created without classifying')
+  },
+  async ({ path: filePath, format, mock, windowHours, since, until, dryRun }) => {
+    const result = await importHistory(filePath, { format, mock, windowHours, since, until, dryRun });
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }],
+      isError: !result.success
+    };
+  }
+);
+
 server.tool(
   'sync_attention_to_memory',
   'Generate attention insights as markdown notes for basic-memory. Returns { title, folder, content, tags } that can be passed to basic-memory write_note.',
@@ -363,6 +450,68 @@ server.tool(
   }
 );
 
+// === EFFORT TOOLS ===
+// Cross-session efforts from ~/.memento/efforts.json
+// See: effortRegistry.js
+
+server.tool(
+  'list_efforts',
+  'List efforts (named groups of tabs the user is working through) across all sessions, with age in days, item completion and the history of captures each was seen in.',
+  {
+    status: z.enum(['open', ...effortRegistry.EFFORT_STATUSES]).optional().describe('Filter: open (pending + deferred), pending, deferred or completed. Default: all')
+  },
+  async ({ status }) => {
+    const efforts = await effortRegistry.listEfforts({ status });
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          query: 'list_efforts',
+          params: { status: status || 'all' },
+          count: efforts.length,
+          efforts
+        }, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'complete_effort',
+  'Mark an effort and all of its items as completed.',
+  {
+    effortId: z.string().describe('Effort ID from list_efforts')
+  },
+  async ({ effortId }) => {
+    const result = await effortRegistry.completeEffort(effortId);
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }],
+      isError: !result.success
+    };
+  }
+);
+
+server.tool(
+  'defer_effort',
+  'Defer an effort. It is resumed automatically when its tabs show up in a later capture.',
+  {
+    effortId: z.string().describe('Effort ID from list_efforts')
+  },
+  async ({ effortId }) => {
+    const result = await effortRegistry.deferEffort(effortId);
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }],
+      isError: !result.success
+    };
+  }
+);
+
 // === CORRECTION ANALYSIS TOOLS ===
 // Learn from user corrections to improve classification
 // See: correctionAnalyzer.js
@@ -411,12 +560,22 @@ server.tool(
   {
     domain: z.string().describe('Domain name (e.g., arxiv.org)'),
     selectors: z.array(z.string()).optional().describe('CSS selectors for content extraction'),
+    fields: z.record(z.string(), z.union([
+      z.string(),
+      z.object({
+        selector: z.string(),
+        attribute: z.string().optional(),
+        multiple: z.boolean().optional(),
+        maxLength: z.number().int().positive().optional()
+      })
+    ])).optional().describe('Structured fields by name (e.g. abstract, authors), each a CSS selector or { selector, attribute?, multiple?, maxLength? }'),
     expectedCategory: z.string().optional().describe('Expected category for this domain (if consistent)'),
     notes: z.string().optional().describe('Notes about extraction strategy')
   },
-  async ({ domain, selectors, expectedCategory, notes }) => {
+  async ({ domain, selectors, fields, expectedCategory, notes }) => {
     const result = await correctionAnalyzer.addExtractor(domain, {
       selectors,
+      fields,
       expectedCategory,
       notes
     });
@@ -425,7 +584,7 @@ server.tool(
         type: 'text',
         text: JSON.stringify({
           success: true,
-          message: `Added extractor for ${domain}`,
+          message: `Added extractor for ${domain} (version ${result.domains[domain].version})`,
           extractors: result
         }, null, 2)
       }]
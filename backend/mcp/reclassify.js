@@ -43,7 +43,13 @@ function reconstructTabsFromSession(session) {
       tabs[tab.tabIndex - 1] = {
         title: tab.title,
         url: tab.url,
-        content: ''  // Content not preserved in session storage
+        content: '',  // Content not preserved in session storage
+        ...(tab.browser && { browser: tab.browser }),
+        ...(tab.pdf && { pdf: tab.pdf }),
+        ...(tab.fields && { fields: tab.fields }),
+        ...(tab.extractor && { extractor: tab.extractor }),
+        ...(tab.contentHash && { contentHash: tab.contentHash }),
+        ...(tab.contentInfo && { contentInfo: tab.contentInfo })
       };
     }
   }
@@ -67,9 +73,10 @@ function generateArtifactFilename(sessionId) {
  * @param {string} sessionId - Original session ID
  * @param {string} scope - 'pass4' (default) or 'full'
  * @param {string} engine - LLM engine to use
+ * @param {Function|null} onProgress - Optional listener for per-pass progress events (full scope)
  * @returns {Object} Re-classification result with artifact ID
  */
-async function reclassifySession(sessionId, scope = 'pass4', engine = DEFAULT_ENGINE) {
+async function reclassifySession(sessionId, scope = 'pass4', engine = DEFAULT_ENGINE, onProgress = null) {
   // 1. Load original session (immutable - never modified)
   const originalSession = await readSession(sessionId);
   if (!originalSession) {
@@ -100,6 +107,7 @@ async function reclassifySession(sessionId, scope = 'pass4', engine = DEFAULT_EN
   if (scope === 'pass4') {
     // Pass 4 only - thematic analysis
     // Uses original session result as base, runs Pass 4 with new context
+    onProgress?.({ pass: 4, status: 'started', mode: 'projects' });
     newAnalysis = await analyzeThematicRelationships(
       originalSession,  // Use original classification as base
       tabs,
@@ -111,11 +119,12 @@ async function reclassifySession(sessionId, scope = 'pass4', engine = DEFAULT_EN
     if (!newAnalysis) {
       throw new Error('Thematic analysis returned null - context may be invalid');
     }
+    onProgress?.({ pass: 4, status: 'complete', durationMs: Date.now() - startTime, usage: newAnalysis.usage || null });
   } else if (scope === 'full') {
     // Full re-classification - all 4 passes
     // Note: Content is not available for re-classification, only URL/title
     console.error('[Reclassify] Running full 4-pass reclassification (note: content not available)');
-    newAnalysis = await classifyWithLLM(tabs, engine, context, false);
+    newAnalysis = await classifyWithLLM(tabs, engine, context, false, onProgress);
   } else {
     throw new Error(`Invalid scope: ${scope}. Must be 'pass4' or 'full'.`);
   }
@@ -201,5 +210,6 @@ module.exports = {
   reclassifySession,
   listReclassifications,
   readReclassification,
+  reconstructTabsFromSession,
   RECLASSIFICATIONS_DIR
 };
@@ -1,12 +1,20 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { resolveSessionPath } = require('./sessionPath');
+const sessionIndex = require('./sessionIndex');
+const sessionSearch = require('./sessionSearch');
 
 const MEMORY_DIR = path.join(__dirname, '..', 'memory', 'sessions');
 
-function getSessionFilename() {
-  const now = new Date();
-  return now.toISOString().replace(/:/g, '-').replace(/\.\d{3}Z$/, '') + '.json';
+/**
+ * Session ID for a point in time (second resolution, filesystem-safe)
+ */
+function sessionIdForDate(date = new Date()) {
+  return date.toISOString().replace(/:/g, '-').replace(/\.\d{3}Z$/, '');
+}
+
+function getSessionFilename(date = new Date()) {
+  return sessionIdForDate(date) + '.json';
 }
 
 async function ensureDir() {
@@ -19,12 +27,15 @@ async function ensureDir() {
  * See: docs/SESSION-ARTIFACT-INVARIANTS.md
  *
  * @param {Object} data - Session data from classifier
+ * @param {Object} [options]
+ * @param {string|Date} [options.at] - Time the session ID is derived from (default: now).
+ *   historyImport uses the start of the imported window.
  * @returns {Promise<string|null>} Session ID (filename without .json) or null on error
  */
-async function saveSession(data) {
+async function saveSession(data, options = {}) {
   try {
     await ensureDir();
-    const filename = getSessionFilename();
+    const filename = getSessionFilename(options.at ? new Date(options.at) : new Date());
     const filepath = path.join(MEMORY_DIR, filename);
 
     // Ensure dispositions array exists (empty at creation, append-only thereafter)
@@ -36,6 +47,7 @@ async function saveSession(data) {
 
     await fs.writeFile(filepath, JSON.stringify(sessionData, null, 2));
     const sessionId = filename.replace('.json', '');
+    await sessionIndex.updateSession(sessionId, sessionData);
     console.error(`Session saved: ${filename}`);
     return sessionId;
   } catch (error) {
@@ -52,29 +64,14 @@ async function saveSession(data) {
 async function listSessions() {
   try {
     await ensureDir();
-    const files = await fs.readdir(MEMORY_DIR);
-    const sessions = [];
-
-    for (const file of files.filter(f => f.endsWith('.json'))) {
-      try {
-        const filepath = path.join(MEMORY_DIR, file);
-        const content = await fs.readFile(filepath, 'utf-8');
-        const session = JSON.parse(content);
-        sessions.push({
-          id: file.replace('.json', ''),
-          timestamp: session.timestamp,
-          tabCount: session.totalTabs || 0,
-          narrative: session.narrative || null,
-          sessionPattern: session.thematicAnalysis?.sessionPattern?.type || null
-        });
-      } catch (err) {
-        // Skip malformed session files
-        console.warn(`Skipping malformed session file: ${file}`);
-      }
-    }
-
-    // Sort by timestamp descending (most recent first)
-    return sessions.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+    const entries = await sessionIndex.getEntries();
+    return entries.map(entry => ({
+      id: entry.id,
+      timestamp: entry.timestamp,
+      tabCount: entry.totalTabs,
+      narrative: entry.narrative,
+      sessionPattern: entry.sessionPattern
+    }));
   } catch (error) {
     console.error('Failed to list sessions:', error.message);
     return [];
@@ -111,42 +108,25 @@ async function getLatestSession() {
 }
 
 /**
- * Search sessions for matching keywords
+ * Search sessions with ranked full-text search
+ * Supports phrases and field filters (domain:, category:, before:, after:,
+ * disposition:, pattern:). See sessionSearch.js for the query syntax.
+ *
  * @param {string} query - Search query
- * @returns {Promise<Array>} Sessions matching the query with match context
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Array>} Sessions ranked by relevance, with highlighted snippets
  */
-async function searchSessions(query) {
-  const sessions = await listSessions();
-  const queryLower = query.toLowerCase();
-  const results = [];
-
-  for (const summary of sessions) {
-    try {
-      const full = await readSession(summary.id);
-      if (!full) continue;
-
-      const searchable = JSON.stringify(full).toLowerCase();
-      if (searchable.includes(queryLower)) {
-        // Extract match context
-        const matchIndex = searchable.indexOf(queryLower);
-        const contextStart = Math.max(0, matchIndex - 50);
-        const contextEnd = Math.min(searchable.length, matchIndex + query.length + 50);
-        const matchContext = '...' + searchable.slice(contextStart, contextEnd) + '...';
-
-        results.push({
-          ...summary,
-          matchContext
-        });
-      }
-    } catch (err) {
-      // Skip sessions that fail to load
-    }
+async function searchSessions(query, options = {}) {
+  try {
+    return await sessionSearch.search(query, options);
+  } catch (error) {
+    console.error('Failed to search sessions:', error.message);
+    return [];
   }
-
-  return results;
 }
 
 module.exports = {
+  sessionIdForDate,
   saveSession,
   listSessions,
   readSession,
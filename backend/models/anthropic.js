@@ -5,6 +5,7 @@
 const CONFIG = {
   endpoint: 'https://api.anthropic.com/v1/messages',
   model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-20241022',
+  visionModel: process.env.ANTHROPIC_VISION_MODEL || null,  // Defaults to model
   apiKey: process.env.ANTHROPIC_API_KEY,
   timeout: 180000,  // 3 minutes for exhaustive classification
   maxRetries: 2,
@@ -15,11 +16,18 @@ function getConfig() {
   return {
     engine: 'anthropic',
     model: CONFIG.model,
-    endpoint: CONFIG.endpoint
+    visionModel: CONFIG.visionModel || CONFIG.model,
+    endpoint: CONFIG.endpoint,
+    structuredOutput: 'tool_use'
   };
 }
 
-async function run(prompt, attempt = 1) {
+/**
+ * Structured output: force a single tool call whose input_schema is the
+ * pass schema, then return the tool input as JSON text.
+ * options.images = [{ mediaType, data (base64) }] go before the prompt.
+ */
+async function run(prompt, options = {}, attempt = 1) {
   if (!CONFIG.apiKey) {
     throw new Error('ANTHROPIC_API_KEY not set in environment');
   }
@@ -28,6 +36,35 @@ async function run(prompt, attempt = 1) {
   const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
 
   try {
+    const images = options.images || [];
+    const body = {
+      model: images.length > 0 ? CONFIG.visionModel || CONFIG.model : CONFIG.model,
+      max_tokens: CONFIG.maxTokens,
+      messages: [
+        {
+          role: 'user',
+          content: images.length > 0
+            ? [
+                ...images.map(image => ({
+                  type: 'image',
+                  source: { type: 'base64', media_type: image.mediaType, data: image.data }
+                })),
+                { type: 'text', text: prompt }
+              ]
+            : prompt
+        }
+      ]
+    };
+
+    if (options.schema) {
+      body.tools = [{
+        name: options.schema.name,
+        description: options.schema.description,
+        input_schema: options.schema.jsonSchema
+      }];
+      body.tool_choice = { type: 'tool', name: options.schema.name };
+    }
+
     const response = await fetch(CONFIG.endpoint, {
       method: 'POST',
       headers: {
@@ -35,16 +72,7 @@ async function run(prompt, attempt = 1) {
         'x-api-key': CONFIG.apiKey,
         'anthropic-version': '2023-06-01'
       },
-      body: JSON.stringify({
-        model: CONFIG.model,
-        max_tokens: CONFIG.maxTokens,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      }),
+      body: JSON.stringify(body),
       signal: controller.signal
     });
 
@@ -57,6 +85,16 @@ async function run(prompt, attempt = 1) {
 
     const data = await response.json();
 
+    // Structured output arrives as the forced tool call's input
+    const toolUse = options.schema && data.content?.find(block => block.type === 'tool_use');
+    if (toolUse) {
+      return {
+        text: JSON.stringify(toolUse.input),
+        usage: data.usage || null,
+        model: data.model
+      };
+    }
+
     // Extract text from the response
     if (data.content && data.content.length > 0) {
       const text = data.content
@@ -78,7 +116,7 @@ async function run(prompt, attempt = 1) {
 
     if (attempt < CONFIG.maxRetries) {
       console.log(`Anthropic attempt ${attempt} failed: ${error.message}. Retrying...`);
-      return run(prompt, attempt + 1);
+      return run(prompt, options, attempt + 1);
     }
 
     throw error;
@@ -1,33 +1,59 @@
 /**
  * Model dispatch layer
- * API: runModel(engine, prompt) → string
- *      getEngineInfo(engine) → { engine, model, endpoint }
+ * API: runModel(engine, prompt, options) → { text, usage }
+ *      getEngineInfo(engine) → { engine, model, visionModel, endpoint, structuredOutput, billedTo? }
+ *
+ * options.schema = { name, description, jsonSchema } asks the driver to use
+ * the engine's native structured-output mode; the response text is then JSON.
+ * options.purpose tags the call in the usage ledger (pass1, task-chat, ...).
+ * options.images = [{ mediaType, data (base64) }] attaches images for
+ * vision-capable models (PDF pages in Pass 0).
  */
 
 const localOllama = require('./localOllama');
 const anthropic = require('./anthropic');
+const openai = require('./openai');
+const replay = require('./replay');
+const { recordUsage } = require('../usageLedger');
 
 const engines = {
   'ollama-local': localOllama,
   'anthropic': anthropic,
-  'openai': {
-    run: async () => { throw new Error('openai: not implemented'); },
-    getConfig: () => ({ engine: 'openai', model: null, endpoint: null })
-  }
+  'openai': openai,
+  'replay': replay  // Recorded responses (tests/golden)
 };
 
-async function runModel(engine, prompt) {
+/**
+ * Model a call goes to: calls with images use the engine's vision model
+ */
+function modelFor(config, options) {
+  return options.images?.length > 0 ? config.visionModel || config.model : config.model;
+}
+
+async function runModel(engine, prompt, options = {}) {
   const driver = engines[engine];
   if (!driver) {
     throw new Error(`Unknown engine: ${engine}`);
   }
-  const result = await driver.run(prompt);
+  const started = Date.now();
+  const result = await driver.run(prompt, options);
 
   // Normalize response: always return { text, usage }
-  if (typeof result === 'string') {
-    return { text: result, usage: null };
-  }
-  return { text: result.text, usage: result.usage || null };
+  const response = typeof result === 'string'
+    ? { text: result, usage: null }
+    : { text: result.text, usage: result.usage || null };
+
+  // Record-mode replay forwards to a real engine; log the call against it
+  const config = driver.getConfig ? driver.getConfig() : null;
+  const billed = config?.billedTo || config;
+  await recordUsage({
+    purpose: options.purpose,
+    engine: billed?.engine || engine,
+    model: billed ? modelFor(billed, options) : null,
+    usage: response.usage,
+    durationMs: Date.now() - started
+  });
+  return response;
 }
 
 function getEngineInfo(engine) {
@@ -5,6 +5,7 @@
 const CONFIG = {
   endpoint: process.env.OLLAMA_ENDPOINT || 'http://localhost:11434/api/generate',
   model: 'qwen3',  // Hardcoded for testing - TODO: restore env override after validation
+  visionModel: process.env.OLLAMA_VISION_MODEL || 'qwen2.5vl',  // qwen3 can't read images
   timeout: 180000,  // 3 minutes for exhaustive classification
   maxRetries: 2,
   num_predict: 8000  // More tokens for full tab listing
@@ -14,22 +15,34 @@ function getConfig() {
   return {
     engine: 'ollama-local',
     model: CONFIG.model,
-    endpoint: CONFIG.endpoint
+    visionModel: CONFIG.visionModel,
+    endpoint: CONFIG.endpoint,
+    structuredOutput: 'format'
   };
 }
 
-async function run(prompt, attempt = 1) {
+/**
+ * Structured output: Ollama constrains generation to the JSON Schema
+ * passed in `format`. options.images = [{ mediaType, data (base64) }]
+ * switch the call to the vision model.
+ */
+async function run(prompt, options = {}, attempt = 1) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
 
+  const images = options.images || [];
+  const model = images.length > 0 ? CONFIG.visionModel : CONFIG.model;
+
   try {
     const response = await fetch(CONFIG.endpoint, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        model: CONFIG.model,
+        model,
         prompt: prompt,
+        ...(images.length > 0 && { images: images.map(image => image.data) }),
         stream: false,
+        ...(options.schema && { format: options.schema.jsonSchema }),
         options: { temperature: 0.3, num_predict: CONFIG.num_predict }
       }),
       signal: controller.signal
@@ -42,13 +55,20 @@ async function run(prompt, attempt = 1) {
     }
 
     const data = await response.json();
-    return data.response;
+    // Token counts feed the usage ledger (local calls cost nothing)
+    return {
+      text: data.response,
+      usage: data.prompt_eval_count !== undefined || data.eval_count !== undefined
+        ? { input_tokens: data.prompt_eval_count || 0, output_tokens: data.eval_count || 0 }
+        : null,
+      model
+    };
   } catch (error) {
     clearTimeout(timeoutId);
 
     if (attempt < CONFIG.maxRetries) {
       console.log(`Ollama attempt ${attempt} failed: ${error.message}. Retrying...`);
-      return run(prompt, attempt + 1);
+      return run(prompt, options, attempt + 1);
     }
 
     throw error;
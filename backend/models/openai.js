@@ -0,0 +1,121 @@
+/**
+ * OpenAI-compatible model driver
+ * Works with any server exposing POST {baseUrl}/chat/completions:
+ * OpenAI, llama.cpp server, LM Studio, vLLM, etc.
+ */
+
+const CONFIG = {
+  baseUrl: (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+  model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  visionModel: process.env.OPENAI_VISION_MODEL || null,  // Defaults to model
+  apiKey: process.env.OPENAI_API_KEY,  // Optional: local servers usually don't need one
+  timeout: 180000,  // 3 minutes for exhaustive classification
+  maxRetries: 2,
+  maxTokens: 8000   // More tokens for full tab listing
+};
+
+function getConfig() {
+  return {
+    engine: 'openai',
+    model: CONFIG.model,
+    visionModel: CONFIG.visionModel || CONFIG.model,
+    endpoint: `${CONFIG.baseUrl}/chat/completions`,
+    structuredOutput: 'json_schema'
+  };
+}
+
+/**
+ * Structured output: response_format json_schema. strict is off because
+ * the pass schemas use optional fields, which strict mode rejects.
+ * options.images = [{ mediaType, data (base64) }] are sent as data URLs.
+ */
+async function run(prompt, options = {}, attempt = 1) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (CONFIG.apiKey) {
+    headers['Authorization'] = `Bearer ${CONFIG.apiKey}`;
+  }
+
+  try {
+    const images = options.images || [];
+    const model = images.length > 0 ? CONFIG.visionModel || CONFIG.model : CONFIG.model;
+    const body = {
+      model,
+      max_tokens: CONFIG.maxTokens,
+      temperature: 0.3,
+      messages: [
+        {
+          role: 'user',
+          content: images.length > 0
+            ? [
+                { type: 'text', text: prompt },
+                ...images.map(image => ({
+                  type: 'image_url',
+                  image_url: { url: `data:${image.mediaType};base64,${image.data}` }
+                }))
+              ]
+            : prompt
+        }
+      ]
+    };
+
+    if (options.schema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: options.schema.name,
+          schema: options.schema.jsonSchema,
+          strict: false
+        }
+      };
+    }
+
+    const response = await fetch(`${CONFIG.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(`OpenAI HTTP ${response.status}: ${errorBody}`);
+    }
+
+    const data = await response.json();
+    const text = data.choices?.[0]?.message?.content;
+
+    if (typeof text !== 'string') {
+      throw new Error('No message content in OpenAI response');
+    }
+
+    // Map OpenAI usage onto the { input_tokens, output_tokens } shape used for cost tracking
+    const usage = data.usage
+      ? {
+          input_tokens: data.usage.prompt_tokens || 0,
+          output_tokens: data.usage.completion_tokens || 0
+        }
+      : null;
+
+    return {
+      text,
+      usage,
+      model: data.model || model
+    };
+  } catch (error) {
+    clearTimeout(timeoutId);
+
+    if (attempt < CONFIG.maxRetries) {
+      console.log(`OpenAI attempt ${attempt} failed: ${error.message}. Retrying...`);
+      return run(prompt, options, attempt + 1);
+    }
+
+    throw error;
+  }
+}
+
+module.exports = { run, getConfig };
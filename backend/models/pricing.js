@@ -0,0 +1,82 @@
+/**
+ * Model pricing tables
+ * API: getPrice(engine, model) → { input, output, matched } | null  (USD per 1M tokens)
+ *      computeCost(engine, model, usage) → USD | null (null = unknown price)
+ *
+ * Models match by longest prefix, so dated IDs (claude-3-5-haiku-20241022)
+ * and suffixed ones (gpt-4o-mini-2024-07-18) resolve to their family price.
+ * ollama-local and replay are always free. Overrides: MEMENTO_PRICING_PATH points to a
+ * JSON file shaped like PRICES ({ engine: { modelPrefix: { input, output } } }).
+ */
+
+const fs = require('fs');
+
+const PRICES = {
+  'anthropic': {
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-5-haiku': { input: 0.80, output: 4 },
+    'claude-haiku-4-5': { input: 1, output: 5 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-opus-4-5': { input: 5, output: 25 }
+  },
+  'openai': {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 }
+  }
+};
+
+// Engines that never cost anything (replay serves recorded responses)
+const FREE_ENGINES = ['ollama-local', 'replay'];
+
+let overrides = null;
+
+function loadOverrides() {
+  if (overrides) return overrides;
+  overrides = {};
+  const overridePath = process.env.MEMENTO_PRICING_PATH;
+  if (!overridePath) return overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(overridePath, 'utf-8'));
+  } catch (error) {
+    console.warn(`[Pricing] Ignoring ${overridePath}: ${error.message}`);
+  }
+  return overrides;
+}
+
+/**
+ * Price per 1M tokens for an engine/model
+ * @returns {{input: number, output: number, matched: string}|null}
+ */
+function getPrice(engine, model) {
+  if (FREE_ENGINES.includes(engine)) {
+    return { input: 0, output: 0, matched: engine };
+  }
+
+  const table = { ...(PRICES[engine] || {}), ...(loadOverrides()[engine] || {}) };
+  const id = (model || '').toLowerCase();
+  const prefix = Object.keys(table)
+    .filter(key => id.startsWith(key.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? { ...table[prefix], matched: prefix } : null;
+}
+
+/**
+ * Cost in USD of a call's usage ({ input_tokens, output_tokens })
+ * @returns {number|null} null when the model has no known price
+ */
+function computeCost(engine, model, usage) {
+  const price = getPrice(engine, model);
+  if (!price) return null;
+  const input = usage?.input_tokens || 0;
+  const output = usage?.output_tokens || 0;
+  return (input * price.input + output * price.output) / 1e6;
+}
+
+module.exports = { getPrice, computeCost, PRICES, FREE_ENGINES };
@@ -0,0 +1,141 @@
+/**
+ * Record/replay model driver
+ * Serves recorded responses keyed by a hash of the prompt, so the
+ * classifier can run end to end offline (tests/golden).
+ *
+ * Recordings file (MEMENTO_RECORDINGS_PATH, or useRecordings() in-process):
+ *   { [sha256(prompt + images)]: { text, usage, schema, promptPreview } }
+ *
+ * MEMENTO_REPLAY_MODE=record forwards each call to MEMENTO_RECORD_ENGINE
+ * (default ollama-local) and saves the response under the prompt's hash.
+ * getConfig().billedTo then names that engine, so the usage ledger and
+ * budget check see the spend instead of a free replay call.
+ * Replay is exact: a prompt that changed by one character has no recording.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const CONFIG = {
+  recordingsPath: process.env.MEMENTO_RECORDINGS_PATH || null,
+  mode: process.env.MEMENTO_REPLAY_MODE === 'record' ? 'record' : 'replay',
+  recordEngine: process.env.MEMENTO_RECORD_ENGINE || 'ollama-local'
+};
+
+// Drivers record mode can forward to (required lazily; index.js requires this file)
+const RECORD_DRIVERS = {
+  'ollama-local': './localOllama',
+  'anthropic': './anthropic',
+  'openai': './openai'
+};
+
+let recordings = null;
+
+class MissingRecordingError extends Error {
+  constructor(hash, prompt) {
+    super(`No recorded response for prompt ${hash.slice(0, 12)} ("${prompt.slice(0, 60).replace(/\s+/g, ' ')}...")`);
+    this.name = 'MissingRecordingError';
+    this.hash = hash;
+  }
+}
+
+/**
+ * Recording key: the prompt, plus any attached images' data
+ */
+function promptHash(prompt, images = []) {
+  const hash = crypto.createHash('sha256').update(prompt);
+  for (const image of images) hash.update(image.data);
+  return hash.digest('hex');
+}
+
+function getRecordings() {
+  if (recordings) return recordings;
+  recordings = {};
+  if (CONFIG.recordingsPath && fs.existsSync(CONFIG.recordingsPath)) {
+    recordings = JSON.parse(fs.readFileSync(CONFIG.recordingsPath, 'utf-8'));
+  }
+  return recordings;
+}
+
+/**
+ * Swap in a recordings object (tests). Record mode adds to it in place.
+ * @param {Object} data - { [hash]: { text, usage } }
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'replay' | 'record'
+ * @param {string} [options.recordEngine] - Engine record mode forwards to
+ * @param {string|null} [options.path] - File record mode writes to (null: memory only)
+ */
+function useRecordings(data, { mode = CONFIG.mode, recordEngine = CONFIG.recordEngine, path = null } = {}) {
+  recordings = data;
+  CONFIG.mode = mode;
+  CONFIG.recordEngine = recordEngine;
+  CONFIG.recordingsPath = path;
+}
+
+/**
+ * Recordings from a debug-mode session trace (prompt → raw response per pass)
+ */
+function recordingsFromTrace(trace) {
+  const calls = [trace?.pass1, ...(trace?.pass2 || []), trace?.pass3, trace?.pass4];
+  const recorded = {};
+  for (const call of calls) {
+    if (!call?.prompt || typeof call.rawResponse !== 'string') continue;
+    recorded[promptHash(call.prompt)] = {
+      text: call.rawResponse,
+      usage: null,
+      schema: call.parsing?.schema || null,
+      promptPreview: call.prompt.slice(0, 120)
+    };
+  }
+  return recorded;
+}
+
+function recordDriver() {
+  return require(RECORD_DRIVERS[CONFIG.recordEngine] || RECORD_DRIVERS['ollama-local']);
+}
+
+function getConfig() {
+  const recording = CONFIG.mode === 'record';
+  return {
+    engine: 'replay',
+    model: recording ? `record:${CONFIG.recordEngine}` : 'recorded',
+    endpoint: CONFIG.recordingsPath,
+    structuredOutput: 'prompt',
+    // Engine that actually serves (and bills) calls in record mode
+    billedTo: recording ? recordDriver().getConfig() : null
+  };
+}
+
+async function run(prompt, options = {}) {
+  const hash = promptHash(prompt, options.images);
+  const store = getRecordings();
+
+  if (CONFIG.mode === 'replay') {
+    const recorded = store[hash];
+    if (!recorded) throw new MissingRecordingError(hash, prompt);
+    return { text: recorded.text, usage: recorded.usage || null };
+  }
+
+  const result = await recordDriver().run(prompt, options);
+  const response = typeof result === 'string' ? { text: result, usage: null } : result;
+
+  store[hash] = {
+    text: response.text,
+    usage: response.usage || null,
+    schema: options.schema?.name || null,
+    promptPreview: prompt.slice(0, 120)
+  };
+  if (CONFIG.recordingsPath) {
+    fs.writeFileSync(CONFIG.recordingsPath, JSON.stringify(store, null, 2) + '\n');
+  }
+  return response;
+}
+
+module.exports = {
+  run,
+  getConfig,
+  promptHash,
+  useRecordings,
+  recordingsFromTrace,
+  MissingRecordingError
+};
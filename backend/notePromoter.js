@@ -0,0 +1,295 @@
+/**
+ * Note Promoter
+ *
+ * Backs the Launchpad "Promote" / "Synthesize" action: writes a markdown
+ * note for a single tab into a chosen target and records the resulting URI
+ * as the promote disposition's target.
+ *
+ * Targets (configured in .env; a root that doesn't exist is listed as unavailable):
+ *   basic-memory - folders under BASIC_MEMORY_PATH      → memory://<permalink>
+ *   obsidian     - folders under OBSIDIAN_VAULT_PATH    → obsidian://open?vault=...&file=...
+ *   markdown     - MEMENTO_NOTES_DIR (~/.memento/notes) → file:///...
+ *
+ * Target IDs are "<kind>:<relative folder>", e.g. "basic-memory:research".
+ * Notes use the same frontmatter conventions as themeSaver.generateNote.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { readSession } = require('./memory');
+const { appendDisposition } = require('./dispositions');
+const { frontmatter, observation, mdLink, wikiLink, slugify, truncate } = require('./markdownNote');
+
+const BM_BASE = process.env.BASIC_MEMORY_PATH || 'C:/Users/Guest1/basic-memory';
+const OBSIDIAN_VAULT = process.env.OBSIDIAN_VAULT_PATH || null;
+const NOTES_DIR = process.env.MEMENTO_NOTES_DIR || path.join(os.homedir(), '.memento', 'notes');
+
+const ROOTS = [
+  { kind: 'basic-memory', label: 'Basic Memory', base: BM_BASE, listFolders: true },
+  { kind: 'obsidian', label: 'Obsidian', base: OBSIDIAN_VAULT, listFolders: true },
+  { kind: 'markdown', label: 'Markdown folder', base: NOTES_DIR, listFolders: false }
+];
+
+const FOLDER_DEPTH = 2;
+const EXCERPT_CHARS = 1200;
+
+async function isDirectory(dir) {
+  try {
+    return (await fs.stat(dir)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Relative folder paths under base (dot-folders such as .obsidian skipped)
+ */
+async function listFolders(base, relative = '', depth = FOLDER_DEPTH) {
+  if (depth === 0) return [];
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(base, relative), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const folders = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+    const child = relative ? `${relative}/${entry.name}` : entry.name;
+    folders.push(child, ...await listFolders(base, child, depth - 1));
+  }
+  return folders.sort();
+}
+
+/**
+ * List promote targets for the picker
+ * @returns {Promise<{roots: Array, targets: Array<{id, kind, label, folder}>}>}
+ */
+async function listPromoteTargets() {
+  const roots = [];
+  const targets = [];
+
+  for (const root of ROOTS) {
+    // The markdown directory is created on first use
+    const available = root.kind === 'markdown' ? true : !!root.base && await isDirectory(root.base);
+    roots.push({ kind: root.kind, label: root.label, path: root.base, available });
+    if (!available) continue;
+
+    const folders = root.listFolders ? ['', ...await listFolders(root.base)] : [''];
+    for (const folder of folders) {
+      targets.push({
+        id: `${root.kind}:${folder}`,
+        kind: root.kind,
+        label: folder ? `${root.label} / ${folder}` : root.label,
+        folder
+      });
+    }
+  }
+
+  return { roots, targets };
+}
+
+/**
+ * Resolve a target ID to { root, folder, dir }; null if unknown or outside its root
+ */
+function resolveTarget(targetId) {
+  const match = /^([a-z-]+):(.*)$/.exec(targetId || '');
+  if (!match) return null;
+
+  const root = ROOTS.find(r => r.kind === match[1]);
+  if (!root || !root.base) return null;
+
+  const folder = match[2].replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+  const base = path.resolve(root.base);
+  const dir = path.resolve(base, folder);
+  if (dir !== base && !dir.startsWith(base + path.sep)) return null;
+
+  return { root, folder, dir };
+}
+
+function noteUri(root, folder, filename) {
+  const relative = folder ? `${folder}/${filename}` : filename;
+  switch (root.kind) {
+    case 'basic-memory':
+      return `memory://${relative.replace(/\.md$/, '')}`;
+    case 'obsidian':
+      return `obsidian://open?vault=${encodeURIComponent(path.basename(path.resolve(root.base)))}&file=${encodeURIComponent(relative.replace(/\.md$/, ''))}`;
+    default:
+      return pathToFileURL(path.join(path.resolve(root.base), folder, filename)).href;
+  }
+}
+
+/**
+ * Find a tab in a session by Launchpad item ID (url, or tab-<index>)
+ * @returns {{item, category}|null} category reflects regroup dispositions
+ */
+function findItem(session, itemId) {
+  for (const [category, items] of Object.entries(session.groups || {})) {
+    const item = (items || []).find(i => (i.url || `tab-${i.tabIndex}`) === itemId);
+    if (!item) continue;
+
+    const regroups = (session.dispositions || []).filter(d => d.action === 'regroup' && d.itemId === itemId);
+    return { item, category: regroups.length > 0 ? regroups[regroups.length - 1].to : category };
+  }
+  return null;
+}
+
+/**
+ * Captured page text for a tab: full content when the session carries it,
+ * otherwise the capture-time preview
+ */
+function getExcerpt(session, item) {
+  const tab = (session.tabs || []).find(t => t.url === item.url);
+  const text = (tab?.content || item.contentPreview || '').replace(/\s+/g, ' ').trim();
+  return truncate(text, EXCERPT_CHARS);
+}
+
+/**
+ * Generate a markdown note for a promoted tab
+ * @param {Object} params
+ * @param {Object} params.item - Group item { url, title }
+ * @param {string} params.category - Current category
+ * @param {string} params.sessionId - Source session
+ * @param {string} [params.capturedAt] - Session timestamp
+ * @param {Object} [params.deepDive] - Pass 2 result for this tab
+ * @param {string} [params.excerpt] - Captured content excerpt
+ * @param {string} params.permalink - Note permalink (folder/slug)
+ * @returns {string}
+ */
+function generatePromotedNote({ item, category, sessionId, capturedAt, deepDive, excerpt, permalink }) {
+  const now = new Date().toISOString();
+  const dateStr = now.split('T')[0];
+  const title = item.title || item.url;
+
+  const header = frontmatter({
+    title,
+    type: 'research-note',
+    permalink,
+    status: 'active',
+    temporal_type: 'dynamic',
+    valid_from: dateStr,
+    last_verified: dateStr,
+    detection_source: 'memento-launchpad-promote',
+    source_url: item.url,
+    session_id: sessionId,
+    generated_at: now,
+    tags: ['memento-generated', 'promoted-tab']
+  });
+
+  const sections = [`# ${title}`];
+
+  sections.push([
+    observation('Source', mdLink(item.url, item.url)),
+    observation('Category', category),
+    observation('Captured', capturedAt ? `${capturedAt.split('T')[0]} in session ${sessionId}` : `session ${sessionId}`)
+  ].join('\n'));
+
+  if (deepDive?.analysis?.summary) {
+    sections.push(`## Summary\n\n${deepDive.analysis.summary}`);
+    if (deepDive.analysis.keyPoints?.length > 0) {
+      sections.push(deepDive.analysis.keyPoints.map(point => `- ${point}`).join('\n'));
+    }
+  }
+
+  if (excerpt) {
+    sections.push(`## Excerpt\n\n> ${excerpt}`);
+  }
+
+  sections.push(`## Relations\n\n- generated_by ${wikiLink('Memento - Project Index')}`);
+
+  return header + '\n\n' + sections.join('\n\n') + '\n';
+}
+
+/**
+ * Write into dir without overwriting: slug.md, slug-2.md, ...
+ * @returns {Promise<string>} The filename written
+ */
+async function writeUnique(dir, slug, content) {
+  await fs.mkdir(dir, { recursive: true });
+  for (let n = 1; ; n++) {
+    const filename = n === 1 ? `${slug}.md` : `${slug}-${n}.md`;
+    try {
+      await fs.writeFile(path.join(dir, filename), content, { encoding: 'utf8', flag: 'wx' });
+      return filename;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+}
+
+/**
+ * Promote a Launchpad item: write the note, then record the promote disposition
+ * @param {string} sessionId - Session ID
+ * @param {string} itemId - Launchpad item ID
+ * @param {string} targetId - Target from listPromoteTargets()
+ * @returns {Promise<{success, message, target?, filePath?}>}
+ */
+async function promoteItem(sessionId, itemId, targetId) {
+  const target = resolveTarget(targetId);
+  if (!target) {
+    return { success: false, message: `Unknown promote target: ${targetId}` };
+  }
+  if (target.root.kind !== 'markdown' && !await isDirectory(path.resolve(target.root.base))) {
+    return { success: false, message: `${target.root.label} not found at ${target.root.base}` };
+  }
+
+  const session = await readSession(sessionId);
+  if (!session) {
+    return { success: false, message: 'Session not found' };
+  }
+
+  const found = findItem(session, itemId);
+  if (!found) {
+    return { success: false, message: 'Item not found in session' };
+  }
+
+  const { item, category } = found;
+  const slug = slugify(item.title || item.url).slice(0, 80).replace(/^-+|-+$/g, '') || 'promoted-tab';
+
+  try {
+    // Permalink is provisional until writeUnique picks the filename
+    const build = filename => generatePromotedNote({
+      item,
+      category,
+      sessionId,
+      capturedAt: session.timestamp,
+      deepDive: (session.deepDiveResults || []).find(d => d.url === item.url),
+      excerpt: getExcerpt(session, item),
+      permalink: [target.folder, filename.replace(/\.md$/, '')].filter(Boolean).join('/')
+    });
+
+    const filename = await writeUnique(target.dir, slug, build(`${slug}.md`));
+    if (filename !== `${slug}.md`) {
+      await fs.writeFile(path.join(target.dir, filename), build(filename), 'utf8');
+    }
+
+    const uri = noteUri(target.root, target.folder, filename);
+    const filePath = path.join(target.dir, filename);
+
+    const result = await appendDisposition(sessionId, { action: 'promote', itemId, target: uri });
+    if (!result.success) {
+      return result;
+    }
+
+    console.log(`[Promote] ${item.url} → ${filePath}`);
+    return { ...result, message: `Promoted to ${uri}`, target: uri, filePath };
+  } catch (error) {
+    console.error('[Promote] Failed to write note:', error.message);
+    return { success: false, message: `Failed to write note: ${error.message}` };
+  }
+}
+
+module.exports = {
+  listPromoteTargets,
+  promoteItem,
+  generatePromotedNote,
+  // Shared with writingBrief.js (Start Writing to a note folder)
+  resolveTarget,
+  writeUnique,
+  noteUri,
+  getExcerpt,
+  OBSIDIAN_VAULT
+};
@@ -0,0 +1,128 @@
+/**
+ * Classifier Pass Schemas
+ *
+ * Declares the JSON output contract for each of the four classifier passes.
+ * The zod schema validates responses; the derived JSON Schema is sent to
+ * engines that support structured output (Anthropic tool use, Ollama
+ * `format`, OpenAI `response_format`).
+ *
+ * Schemas are deliberately tolerant of common LLM variations (tab numbers
+ * as strings, old string-only assignments) so that validation failures mean
+ * the response is actually unusable, not just differently formatted.
+ */
+
+const { z } = require('zod');
+
+// Tab references: 1-based indices, sometimes emitted as "12"
+const tabRef = z.union([
+  z.number().int(),
+  z.string().regex(/^\d+$/).transform(Number)
+]);
+
+// === PASS 1: Classification + Triage ===
+
+const pass1Assignment = z.union([
+  z.string().min(1),  // Legacy format: "1": "Development"
+  z.object({
+    category: z.string().min(1),
+    signals: z.array(z.string()).default([]),
+    confidence: z.string().default('unknown')
+  })
+]);
+
+const pass1Schema = z.object({
+  assignments: z.record(z.string().regex(/^\d+$/), pass1Assignment),
+  narrative: z.string(),
+  sessionIntent: z.string().nullable().optional(),
+  deepDive: z.array(tabRef).default([]),
+  overallConfidence: z.string().default('unknown'),
+  uncertainties: z.array(z.string()).default([])
+});
+
+// === PASS 2: Deep Dive ===
+
+const pass2Schema = z.object({
+  summary: z.string(),
+  keyPoints: z.array(z.string()).default([]),
+  entities: z.object({
+    authors: z.array(z.string()).default([]),
+    organizations: z.array(z.string()).default([]),
+    technologies: z.array(z.string()).default([])
+  }).default({ authors: [], organizations: [], technologies: [] }),
+  relevance: z.string().default('')
+});
+
+// === PASS 3: Visualization ===
+
+const pass3Schema = z.object({
+  mermaid: z.string().refine(
+    value => /^(graph|flowchart)\s+(TB|TD|BT|LR|RL)/i.test(value.trim()),
+    { message: 'Invalid Mermaid: does not start with graph/flowchart directive' }
+  )
+});
+
+// === PASS 4: Thematic Analysis ===
+
+const throughline = z.object({
+  theme: z.string(),
+  tabs: z.array(tabRef).default([]),
+  projects: z.array(z.string()).optional(),
+  insight: z.string().default('')
+});
+
+const sessionPattern = z.object({
+  type: z.string(),
+  intakeVsOutput: z.string().optional(),
+  riskFlags: z.array(z.string()).optional(),
+  observation: z.string().optional(),
+  recommendation: z.string().optional()
+});
+
+// Full mode (active projects defined)
+const pass4Schema = z.object({
+  projectSupport: z.record(z.string(), z.object({
+    directTabs: z.array(tabRef).default([]),
+    supportingTabs: z.array(tabRef).default([]),
+    supportingEvidence: z.array(z.object({
+      tabIndex: tabRef,
+      reason: z.string()
+    })).default([])
+  })).default({}),
+  thematicThroughlines: z.array(throughline).default([]),
+  alternativeNarrative: z.string().nullable().default(null),
+  suggestedActions: z.array(z.object({
+    action: z.string(),
+    project: z.string().optional(),
+    reason: z.string().optional(),
+    priority: z.string().optional(),
+    tabsToClose: z.array(tabRef).optional()
+  })),
+  sessionPattern: sessionPattern.nullable()
+});
+
+// Simplified mode (no projects)
+const pass4SimplifiedSchema = z.object({
+  thematicThroughlines: z.array(throughline),
+  alternativeNarrative: z.string().nullable().default(null),
+  hiddenConnection: z.string().nullable().default(null),
+  sessionPattern: sessionPattern.nullable()
+});
+
+/**
+ * Build a schema definition consumable by structuredOutput.runStructured
+ */
+function defineSchema(name, description, schema) {
+  const jsonSchema = z.toJSONSchema(schema, { io: 'input' });
+  delete jsonSchema.$schema;
+  return { name, description, schema, jsonSchema };
+}
+
+const PASS_SCHEMAS = {
+  pass1: defineSchema('classify_tabs', 'Assign every browser tab to a category with evidence', pass1Schema),
+  pass2: defineSchema('deep_dive', 'Detailed analysis of a single tab', pass2Schema),
+  pass3: defineSchema('session_diagram', 'Mermaid diagram of the browsing session', pass3Schema),
+  pass4: defineSchema('thematic_analysis', 'Cross-category project support and suggested actions', pass4Schema),
+  pass4Simplified: defineSchema('thematic_analysis', 'Hidden connections and session pattern', pass4SimplifiedSchema)
+};
+
+module.exports = { PASS_SCHEMAS, defineSchema };
@@ -1,137 +1,425 @@
 /**
- * PDF Content Extractor using Playwright + Claude Vision
+ * PDF Content Extractor (Pass 0)
  *
  * When the extension can't extract content from a PDF (Chrome's PDF viewer blocks it),
  * this module:
- * 1. Uses Playwright to open the PDF and screenshot it
- * 2. Sends the screenshot to Claude's vision API
- * 3. Returns the extracted text
+ * 1. Downloads the PDF (http(s) or file://, up to MAX_PDF_BYTES)
+ * 2. Extracts the text layer of every page locally with pdf.js, within a
+ *    page and character budget
+ * 3. Reads title, authors and DOI from the document info and XMP metadata
+ * 4. Sends pages with no text layer (scans) to a vision model through the
+ *    models/ dispatch layer, when a vision engine is configured
+ *
+ * Canvas-rendered pages (visualSource 'canvas') have no text to read either:
+ * their screenshot, taken by the extension when the tab was visible or by
+ * Playwright otherwise, goes to the same vision engine.
+ *
+ * Vision engine: MEMENTO_VISION_ENGINE (ollama-local, anthropic, openai,
+ * or 'off'). Defaults to anthropic when ANTHROPIC_API_KEY is set, else off.
  */
 
+const fs = require('fs');
 const { chromium } = require('playwright');
-const Anthropic = require('@anthropic-ai/sdk');
+const { fileURLToPath } = require('url');
+const { runModel } = require('./models');
+const { addUsage } = require('./structuredOutput');
+const { renderPrompt } = require('./promptRegistry');
+
+const MAX_PDF_BYTES = 25 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_PAGES = 20;
+const DEFAULT_MAX_CHARS = 30000;
+const DEFAULT_MAX_VISION_PAGES = 5;
+const SCANNED_PAGE_MIN_CHARS = 20;    // Less text than this: treat the page as a scan
+const RENDER_WIDTH = 1600;            // Pixel width of pages sent to vision
+
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"<>]+)/i;
+// Info titles that are really file names or authoring-tool defaults
+const PLACEHOLDER_TITLE = /^(untitled|microsoft (word|powerpoint) - )|\.(pdf|docx?|pptx?|tex|dvi)$/i;
+
+let pdfjs = null;
+
+/**
+ * pdf.js ships as ESM only; load the Node-compatible build once
+ */
+async function loadPdfjs() {
+  if (!pdfjs) {
+    pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjs;
+}
+
+function defaultVisionEngine() {
+  const configured = process.env.MEMENTO_VISION_ENGINE;
+  if (configured) return configured === 'off' ? null : configured;
+  return process.env.ANTHROPIC_API_KEY ? 'anthropic' : null;
+}
+
+/**
+ * Fetch the PDF bytes, refusing anything over MAX_PDF_BYTES or not a PDF
+ * @returns {Promise<Uint8Array>}
+ */
+async function downloadPdf(url) {
+  let bytes;
+
+  if (url.startsWith('file://')) {
+    bytes = await fs.promises.readFile(fileURLToPath(url));
+  } else {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, { signal: controller.signal, redirect: 'follow' });
+      if (!response.ok) {
+        throw new Error(`Download failed: HTTP ${response.status}`);
+      }
+      const declared = parseInt(response.headers.get('content-length') || '0', 10);
+      if (declared > MAX_PDF_BYTES) {
+        throw new Error(`PDF is ${Math.round(declared / 1048576)}MB (limit ${MAX_PDF_BYTES / 1048576}MB)`);
+      }
+      bytes = Buffer.from(await response.arrayBuffer());
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  if (bytes.length > MAX_PDF_BYTES) {
+    throw new Error(`PDF is ${Math.round(bytes.length / 1048576)}MB (limit ${MAX_PDF_BYTES / 1048576}MB)`);
+  }
+  // The header may follow a little leading junk, but must be near the start
+  if (!bytes.subarray(0, 1024).toString('latin1').includes('%PDF-')) {
+    throw new Error('Not a PDF (no %PDF header)');
+  }
+  return new Uint8Array(bytes);
+}
 
-// Initialize Anthropic client
-const anthropic = new Anthropic();
+/**
+ * Text layer of one page, with line breaks where pdf.js reports them
+ */
+async function pageText(page) {
+  const { items } = await page.getTextContent();
+  return items
+    .filter(item => typeof item.str === 'string')
+    .map(item => item.str + (item.hasEOL ? '\n' : ''))
+    .join('')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
 
 /**
- * Extract text from a PDF URL using Playwright screenshot + Claude Vision
+ * Render a page to PNG (base64) for vision OCR
+ */
+async function renderPagePng(doc, page) {
+  const unscaled = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({ scale: Math.min(3, RENDER_WIDTH / unscaled.width) });
+  const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  await page.render({ canvasContext: context, viewport, canvas }).promise;
+  return canvas.toBuffer('image/png').toString('base64');
+}
+
+function splitAuthors(value) {
+  if (!value) return [];
+  const text = String(value).trim();
+  // "Smith, J." is one author; only split on commas between full names
+  let parts = text.split(/\s*;\s*/);
+  if (parts.length === 1) {
+    const byComma = text.split(/\s*,\s*|\s+and\s+|\s*&\s*/);
+    if (byComma.length > 1 && byComma.every(name => name.includes(' '))) parts = byComma;
+  }
+  return parts.map(name => name.trim()).filter(Boolean);
+}
+
+function xmpValue(metadata, name) {
+  if (!metadata) return null;
+  const value = metadata.get(name);
+  if (Array.isArray(value)) return value.length > 0 ? value : null;
+  return value || null;
+}
+
+function findDoi(text) {
+  const match = (text || '').match(DOI_PATTERN);
+  return match ? match[1].replace(/[.,;:)\]]+$/, '') : null;
+}
+
+/**
+ * Title, authors, DOI, subject and keywords from the info dictionary and
+ * XMP, falling back to a DOI printed in the extracted text
+ */
+function readMetadata({ info = {}, metadata = null }, text) {
+  const xmpTitle = xmpValue(metadata, 'dc:title');
+  const infoTitle = typeof info.Title === 'string' ? info.Title.trim() : '';
+  const title = (Array.isArray(xmpTitle) ? xmpTitle[0] : xmpTitle)
+    || (infoTitle && !PLACEHOLDER_TITLE.test(infoTitle) ? infoTitle : null);
+
+  const xmpCreators = xmpValue(metadata, 'dc:creator');
+  const authors = xmpCreators
+    ? (Array.isArray(xmpCreators) ? xmpCreators : splitAuthors(xmpCreators))
+    : splitAuthors(info.Author);
+
+  const identifier = xmpValue(metadata, 'dc:identifier');
+  const doi = findDoi(xmpValue(metadata, 'prism:doi'))
+    || findDoi(Array.isArray(identifier) ? identifier.join(' ') : identifier)
+    || findDoi(text);
+
+  return {
+    title: title || null,
+    authors,
+    doi,
+    subject: info.Subject || null,
+    keywords: info.Keywords || null
+  };
+}
+
+/**
+ * Extract text and metadata from a PDF URL
  *
- * @param {string} url - The PDF URL to extract from
- * @param {number} maxPages - Maximum pages to screenshot (default: 3)
- * @returns {Promise<{success: boolean, text?: string, error?: string, pageCount?: number}>}
+ * @param {string} url - The PDF URL to extract from (http(s) or file://)
+ * @param {Object} [options]
+ * @param {number} [options.maxPages=20] - Pages to read
+ * @param {number} [options.maxChars=30000] - Characters to keep across pages
+ * @param {string|null} [options.visionEngine] - Engine for scanned pages (null: skip them)
+ * @param {number} [options.maxVisionPages=5] - Scanned pages to send to vision
+ * @returns {Promise<{success: boolean, text?: string, error?: string, pageCount?: number,
+ *   pagesExtracted?: number, method?: string, metadata?: Object, truncated?: boolean,
+ *   scannedPages?: Array<number>, usage?: Object}>}
+ *   method: 'pdf-text', 'pdf-vision' or 'pdf-text+vision'
  */
-async function extractPdfContent(url, maxPages = 3) {
-  let browser = null;
+async function extractPdfContent(url, {
+  maxPages = DEFAULT_MAX_PAGES,
+  maxChars = DEFAULT_MAX_CHARS,
+  visionEngine = defaultVisionEngine(),
+  maxVisionPages = DEFAULT_MAX_VISION_PAGES
+} = {}) {
+  let doc = null;
 
   try {
-    console.log(`[PDF Extractor] Opening PDF: ${url}`);
-
-    // Launch browser
-    browser = await chromium.launch({ headless: true });
-    const context = await browser.newContext({
-      viewport: { width: 1200, height: 1600 }  // Tall viewport for PDFs
-    });
-    const page = await context.newPage();
+    console.log(`[PDF Extractor] Downloading PDF: ${url}`);
+    const data = await downloadPdf(url);
 
-    // Navigate to PDF
-    await page.goto(url, {
-      waitUntil: 'networkidle',
-      timeout: 30000
-    });
+    const { getDocument } = await loadPdfjs();
+    doc = await getDocument({ data, isEvalSupported: false, verbosity: 0 }).promise;
 
-    // Wait for PDF to render (Chrome's PDF viewer takes a moment)
-    await page.waitForTimeout(2000);
+    const pageCount = doc.numPages;
+    const pagesToRead = Math.min(pageCount, maxPages);
+    const rawMetadata = await doc.getMetadata().catch(() => ({}));
+    const knownTitle = readMetadata(rawMetadata, '').title;
+    const pages = [];
+    const scannedPages = [];
+    let usage = null;
+    let chars = 0;
+    let visionPages = 0;
+    let visionCalls = 0;
+    let pagesRead = 0;
 
-    // Take screenshot
-    const screenshot = await page.screenshot({
-      fullPage: false,  // Just the viewport for now
-      type: 'png'
-    });
+    for (let pageNumber = 1; pageNumber <= pagesToRead && chars < maxChars; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      pagesRead++;
+      let text = await pageText(page);
 
-    await browser.close();
-    browser = null;
-
-    console.log(`[PDF Extractor] Screenshot captured, sending to Claude Vision...`);
-
-    // Send to Claude Vision API
-    const base64Image = screenshot.toString('base64');
-
-    const message = await anthropic.messages.create({
-      model: 'claude-3-5-haiku-20241022',  // Fast and cheap for OCR
-      max_tokens: 4000,
-      messages: [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: 'image/png',
-                data: base64Image
-              }
-            },
-            {
-              type: 'text',
-              text: 'Extract ALL text content from this PDF page. Include headers, body text, footnotes, and any other visible text. Preserve the structure (paragraphs, lists, etc.) as much as possible. Return ONLY the extracted text, no commentary.'
+      if (text.length < SCANNED_PAGE_MIN_CHARS) {
+        scannedPages.push(pageNumber);
+        if (visionEngine && visionCalls < maxVisionPages) {
+          visionCalls++;
+          try {
+            const { text: prompt } = renderPrompt('pdf-page-ocr', {
+              pageNumber,
+              pageCount,
+              titleHint: knownTitle ? ` titled "${knownTitle}"` : ''
+            });
+            const image = await renderPagePng(doc, page);
+            const response = await runModel(visionEngine, prompt, {
+              images: [{ mediaType: 'image/png', data: image }],
+              purpose: 'pdf-vision'
+            });
+            usage = addUsage(usage, response.usage);
+            if (response.text?.trim()) {
+              text = response.text.trim();
+              visionPages++;
             }
-          ]
+          } catch (error) {
+            console.warn(`[PDF Extractor] Vision failed for page ${pageNumber}: ${error.message}`);
+          }
         }
-      ]
-    });
+      }
+
+      page.cleanup();
+      if (text) {
+        pages.push(text);
+        chars += text.length + 2;
+      }
+    }
+
+    let text = pages.join('\n\n');
+    const metadata = readMetadata(rawMetadata, text);
+    const truncated = pagesRead < pageCount || text.length > maxChars;
+    if (text.length > maxChars) text = text.slice(0, maxChars);
 
-    const extractedText = message.content[0]?.text || '';
+    const textPages = pages.length - visionPages;
+    const method = visionPages === 0 ? 'pdf-text' : (textPages > 0 ? 'pdf-text+vision' : 'pdf-vision');
 
-    console.log(`[PDF Extractor] Extracted ${extractedText.length} characters from PDF`);
+    if (!text) {
+      const reason = scannedPages.length > 0
+        ? `No text layer on ${scannedPages.length} scanned page(s)${visionEngine ? '; vision extraction failed' : ' and no vision engine configured (MEMENTO_VISION_ENGINE)'}`
+        : 'No text found';
+      return { success: false, error: reason, pageCount, metadata, scannedPages };
+    }
+
+    console.log(`[PDF Extractor] Extracted ${text.length} characters from ${pages.length}/${pageCount} page(s) via ${method}`);
 
     return {
       success: true,
-      text: extractedText,
-      pageCount: 1,
-      usage: message.usage
+      text,
+      pageCount,
+      pagesExtracted: pages.length,
+      method,
+      metadata,
+      truncated,
+      scannedPages,
+      usage
     };
 
   } catch (error) {
     console.error(`[PDF Extractor] Error: ${error.message}`);
 
-    if (browser) {
-      await browser.close();
-    }
-
     return {
       success: false,
       error: error.message
     };
+  } finally {
+    if (doc) await doc.destroy();
+  }
+}
+
+/**
+ * Screenshot a page's viewport with Playwright (JPEG, base64)
+ */
+async function screenshotUrl(url) {
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const page = await browser.newPage({ viewport: { width: 1280, height: 1600 } });
+    await page.goto(url, { waitUntil: 'networkidle', timeout: 30000 });
+    // Canvas apps keep drawing after the network settles
+    await page.waitForTimeout(2000);
+    const screenshot = await page.screenshot({ type: 'jpeg', quality: 70 });
+    return screenshot.toString('base64');
+  } finally {
+    await browser.close();
   }
 }
 
 /**
- * Process tabs that need visual extraction (PDFs, etc.)
+ * Text from a canvas-rendered page via a vision model
+ *
+ * @param {Object} tab - { url, title, screenshot? } (screenshot: data URL from the extension)
+ * @param {Object} [options]
+ * @param {string|null} [options.visionEngine] - Engine to read the screenshot (null: fail)
+ * @returns {Promise<{success: boolean, text?: string, error?: string, method?: string, usage?: Object}>}
+ *   method: 'screenshot-vision'
+ */
+async function extractCanvasContent(tab, { visionEngine = defaultVisionEngine() } = {}) {
+  if (!visionEngine) {
+    return { success: false, error: 'Canvas-rendered page and no vision engine configured (MEMENTO_VISION_ENGINE)' };
+  }
+
+  try {
+    const fromExtension = /^data:(image\/[\w+.-]+);base64,(.+)$/.exec(tab.screenshot || '');
+    const image = fromExtension
+      ? { mediaType: fromExtension[1], data: fromExtension[2] }
+      : { mediaType: 'image/jpeg', data: await screenshotUrl(tab.url) };
+
+    const { text: prompt } = renderPrompt('page-screenshot-ocr', {
+      title: tab.title || 'Untitled',
+      url: tab.url
+    });
+    const response = await runModel(visionEngine, prompt, { images: [image], purpose: 'page-vision' });
+    const text = (response.text || '').trim();
+    if (!text) {
+      return { success: false, error: 'Vision model returned no text', usage: response.usage };
+    }
+
+    console.log(`[PDF Extractor] Extracted ${text.length} characters from a ${fromExtension ? 'captured' : 'rendered'} screenshot of ${tab.url}`);
+    return { success: true, text, method: 'screenshot-vision', usage: response.usage };
+  } catch (error) {
+    console.error(`[PDF Extractor] Screenshot extraction failed for ${tab.url}: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Title, authors and DOI as a few header lines ahead of the page text, so
+ * classification and content previews see them first
+ */
+function metadataHeader(metadata) {
+  const lines = [];
+  if (metadata?.title) lines.push(`Title: ${metadata.title}`);
+  if (metadata?.authors?.length) lines.push(`Authors: ${metadata.authors.join(', ')}`);
+  if (metadata?.doi) lines.push(`DOI: ${metadata.doi}`);
+  return lines.length > 0 ? `${lines.join('\n')}\n\n` : '';
+}
+
+/**
+ * Process tabs that need visual extraction (PDFs and canvas-rendered pages)
+ * Screenshots are dropped once read; they don't travel into classification.
  *
  * @param {Array} tabs - Array of tab objects
+ * @param {Function|null} onProgress - Optional listener, called once per extracted tab
  * @returns {Promise<Array>} - Tabs with content filled in where possible
  */
-async function processVisualExtractionTabs(tabs) {
+async function processVisualExtractionTabs(tabs, onProgress = null) {
   const processedTabs = [];
+  const total = tabs.filter(t => t.needsVisualExtraction && t.url).length;
+  let index = 0;
 
   for (const tab of tabs) {
     if (tab.needsVisualExtraction && tab.url) {
       console.log(`[PDF Extractor] Processing: ${tab.title || tab.url}`);
 
-      const result = await extractPdfContent(tab.url);
+      const started = Date.now();
+      const { screenshot, ...rest } = tab;
+      const isCanvas = tab.visualSource === 'canvas';
+      const result = isCanvas ? await extractCanvasContent(tab) : await extractPdfContent(tab.url);
+      index++;
+      if (onProgress) {
+        onProgress({
+          pass: 0,
+          status: 'item',
+          index,
+          total,
+          title: tab.title || tab.url,
+          success: Boolean(result.success && result.text),
+          error: result.error,
+          durationMs: Date.now() - started
+        });
+      }
 
-      if (result.success && result.text) {
+      if (result.success && result.text && isCanvas) {
         processedTabs.push({
-          ...tab,
+          ...rest,
           content: result.text,
-          extractionMethod: 'playwright-vision',
+          extractionMethod: result.method,
+          needsVisualExtraction: false  // Clear the flag
+        });
+      } else if (result.success && result.text) {
+        processedTabs.push({
+          ...rest,
+          content: metadataHeader(result.metadata) + result.text,
+          extractionMethod: result.method,
+          pdf: {
+            title: result.metadata.title,
+            authors: result.metadata.authors,
+            doi: result.metadata.doi,
+            pageCount: result.pageCount,
+            pagesExtracted: result.pagesExtracted,
+            truncated: result.truncated,
+            extractionMethod: result.method
+          },
           needsVisualExtraction: false  // Clear the flag
         });
       } else {
         // Keep original tab but note the failure
         processedTabs.push({
-          ...tab,
+          ...rest,
           extractionError: result.error,
           extractionMethod: 'failed'
         });
@@ -144,4 +432,4 @@ async function processVisualExtractionTabs(tabs) {
   return processedTabs;
 }
 
-module.exports = { extractPdfContent, processVisualExtractionTabs };
+module.exports = { extractPdfContent, extractCanvasContent, processVisualExtractionTabs };
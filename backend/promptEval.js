@@ -0,0 +1,273 @@
+/**
+ * Prompt Evals
+ *
+ * Replays stored sessions through two versions of a pass template (see
+ * promptRegistry.js) and compares them:
+ *
+ * - Category agreement (pass1-classify): share of tabs both versions put in
+ *   the same category, plus each version's agreement with the stored session
+ * - Parse-failure rate: runs whose response still failed schema validation
+ *   after the repair round-trip (repaired runs are counted separately)
+ * - Token cost: usage summed per version, priced with models/pricing.js
+ *
+ * Replays reuse the classifier's pass runners, so a version is evaluated on
+ * exactly the code path captures use. Sessions only keep URL, title, a
+ * content preview and extracted field previews, so pass 2 replays see those
+ * rather than the full page.
+ * Eval calls are tagged 'eval' in the usage ledger.
+ */
+
+const { readSession, listSessions } = require('./memory');
+const { loadContext } = require('./contextLoader');
+const { getApprovedRules } = require('./correctionAnalyzer');
+const { runStructured, addUsage } = require('./structuredOutput');
+const { PASS_SCHEMAS } = require('./passSchemas');
+const { getTemplate } = require('./promptRegistry');
+const { getEngineInfo } = require('./models');
+const { computeCost } = require('./models/pricing');
+const { reconstructTabsFromSession } = require('./mcp/reclassify');
+const {
+  buildPrompt,
+  runDeepDive,
+  generateVisualization,
+  analyzeThematicRelationships,
+  DEFAULT_ENGINE
+} = require('./classifier');
+
+const EVAL_TEMPLATES = ['pass1-classify', 'pass2-deep-dive', 'pass3-visualization', 'pass4-thematic', 'pass4-simplified'];
+const MAX_DIVES_PER_SESSION = 3;
+
+/**
+ * Template behind a session's pass: the one it recorded, else the one
+ * the classifier would pick for it now
+ */
+function passTemplateName(session, pass) {
+  const recorded = session.meta?.prompts?.[`pass${pass}`]?.template;
+  if (recorded) return recorded;
+  if (pass === 4) {
+    return Object.keys(session.thematicAnalysis?.projectSupport || {}).length > 0 ? 'pass4-thematic' : 'pass4-simplified';
+  }
+  return EVAL_TEMPLATES[pass - 1];
+}
+
+function categoryOf(assignment) {
+  return typeof assignment === 'string' ? assignment : assignment?.category || null;
+}
+
+/**
+ * Stored Pass 1 categories by tab number ("1", "2", ...)
+ */
+function storedCategories(session) {
+  const categories = {};
+  for (const [category, items] of Object.entries(session.groups || {})) {
+    for (const item of items || []) {
+      if (item.tabIndex) categories[String(item.tabIndex)] = category;
+    }
+  }
+  return categories;
+}
+
+/**
+ * One replayed model call (status: success | repaired | failed | error)
+ */
+function fromRunnerResult(result) {
+  return {
+    status: result.trace?.parsing?.status || (result.error ? 'error' : 'success'),
+    error: result.error || null,
+    usage: result.usage || null,
+    prompt: result.trace?.prompt || null,
+    rawResponse: result.trace?.rawResponse || null
+  };
+}
+
+/**
+ * Run one pass template against a stored session
+ * @param {string} templateName - One of EVAL_TEMPLATES
+ * @param {Object} session - Stored session
+ * @param {string} engine - LLM engine
+ * @param {Object} [options]
+ * @param {Object} [options.prompt] - renderPrompt options ({ version } or { template })
+ * @param {string} [options.purpose='eval'] - Usage ledger tag
+ * @returns {Promise<Array<{status, error, usage, prompt, rawResponse, categories?}>>}
+ *   One entry per model call (pass 2 runs once per deep-dived tab)
+ * @throws {Error} For templates that can't be replayed from a session
+ */
+async function replayPass(templateName, session, engine, { prompt = {}, purpose = 'eval' } = {}) {
+  const tabs = reconstructTabsFromSession(session);
+  const runOptions = { prompt, purpose };
+
+  switch (templateName) {
+    case 'pass1-classify': {
+      let learnedRules = [];
+      try {
+        learnedRules = await getApprovedRules();
+      } catch (error) {
+        console.warn(`[Eval] Learned rules unavailable: ${error.message}`);
+      }
+      const rendered = buildPrompt(tabs, loadContext(), learnedRules, prompt);
+      try {
+        const response = await runStructured(engine, rendered.text, PASS_SCHEMAS.pass1, { purpose });
+        const categories = {};
+        for (const [index, assignment] of Object.entries(response.data.assignments)) {
+          categories[index] = categoryOf(assignment);
+        }
+        return [{
+          status: response.parsing.status,
+          error: null,
+          usage: response.usage,
+          prompt: rendered.text,
+          rawResponse: response.text,
+          categories
+        }];
+      } catch (error) {
+        return [{
+          status: error.parsing ? 'failed' : 'error',
+          error: error.message,
+          usage: error.usage || null,
+          prompt: rendered.text,
+          rawResponse: error.rawResponses?.[error.rawResponses.length - 1] || null
+        }];
+      }
+    }
+
+    case 'pass2-deep-dive': {
+      const items = new Map(Object.values(session.groups || {}).flat().filter(Boolean).map(item => [item.url, item]));
+      const runs = [];
+      for (const dive of (session.deepDiveResults || []).slice(0, MAX_DIVES_PER_SESSION)) {
+        const item = items.get(dive.url);
+        const tab = { url: dive.url, title: dive.title, content: item?.contentPreview || '', fields: item?.fields };
+        runs.push(fromRunnerResult(await runDeepDive(tab, [], engine, true, runOptions)));
+      }
+      return runs;
+    }
+
+    case 'pass3-visualization':
+      return [fromRunnerResult(await generateVisualization(session, session.deepDiveResults || [], engine, true, runOptions))];
+
+    case 'pass4-thematic':
+    case 'pass4-simplified': {
+      const context = templateName === 'pass4-thematic' ? loadContext() : null;
+      if (templateName === 'pass4-thematic' && !context?.activeProjects?.length) {
+        throw new Error('pass4-thematic needs active projects in context.json');
+      }
+      return [fromRunnerResult(await analyzeThematicRelationships(session, tabs, context, engine, true, runOptions))];
+    }
+
+    default:
+      throw new Error(`${templateName} can't be replayed from a session (evals cover ${EVAL_TEMPLATES.join(', ')})`);
+  }
+}
+
+function emptyStats(version) {
+  return { version, runs: 0, repaired: 0, parseFailures: 0, errors: 0, usage: null, agreementWithSession: { compared: 0, agreed: 0 } };
+}
+
+function compareCategories(a, b) {
+  let compared = 0;
+  let agreed = 0;
+  for (const [index, category] of Object.entries(a || {})) {
+    if (!b || !(index in b)) continue;
+    compared++;
+    if (category === b[index]) agreed++;
+  }
+  return { compared, agreed };
+}
+
+function rate(part, whole) {
+  return whole > 0 ? part / whole : null;
+}
+
+/**
+ * Replay stored sessions through two versions of a template and compare them
+ * @param {Object} options
+ * @param {string} options.template - Template name (one of EVAL_TEMPLATES)
+ * @param {string} options.versionA - Baseline version (e.g. 'v1')
+ * @param {string} options.versionB - Candidate version
+ * @param {Array<string>} [options.sessionIds] - Sessions to replay (default: most recent)
+ * @param {number} [options.limit=5] - Most recent sessions to replay when no IDs are given
+ * @param {string} [options.engine] - LLM engine (default: classifier default)
+ * @param {Function} [options.onProgress] - Called with { sessionId, version, runs } after each replay
+ * @returns {Promise<Object>} Report: { template, engine, model, sessions, versions: { [v]: stats }, agreement }
+ */
+async function evaluatePromptVersions({ template, versionA, versionB, sessionIds = null, limit = 5, engine = DEFAULT_ENGINE, onProgress = null }) {
+  if (!EVAL_TEMPLATES.includes(template)) {
+    throw new Error(`Can't evaluate ${template}; choose one of ${EVAL_TEMPLATES.join(', ')}`);
+  }
+  // Throws for unknown versions before any model call is made
+  getTemplate(template, versionA);
+  getTemplate(template, versionB);
+
+  const ids = sessionIds?.length > 0
+    ? sessionIds
+    : (await listSessions()).slice(0, limit).map(s => s.id);
+
+  const engineInfo = getEngineInfo(engine);
+  const stats = { [versionA]: emptyStats(versionA), [versionB]: emptyStats(versionB) };
+  const agreement = { compared: 0, agreed: 0 };
+  const sessions = [];
+
+  for (const sessionId of ids) {
+    const session = await readSession(sessionId);
+    if (!session?.groups || Object.keys(session.groups).length === 0) {
+      console.warn(`[Eval] Skipping ${sessionId}: no classified tabs`);
+      continue;
+    }
+
+    const categoriesByVersion = {};
+    for (const version of [versionA, versionB]) {
+      const runs = await replayPass(template, session, engine, { prompt: { version } });
+      const s = stats[version];
+      for (const run of runs) {
+        s.runs++;
+        if (run.status === 'repaired') s.repaired++;
+        if (run.status === 'failed') s.parseFailures++;
+        if (run.status === 'error') s.errors++;
+        s.usage = addUsage(s.usage, run.usage);
+        if (run.categories) {
+          categoriesByVersion[version] = run.categories;
+          const vsSession = compareCategories(run.categories, storedCategories(session));
+          s.agreementWithSession.compared += vsSession.compared;
+          s.agreementWithSession.agreed += vsSession.agreed;
+        }
+      }
+      onProgress?.({ sessionId, version, runs });
+    }
+
+    const pair = compareCategories(categoriesByVersion[versionA], categoriesByVersion[versionB]);
+    agreement.compared += pair.compared;
+    agreement.agreed += pair.agreed;
+    sessions.push({ sessionId, agreement: template === 'pass1-classify' ? rate(pair.agreed, pair.compared) : null });
+  }
+
+  const versions = {};
+  for (const [version, s] of Object.entries(stats)) {
+    versions[version] = {
+      runs: s.runs,
+      repaired: s.repaired,
+      parseFailures: s.parseFailures,
+      errors: s.errors,
+      parseFailureRate: rate(s.parseFailures, s.runs - s.errors),
+      inputTokens: s.usage?.input_tokens || 0,
+      outputTokens: s.usage?.output_tokens || 0,
+      costUsd: computeCost(engineInfo.engine, engineInfo.model, s.usage),
+      agreementWithSession: template === 'pass1-classify'
+        ? rate(s.agreementWithSession.agreed, s.agreementWithSession.compared)
+        : null
+    };
+  }
+
+  return {
+    template,
+    engine: engineInfo.engine,
+    model: engineInfo.model,
+    versionA,
+    versionB,
+    sessions,
+    versions,
+    agreement: template === 'pass1-classify'
+      ? { ...agreement, rate: rate(agreement.agreed, agreement.compared) }
+      : null
+  };
+}
+
+module.exports = { evaluatePromptVersions, replayPass, passTemplateName, EVAL_TEMPLATES };
@@ -0,0 +1,193 @@
+/**
+ * Prompt Registry
+ *
+ * Named, versioned prompt templates under backend/prompts/
+ * (MEMENTO_PROMPTS_DIR overrides):
+ *
+ *   registry.json           { [name]: { description, variables, active, versions: { v1: { createdAt, note, basedOn? } } } }
+ *   <name>/v<N>.txt         template text with {{variable}} placeholders
+ *
+ * Versions are immutable once written; saving an edit (e.g. from the
+ * workbench) adds v<N+1>, optionally making it the active version.
+ * renderPrompt() returns the template name and version alongside the text
+ * so callers can record which version produced a result (session meta.prompts).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = process.env.MEMENTO_PROMPTS_DIR || path.join(__dirname, 'prompts');
+const REGISTRY_PATH = path.join(PROMPTS_DIR, 'registry.json');
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Template text by name@version; versions never change once written
+const templateCache = new Map();
+
+function readRegistry() {
+  return JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf-8'));
+}
+
+function writeRegistry(registry) {
+  fs.writeFileSync(REGISTRY_PATH, JSON.stringify(registry, null, 2) + '\n');
+}
+
+function templatePath(name, version) {
+  return path.join(PROMPTS_DIR, name, `${version}.txt`);
+}
+
+function placeholders(template) {
+  return [...new Set([...template.matchAll(PLACEHOLDER)].map(m => m[1]))];
+}
+
+/**
+ * A template's text and metadata
+ * @param {string} name - Template name (e.g. 'pass1-classify')
+ * @param {string} [version] - Defaults to the active version
+ * @returns {{name, version, active, template, variables, meta}}
+ * @throws {Error} For unknown templates or versions
+ */
+function getTemplate(name, version = null) {
+  const entry = readRegistry()[name];
+  if (!entry) throw new Error(`Unknown prompt template: ${name}`);
+
+  const useVersion = version || entry.active;
+  if (!entry.versions[useVersion]) throw new Error(`Unknown version ${useVersion} of prompt ${name}`);
+
+  const key = `${name}@${useVersion}`;
+  if (!templateCache.has(key)) {
+    // Files end with a newline; prompts never did
+    templateCache.set(key, fs.readFileSync(templatePath(name, useVersion), 'utf-8').replace(/\n$/, ''));
+  }
+
+  return {
+    name,
+    version: useVersion,
+    active: entry.active,
+    template: templateCache.get(key),
+    variables: entry.variables,
+    meta: entry.versions[useVersion]
+  };
+}
+
+/**
+ * Fill a template's {{placeholders}}
+ * @param {string} name - Template name
+ * @param {Object} vars - Placeholder values (String(); null/undefined render empty)
+ * @param {Object} [options]
+ * @param {string} [options.version] - Version to render (defaults to active)
+ * @param {string} [options.template] - Unsaved template text to render instead (workbench)
+ * @returns {{text: string, template: string, version: string|null}}
+ * @throws {Error} When a placeholder is missing from vars
+ */
+function renderPrompt(name, vars, { version = null, template = null } = {}) {
+  const source = template !== null
+    ? { template, version: null }
+    : getTemplate(name, version);
+
+  const missing = placeholders(source.template).filter(v => !(v in vars));
+  if (missing.length > 0) {
+    throw new Error(`Prompt ${name}${source.version ? `@${source.version}` : ''} has no value for: ${missing.join(', ')}`);
+  }
+
+  return {
+    text: source.template.replace(PLACEHOLDER, (match, variable) => String(vars[variable] ?? '')),
+    template: name,
+    version: source.version
+  };
+}
+
+/**
+ * Every template with its versions, newest first
+ */
+function listTemplates() {
+  const registry = readRegistry();
+  return Object.entries(registry).map(([name, entry]) => ({
+    name,
+    description: entry.description,
+    variables: entry.variables,
+    active: entry.active,
+    versions: Object.entries(entry.versions)
+      .map(([version, meta]) => ({ version, ...meta }))
+      .sort((a, b) => parseInt(b.version.slice(1), 10) - parseInt(a.version.slice(1), 10))
+  }));
+}
+
+/**
+ * Save template text as the next version of a prompt
+ * @param {string} name - Template name
+ * @param {string} template - Template text
+ * @param {Object} [options]
+ * @param {string} [options.note] - What changed
+ * @param {string} [options.basedOn] - Version the edit started from
+ * @param {boolean} [options.activate=false] - Make it the active version
+ * @returns {{success: boolean, message: string, version?: string}}
+ */
+function saveVersion(name, template, { note = '', basedOn = null, activate = false } = {}) {
+  try {
+    const registry = readRegistry();
+    const entry = registry[name];
+    if (!entry) {
+      return { success: false, message: `Unknown prompt template: ${name}` };
+    }
+    if (typeof template !== 'string' || !template.trim()) {
+      return { success: false, message: 'Template text required' };
+    }
+
+    const unknown = placeholders(template).filter(v => !entry.variables.includes(v));
+    if (unknown.length > 0) {
+      return {
+        success: false,
+        message: `Unknown placeholder(s) ${unknown.map(v => `{{${v}}}`).join(', ')}; ${name} provides ${entry.variables.join(', ')}`
+      };
+    }
+
+    const latest = Math.max(0, ...Object.keys(entry.versions).map(v => parseInt(v.slice(1), 10) || 0));
+    const version = `v${latest + 1}`;
+
+    fs.mkdirSync(path.join(PROMPTS_DIR, name), { recursive: true });
+    fs.writeFileSync(templatePath(name, version), template.replace(/\n$/, '') + '\n');
+    entry.versions[version] = {
+      createdAt: new Date().toISOString(),
+      note: note || '',
+      ...(basedOn && { basedOn })
+    };
+    if (activate) entry.active = version;
+    writeRegistry(registry);
+
+    console.error(`[Prompts] Saved ${name}@${version}${activate ? ' (active)' : ''}`);
+    return { success: true, message: `Saved ${name} ${version}${activate ? ' and made it active' : ''}`, version };
+  } catch (error) {
+    console.error(`[Prompts] Failed to save ${name}: ${error.message}`);
+    return { success: false, message: `Failed to save prompt: ${error.message}` };
+  }
+}
+
+/**
+ * Make an existing version the one classification and task enrichment use
+ * @returns {{success: boolean, message: string}}
+ */
+function setActiveVersion(name, version) {
+  try {
+    const registry = readRegistry();
+    const entry = registry[name];
+    if (!entry) return { success: false, message: `Unknown prompt template: ${name}` };
+    if (!entry.versions[version]) return { success: false, message: `Unknown version ${version} of prompt ${name}` };
+
+    entry.active = version;
+    writeRegistry(registry);
+    console.error(`[Prompts] ${name} now uses ${version}`);
+    return { success: true, message: `${name} now uses ${version}` };
+  } catch (error) {
+    console.error(`[Prompts] Failed to activate ${name}@${version}: ${error.message}`);
+    return { success: false, message: `Failed to update prompt: ${error.message}` };
+  }
+}
+
+module.exports = {
+  getTemplate,
+  renderPrompt,
+  listTemplates,
+  saveVersion,
+  setActiveVersion,
+  PROMPTS_DIR
+};
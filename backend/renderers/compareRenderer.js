@@ -0,0 +1,214 @@
+/**
+ * Compare Renderer - Session Diff Screen
+ * Two captures side by side: tabs added/closed/persisted, category moves,
+ * disposition changes and the intake/output shift
+ */
+
+const { escapeHtml, wrapInLayout } = require('./layout');
+
+function formatTimestamp(timestamp) {
+  if (!timestamp) return 'Unknown time';
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+function extractDomain(url) {
+  try {
+    return new URL(url).hostname.replace('www.', '');
+  } catch {
+    return '';
+  }
+}
+
+function formatDelta(value) {
+  if (value === null) return '';
+  if (value === 0) return '±0';
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+function renderTabLink(tab) {
+  return `
+    <a href="${escapeHtml(tab.url)}" target="_blank" rel="noopener" class="diff-title">${escapeHtml(tab.title || tab.url)}</a>
+    <span class="diff-domain">${escapeHtml(extractDomain(tab.url))}</span>
+  `;
+}
+
+/**
+ * Render one diff section; rows are pre-rendered <li> contents
+ */
+function renderSection(title, rows, { open = true, emptyText = 'None' } = {}) {
+  return `
+    <details class="diff-section" ${open ? 'open' : ''}>
+      <summary><h2>${title} <span class="diff-count">${rows.length}</span></h2></summary>
+      ${rows.length > 0
+        ? `<ul class="diff-list">${rows.map(r => `<li>${r}</li>`).join('')}</ul>`
+        : `<p class="diff-empty">${emptyText}</p>`}
+    </details>
+  `;
+}
+
+function renderPatternSide(pattern) {
+  if (!pattern) return '<span class="diff-empty">No Pass 4 pattern</span>';
+  const split = pattern.intakeVsOutput ||
+    (pattern.intake !== null && pattern.output !== null ? `${pattern.intake}% intake, ${pattern.output}% output` : '');
+  return `
+    <span class="pattern-type">${escapeHtml(pattern.type || 'Unknown')}</span>
+    ${split ? `<span class="pattern-split">${escapeHtml(split)}</span>` : ''}
+  `;
+}
+
+function renderPatternShift(shift) {
+  if (!shift) return '';
+
+  const deltas = [];
+  if (shift.intakeDelta !== null) deltas.push(`Intake ${formatDelta(shift.intakeDelta)} pts`);
+  if (shift.outputDelta !== null) deltas.push(`Output ${formatDelta(shift.outputDelta)} pts`);
+
+  return `
+    <div class="pattern-shift">
+      <div class="pattern-side">${renderPatternSide(shift.from)}</div>
+      <div class="pattern-arrow">&rarr;</div>
+      <div class="pattern-side">${renderPatternSide(shift.to)}</div>
+      ${deltas.length > 0 ? `<div class="pattern-deltas">${deltas.join(' · ')}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render the compare page
+ * @param {Object} comparison - Result of sessionCompare.compareSessions()
+ */
+function renderComparePage(comparison) {
+  const { a, b, summary } = comparison;
+
+  const extraStyles = `
+    .compare-header {
+      display: grid;
+      grid-template-columns: 1fr auto 1fr;
+      gap: 1em;
+      align-items: center;
+      margin-bottom: 1.5em;
+    }
+    .compare-session {
+      padding: 1em;
+      background: white;
+      border: 1px solid var(--border-light);
+      border-radius: 6px;
+    }
+    .compare-session a { font-weight: 600; }
+    .compare-session p {
+      margin-top: 0.4em;
+      font-size: 0.9em;
+      color: var(--text-muted);
+    }
+    .compare-arrow, .pattern-arrow { color: var(--text-muted); font-size: 1.4em; }
+    .compare-stats {
+      display: flex;
+      gap: 2em;
+      color: var(--text-muted);
+      margin-bottom: 1.5em;
+    }
+    .compare-stats strong { color: var(--text-primary); }
+    .pattern-shift {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 1em;
+      align-items: center;
+      padding: 1em;
+      margin-bottom: 2em;
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-light);
+      border-radius: 6px;
+    }
+    .pattern-type { font-weight: 600; margin-right: 0.5em; }
+    .pattern-split, .pattern-deltas { font-size: 0.9em; color: var(--text-muted); }
+    .pattern-deltas { flex-basis: 100%; }
+    .diff-section { margin-bottom: 1.5em; }
+    .diff-section summary { cursor: pointer; list-style: none; }
+    .diff-section summary h2 { display: inline; font-size: 1.1em; }
+    .diff-count {
+      font-size: 0.8em;
+      color: var(--text-muted);
+      font-weight: normal;
+    }
+    .diff-list {
+      list-style: none;
+      margin-top: 0.5em;
+      border: 1px solid var(--border-light);
+      border-radius: 6px;
+      background: white;
+    }
+    .diff-list li {
+      padding: 0.6em 1em;
+      border-bottom: 1px solid var(--border-light);
+      display: flex;
+      gap: 0.75em;
+      align-items: baseline;
+      flex-wrap: wrap;
+    }
+    .diff-list li:last-child { border-bottom: none; }
+    .diff-domain, .diff-empty { font-size: 0.85em; color: var(--text-muted); }
+    .diff-change {
+      margin-left: auto;
+      font-size: 0.85em;
+      color: var(--text-secondary);
+    }
+  `;
+
+  const moveRows = comparison.categoryMoves.map(m =>
+    `${renderTabLink(m)}<span class="diff-change">${escapeHtml(m.from)} &rarr; ${escapeHtml(m.to)}</span>`);
+  const dispositionRows = comparison.dispositionChanges.map(d =>
+    `${renderTabLink(d)}<span class="diff-change">${escapeHtml(d.from)} &rarr; ${escapeHtml(d.to)}</span>`);
+  const addedRows = comparison.added.map(t =>
+    `${renderTabLink(t)}<span class="diff-change">${escapeHtml(t.category)}</span>`);
+  const closedRows = comparison.closed.map(t =>
+    `${renderTabLink(t)}<span class="diff-change">${escapeHtml(t.category)} · ${escapeHtml(t.status)}</span>`);
+  const persistedRows = comparison.persisted.map(p =>
+    `${renderTabLink(p)}<span class="diff-change">${escapeHtml(p.categoryB)}</span>`);
+
+  const content = `
+    <div class="page-content">
+      <h1>Compare Sessions</h1>
+
+      <div class="compare-header">
+        <div class="compare-session">
+          <a href="/results/${escapeHtml(a.id)}">${formatTimestamp(a.timestamp)}</a>
+          <p>${a.totalTabs} tabs${a.narrative ? ` · ${escapeHtml(a.narrative)}` : ''}</p>
+        </div>
+        <div class="compare-arrow">&rarr;</div>
+        <div class="compare-session">
+          <a href="/results/${escapeHtml(b.id)}">${formatTimestamp(b.timestamp)}</a>
+          <p>${b.totalTabs} tabs${b.narrative ? ` · ${escapeHtml(b.narrative)}` : ''}</p>
+        </div>
+      </div>
+
+      <div class="compare-stats">
+        <span><strong>${summary.added}</strong> added</span>
+        <span><strong>${summary.closed}</strong> closed</span>
+        <span><strong>${summary.persisted}</strong> persisted</span>
+        <span><strong>${summary.categoryMoves}</strong> moved</span>
+        <span><strong>${summary.dispositionChanges}</strong> disposition changes</span>
+      </div>
+
+      ${renderPatternShift(comparison.patternShift)}
+
+      ${renderSection('Category moves', moveRows)}
+      ${renderSection('Disposition changes', dispositionRows)}
+      ${renderSection('Added', addedRows)}
+      ${renderSection('Closed', closedRows)}
+      ${renderSection('Persisted', persistedRows, { open: false })}
+    </div>
+  `;
+
+  return wrapInLayout(content, {
+    currentPage: 'compare',
+    title: 'Compare Sessions',
+    extraHead: extraStyles
+  });
+}
+
+module.exports = { renderComparePage };
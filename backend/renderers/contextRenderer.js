@@ -0,0 +1,292 @@
+/**
+ * Context Renderer
+ *
+ * Renders the /context page — an editor for ~/.memento/context.json.
+ * Projects can be added, edited, archived and restored; keyword
+ * suggestions (see contextSuggestions.js) are loaded after the page renders.
+ * A stale file (>24h) is shown with a Refresh button instead of being
+ * silently ignored.
+ */
+
+const { escapeHtml, wrapInLayout, formatDate } = require('./layout');
+
+const CATEGORY_TYPES = ['Project', 'Development', 'Research', 'Creative Writing', 'Learning'];
+
+const pageCSS = `
+    .context-banner {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 1em;
+      padding: 0.75em 1em;
+      margin-bottom: 1em;
+      border-radius: 6px;
+      font-family: system-ui, sans-serif;
+      font-size: 0.9em;
+      background: #fef3c7;
+      color: #92400e;
+    }
+    .context-banner.error { background: #fee2e2; color: #991b1b; }
+    .context-meta {
+      font-size: 0.85em;
+      color: var(--text-muted);
+      font-family: system-ui, sans-serif;
+      margin-bottom: 1em;
+    }
+
+    .project-card.archived { opacity: 0.7; }
+    .project-fields {
+      display: grid;
+      grid-template-columns: 8em 1fr;
+      gap: 0.5em 0.75em;
+      align-items: center;
+      margin-bottom: 0.75em;
+    }
+    .project-fields label {
+      font-size: 0.85em;
+      color: var(--text-muted);
+      font-family: system-ui, sans-serif;
+    }
+    .project-fields input {
+      padding: 0.4em 0.75em;
+      border: 1px solid var(--border-light);
+      border-radius: 4px;
+      font-family: inherit;
+      font-size: 0.9em;
+    }
+    .project-fields input:focus {
+      outline: none;
+      border-color: var(--accent-blue);
+    }
+
+    .keyword-suggestions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.4em;
+      align-items: center;
+      margin-bottom: 0.75em;
+      font-size: 0.85em;
+      color: var(--text-muted);
+    }
+    .keyword-chip {
+      padding: 0.15em 0.6em;
+      border: 1px dashed var(--border-light);
+      border-radius: 999px;
+      background: var(--bg-secondary);
+      color: var(--text-secondary);
+      font-family: inherit;
+      font-size: 1em;
+      cursor: pointer;
+    }
+    .keyword-chip:hover { border-style: solid; }
+
+    .project-actions, .context-actions {
+      display: flex;
+      gap: 0.5em;
+    }
+    .context-actions {
+      margin: 1em 0 2em;
+    }
+`;
+
+const pageJS = `
+  <script>
+    function contextRequest(url, body) {
+      return fetch(url, {
+        method: body ? 'POST' : 'GET',
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      }).then(function(r) { return r.json(); });
+    }
+
+    function readProject(card) {
+      var field = function(name) { return card.querySelector('[name="' + name + '"]').value.trim(); };
+      return {
+        name: field('name'),
+        categoryType: field('categoryType') || 'Project',
+        keywords: field('keywords').split(',').map(function(k) { return k.trim(); }).filter(Boolean),
+        writingTarget: field('writingTarget')
+      };
+    }
+
+    function collectProjects(state) {
+      var cards = document.querySelectorAll('.project-card[data-state="' + state + '"]');
+      return Array.prototype.map.call(cards, readProject).filter(function(p) { return p.name; });
+    }
+
+    function saveContext() {
+      contextRequest('/api/context', {
+        activeProjects: collectProjects('active'),
+        archivedProjects: collectProjects('archived')
+      })
+      .then(function(result) {
+        if (result.success) {
+          location.reload();
+        } else {
+          alert(result.message || 'Failed to save context');
+        }
+      })
+      .catch(function(err) { alert('Error: ' + err.message); });
+    }
+
+    function setProjectState(button, state) {
+      button.closest('.project-card').dataset.state = state;
+      saveContext();
+    }
+
+    function deleteProject(button) {
+      var card = button.closest('.project-card');
+      if (!confirm('Delete "' + readProject(card).name + '" permanently?')) return;
+      card.remove();
+      saveContext();
+    }
+
+    function addProject() {
+      var card = document.getElementById('project-template').content.firstElementChild.cloneNode(true);
+      document.getElementById('active-projects').appendChild(card);
+      var empty = document.getElementById('no-projects');
+      if (empty) empty.remove();
+      card.querySelector('[name="name"]').focus();
+    }
+
+    function refreshContext() {
+      contextRequest('/api/context/refresh', {})
+      .then(function(result) {
+        if (result.success) {
+          location.reload();
+        } else {
+          alert(result.message || 'Failed to refresh context');
+        }
+      })
+      .catch(function(err) { alert('Error: ' + err.message); });
+    }
+
+    function addKeyword(chip) {
+      var input = chip.closest('.project-card').querySelector('[name="keywords"]');
+      var current = input.value.trim();
+      input.value = current ? current.replace(/,\\s*$/, '') + ', ' + chip.dataset.keyword : chip.dataset.keyword;
+      chip.remove();
+    }
+
+    function renderSuggestions(suggestions) {
+      var cards = document.querySelectorAll('.project-card[data-state="active"]');
+      Array.prototype.forEach.call(cards, function(card) {
+        var list = suggestions[card.dataset.name] || [];
+        var target = card.querySelector('.keyword-suggestions');
+        if (!target || list.length === 0) return;
+        target.textContent = 'Suggested:';
+        list.forEach(function(s) {
+          var chip = document.createElement('button');
+          chip.type = 'button';
+          chip.className = 'keyword-chip';
+          chip.dataset.keyword = s.keyword;
+          chip.textContent = '+ ' + s.keyword;
+          chip.title = (s.regrouped ? s.regrouped + ' regrouped tab(s), ' : '') +
+            (s.misses ? s.misses + ' unmatched tab(s)' : '') +
+            (s.examples.length ? '\\n' + s.examples.join('\\n') : '');
+          chip.onclick = function() { addKeyword(chip); };
+          target.appendChild(chip);
+        });
+        target.hidden = false;
+      });
+    }
+
+    contextRequest('/api/context/suggestions')
+      .then(function(result) { if (result.success) renderSuggestions(result.suggestions); })
+      .catch(function(err) { console.warn('Keyword suggestions unavailable:', err.message); });
+  </script>
+`;
+
+function renderProjectCard(project, state) {
+  const name = project.name || '';
+  const actions = state === 'active'
+    ? `<button class="btn btn-secondary" onclick="setProjectState(this, 'archived')">Archive</button>`
+    : `<button class="btn btn-secondary" onclick="setProjectState(this, 'active')">Restore</button>
+        <button class="btn btn-secondary" onclick="deleteProject(this)">Delete</button>`;
+
+  return `
+    <div class="card project-card ${state}" data-state="${state}" data-name="${escapeHtml(name)}">
+      <div class="project-fields">
+        <label>Name</label>
+        <input name="name" value="${escapeHtml(name)}" placeholder="e.g. Memento">
+        <label>Category type</label>
+        <input name="categoryType" value="${escapeHtml(project.categoryType || 'Project')}" list="category-types">
+        <label>Keywords</label>
+        <input name="keywords" value="${escapeHtml((project.keywords || []).join(', '))}" placeholder="comma-separated">
+        <label>Writing target</label>
+        <input name="writingTarget" value="${escapeHtml(project.writingTarget || '')}" list="writing-targets"
+               placeholder="Start Writing target: https://…, obsidian:folder, vscode:/path or markdown:folder">
+      </div>
+      <div class="keyword-suggestions" hidden></div>
+      <div class="project-actions">${actions}</div>
+    </div>`;
+}
+
+function renderBanner(file) {
+  if (file.error) {
+    return `<div class="context-banner error">
+        <span>context.json could not be read (${escapeHtml(file.error)}). Saving will overwrite it.</span>
+      </div>`;
+  }
+  if (!file.stale) return '';
+  return `<div class="context-banner">
+        <span>This context is more than 24 hours old, so captures are ignoring it. Refresh it if the projects are still current.</span>
+        <button class="btn btn-primary" onclick="refreshContext()">Refresh</button>
+      </div>`;
+}
+
+/**
+ * Render the context editor
+ * @param {Object} file - contextLoader.readContextFile() result
+ * @param {Array<{id, label}>} [writingTargets] - Suggestions for the writing target field
+ * @returns {string} HTML page
+ */
+function renderContextPage(file, writingTargets = []) {
+  const context = file.context || {};
+  const active = context.activeProjects || [];
+  const archived = context.archivedProjects || [];
+
+  const meta = file.exists && context.generated
+    ? `${escapeHtml(file.path)} · updated ${escapeHtml(formatDate(context.generated))}${file.stale ? '' : ' · in use by captures'}`
+    : `${escapeHtml(file.path)} · not created yet`;
+
+  const activeHtml = active.length > 0
+    ? active.map(p => renderProjectCard(p, 'active')).join('')
+    : `<div class="empty-state" id="no-projects">
+        <p>No active projects. Add one so captures can file matching tabs under it.</p>
+      </div>`;
+
+  const bodyContent = `
+    <div class="page-content">
+      <h1>Context</h1>
+      <p class="page-subtitle">Active projects the classifier files tabs under. Keywords matched in a tab's title or content attribute it to the project.</p>
+      <div class="context-meta">${meta}</div>
+      ${renderBanner(file)}
+      <div id="active-projects">${activeHtml}
+      </div>
+      <div class="context-actions">
+        <button class="btn btn-secondary" onclick="addProject()">Add project</button>
+        <button class="btn btn-primary" onclick="saveContext()">Save</button>
+      </div>
+      ${archived.length > 0 ? `
+      <h2>Archived (${archived.length})</h2>
+      ${archived.map(p => renderProjectCard(p, 'archived')).join('')}` : ''}
+      <template id="project-template">${renderProjectCard({}, 'active')}</template>
+      <datalist id="category-types">
+        ${CATEGORY_TYPES.map(t => `<option value="${escapeHtml(t)}">`).join('')}
+      </datalist>
+      <datalist id="writing-targets">
+        ${writingTargets.map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.label)}</option>`).join('')}
+      </datalist>
+    </div>
+  `;
+
+  return wrapInLayout(bodyContent, {
+    currentPage: 'context',
+    title: 'Context',
+    extraHead: pageCSS,
+    extraScripts: pageJS
+  });
+}
+
+module.exports = { renderContextPage };
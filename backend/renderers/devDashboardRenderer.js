@@ -18,9 +18,16 @@ const ROUTES = {
     { method: 'GET', path: '/launchpad/:sessionId', description: 'Launchpad UI - forced completion triage', group: 'Core' },
     { method: 'GET', path: '/preferences', description: 'Learned preferences management', group: 'Core' },
     { method: 'GET', path: '/tasks', description: 'Task-driven attention system', group: 'Core' },
+    { method: 'GET', path: '/efforts', description: 'Efforts across sessions with history', group: 'Core' },
+    { method: 'GET', path: '/context', description: 'Edit, archive and refresh context projects', group: 'Core' },
+    { method: 'GET', path: '/usage', description: 'Model spend by day, pass and engine', group: 'Core' },
     { method: 'GET', path: '/results/:sessionId', description: 'Session summary - hub screen', group: 'Session Views' },
-    { method: 'GET', path: '/results/:sessionId/tabs', description: 'Browse grouped tabs', group: 'Session Views' },
+    { method: 'GET', path: '/results/:sessionId/tabs', description: 'Browse grouped tabs (?view=browser: window/tab group layout)', group: 'Session Views' },
     { method: 'GET', path: '/review/:sessionId', description: 'Review mode (no lock)', group: 'Session Views' },
+    { method: 'GET', path: '/progress/:captureId', description: 'Live classification progress', group: 'Session Views' },
+    { method: 'GET', path: '/results/:sessionId/export', description: 'Export session (?format=md|obsidian|json|html)', group: 'Session Views' },
+    { method: 'POST', path: '/api/results/:sessionId/actions/:index/start-writing', description: 'Start Writing: brief for a suggested action to its writing target', group: 'Session Views' },
+    { method: 'GET', path: '/compare/:a/:b', description: 'Diff two sessions', group: 'Session Views' },
   ],
   developer: [
     { method: 'GET', path: '/dev', description: 'THIS PAGE - sprint tracking + routes', group: 'Dev Tools' },
@@ -31,13 +38,30 @@ const ROUTES = {
   api: [
     { method: 'POST', path: '/classifyBrowserContext', description: 'Main classification endpoint', group: 'Classification' },
     { method: 'POST', path: '/classifyAndRender', description: 'Classify and return HTML', group: 'Classification' },
+    { method: 'POST', path: '/api/captures', description: 'Classify in background (returns captureId)', group: 'Classification' },
+    { method: 'GET', path: '/api/captures/:captureId/events', description: 'SSE progress stream', group: 'Classification' },
+    { method: 'GET', path: '/api/jobs', description: 'Unfinished capture jobs', group: 'Classification' },
+    { method: 'POST', path: '/api/jobs/:jobId/retry', description: 'Resume a failed capture', group: 'Classification' },
+    { method: 'DELETE', path: '/api/jobs/:jobId', description: 'Discard a capture job', group: 'Classification' },
     { method: 'GET', path: '/api/lock-status', description: 'Current lock status', group: 'Lock' },
     { method: 'POST', path: '/api/acquire-lock', description: 'Acquire session lock', group: 'Lock' },
     { method: 'POST', path: '/api/lock/force-clear', description: 'Force clear lock (dev)', group: 'Lock' },
     { method: 'GET', path: '/api/launchpad/:sessionId/state', description: 'Session state with dispositions', group: 'Launchpad' },
     { method: 'POST', path: '/api/launchpad/:sessionId/disposition', description: 'Record user action', group: 'Launchpad' },
     { method: 'POST', path: '/api/launchpad/:sessionId/batch-disposition', description: 'Batch actions', group: 'Launchpad' },
+    { method: 'POST', path: '/api/launchpad/:sessionId/promote', description: 'Write a note and record promote', group: 'Launchpad' },
+    { method: 'GET', path: '/api/promote/targets', description: 'Note targets for promote', group: 'Launchpad' },
     { method: 'POST', path: '/api/launchpad/:sessionId/clear-lock', description: 'Clear lock when complete', group: 'Launchpad' },
+    { method: 'GET', path: '/api/efforts', description: 'Registry efforts (?status=open|pending|deferred|completed)', group: 'Efforts' },
+    { method: 'POST', path: '/api/efforts/:effortId/complete', description: 'Complete an effort', group: 'Efforts' },
+    { method: 'POST', path: '/api/efforts/:effortId/defer', description: 'Defer an effort', group: 'Efforts' },
+    { method: 'POST', path: '/api/efforts/:effortId/items', description: 'Tick or untick an effort item', group: 'Efforts' },
+    { method: 'GET', path: '/api/context', description: 'Context file with staleness', group: 'Context' },
+    { method: 'POST', path: '/api/context', description: 'Save active and archived projects', group: 'Context' },
+    { method: 'POST', path: '/api/context/refresh', description: 'Re-date a stale context file', group: 'Context' },
+    { method: 'GET', path: '/api/context/suggestions', description: 'Keyword suggestions per project', group: 'Context' },
+    { method: 'GET', path: '/api/usage', description: 'Usage summary (?days=30)', group: 'Usage' },
+    { method: 'POST', path: '/api/usage/budget', description: 'Set or clear the monthly budget', group: 'Usage' },
     { method: 'GET', path: '/api/tasks/candidates', description: 'Raw task candidates', group: 'Tasks' },
     { method: 'GET', path: '/api/tasks/stats', description: 'Attention stats', group: 'Tasks' },
     { method: 'GET', path: '/api/tasks/log', description: 'Task action log', group: 'Tasks' },
@@ -45,7 +69,12 @@ const ROUTES = {
     { method: 'GET', path: '/api/preferences', description: 'All preferences (JSON)', group: 'Preferences' },
     { method: 'POST', path: '/api/preferences/:prefId/approve', description: 'Confirm preference', group: 'Preferences' },
     { method: 'POST', path: '/api/preferences/:prefId/reject', description: 'Dismiss preference', group: 'Preferences' },
-    { method: 'POST', path: '/api/workbench/rerun', description: 'Re-run pass with modified prompt', group: 'Workbench' },
+    { method: 'GET', path: '/api/extractors', description: 'Per-domain field extractors for captures', group: 'Preferences' },
+    { method: 'POST', path: '/api/workbench/rerun', description: 'Re-run pass with modified prompt or template', group: 'Workbench' },
+    { method: 'GET', path: '/api/prompts', description: 'Prompt templates and versions', group: 'Workbench' },
+    { method: 'GET', path: '/api/prompts/:name', description: 'Template text (?version=, default active)', group: 'Workbench' },
+    { method: 'POST', path: '/api/prompts/:name/versions', description: 'Save template as a new version', group: 'Workbench' },
+    { method: 'POST', path: '/api/prompts/:name/active', description: 'Set the active version', group: 'Workbench' },
   ],
   deprecated: [
     { method: 'GET', path: '/rules', description: 'Redirects to /preferences', group: 'Redirects' },
@@ -113,6 +142,7 @@ const SPRINTS = [
 const FEATURES = {
   working: [
     { name: 'Tab capture (extension)', file: 'extension/popup.js' },
+    { name: 'Scheduled/idle capture (service worker)', file: 'extension/background.js' },
     { name: 'LLM classification (4-pass)', file: 'backend/classifier.js' },
     { name: 'Session storage', file: 'backend/memory.js' },
     { name: 'Results pages (Summary, Map, Tabs, Analysis)', file: 'backend/renderers/' },
@@ -126,6 +156,10 @@ const FEATURES = {
     { name: 'Preference suggestions + management', file: 'backend/renderers/preferencesRenderer.js' },
     { name: 'Preference application tracking', file: 'backend/correctionAnalyzer.js' },
     { name: 'Workbench prompt inspection', file: 'backend/renderers/workbenchRenderer.js' },
+    { name: 'Prompt template registry', file: 'backend/promptRegistry.js' },
+    { name: 'PDF text + metadata extraction (Pass 0)', file: 'backend/pdfExtractor.js' },
+    { name: 'Capture sources (Firefox sessionstore, URL lists, CLI)', file: 'backend/captureSources.js' },
+    { name: 'Theme clustering on cached embeddings', file: 'backend/embeddings.js' },
     { name: 'Session history browsing', file: 'backend/renderers/historyRenderer.js' },
     { name: 'Central dashboard', file: 'backend/renderers/dashboardRenderer.js' },
     { name: 'MCP server integration', file: 'backend/mcp-server.js' },
@@ -154,13 +188,11 @@ function renderRouteLink(route, sampleSessionId) {
   } else if (route.path.includes(':sessionId')) {
     testPath = null;
   }
-  if (route.path.includes(':prefId') || route.path.includes(':ruleId') || route.path.includes(':taskId')) {
+  if (route.path.includes(':prefId') || route.path.includes(':ruleId') || route.path.includes(':taskId') || route.path.includes(':captureId') || route.path.includes(':jobId') || route.path.startsWith('/compare/')) {
     testPath = null;
   }
 
-  const methodBadge = route.method === 'GET'
-    ? '<span class="method-badge get">GET</span>'
-    : '<span class="method-badge post">POST</span>';
+  const methodBadge = `<span class="method-badge ${route.method.toLowerCase()}">${route.method}</span>`;
 
   if (testPath && route.method === 'GET') {
     return `
@@ -327,9 +359,10 @@ async function renderDevDashboardPage() {
     .route-section-title .count { background: var(--bg-card); padding: 2px 8px; border-radius: 12px; font-size: 0.85em; color: var(--text-secondary); }
     .route-item { display: flex; align-items: center; gap: 0.75em; padding: 0.4em 0; font-size: 0.9em; border-bottom: 1px solid var(--border-color); }
     .route-item:last-child { border-bottom: none; }
-    .method-badge { font-size: 0.7em; padding: 2px 6px; border-radius: 3px; font-family: ui-monospace, monospace; font-weight: 600; width: 40px; text-align: center; }
+    .method-badge { font-size: 0.7em; padding: 2px 6px; border-radius: 3px; font-family: ui-monospace, monospace; font-weight: 600; width: 48px; text-align: center; }
     .method-badge.get { background: #14532d; color: #86efac; }
     .method-badge.post { background: #78350f; color: #fcd34d; }
+    .method-badge.delete { background: #7f1d1d; color: #fca5a5; }
     .route-path { font-family: ui-monospace, monospace; color: var(--accent-blue); text-decoration: none; flex-shrink: 0; min-width: 200px; }
     .route-path:hover { text-decoration: underline; }
     .route-path.no-link { color: var(--text-secondary); }
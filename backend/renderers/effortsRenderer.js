@@ -0,0 +1,209 @@
+/**
+ * Efforts Renderer
+ *
+ * Renders the /efforts page — every effort in the cross-session registry
+ * (see effortRegistry.js) with its age, item completion and a timeline of
+ * the captures it has been seen in.
+ */
+
+const { escapeHtml, wrapInLayout, formatDate } = require('./layout');
+
+const pageCSS = `
+    .effort-card.completed { opacity: 0.7; }
+    .effort-meta {
+      font-size: 0.85em;
+      color: var(--text-muted);
+      font-family: system-ui, sans-serif;
+      margin-bottom: 0.75em;
+    }
+    .badge-pending { background: #dbeafe; color: #1e40af; }
+    .badge-deferred { background: #fef3c7; color: #92400e; }
+    .badge-completed { background: #dcfce7; color: #166534; }
+
+    .effort-progress {
+      height: 6px;
+      background: var(--bg-secondary);
+      border-radius: 3px;
+      overflow: hidden;
+      margin-bottom: 0.75em;
+    }
+    .effort-progress-fill {
+      height: 100%;
+      background: #16a34a;
+    }
+
+    .effort-items {
+      list-style: none;
+      margin-bottom: 0.75em;
+    }
+    .effort-items li {
+      display: flex;
+      gap: 0.5em;
+      align-items: baseline;
+      padding: 0.2em 0;
+      font-size: 0.95em;
+    }
+    .effort-items li.done a {
+      text-decoration: line-through;
+      color: var(--text-muted);
+    }
+    .effort-item-seen {
+      margin-left: auto;
+      font-size: 0.8em;
+      color: var(--text-muted);
+      white-space: nowrap;
+    }
+
+    .effort-timeline summary {
+      font-size: 0.85em;
+      color: var(--text-muted);
+      cursor: pointer;
+    }
+    .effort-timeline ol {
+      list-style: none;
+      margin: 0.5em 0 0 0.5em;
+      padding-left: 0.75em;
+      border-left: 2px solid var(--border-light);
+      font-size: 0.85em;
+      color: var(--text-secondary);
+    }
+    .effort-timeline time {
+      color: var(--text-muted);
+      margin-right: 0.5em;
+    }
+
+    .effort-actions {
+      display: flex;
+      gap: 0.5em;
+    }
+`;
+
+const pageJS = `
+  <script>
+    function effortRequest(url, body) {
+      return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+      })
+      .then(function(r) { return r.json(); })
+      .then(function(result) {
+        if (result.success) {
+          location.reload();
+        } else {
+          alert(result.message || 'Failed');
+        }
+      })
+      .catch(function(err) { alert('Error: ' + err.message); });
+    }
+
+    function setEffortStatus(effortId, action) {
+      effortRequest('/api/efforts/' + encodeURIComponent(effortId) + '/' + action);
+    }
+
+    function toggleEffortItem(effortId, url, checkbox) {
+      effortRequest('/api/efforts/' + encodeURIComponent(effortId) + '/items', { url: url, completed: checkbox.checked });
+    }
+  </script>
+`;
+
+function describeEvent(entry) {
+  const session = entry.sessionId ? ` in <a href="/review/${encodeURIComponent(entry.sessionId)}">${escapeHtml(entry.sessionId)}</a>` : '';
+  switch (entry.event) {
+    case 'created':
+      return `Created with ${entry.itemCount || 0} tabs${session}`;
+    case 'attached':
+      return `${(entry.urls || []).length} tab(s) open again${session}`;
+    case 'resumed':
+      return 'Resumed: deferred tabs came back';
+    case 'deferred':
+      return `Deferred${session}`;
+    case 'completed':
+      return `Completed${session}`;
+    case 'item_completed':
+      return `Ticked off ${escapeHtml(entry.url)}`;
+    case 'item_reopened':
+      return `Reopened ${escapeHtml(entry.url)}`;
+    default:
+      return escapeHtml(entry.event);
+  }
+}
+
+function renderEffortCard(effort) {
+  const id = escapeHtml(effort.id);
+  const percent = effort.itemCount > 0 ? Math.round((effort.completedItems / effort.itemCount) * 100) : 0;
+  const age = effort.ageDays === 0 ? 'started today' : `started ${effort.ageDays} day${effort.ageDays !== 1 ? 's' : ''} ago`;
+
+  const itemsHtml = effort.items.map(item => `
+        <li class="${item.completedAt ? 'done' : ''}">
+          <input type="checkbox" ${item.completedAt ? 'checked' : ''}
+                 onchange="toggleEffortItem('${id}', this.dataset.url, this)" data-url="${escapeHtml(item.url)}">
+          <a href="${escapeHtml(item.url)}" target="_blank">${escapeHtml(item.title || item.url)}</a>
+          ${item.lastSeenAt ? `<span class="effort-item-seen">last seen ${escapeHtml(formatDate(item.lastSeenAt))}</span>` : ''}
+        </li>`).join('');
+
+  const timelineHtml = [...effort.history].reverse().map(entry => `
+          <li><time>${escapeHtml(formatDate(entry.at))}</time>${describeEvent(entry)}</li>`).join('');
+
+  const actionsHtml = effort.status === 'completed' ? '' : `
+      <div class="effort-actions">
+        <button class="btn btn-primary" onclick="setEffortStatus('${id}', 'complete')">Mark Done</button>
+        ${effort.status === 'pending' ? `<button class="btn btn-secondary" onclick="setEffortStatus('${id}', 'defer')">Defer</button>` : ''}
+      </div>`;
+
+  return `
+    <div class="card effort-card ${effort.status}">
+      <div class="card-header">
+        <span class="card-title">${escapeHtml(effort.name)}</span>
+        <span class="badge badge-${effort.status}">${effort.status}</span>
+      </div>
+      <div class="effort-meta">
+        ${age} · ${effort.completedItems}/${effort.itemCount} items done · seen in ${effort.sessionCount} session${effort.sessionCount !== 1 ? 's' : ''}
+      </div>
+      <div class="effort-progress"><div class="effort-progress-fill" style="width: ${percent}%"></div></div>
+      <ul class="effort-items">${itemsHtml}
+      </ul>
+      <details class="effort-timeline">
+        <summary>History (${effort.history.length})</summary>
+        <ol>${timelineHtml}
+        </ol>
+      </details>
+      ${actionsHtml}
+    </div>`;
+}
+
+/**
+ * Render the efforts page
+ * @param {Array} efforts - Summaries from effortRegistry.listEfforts()
+ * @returns {string} HTML page
+ */
+function renderEffortsPage(efforts) {
+  const open = efforts.filter(e => e.status !== 'completed');
+  const completed = efforts.filter(e => e.status === 'completed');
+
+  const openHtml = open.length > 0
+    ? open.map(renderEffortCard).join('')
+    : `<div class="empty-state">
+        <p>No open efforts. Select tabs in Launchpad and click <strong>Create Effort</strong> to start one.</p>
+      </div>`;
+
+  const bodyContent = `
+    <div class="page-content">
+      <h1>Efforts</h1>
+      <p class="page-subtitle">Work that spans captures &mdash; new captures with the same tabs join the effort automatically.</p>
+      ${openHtml}
+      ${completed.length > 0 ? `
+      <h2>Completed (${completed.length})</h2>
+      ${completed.map(renderEffortCard).join('')}` : ''}
+    </div>
+  `;
+
+  return wrapInLayout(bodyContent, {
+    currentPage: 'efforts',
+    title: 'Efforts',
+    extraHead: pageCSS,
+    extraScripts: pageJS
+  });
+}
+
+module.exports = { renderEffortsPage };
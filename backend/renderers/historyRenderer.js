@@ -82,13 +82,94 @@ function buildPagination(currentPage, totalPages, searchQuery) {
   return `<div class="pagination">${parts.join('')}</div>`;
 }
 
+/**
+ * Render one session row (with a highlighted snippet for search results)
+ * snippetHtml is pre-escaped by sessionSearch with <mark> highlights only.
+ */
+function renderSessionItem(session) {
+  const source = session.matches?.[0];
+  return `
+              <a href="/results/${escapeHtml(session.id)}" class="session-item">
+                <div class="session-header">
+                  <div>
+                    <span class="session-time">${formatTimestamp(session.timestamp)}</span>
+                    <span class="session-relative">${getRelativeTime(session.timestamp)}</span>
+                  </div>
+                  <div class="session-meta">
+                    <span class="session-tabs">${session.tabCount} tabs</span>
+                    ${session.sessionPattern ? `
+                      <span class="session-pattern ${getPatternClass(session.sessionPattern)}">${escapeHtml(session.sessionPattern)}</span>
+                    ` : ''}
+                  </div>
+                </div>
+                ${session.narrative ? `
+                  <div class="session-narrative">${escapeHtml(session.narrative)}</div>
+                ` : ''}
+                ${session.snippetHtml ? `
+                  <div class="session-snippet">
+                    ${source?.title ? `<span class="snippet-source">${escapeHtml(source.title)} ·</span>` : ''}
+                    ${session.snippetHtml}
+                  </div>
+                ` : ''}
+              </a>
+            `;
+}
+
+const PASS_NAMES = ['PDF extraction', 'classification', 'deep dives', 'visualization', 'thematic analysis'];
+
+/**
+ * Render pending/running/failed capture jobs with retry controls
+ * @param {Array} jobs - Job summaries from jobQueue.listJobs()
+ */
+function renderJobsSection(jobs) {
+  if (!jobs || jobs.length === 0) return '';
+
+  const rows = jobs.map(job => {
+    const progress = job.completedPass >= 0
+      ? `completed through ${PASS_NAMES[job.completedPass]}`
+      : 'not started';
+    const actions = job.status === 'failed' ? `
+          <button class="btn btn-primary job-btn" onclick="retryJob('${escapeHtml(job.id)}')">Retry</button>
+          <button class="btn btn-secondary job-btn" onclick="discardJob('${escapeHtml(job.id)}')">Discard</button>
+        ` : `
+          <a href="/progress/${escapeHtml(job.id)}" class="btn btn-secondary job-btn">View progress</a>
+        `;
+
+    return `
+      <li class="job-item job-${escapeHtml(job.status)}">
+        <div class="job-info">
+          <div>
+            <span class="job-status">${escapeHtml(job.status)}</span>
+            <span class="session-time">${formatTimestamp(job.createdAt)}</span>
+            <span class="session-relative">${getRelativeTime(job.createdAt)}</span>
+          </div>
+          <div class="job-detail">
+            ${job.tabCount} tabs · ${escapeHtml(job.engine)}${job.trigger === 'scheduled' ? ' · scheduled' : ''} · ${progress}${job.attempts > 1 ? ` · ${job.attempts} attempts` : ''}
+          </div>
+          ${job.error ? `<div class="job-error">${escapeHtml(job.error)}</div>` : ''}
+          ${job.fallbackSessionId ? `<div class="job-detail">Keyword fallback: <a href="/results/${escapeHtml(job.fallbackSessionId)}">${escapeHtml(job.fallbackSessionId)}</a></div>` : ''}
+        </div>
+        <div class="job-actions">${actions}</div>
+      </li>
+    `;
+  }).join('');
+
+  return `
+      <div class="jobs-section">
+        <div class="date-header">Unfinished captures</div>
+        <ul class="session-list">${rows}</ul>
+      </div>
+  `;
+}
+
 /**
  * Render the history page
- * @param {Array} sessions - All sessions (already sorted newest-first)
+ * @param {Array} sessions - All sessions (newest-first, or by relevance when searching)
  * @param {string|null} searchQuery - Active search query
  * @param {number} page - Current page (1-based)
+ * @param {Array} jobs - Unfinished capture jobs (shown above the session list)
  */
-function renderHistoryPage(sessions, searchQuery = null, page = 1) {
+function renderHistoryPage(sessions, searchQuery = null, page = 1, jobs = []) {
   const PAGE_SIZE = 30;
   const totalSessions = sessions.length;
   const totalTabs = sessions.reduce((sum, s) => sum + (s.tabCount || 0), 0);
@@ -99,6 +180,9 @@ function renderHistoryPage(sessions, searchQuery = null, page = 1) {
   const startIdx = (currentPage - 1) * PAGE_SIZE;
   const visibleSessions = sessions.slice(startIdx, startIdx + PAGE_SIZE);
 
+  // Search results keep relevance order; plain browsing groups by date
+  const isSearch = Boolean(searchQuery);
+
   // Group visible sessions by date
   const groupedByDate = {};
   visibleSessions.forEach(session => {
@@ -250,6 +334,34 @@ function renderHistoryPage(sessions, searchQuery = null, page = 1) {
     .clear-search:hover {
       text-decoration: underline;
     }
+    .search-help {
+      font-size: 0.8em;
+      color: var(--text-muted);
+      margin-top: 0.4em;
+      font-family: system-ui, sans-serif;
+    }
+    .search-help code {
+      background: var(--bg-secondary);
+      padding: 1px 4px;
+      border-radius: 3px;
+    }
+    .session-snippet {
+      font-size: 0.85em;
+      color: var(--text-secondary);
+      margin-top: 0.4em;
+      line-height: 1.5;
+    }
+    .session-snippet mark {
+      background: #fef08a;
+      color: inherit;
+      padding: 0 1px;
+    }
+    .snippet-source {
+      font-family: system-ui, sans-serif;
+      font-size: 0.8em;
+      color: var(--text-muted);
+      margin-right: 0.4em;
+    }
 
     /* Pagination */
     .pagination {
@@ -292,18 +404,76 @@ function renderHistoryPage(sessions, searchQuery = null, page = 1) {
       color: var(--text-muted);
       margin-top: 0.5em;
     }
+
+    /* Unfinished capture jobs */
+    .jobs-section {
+      margin-bottom: 2em;
+    }
+    .job-item {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 1em;
+      padding: 1em;
+      margin-bottom: 0.75em;
+      background: white;
+      border: 1px solid var(--border-light);
+      border-radius: 6px;
+    }
+    .job-failed { border-left: 3px solid var(--accent-link); }
+    .job-pending, .job-running { border-left: 3px solid var(--accent-blue); }
+    .job-status {
+      font-family: system-ui, sans-serif;
+      font-size: 0.8em;
+      text-transform: uppercase;
+      letter-spacing: 0.05em;
+      margin-right: 0.5em;
+      color: var(--text-muted);
+    }
+    .job-detail {
+      font-size: 0.9em;
+      color: var(--text-secondary);
+    }
+    .job-error {
+      font-size: 0.85em;
+      color: var(--accent-link);
+      margin-top: 0.25em;
+    }
+    .job-actions {
+      display: flex;
+      gap: 0.5em;
+      flex-shrink: 0;
+    }
+    .job-btn {
+      font-size: 0.85em;
+      padding: 0.4em 0.9em;
+    }
   `;
 
-  const bodyContent = sessions.length > 0 ? `
-    <div class="page-content">
-      <h1>Session History</h1>
-      <p class="page-subtitle">All captured sessions</p>
+  const jobsSection = isSearch ? '' : renderJobsSection(jobs);
 
-      <div class="stats-summary">
-        <span><strong>${totalSessions}</strong> sessions</span>
-        <span><strong>${totalTabs.toLocaleString()}</strong> total tabs analyzed</span>
-      </div>
+  const jobScripts = jobsSection ? `
+    <script>
+      async function retryJob(jobId) {
+        const response = await fetch('/api/jobs/' + jobId + '/retry', { method: 'POST' });
+        const result = await response.json();
+        if (result.success) {
+          window.location.href = result.progressUrl;
+        } else {
+          alert(result.message || 'Retry failed');
+          window.location.reload();
+        }
+      }
+
+      async function discardJob(jobId) {
+        if (!confirm('Discard this capture? Completed passes will be lost.')) return;
+        await fetch('/api/jobs/' + jobId, { method: 'DELETE' });
+        window.location.reload();
+      }
+    </script>
+  ` : '';
 
+  const searchBar = `
       <div class="search-bar">
         <form action="/history" method="get">
           <input
@@ -314,38 +484,42 @@ function renderHistoryPage(sessions, searchQuery = null, page = 1) {
             value="${escapeHtml(searchQuery || '')}"
           />
         </form>
+        <div class="search-help">
+          Phrases in <code>"quotes"</code> · filters: <code>domain:arxiv.org</code> <code>category:Research</code>
+          <code>before:2026-03-01</code> <code>after:</code> <code>disposition:pending</code> <code>pattern:</code>
+        </div>
       </div>
+  `;
 
-      ${searchQuery ? `
-        <div class="search-results-info">
-          Showing results for "${escapeHtml(searchQuery)}"
-          <a href="/history" class="clear-search">Clear</a>
+  const bodyContent = sessions.length > 0 || isSearch || jobsSection ? `
+    <div class="page-content">
+      <h1>Session History</h1>
+      <p class="page-subtitle">All captured sessions</p>
+
+      ${!isSearch ? `
+        <div class="stats-summary">
+          <span><strong>${totalSessions}</strong> sessions</span>
+          <span><strong>${totalTabs.toLocaleString()}</strong> total tabs analyzed</span>
         </div>
       ` : ''}
 
-      ${Object.entries(groupedByDate).map(([date, dateSessions]) => `
+      ${searchBar}
+
+      ${jobsSection}
+
+      ${isSearch ? `
+        <div class="search-results-info">
+          ${totalSessions} session${totalSessions === 1 ? '' : 's'} matching "${escapeHtml(searchQuery)}", most relevant first
+          <a href="/history" class="clear-search">Clear</a>
+        </div>
+        <ul class="session-list">
+          ${visibleSessions.map(renderSessionItem).join('')}
+        </ul>
+      ` : Object.entries(groupedByDate).map(([date, dateSessions]) => `
         <div class="date-group">
           <div class="date-header">${date}</div>
           <ul class="session-list">
-            ${dateSessions.map(session => `
-              <a href="/results/${escapeHtml(session.id)}" class="session-item">
-                <div class="session-header">
-                  <div>
-                    <span class="session-time">${formatTimestamp(session.timestamp)}</span>
-                    <span class="session-relative">${getRelativeTime(session.timestamp)}</span>
-                  </div>
-                  <div class="session-meta">
-                    <span class="session-tabs">${session.tabCount} tabs</span>
-                    ${session.sessionPattern ? `
-                      <span class="session-pattern ${getPatternClass(session.sessionPattern)}">${escapeHtml(session.sessionPattern)}</span>
-                    ` : ''}
-                  </div>
-                </div>
-                ${session.narrative ? `
-                  <div class="session-narrative">${escapeHtml(session.narrative)}</div>
-                ` : ''}
-              </a>
-            `).join('')}
+            ${dateSessions.map(renderSessionItem).join('')}
           </ul>
         </div>
       `).join('')}
@@ -367,7 +541,8 @@ function renderHistoryPage(sessions, searchQuery = null, page = 1) {
   return wrapInLayout(bodyContent, {
     currentPage: 'history',
     title: 'Session History',
-    extraHead: pageCss
+    extraHead: pageCss,
+    extraScripts: jobScripts
   });
 }
 
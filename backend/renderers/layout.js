@@ -30,8 +30,11 @@ function renderNav({ sessionId = null, currentPage = '', sessionData = {} } = {}
     { id: 'dashboard', label: 'Dashboard', path: '/' },
     { id: 'history', label: 'History', path: '/history' },
     { id: 'tasks', label: 'Tasks', path: '/tasks' },
+    { id: 'efforts', label: 'Efforts', path: '/efforts' },
     { id: 'intentions', label: 'Intentions', path: '/intentions' },
+    { id: 'context', label: 'Context', path: '/context' },
     { id: 'preferences', label: 'Preferences', path: '/preferences' },
+    { id: 'usage', label: 'Usage', path: '/usage' },
   ];
 
   const sessionLinks = sessionId ? [
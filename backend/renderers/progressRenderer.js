@@ -0,0 +1,223 @@
+/**
+ * Progress Renderer - Live Capture Screen
+ * Subscribes to /api/captures/:captureId/events and renders each pass as it runs
+ * Captures are backed by jobs (captureId = jobId), so a failed run can be retried here.
+ */
+
+const { escapeHtml, wrapInLayout } = require('./layout');
+
+const PASSES = [
+  { pass: 0, label: 'Pass 0 · PDF extraction' },
+  { pass: 1, label: 'Pass 1 · Classification' },
+  { pass: 2, label: 'Pass 2 · Deep dives' },
+  { pass: 3, label: 'Pass 3 · Visualization' },
+  { pass: 4, label: 'Pass 4 · Thematic analysis' }
+];
+
+/**
+ * Render the progress page
+ * @param {Object|null} capture - Capture record from captureProgress, null if unknown/expired
+ */
+function renderProgressPage(capture) {
+  if (!capture) {
+    return wrapInLayout(`
+      <div class="page-content">
+        <div class="empty-state">
+          <h2>Capture not found</h2>
+          <p>Progress is kept for ten minutes after a capture finishes. Finished sessions are in History.</p>
+          <a href="/history" class="btn btn-secondary" style="margin-top: 1em;">Open History</a>
+        </div>
+      </div>
+    `, { title: 'Capture Progress' });
+  }
+
+  const { info } = capture;
+
+  const extraStyles = `
+    .progress-meta {
+      color: var(--text-muted);
+      margin-bottom: 1.5em;
+    }
+    .pass-list {
+      list-style: none;
+      border: 1px solid var(--border-light);
+      border-radius: 8px;
+      background: white;
+    }
+    .pass-row {
+      padding: 0.9em 1.2em;
+      border-bottom: 1px solid var(--border-light);
+    }
+    .pass-row:last-child { border-bottom: none; }
+    .pass-head {
+      display: flex;
+      justify-content: space-between;
+      align-items: baseline;
+      gap: 1em;
+    }
+    .pass-label { font-weight: 600; }
+    .pass-row.pending .pass-label { color: var(--text-muted); font-weight: normal; }
+    .pass-row.running .pass-label::after { content: ' …'; }
+    .pass-row.failed .pass-label { color: var(--accent-link); }
+    .pass-stats {
+      font-family: system-ui, sans-serif;
+      font-size: 0.85em;
+      color: var(--text-muted);
+    }
+    .pass-items {
+      list-style: none;
+      margin-top: 0.4em;
+      font-size: 0.9em;
+      color: var(--text-secondary);
+    }
+    .pass-items li.failed { color: var(--accent-link); }
+    .progress-outcome {
+      margin-top: 1.5em;
+      padding: 1em 1.2em;
+      border-radius: 8px;
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-light);
+      display: none;
+    }
+    .progress-outcome.error { border-color: var(--accent-link); }
+  `;
+
+  const passRows = PASSES.map(p => `
+    <li class="pass-row pending" id="pass-${p.pass}">
+      <div class="pass-head">
+        <span class="pass-label">${p.label}</span>
+        <span class="pass-stats"></span>
+      </div>
+      <ul class="pass-items"></ul>
+    </li>
+  `).join('');
+
+  const content = `
+    <div class="page-content">
+      <h1>Capturing ${info.tabCount || ''} tabs</h1>
+      <p class="progress-meta">
+        Engine: ${escapeHtml(info.engine || 'default')} · Started ${escapeHtml(new Date(capture.createdAt).toLocaleTimeString())}${info.attempt > 1 ? ` · Attempt ${info.attempt}` : ''}
+      </p>
+
+      <ul class="pass-list">${passRows}</ul>
+
+      <div class="progress-outcome" id="outcome"></div>
+    </div>
+  `;
+
+  const extraScripts = `
+    <script>
+      (function() {
+        var mode = ${JSON.stringify(info.mode || 'results')};
+
+        function row(pass) { return document.getElementById('pass-' + pass); }
+
+        function setState(pass, state) {
+          var el = row(pass);
+          if (el) el.className = 'pass-row ' + state;
+        }
+
+        function formatStats(data) {
+          var parts = [];
+          if (typeof data.durationMs === 'number') parts.push((data.durationMs / 1000).toFixed(1) + 's');
+          if (data.usage) parts.push((data.usage.input_tokens || 0) + ' in / ' + (data.usage.output_tokens || 0) + ' out tokens');
+          return parts.join(' · ');
+        }
+
+        function addItem(pass, text, failed) {
+          var li = document.createElement('li');
+          li.textContent = text;
+          if (failed) li.className = 'failed';
+          row(pass).querySelector('.pass-items').appendChild(li);
+        }
+
+        function esc(text) {
+          var div = document.createElement('div');
+          div.textContent = text == null ? '' : String(text);
+          return div.innerHTML;
+        }
+
+        function showOutcome(html, isError) {
+          var el = document.getElementById('outcome');
+          el.innerHTML = html;
+          el.className = 'progress-outcome' + (isError ? ' error' : '');
+          el.style.display = 'block';
+        }
+
+        var source = new EventSource('/api/captures/${capture.id}/events');
+
+        source.addEventListener('progress', function(e) {
+          var data = JSON.parse(e.data);
+          var stats = row(data.pass) && row(data.pass).querySelector('.pass-stats');
+
+          if (data.status === 'queued') {
+            showOutcome('Waiting for ' + data.position + ' earlier capture(s) to finish…');
+            return;
+          }
+          if (data.status === 'fallback') {
+            document.querySelectorAll('.pass-row.running').forEach(function(el) { el.className = 'pass-row failed'; });
+            showOutcome('LLM failed (' + esc(data.error) + '). Falling back to keyword classifier…', true);
+            return;
+          }
+          if (!row(data.pass)) return;
+
+          if (data.status === 'started') {
+            setState(data.pass, 'running');
+            if (data.total) stats.textContent = '0 / ' + data.total;
+          } else if (data.status === 'item') {
+            stats.textContent = data.index + ' / ' + data.total;
+            addItem(data.pass, (data.success ? '✓ ' : '✗ ') + data.title + (data.error ? ' — ' + data.error : '') + ' (' + formatStats(data) + ')', !data.success);
+          } else if (data.status === 'complete') {
+            setState(data.pass, data.success === false ? 'failed' : 'done');
+            var summary = formatStats(data);
+            if (data.pass === 1 && !data.resumed) summary += ' · ' + data.classifiedCount + ' classified into ' + data.categories + ' categories';
+            if (data.skipped) summary = 'nothing flagged';
+            if (data.resumed) summary = 'kept from previous attempt' + (summary ? ' · ' + summary : '');
+            if (data.error) summary += ' · ' + data.error;
+            stats.textContent = summary;
+          }
+        });
+
+        source.addEventListener('done', function(e) {
+          var data = JSON.parse(e.data);
+          source.close();
+          var target = mode === 'launchpad' ? '/launchpad/' + data.sessionId : '/results/' + data.sessionId;
+          showOutcome('Captured ' + data.totalTabs + ' tabs' + (data.source === 'mock' ? ' (keyword fallback)' : '') +
+            '. <a href="' + esc(target) + '">Open ' + (mode === 'launchpad' ? 'Launchpad' : 'results') + ' &rarr;</a>');
+        });
+
+        source.addEventListener('failed', function(e) {
+          var data = JSON.parse(e.data);
+          source.close();
+          showOutcome('Capture failed: ' + esc(data.error) +
+            '<br>Completed passes are saved. <button class="btn btn-primary" onclick="retryCapture()">Retry</button>' +
+            ' or manage it from <a href="/history">History</a>.', true);
+        });
+
+        window.retryCapture = async function() {
+          var response = await fetch('/api/jobs/${capture.id}/retry', { method: 'POST' });
+          var result = await response.json();
+          if (result.success) {
+            window.location.reload();
+          } else {
+            showOutcome(esc(result.message || 'Retry failed'), true);
+          }
+        };
+
+        source.onerror = function() {
+          if (source.readyState === EventSource.CLOSED) return;
+          source.close();
+        };
+      })();
+    </script>
+  `;
+
+  return wrapInLayout(content, {
+    currentPage: 'progress',
+    title: 'Capture Progress',
+    extraHead: extraStyles,
+    extraScripts
+  });
+}
+
+module.exports = { renderProgressPage };
@@ -131,6 +131,11 @@ function renderSummaryPage(sessionData, sessionId, mirrorInsight = null) {
       font-size: 0.9em;
       color: var(--text-muted);
     }
+    .start-writing-btn {
+      margin-top: 0.5em;
+      padding: 0.3em 0.75em;
+      font-size: 0.85em;
+    }
     .action-priority {
       display: inline-block;
       padding: 1px 6px;
@@ -160,6 +165,11 @@ function renderSummaryPage(sessionData, sessionId, mirrorInsight = null) {
       margin-top: 1.5em;
       flex-wrap: wrap;
     }
+    .export-links {
+      margin-top: 0.75em;
+      font-size: 0.85em;
+      color: var(--text-muted);
+    }
 
     .disposition-stats {
       display: flex;
@@ -734,13 +744,15 @@ function renderSummaryPage(sessionData, sessionId, mirrorInsight = null) {
                 <span class="card-title">Suggested Actions</span>
               </div>
               <ul class="action-list">
-                ${suggestedActions.map(action => `
+                ${suggestedActions.map((action, i) => `
                   <li class="action-item">
                     <div class="action-text">
                       <span class="action-priority ${action.priority || 'medium'}">${action.priority || 'medium'}</span>
                       ${escapeHtml(action.action)}
                     </div>
                     ${action.reason ? `<div class="action-reason">${escapeHtml(action.reason)}</div>` : ''}
+                    <button class="btn btn-secondary start-writing-btn" data-action-index="${i}"
+                            title="Copy a brief built from the supporting tabs and open ${escapeHtml(action.project || 'the project')}'s writing target">Start Writing</button>
                   </li>
                 `).join('')}
               </ul>
@@ -754,6 +766,13 @@ function renderSummaryPage(sessionData, sessionId, mirrorInsight = null) {
             <a href="/workbench/${sessionId}" class="btn btn-secondary dev-only">Inspect Prompts</a>
             <button class="btn btn-notebooklm" id="notebooklm-btn">Copy for NotebookLM</button>
           </div>
+          <p class="export-links">
+            Export:
+            <a href="/results/${sessionId}/export?format=md">Markdown</a> ·
+            <a href="/results/${sessionId}/export?format=obsidian">Obsidian</a> ·
+            <a href="/results/${sessionId}/export?format=html" target="_blank">HTML</a> ·
+            <a href="/results/${sessionId}/export?format=json">JSON</a>
+          </p>
 
           <div class="dev-only-block inspection-hint">
             <p>Click any <span class="inspectable-demo">dotted-underlined text</span> above to inspect the prompt that generated it.</p>
@@ -1159,6 +1178,50 @@ function renderSummaryPage(sessionData, sessionId, mirrorInsight = null) {
           closeNlmModal();
         }
       });
+
+      // ============================================
+      // Start Writing (suggested actions)
+      // ============================================
+      document.querySelectorAll('.start-writing-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          btn.disabled = true;
+          try {
+            const res = await fetch('/api/results/' + encodeURIComponent(sessionId) + '/actions/' + btn.dataset.actionIndex + '/start-writing', {
+              method: 'POST'
+            });
+            const result = await res.json();
+
+            let copied = false;
+            if (result.brief) {
+              try {
+                await navigator.clipboard.writeText(result.brief);
+                copied = true;
+              } catch (err) {
+                console.warn('Clipboard unavailable:', err.message);
+              }
+            }
+            if (!result.success) throw new Error(result.message || 'Start Writing failed');
+
+            const target = result.target || {};
+            if (target.kind === 'url') {
+              window.open(target.openUrl, '_blank');
+            } else if (target.openUrl) {
+              window.location.href = target.openUrl;  // obsidian:// and vscode:// hand off to the app
+            }
+
+            const parts = [];
+            if (copied) parts.push('Brief copied');
+            if (target.filePath) parts.push('saved to ' + target.filePath);
+            else if (target.openUrl) parts.push('opening ' + target.kind);
+            showToast(parts.length > 0 ? parts.join(', ') : result.message);
+            btn.textContent = 'Writing started';
+          } catch (err) {
+            alert('Error: ' + err.message);
+          } finally {
+            btn.disabled = false;
+          }
+        });
+      });
     </script>
   `;
 
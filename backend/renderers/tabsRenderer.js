@@ -1,6 +1,7 @@
 /**
  * Tabs Renderer - Grouped Tabs Screen
- * List view with filter, sort, and inline info
+ * List view with filter, sort, and inline info. ?view=browser shows the
+ * window and tab group layout captured with each tab next to its category.
  */
 
 const { escapeHtml, wrapInLayout } = require('./layout');
@@ -28,10 +29,107 @@ function extractDomain(url) {
   }
 }
 
+// Chrome tab group colors (chrome.tabGroups.Color)
+const GROUP_COLORS = {
+  grey: '#5f6368',
+  blue: '#1a73e8',
+  red: '#d93025',
+  yellow: '#f9ab00',
+  green: '#188038',
+  pink: '#d01884',
+  purple: '#a142f4',
+  cyan: '#007b83',
+  orange: '#fa903e'
+};
+
+/**
+ * "12m before capture" from a tab's lastAccessed
+ */
+function formatLastAccessed(lastAccessed, captureTimestamp) {
+  if (!lastAccessed || !captureTimestamp) return '';
+  const minutes = Math.round((new Date(captureTimestamp) - new Date(lastAccessed)) / 60000);
+  if (!Number.isFinite(minutes)) return '';
+  if (minutes < 1) return 'viewed at capture';
+  if (minutes < 60) return `viewed ${minutes}m before capture`;
+  if (minutes < 60 * 24) return `viewed ${Math.round(minutes / 60)}h before capture`;
+  return `viewed ${Math.round(minutes / (60 * 24))}d before capture`;
+}
+
+/**
+ * Windows → tab groups → tabs as they were in the browser, with each
+ * tab's LLM category alongside
+ */
+function renderBrowserLayout(displayGroups, timestamp) {
+  const tabs = Object.entries(displayGroups).flatMap(([category, items]) =>
+    items.map(item => ({ ...item, category }))
+  );
+  const withLayout = tabs.filter(t => t.browser);
+  if (withLayout.length === 0) {
+    return `<div class="empty-state"><p>This session was captured before Memento recorded windows and tab groups.</p></div>`;
+  }
+
+  const windows = new Map();
+  for (const tab of withLayout) {
+    const key = tab.browser.window || 0;
+    if (!windows.has(key)) windows.set(key, []);
+    windows.get(key).push(tab);
+  }
+
+  const renderTab = tab => {
+    const b = tab.browser;
+    const lastViewed = formatLastAccessed(b.lastAccessed, timestamp);
+    return `
+          <li class="layout-tab">
+            <span class="layout-flags">${b.pinned ? '<span title="Pinned">&#128204;</span>' : ''}${b.audible ? '<span title="Playing audio">&#128266;</span>' : ''}</span>
+            <a href="${escapeHtml(tab.url)}" target="_blank" class="layout-title">${escapeHtml(tab.title || 'Untitled')}</a>
+            <span class="tab-domain">${escapeHtml(extractDomain(tab.url))}</span>
+            ${lastViewed ? `<span class="layout-viewed">${lastViewed}</span>` : ''}
+            <span class="badge ${getCategoryBadgeClass(tab.category)}">${escapeHtml(tab.category)}</span>
+          </li>`;
+  };
+
+  return [...windows.entries()].sort((a, b) => a[0] - b[0]).map(([windowNumber, windowTabs]) => {
+    windowTabs.sort((a, b) => (a.browser.position ?? 0) - (b.browser.position ?? 0));
+
+    // Consecutive tabs of one group render inside a group box, as in the tab strip
+    const runs = [];
+    for (const tab of windowTabs) {
+      const group = tab.browser.group;
+      const key = group ? `${group.id ?? ''}:${group.title}` : null;
+      const last = runs[runs.length - 1];
+      if (last && last.key === key) last.tabs.push(tab);
+      else runs.push({ key, group, tabs: [tab] });
+    }
+
+    const focused = windowTabs.some(t => t.browser.focusedWindow);
+    return `
+      <div class="layout-window">
+        <div class="layout-window-header">${windowNumber ? `Window ${windowNumber}` : 'Unknown window'}${focused ? ' <span class="layout-focused">focused</span>' : ''} &middot; ${windowTabs.length} tab${windowTabs.length === 1 ? '' : 's'}</div>
+        ${runs.map(run => {
+          if (!run.group) return `<ul class="layout-tabs">${run.tabs.map(renderTab).join('')}</ul>`;
+          const color = GROUP_COLORS[run.group.color] || GROUP_COLORS.grey;
+          const categories = [...new Set(run.tabs.map(t => t.category))];
+          return `
+        <div class="layout-group" style="border-color: ${color}">
+          <div class="layout-group-header">
+            <span class="layout-group-name" style="background: ${color}">${escapeHtml(run.group.title || 'Unnamed group')}</span>
+            ${run.group.collapsed ? '<span class="layout-viewed">collapsed</span>' : ''}
+            <span class="layout-viewed">&rarr; ${categories.map(c => escapeHtml(c)).join(', ')}</span>
+          </div>
+          <ul class="layout-tabs">${run.tabs.map(renderTab).join('')}</ul>
+        </div>`;
+        }).join('')}
+      </div>`;
+  }).join('') + (withLayout.length < tabs.length
+    ? `<p class="layout-viewed">${tabs.length - withLayout.length} tab(s) have no recorded window.</p>`
+    : '');
+}
+
 /**
  * Render the tabs list page
+ * @param {string} [view='categories'] - 'categories' or 'browser' (window/tab group layout)
  */
-function renderTabsPage(sessionData, sessionId, filterCategory = null) {
+function renderTabsPage(sessionData, sessionId, filterCategory = null, view = 'categories') {
   const { groups, totalTabs, timestamp, reasoning, _dispositions, _trashedItems, _completedItems } = sessionData;
   const perTabReasoning = reasoning?.perTab || {};
 
@@ -214,15 +312,93 @@ function renderTabsPage(sessionData, sessionId, filterCategory = null) {
     .stat-item strong {
       color: var(--text-primary);
     }
+
+    .view-toggle {
+      display: flex;
+      gap: 0.25em;
+      font-size: 0.9em;
+    }
+    .view-toggle a {
+      padding: 0.3em 0.75em;
+      border: 1px solid var(--border-light);
+      border-radius: 4px;
+      color: var(--text-secondary);
+      text-decoration: none;
+    }
+    .view-toggle a.active {
+      background: var(--bg-secondary);
+      color: var(--text-primary);
+      font-weight: 500;
+    }
+
+    .layout-window {
+      border: 1px solid var(--border-light);
+      border-radius: 6px;
+      padding: 0.75em 1em;
+      margin-bottom: 1.5em;
+    }
+    .layout-window-header {
+      font-weight: 500;
+      margin-bottom: 0.5em;
+    }
+    .layout-focused {
+      font-size: 0.8em;
+      color: var(--text-muted);
+      font-weight: normal;
+    }
+    .layout-group {
+      border-left: 3px solid;
+      padding-left: 0.75em;
+      margin: 0.5em 0;
+    }
+    .layout-group-header {
+      display: flex;
+      align-items: center;
+      gap: 0.75em;
+    }
+    .layout-group-name {
+      color: white;
+      font-size: 0.85em;
+      padding: 1px 8px;
+      border-radius: 8px;
+    }
+    .layout-tabs {
+      list-style: none;
+    }
+    .layout-tab {
+      display: flex;
+      align-items: baseline;
+      gap: 0.75em;
+      padding: 0.35em 0;
+      border-bottom: 1px solid var(--border-light);
+    }
+    .layout-tab:last-child {
+      border-bottom: none;
+    }
+    .layout-flags {
+      width: 2.5em;
+      flex-shrink: 0;
+    }
+    .layout-title {
+      flex: 1;
+      min-width: 0;
+      word-break: break-word;
+    }
+    .layout-viewed {
+      font-size: 0.8em;
+      color: var(--text-muted);
+      white-space: nowrap;
+    }
   `;
 
   const extraScripts = `
     <script>
       function filterByCategory(category) {
+        var view = '${view === 'browser' ? 'view=browser' : ''}';
         if (category) {
-          window.location.href = '/results/${sessionId}/tabs?filter=' + encodeURIComponent(category);
+          window.location.href = '/results/${sessionId}/tabs?filter=' + encodeURIComponent(category) + (view ? '&' + view : '');
         } else {
-          window.location.href = '/results/${sessionId}/tabs';
+          window.location.href = '/results/${sessionId}/tabs' + (view ? '?' + view : '');
         }
       }
 
@@ -249,12 +425,19 @@ function renderTabsPage(sessionData, sessionId, filterCategory = null) {
     if (domain) domainCounts[domain] = (domainCounts[domain] || 0) + 1;
   });
   const topDomain = Object.entries(domainCounts).sort((a, b) => b[1] - a[1])[0];
+  const hasLayout = Object.values(groups || {}).flat().some(tab => tab.browser);
+  const filterQuery = filterCategory ? `filter=${encodeURIComponent(filterCategory)}` : '';
 
   const content = `
     <div class="page-content">
       <div class="tabs-header">
         <h1>${filterCategory ? escapeHtml(filterCategory) : 'All Tabs'}</h1>
         <div class="filter-controls">
+          ${hasLayout || view === 'browser' ? `
+          <div class="view-toggle">
+            <a href="/results/${escapeHtml(sessionId)}/tabs${filterQuery ? `?${filterQuery}` : ''}" class="${view === 'browser' ? '' : 'active'}">By category</a>
+            <a href="/results/${escapeHtml(sessionId)}/tabs?view=browser${filterQuery ? `&${filterQuery}` : ''}" class="${view === 'browser' ? 'active' : ''}">Browser layout</a>
+          </div>` : ''}
           <label>Filter:</label>
           <select onchange="filterByCategory(this.value)">
             <option value="">All Categories</option>
@@ -271,7 +454,7 @@ function renderTabsPage(sessionData, sessionId, filterCategory = null) {
         ${topDomain ? `<span class="stat-item">Most common: <strong>${topDomain[0]}</strong> (${topDomain[1]})</span>` : ''}
       </div>
 
-      ${Object.entries(displayGroups).map(([category, tabs]) => {
+      ${view === 'browser' ? renderBrowserLayout(displayGroups, timestamp) : Object.entries(displayGroups).map(([category, tabs]) => {
         const catId = 'cat-' + category.replace(/[^a-zA-Z0-9]/g, '-');
         return `
           <div class="category-section">
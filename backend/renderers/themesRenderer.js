@@ -412,6 +412,16 @@ const pageCSS = `
       margin-bottom: 1em;
     }
 
+    /* Keyword-quality themes (local embedder) */
+    .embeddings-notice {
+      font-size: 0.9em;
+      padding: 0.75em;
+      margin-bottom: 1em;
+      background: #fef3c7;
+      color: #92400e;
+      border-radius: 6px;
+    }
+
     /* Empty state */
     .empty-state {
       text-align: center;
@@ -772,7 +782,21 @@ function renderThemesPage(data, stats) {
   `;
 
   // Meta line
-  const metaHtml = `<p class="meta-line">Analyzed ${meta.sessionsAnalyzed || 0} sessions, ${meta.tabsAnalyzed || 0} tabs (${meta.tabsAfterFilter || 0} after filtering)</p>`;
+  // Imported history can be toggled out so themes reflect live captures only
+  const importToggle = meta.excludeImported
+    ? ` · imported history excluded (<a href="/intentions">include</a>)`
+    : meta.importedSessions > 0
+      ? ` · includes ${meta.importedSessions} imported (<a href="/intentions?imported=exclude">exclude</a>)`
+      : '';
+  const metaHtml = `<p class="meta-line">Analyzed ${meta.sessionsAnalyzed || 0} sessions, ${meta.tabsAnalyzed || 0} tabs (${meta.tabsAfterFilter || 0} after filtering)${importToggle}</p>`;
+
+  // The local embedder only matches shared words; say so, and why Ollama wasn't used
+  const embeddings = meta.embeddings || {};
+  const embeddingsHtml = embeddings.provider === 'local' && embeddings.computed > 0
+    ? `<p class="embeddings-notice">Themes are grouped by shared words only (local fallback embedder), so tabs about the same topic in different words stay apart. ${embeddings.fallbackReason
+      ? `Ollama embeddings were unavailable: ${escapeHtml(embeddings.fallbackReason)}.`
+      : 'MEMENTO_EMBEDDINGS is set to local.'} For topic-level themes, run Ollama with <code>ollama pull nomic-embed-text</code>.</p>`
+    : '';
 
   // Theme cards or empty state
   const cardsHtml = themes.length > 0
@@ -790,7 +814,7 @@ function renderThemesPage(data, stats) {
       <details class="how-it-works">
         <summary>How this works</summary>
         <div class="how-it-works-content">
-          <p>Instead of showing individual tabs, this view clusters your recurring tabs into <strong>themes</strong> &mdash; groups of related tabs that appear together across sessions and share keywords.</p>
+          <p>Instead of showing individual tabs, this view clusters your recurring tabs into <strong>themes</strong> &mdash; groups of tabs about the same topic, by meaning (an Ollama embedding model) and by appearing together across sessions.</p>
           <p>Each theme represents an open thread in your browsing. The actions below help you <strong>close the loop</strong>:</p>
           <p><strong>Save as Note</strong> &mdash; Creates a Basic Memory research note from this thread. Once saved, the tabs are disposable &mdash; the knowledge lives in your notes.</p>
           <p><strong>Open All</strong> &mdash; Reopens all tabs from this thread for active work. Pick up where you left off.</p>
@@ -800,6 +824,7 @@ function renderThemesPage(data, stats) {
         </div>
       </details>
       ${metaHtml}
+      ${embeddingsHtml}
       ${statsBarHtml}
       ${cardsHtml}
     </div>
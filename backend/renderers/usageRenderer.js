@@ -0,0 +1,235 @@
+/**
+ * Usage Renderer
+ *
+ * Renders the /usage page — model spend from the usage ledger
+ * (see usageLedger.js) by day, purpose and engine, plus the optional
+ * monthly budget that makes captures fall back to the local engine.
+ */
+
+const { escapeHtml, wrapInLayout } = require('./layout');
+
+const PURPOSE_LABELS = {
+  pass1: 'Step 1 (Quick Sort)',
+  pass2: 'Step 2 (Closer Look)',
+  pass3: 'Step 3 (Big Picture)',
+  pass4: 'Step 4 (Hidden Patterns)',
+  'task-enrich': 'Task insight',
+  'task-chat': 'Task chat',
+  workbench: 'Workbench rerun',
+  eval: 'Prompt eval',
+  'pdf-vision': 'PDF vision extraction',
+  'page-vision': 'Canvas page vision extraction',
+  'theme-embed': 'Theme clustering embeddings'
+};
+
+const pageCSS = `
+    .usage-totals {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 2em;
+      margin-bottom: 1.5em;
+      font-family: system-ui, sans-serif;
+    }
+    .usage-stat-value {
+      font-size: 1.6em;
+      font-weight: 600;
+    }
+    .usage-stat-label {
+      font-size: 0.85em;
+      color: var(--text-muted);
+    }
+
+    .budget-bar {
+      height: 8px;
+      background: var(--bg-secondary);
+      border-radius: 4px;
+      overflow: hidden;
+      margin: 0.5em 0 0.75em;
+    }
+    .budget-bar-fill {
+      height: 100%;
+      background: #16a34a;
+    }
+    .budget-bar-fill.warning { background: #d97706; }
+    .budget-bar-fill.exceeded { background: #dc2626; }
+    .budget-meta {
+      font-size: 0.85em;
+      color: var(--text-muted);
+      font-family: system-ui, sans-serif;
+      margin-bottom: 0.75em;
+    }
+    .budget-form {
+      display: flex;
+      gap: 0.5em;
+      align-items: center;
+    }
+    .budget-form input {
+      width: 8em;
+      padding: 0.4em 0.75em;
+      border: 1px solid var(--border-light);
+      border-radius: 4px;
+      font-family: inherit;
+      font-size: 0.9em;
+    }
+
+    .usage-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 0.9em;
+    }
+    .usage-table th {
+      text-align: left;
+      font-weight: 500;
+      color: var(--text-muted);
+      font-family: system-ui, sans-serif;
+      padding: 0.25em 1em 0.5em 0;
+      border-bottom: 1px solid var(--border-light);
+    }
+    .usage-table td {
+      padding: 0.3em 1em 0.3em 0;
+    }
+    .usage-table .num {
+      text-align: right;
+      font-family: system-ui, sans-serif;
+      white-space: nowrap;
+    }
+    .usage-day-bar {
+      display: inline-block;
+      height: 0.6em;
+      background: var(--accent-blue);
+      border-radius: 2px;
+      vertical-align: middle;
+    }
+`;
+
+const pageJS = `
+  <script>
+    function saveBudget(event) {
+      event.preventDefault();
+      var value = document.getElementById('budget-input').value.trim();
+      fetch('/api/usage/budget', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ monthlyBudgetUsd: value === '' ? null : value })
+      })
+      .then(function(r) { return r.json(); })
+      .then(function(result) {
+        if (result.success) {
+          location.reload();
+        } else {
+          alert(result.message || 'Failed to save budget');
+        }
+      })
+      .catch(function(err) { alert('Error: ' + err.message); });
+    }
+  </script>
+`;
+
+function formatUsd(amount) {
+  if (!amount) return '$0.00';
+  return amount < 0.01 ? `$${amount.toFixed(4)}` : `$${amount.toFixed(2)}`;
+}
+
+function formatTokens(count) {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+  return String(count);
+}
+
+function costCell(bucket) {
+  const unpriced = bucket.unpricedCalls > 0
+    ? ` <span class="badge" title="${bucket.unpricedCalls} call(s) on models without a known price">+${bucket.unpricedCalls} unpriced</span>`
+    : '';
+  return `<td class="num">${formatUsd(bucket.costUsd)}${unpriced}</td>`;
+}
+
+function renderTable(firstColumn, rows, renderLabel) {
+  if (rows.length === 0) {
+    return '<div class="empty-state"><p>No model calls in this period.</p></div>';
+  }
+  return `
+      <table class="usage-table">
+        <tr><th>${firstColumn}</th><th class="num">Calls</th><th class="num">Input</th><th class="num">Output</th><th class="num">Cost</th></tr>
+        ${rows.map(row => `
+        <tr>
+          <td>${renderLabel(row)}</td>
+          <td class="num">${row.calls}</td>
+          <td class="num">${formatTokens(row.inputTokens)}</td>
+          <td class="num">${formatTokens(row.outputTokens)}</td>
+          ${costCell(row)}
+        </tr>`).join('')}
+      </table>`;
+}
+
+function renderBudget(month) {
+  const { spentUsd, budgetUsd, exceeded, fallbackEngine } = month;
+  const ratio = budgetUsd ? Math.min(spentUsd / budgetUsd, 1) : 0;
+  const level = exceeded ? 'exceeded' : ratio >= 0.8 ? 'warning' : '';
+
+  const status = !budgetUsd
+    ? 'No monthly budget set. Captures always use the engine they ask for.'
+    : exceeded
+      ? `Budget exceeded: captures are running on ${escapeHtml(fallbackEngine)} until next month.`
+      : `${formatUsd(budgetUsd - spentUsd)} left this month. Over budget, captures fall back to ${escapeHtml(fallbackEngine)}.`;
+
+  return `
+    <div class="card">
+      <div class="card-header">
+        <span class="card-title">This month: ${formatUsd(spentUsd)}${budgetUsd ? ` of ${formatUsd(budgetUsd)}` : ''}</span>
+      </div>
+      ${budgetUsd ? `<div class="budget-bar"><div class="budget-bar-fill ${level}" style="width: ${(ratio * 100).toFixed(1)}%"></div></div>` : ''}
+      <div class="budget-meta">${status}</div>
+      <form class="budget-form" onsubmit="saveBudget(event)">
+        <label for="budget-input">Monthly budget (USD)</label>
+        <input id="budget-input" type="number" min="0" step="0.01" value="${budgetUsd || ''}" placeholder="none">
+        <button type="submit" class="btn btn-secondary">Save</button>
+      </form>
+    </div>`;
+}
+
+/**
+ * Render the usage page
+ * @param {Object} summary - usageLedger.summarizeUsage() result
+ * @returns {string} HTML page
+ */
+function renderUsagePage(summary) {
+  const { totals, byDay, byPurpose, byEngine, days } = summary;
+  const maxDayCost = Math.max(0, ...byDay.map(d => d.costUsd));
+
+  const bodyContent = `
+    <div class="page-content">
+      <h1>Usage</h1>
+      <p class="page-subtitle">Model calls and spend over the last ${days} days. Local engines are free; prices are per model (see backend/models/pricing.js).</p>
+
+      <div class="usage-totals">
+        <div><div class="usage-stat-value">${formatUsd(totals.costUsd)}</div><div class="usage-stat-label">spent</div></div>
+        <div><div class="usage-stat-value">${totals.calls}</div><div class="usage-stat-label">model calls</div></div>
+        <div><div class="usage-stat-value">${formatTokens(totals.inputTokens)}</div><div class="usage-stat-label">input tokens</div></div>
+        <div><div class="usage-stat-value">${formatTokens(totals.outputTokens)}</div><div class="usage-stat-label">output tokens</div></div>
+      </div>
+
+      ${renderBudget(summary.month)}
+
+      <h2>By pass</h2>
+      ${renderTable('Purpose', byPurpose, row => escapeHtml(PURPOSE_LABELS[row.key] || row.key))}
+
+      <h2>By engine</h2>
+      ${renderTable('Engine / model', byEngine, row => `${escapeHtml(row.engine)} <span class="badge">${escapeHtml(row.model || 'unknown model')}</span>`)}
+
+      <h2>By day</h2>
+      ${renderTable('Day', [...byDay].reverse(), row => {
+        const width = maxDayCost > 0 ? Math.round((row.costUsd / maxDayCost) * 80) : 0;
+        return `${escapeHtml(row.key)} <span class="usage-day-bar" style="width: ${width}px"></span>`;
+      })}
+    </div>
+  `;
+
+  return wrapInLayout(bodyContent, {
+    currentPage: 'usage',
+    title: 'Usage',
+    extraHead: pageCSS,
+    extraScripts: pageJS
+  });
+}
+
+module.exports = { renderUsagePage };
@@ -3,7 +3,8 @@
  *
  * Renders an inspector UI for exploring and editing the generative lineage
  * of a classification session. Shows prompts, raw responses, and rendered
- * outputs for each pass.
+ * outputs for each pass, plus the versioned templates (promptRegistry.js)
+ * behind them so an edit can be re-run and saved as a new version.
  */
 
 const { escapeHtml, wrapInLayout } = require('./layout');
@@ -82,10 +83,44 @@ function renderPassSection(passName, passNumber, trace, rendered, isOpen = false
   `;
 }
 
+/**
+ * Render the editable template behind one pass
+ * @param {Object} t - getTemplate() result plus { pass, usedVersion, versions }
+ */
+function renderTemplateBlock(t) {
+  const used = t.usedVersion
+    ? `this session used ${escapeHtml(t.usedVersion)}`
+    : 'captured before prompt versioning';
+  const options = t.versions.map(v => `
+              <option value="${escapeHtml(v.version)}" ${v.version === t.version ? 'selected' : ''}>${escapeHtml(v.version)}${v.version === t.active ? ' (active)' : ''}${v.note ? ` - ${escapeHtml(v.note)}` : ''}</option>`).join('');
+
+  return `
+        <div class="template-item pass-${t.pass}" data-template="${escapeHtml(t.name)}" data-version="${escapeHtml(t.version)}">
+          <div class="template-header">
+            <span class="pass-badge">Pass ${t.pass}</span>
+            <span class="pass-name">${escapeHtml(t.name)}</span>
+            <span class="template-meta">${used} &middot; active ${escapeHtml(t.active)}</span>
+            <select onchange="loadTemplateVersion(${t.pass}, this.value)">${options}
+            </select>
+          </div>
+          <div class="template-vars">Placeholders: ${t.variables.map(v => `{{${escapeHtml(v)}}}`).join(' ')}</div>
+          <textarea id="template-${t.pass}" class="prompt-editor" rows="14">${escapeForTextarea(t.template)}</textarea>
+          <div class="pass-actions">
+            <button class="rerun-btn" onclick="rerunTemplate(${t.pass})">&#9654; Re-run with template</button>
+            <button class="copy-btn" onclick="saveTemplateVersion(${t.pass})">Save as new version</button>
+            <label class="template-activate"><input type="checkbox" id="template-activate-${t.pass}"> make active</label>
+          </div>
+          <textarea id="template-response-${t.pass}" class="response-view" rows="8" readonly placeholder="Re-run output appears here"></textarea>
+        </div>`;
+}
+
 /**
  * Render the main workbench page
+ * @param {Object} session - Stored session
+ * @param {string} sessionId
+ * @param {Array<Object>} [templates] - Template behind each pass (see renderTemplateBlock)
  */
-function renderWorkbenchPage(session, sessionId) {
+function renderWorkbenchPage(session, sessionId, templates = []) {
   const trace = session.trace || {};
 
   // Extract rendered outputs for each pass
@@ -442,6 +477,43 @@ function renderWorkbenchPage(session, sessionId) {
     .tab-confidence.medium { color: var(--accent-4); }
     .tab-confidence.low { color: #ef4444; }
 
+    .template-item {
+      background: var(--bg-tertiary);
+      border-radius: 4px;
+      padding: 1rem;
+      margin-bottom: 1rem;
+    }
+
+    .template-header {
+      display: flex;
+      align-items: center;
+      gap: 1rem;
+      margin-bottom: 0.5rem;
+    }
+
+    .template-meta, .template-vars, .template-activate {
+      font-size: 0.8rem;
+      color: var(--text-muted);
+    }
+
+    .template-vars {
+      margin-bottom: 0.5rem;
+    }
+
+    .template-item select {
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      border: 1px solid var(--border);
+      border-radius: 4px;
+      font-family: inherit;
+      padding: 0.25rem;
+    }
+
+    .template-item .pass-actions {
+      align-items: center;
+      margin-bottom: 1rem;
+    }
+
     .no-trace-warning {
       background: #7c2d12;
       border: 1px solid #ea580c;
@@ -520,6 +592,21 @@ function renderWorkbenchPage(session, sessionId) {
 
         ${renderPassSection('Thematic Analysis', 4, trace.pass4, pass4Rendered)}
 
+        ${templates.length > 0 ? `
+        <section class="pass-section templates-section">
+          <details>
+            <summary class="pass-header">
+              <span class="pass-badge">Templates</span>
+              <span class="pass-name">Prompt Templates</span>
+              <span class="pass-status">Edit, re-run on this session, save as a new version</span>
+            </summary>
+            <div class="pass-content">
+              ${templates.map(renderTemplateBlock).join('')}
+            </div>
+          </details>
+        </section>
+        ` : ''}
+
         ${session.reasoning?.perTab ? `
         <section class="per-tab-section">
           <h3>Per-Tab Reasoning (Pass 1)</h3>
@@ -606,6 +693,71 @@ function renderWorkbenchPage(session, sessionId) {
           alert('Error: ' + err.message);
         }
       }
+
+      function templateItem(passNumber) {
+        return document.getElementById('template-' + passNumber).closest('.template-item');
+      }
+
+      async function loadTemplateVersion(passNumber, version) {
+        var item = templateItem(passNumber);
+        try {
+          var res = await fetch('/api/prompts/' + encodeURIComponent(item.dataset.template) + '?version=' + encodeURIComponent(version));
+          var result = await res.json();
+          if (!result.success) throw new Error(result.message);
+          document.getElementById('template-' + passNumber).value = result.template;
+          item.dataset.version = result.version;
+        } catch (err) {
+          alert('Error: ' + err.message);
+        }
+      }
+
+      async function rerunTemplate(passNumber) {
+        var responseEl = document.getElementById('template-response-' + passNumber);
+        responseEl.value = 'Running...';
+
+        try {
+          var res = await fetch('/api/workbench/rerun', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              sessionId: sessionId,
+              pass: passNumber,
+              template: document.getElementById('template-' + passNumber).value
+            })
+          });
+          var result = await res.json();
+          if (!res.ok) throw new Error(result.error || ('Rerun failed: ' + res.status));
+
+          responseEl.value = '[' + result.status + (result.error ? ': ' + result.error : '') + ']\\n\\n' + (result.rawResponse || '');
+        } catch (err) {
+          responseEl.value = '';
+          alert('Error: ' + err.message);
+        }
+      }
+
+      async function saveTemplateVersion(passNumber) {
+        var item = templateItem(passNumber);
+        var note = prompt('What changed in this version?', '');
+        if (note === null) return;
+
+        try {
+          var res = await fetch('/api/prompts/' + encodeURIComponent(item.dataset.template) + '/versions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              template: document.getElementById('template-' + passNumber).value,
+              note: note,
+              basedOn: item.dataset.version,
+              activate: document.getElementById('template-activate-' + passNumber).checked
+            })
+          });
+          var result = await res.json();
+          alert(result.message);
+          if (result.success) location.reload();
+        } catch (err) {
+          alert('Error: ' + err.message);
+        }
+      }
     </script>
   `;
 
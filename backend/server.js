@@ -7,9 +7,17 @@ const { renderMapPage } = require('./renderers/mapRenderer');
 const { renderTabsPage } = require('./renderers/tabsRenderer');
 const { renderAnalysisPage } = require('./renderers/analysisRenderer');
 const { renderHistoryPage } = require('./renderers/historyRenderer');
+const { renderProgressPage } = require('./renderers/progressRenderer');
+const { renderComparePage } = require('./renderers/compareRenderer');
+const { renderEffortsPage } = require('./renderers/effortsRenderer');
+const { renderContextPage } = require('./renderers/contextRenderer');
+const { renderUsagePage } = require('./renderers/usageRenderer');
 const { saveSession, readSession, listSessions, searchSessions } = require('./memory');
-const { loadContext } = require('./contextLoader');
+const { queryError } = require('./sessionSearch');
+const { loadContext, readContextFile, saveContext, refreshContext } = require('./contextLoader');
+const { suggestKeywords } = require('./contextSuggestions');
 const { processVisualExtractionTabs } = require('./pdfExtractor');
+const { captureSourceMeta } = require('./captureSources');
 const { renderLaunchpadPage } = require('./launchpad');
 const { appendDisposition, appendBatchDisposition, getSessionWithDispositions, getSessionWithDispositionsApplied } = require('./dispositions');
 const { getLockStatus, clearLock, acquireLock, updateResumeState } = require('./lockManager');
@@ -25,8 +33,19 @@ const { renderPreferencesPage } = require('./renderers/preferencesRenderer');
 const { renderDevDashboardPage } = require('./renderers/devDashboardRenderer');
 const { renderDashboardPage } = require('./renderers/dashboardRenderer');
 const { runModel, getEngineInfo } = require('./models');
-const { getAllRules, approveRule, rejectRule, getCorrectionStats } = require('./correctionAnalyzer');
+const { getAllRules, approveRule, rejectRule, getCorrectionStats, getCaptureExtractors } = require('./correctionAnalyzer');
 const { createEffort, getEfforts, completeEffort, deferEffort } = require('./effortManager');
+const effortRegistry = require('./effortRegistry');
+const { attachCapture } = effortRegistry;
+const captureProgress = require('./captureProgress');
+const jobQueue = require('./jobQueue');
+const { compareSessions } = require('./sessionCompare');
+const { exportSession, EXPORT_FORMATS } = require('./sessionExport');
+const { listPromoteTargets, promoteItem } = require('./notePromoter');
+const { startWriting } = require('./writingBrief');
+const { summarizeUsage, setMonthlyBudget } = require('./usageLedger');
+const { getTemplate, listTemplates, saveVersion, setActiveVersion } = require('./promptRegistry');
+const { replayPass, passTemplateName } = require('./promptEval');
 
 const app = express();
 const PORT = 3000;
@@ -72,42 +91,92 @@ app.get('/history', async (req, res) => {
   try {
     const query = req.query.q || null;
     const page = parseInt(req.query.page, 10) || 1;
-    const sessions = query ? await searchSessions(query) : await listSessions();
-    res.send(renderHistoryPage(sessions, query, page));
+    const [sessions, jobs] = await Promise.all([
+      query ? searchSessions(query) : listSessions(),
+      jobQueue.listJobs()
+    ]);
+    res.send(renderHistoryPage(sessions, query, page, jobs));
   } catch (error) {
     console.error('History page error:', error);
     res.status(500).send('<html><body><h1>Error loading history</h1></body></html>');
   }
 });
 
-// POST /classifyBrowserContext - Main endpoint for tab classification
-app.post('/classifyBrowserContext', async (req, res) => {
+// GET /api/search - Ranked full-text search over sessions
+// Query syntax: terms, "phrases", domain:, category:, before:, after:, disposition:, pattern:
+app.get('/api/search', async (req, res) => {
   try {
-    const { tabs, engine, context: requestContext, debugMode } = req.body;
+    const query = req.query.q || '';
+    const limit = Math.max(parseInt(req.query.limit, 10) || 20, 1);
 
-    if (!tabs || !Array.isArray(tabs)) {
-      return res.status(400).json({ error: 'Invalid request: tabs array required' });
+    // A repeated ?q= (or q[...]) arrives as an array or object
+    if (typeof query !== 'string') {
+      return res.status(400).json({ error: 'q must be a single query string' });
+    }
+    if (!query.trim()) {
+      return res.status(400).json({ error: 'q parameter required' });
+    }
+    const invalid = queryError(query);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
 
-    // Check for tabs needing visual extraction (PDFs, etc.)
-    const visualExtractionCount = tabs.filter(t => t.needsVisualExtraction).length;
-    console.log(`Received ${tabs.length} tabs for classification via ${engine || 'default'}${debugMode ? ' (debug mode)' : ''}${visualExtractionCount > 0 ? ` (${visualExtractionCount} PDFs to extract)` : ''}`);
+    const results = await searchSessions(query, { limit });
+    res.json({ query, matchCount: results.length, results });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
 
-    // Process PDFs and other visual content first
-    let processedTabs = tabs;
-    if (visualExtractionCount > 0) {
-      console.log(`[Pass 0] Extracting content from ${visualExtractionCount} PDF(s)...`);
-      processedTabs = await processVisualExtractionTabs(tabs);
-    }
+/**
+ * Shared capture pipeline: Pass 0 PDF extraction, four-pass classification, save
+ * @param {Object} request - { tabs, engine, context, debugMode, trigger, source, sourceInfo } from the request body
+ * @param {Function|null} onProgress - Optional listener for per-pass progress events
+ * @returns {Promise<{classification, sessionId}>}
+ */
+async function runCapture({ tabs, engine, context: requestContext, debugMode, trigger, source, sourceInfo }, onProgress = null) {
+  // Check for tabs needing visual extraction (PDFs, etc.)
+  const visualExtractionCount = tabs.filter(t => t.needsVisualExtraction).length;
+  console.log(`Received ${tabs.length} tabs for classification via ${engine || 'default'}${debugMode ? ' (debug mode)' : ''}${visualExtractionCount > 0 ? ` (${visualExtractionCount} PDFs to extract)` : ''}`);
+
+  // Process PDFs and other visual content first
+  let processedTabs = tabs;
+  if (visualExtractionCount > 0) {
+    console.log(`[Pass 0] Extracting content from ${visualExtractionCount} PDF(s)...`);
+    const pass0Start = Date.now();
+    onProgress?.({ pass: 0, status: 'started', total: visualExtractionCount });
+    processedTabs = await processVisualExtractionTabs(tabs, onProgress);
+    onProgress?.({ pass: 0, status: 'complete', durationMs: Date.now() - pass0Start, count: visualExtractionCount });
+  }
 
-    // Load context: request context > file context > none
-    const context = requestContext || loadContext();
+  // Load context: request context > file context > none
+  const context = requestContext || loadContext();
 
-    // Call LLM classifier with specified engine, context, and debugMode (default: true for trace capture)
-    const classification = await classifyTabs(processedTabs, engine, context, debugMode ?? true);
+  // debugMode defaults to true for trace capture
+  const classification = await classifyTabs(processedTabs, engine, context, debugMode ?? true, onProgress);
+  classification.meta = {
+    ...classification.meta,
+    trigger: trigger === 'scheduled' ? 'scheduled' : 'manual',
+    ...captureSourceMeta({ source, sourceInfo })
+  };
 
-    // Save to memory and get session ID
-    const sessionId = await saveSession(classification);
+  // Save to memory and get session ID
+  const sessionId = await saveSession(classification);
+  if (sessionId) await attachCapture(sessionId);
+  return { classification, sessionId };
+}
+
+// POST /classifyBrowserContext - Main endpoint for tab classification
+app.post('/classifyBrowserContext', async (req, res) => {
+  try {
+    const { tabs } = req.body;
+
+    if (!tabs || !Array.isArray(tabs)) {
+      return res.status(400).json({ error: 'Invalid request: tabs array required' });
+    }
+
+    const { classification, sessionId } = await runCapture(req.body);
 
     // Return JSON response with session ID
     res.json({
@@ -123,6 +192,114 @@ app.post('/classifyBrowserContext', async (req, res) => {
   }
 });
 
+/**
+ * Queue a persisted job and stream its progress under the job's ID
+ * @returns {Object} { captureId, eventsUrl, progressUrl }
+ */
+function startCaptureJob(job) {
+  const capture = captureProgress.createCapture({
+    tabCount: job.request.tabs.length,
+    engine: job.request.engine || 'default',
+    mode: job.request.mode,
+    attempt: job.attempts + 1,
+    resumeAfterPass: job.completedPass
+  }, job.id);
+
+  jobQueue.enqueue(job.id, event => captureProgress.emitProgress(capture.id, event))
+    .then(outcome => captureProgress.finishCapture(capture.id, outcome))
+    .catch(error => {
+      console.error('Classification error:', error);
+      captureProgress.finishCapture(capture.id, { error: error.message, jobId: job.id });
+    });
+
+  return {
+    captureId: capture.id,
+    eventsUrl: `/api/captures/${capture.id}/events`,
+    progressUrl: `/progress/${capture.id}`
+  };
+}
+
+// POST /api/captures - Queue a background capture job, stream progress over SSE
+// Same body as /classifyBrowserContext; responds immediately with a captureId (= job ID)
+// trigger: 'scheduled' marks extension snapshots; these are refused while a Launchpad lock is held
+// source/sourceInfo: which extension or capture-source adapter sent the tabs (see captureSources.js)
+app.post('/api/captures', async (req, res) => {
+  try {
+    const { tabs, trigger } = req.body;
+
+    if (!tabs || !Array.isArray(tabs)) {
+      return res.status(400).json({ error: 'Invalid request: tabs array required' });
+    }
+
+    if (trigger === 'scheduled') {
+      const lock = await getLockStatus();
+      if (lock.locked) {
+        return res.status(409).json({ error: 'Session locked', skipped: true, sessionId: lock.sessionId });
+      }
+    }
+
+    const job = await jobQueue.createJob(req.body);
+    res.status(202).json(startCaptureJob(job));
+  } catch (error) {
+    console.error('Capture queue error:', error);
+    res.status(500).json({ error: 'Failed to queue capture' });
+  }
+});
+
+// GET /api/jobs - Unfinished capture jobs (pending, running, failed)
+app.get('/api/jobs', async (req, res) => {
+  try {
+    res.json({ jobs: await jobQueue.listJobs() });
+  } catch (error) {
+    console.error('Jobs list error:', error);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+// POST /api/jobs/:jobId/retry - Re-queue a failed job; resumes after its last completed pass
+app.post('/api/jobs/:jobId/retry', async (req, res) => {
+  try {
+    const result = await jobQueue.retryJob(req.params.jobId);
+    if (!result.success) {
+      return res.status(result.message === 'Job not found' ? 404 : 409).json(result);
+    }
+    res.status(202).json({ success: true, ...startCaptureJob(result.job) });
+  } catch (error) {
+    console.error('Job retry error:', error);
+    res.status(500).json({ success: false, message: 'Failed to retry job' });
+  }
+});
+
+// DELETE /api/jobs/:jobId - Discard a pending or failed job
+app.delete('/api/jobs/:jobId', async (req, res) => {
+  try {
+    const result = await jobQueue.discardJob(req.params.jobId);
+    if (!result.success) {
+      return res.status(result.message === 'Job not found' ? 404 : 409).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Job discard error:', error);
+    res.status(500).json({ success: false, message: 'Failed to discard job' });
+  }
+});
+
+// GET /api/captures/:captureId/events - SSE stream: capture, progress..., done | failed
+app.get('/api/captures/:captureId/events', (req, res) => {
+  if (!captureProgress.subscribe(req.params.captureId, res)) {
+    res.status(404).json({ error: 'Capture not found' });
+  }
+});
+
+// GET /progress/:captureId - Live progress page for a running capture
+app.get('/progress/:captureId', (req, res) => {
+  const capture = captureProgress.getCapture(req.params.captureId);
+  if (!capture) {
+    return res.status(404).send(renderProgressPage(null));
+  }
+  res.send(renderProgressPage(capture));
+});
+
 // GET /results - Render results as HTML page (legacy route, redirects to session-based)
 app.get('/results', (req, res) => {
   // Redirect to history if no data - this route is deprecated
@@ -163,17 +340,18 @@ app.get('/results/:sessionId/map', async (req, res) => {
   }
 });
 
-// GET /results/:sessionId/tabs - Grouped tabs list view
+// GET /results/:sessionId/tabs - Grouped tabs list view (?view=browser for window/tab group layout)
 app.get('/results/:sessionId/tabs', async (req, res) => {
   try {
     const { sessionId } = req.params;
     const filterCategory = req.query.filter || null;
+    const view = req.query.view === 'browser' ? 'browser' : 'categories';
     // Use dispositions-applied version to show current state
     const sessionData = await getSessionWithDispositionsApplied(sessionId);
     if (!sessionData) {
       return res.status(404).send('<html><body><h1>Session not found</h1></body></html>');
     }
-    res.send(renderTabsPage(sessionData, sessionId, filterCategory));
+    res.send(renderTabsPage(sessionData, sessionId, filterCategory, view));
   } catch (error) {
     console.error('Tabs view error:', error);
     res.status(500).send('<html><body><h1>Error loading tabs</h1></body></html>');
@@ -196,32 +374,70 @@ app.get('/results/:sessionId/analysis', async (req, res) => {
   }
 });
 
-// POST /classifyAndRender - Classify and return HTML directly
-app.post('/classifyAndRender', async (req, res) => {
+// GET /results/:sessionId/export?format=md|obsidian|json|html - Portable session document
+app.get('/results/:sessionId/export', async (req, res) => {
   try {
-    const { tabs, engine, context: requestContext, debugMode } = req.body;
+    const format = req.query.format || 'md';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `Unknown format: ${format}. Use one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
 
-    if (!tabs || !Array.isArray(tabs)) {
-      return res.status(400).send('<html><body><h1>Error: Invalid request</h1></body></html>');
+    const exported = await exportSession(req.params.sessionId, format);
+    if (!exported) {
+      return res.status(404).send('<html><body><h1>Session not found</h1></body></html>');
     }
 
-    // Check for tabs needing visual extraction (PDFs, etc.)
-    const visualExtractionCount = tabs.filter(t => t.needsVisualExtraction).length;
-    console.log(`Received ${tabs.length} tabs for classification via ${engine || 'default'}${debugMode ? ' (debug mode)' : ''}${visualExtractionCount > 0 ? ` (${visualExtractionCount} PDFs to extract)` : ''}`);
+    res.type(exported.contentType);
+    // HTML opens in the browser; the rest download as files
+    const disposition = format === 'html' ? 'inline' : 'attachment';
+    res.set('Content-Disposition', `${disposition}; filename="${exported.filename}"`);
+    res.send(exported.body);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).send('<html><body><h1>Error exporting session</h1></body></html>');
+  }
+});
 
-    // Process PDFs and other visual content first
-    let processedTabs = tabs;
-    if (visualExtractionCount > 0) {
-      console.log(`[Pass 0] Extracting content from ${visualExtractionCount} PDF(s)...`);
-      processedTabs = await processVisualExtractionTabs(tabs);
+// POST /api/results/:sessionId/actions/:index/start-writing - Brief for a Pass 4 suggested action,
+// delivered to the project's writing target and logged to the task log
+app.post('/api/results/:sessionId/actions/:index/start-writing', async (req, res) => {
+  const index = parseInt(req.params.index, 10);
+  if (!Number.isInteger(index) || index < 0) {
+    return res.status(400).json({ success: false, message: 'Invalid action index' });
+  }
+  try {
+    const result = await startWriting(req.params.sessionId, index);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('Start writing error:', error);
+    res.status(500).json({ success: false, message: 'Failed to start writing' });
+  }
+});
+
+// GET /compare/:a/:b - Diff two sessions (a = earlier, b = later)
+app.get('/compare/:a/:b', async (req, res) => {
+  try {
+    const comparison = await compareSessions(req.params.a, req.params.b);
+    if (!comparison) {
+      return res.status(404).send('<html><body><h1>Session not found</h1></body></html>');
     }
+    res.send(renderComparePage(comparison));
+  } catch (error) {
+    console.error('Compare view error:', error);
+    res.status(500).send('<html><body><h1>Error comparing sessions</h1></body></html>');
+  }
+});
 
-    // Load context: request context > file context > none
-    const context = requestContext || loadContext();
+// POST /classifyAndRender - Classify and return HTML directly
+app.post('/classifyAndRender', async (req, res) => {
+  try {
+    const { tabs } = req.body;
 
-    // debugMode defaults to true for trace capture
-    const classification = await classifyTabs(processedTabs, engine, context, debugMode ?? true);
-    const sessionId = await saveSession(classification);
+    if (!tabs || !Array.isArray(tabs)) {
+      return res.status(400).send('<html><body><h1>Error: Invalid request</h1></body></html>');
+    }
+
+    const { classification, sessionId } = await runCapture(req.body);
     // Get mirror insight for confrontational reflection
     const mirrorInsight = await getMirrorInsight();
     res.send(renderSummaryPage(classification, sessionId, mirrorInsight));
@@ -319,6 +535,34 @@ app.post('/api/launchpad/:sessionId/disposition', async (req, res) => {
   }
 });
 
+// GET /api/promote/targets - Note destinations for the Launchpad promote picker
+app.get('/api/promote/targets', async (req, res) => {
+  try {
+    res.json(await listPromoteTargets());
+  } catch (error) {
+    console.error('Promote targets error:', error);
+    res.status(500).json({ error: 'Failed to list promote targets' });
+  }
+});
+
+// POST /api/launchpad/:sessionId/promote - Write a note for an item and record the promote disposition
+app.post('/api/launchpad/:sessionId/promote', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { itemId, targetId } = req.body;
+
+    if (!itemId || !targetId) {
+      return res.status(400).json({ success: false, message: 'itemId and targetId required' });
+    }
+
+    const result = await promoteItem(sessionId, itemId, targetId);
+    res.json(result);
+  } catch (error) {
+    console.error('Promote error:', error);
+    res.status(500).json({ success: false, message: 'Failed to promote item' });
+  }
+});
+
 // POST /api/launchpad/:sessionId/batch-disposition - Record multiple actions atomically
 app.post('/api/launchpad/:sessionId/batch-disposition', async (req, res) => {
   try {
@@ -476,6 +720,140 @@ app.post('/api/launchpad/:sessionId/effort/:effortId/defer', async (req, res) =>
   }
 });
 
+// Cross-session effort registry (see effortRegistry.js)
+
+// GET /efforts - Every effort with age, item completion and history
+app.get('/efforts', async (req, res) => {
+  try {
+    const efforts = await effortRegistry.listEfforts();
+    res.send(renderEffortsPage(efforts));
+  } catch (error) {
+    console.error('Efforts page error:', error);
+    res.status(500).send('<html><body><h1>Error loading efforts</h1></body></html>');
+  }
+});
+
+// GET /api/efforts?status=open|pending|deferred|completed - List registry efforts
+app.get('/api/efforts', async (req, res) => {
+  try {
+    const efforts = await effortRegistry.listEfforts({ status: req.query.status });
+    res.json({ success: true, efforts });
+  } catch (error) {
+    console.error('List efforts error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list efforts' });
+  }
+});
+
+// POST /api/efforts/:effortId/complete - Complete an effort across sessions
+app.post('/api/efforts/:effortId/complete', async (req, res) => {
+  const result = await effortRegistry.completeEffort(req.params.effortId);
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+// POST /api/efforts/:effortId/defer - Defer an effort across sessions
+app.post('/api/efforts/:effortId/defer', async (req, res) => {
+  const result = await effortRegistry.deferEffort(req.params.effortId);
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+// POST /api/efforts/:effortId/items - Tick or untick one item { url, completed }
+app.post('/api/efforts/:effortId/items', async (req, res) => {
+  const { url, completed = true } = req.body || {};
+  if (!url) {
+    return res.status(400).json({ success: false, message: 'url required' });
+  }
+  const result = await effortRegistry.setItemCompleted(req.params.effortId, url, completed !== false);
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+// Context editor for ~/.memento/context.json (see contextLoader.js)
+
+// GET /context - Edit, archive and refresh active projects
+app.get('/context', async (req, res) => {
+  try {
+    const { targets } = await listPromoteTargets();
+    res.send(renderContextPage(readContextFile(), targets));
+  } catch (error) {
+    console.error('Context page error:', error);
+    res.status(500).send('<html><body><h1>Error loading context</h1></body></html>');
+  }
+});
+
+// GET /api/context - Context file as stored, with staleness
+app.get('/api/context', (req, res) => {
+  res.json({ success: true, ...readContextFile() });
+});
+
+// POST /api/context - Replace projects { activeProjects, archivedProjects? }
+app.post('/api/context', async (req, res) => {
+  const { activeProjects, archivedProjects } = req.body || {};
+  if (!Array.isArray(activeProjects) || (archivedProjects !== undefined && !Array.isArray(archivedProjects))) {
+    return res.status(400).json({ success: false, message: 'activeProjects array required' });
+  }
+  try {
+    const context = await saveContext({ activeProjects, archivedProjects });
+    res.json({ success: true, message: 'Context saved', context });
+  } catch (error) {
+    console.error('Save context error:', error);
+    res.status(500).json({ success: false, message: 'Failed to save context' });
+  }
+});
+
+// POST /api/context/refresh - Re-date a stale context file without changing it
+app.post('/api/context/refresh', async (req, res) => {
+  try {
+    const result = await refreshContext();
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('Refresh context error:', error);
+    res.status(500).json({ success: false, message: 'Failed to refresh context' });
+  }
+});
+
+// GET /api/context/suggestions - Keyword suggestions per active project
+app.get('/api/context/suggestions', async (req, res) => {
+  try {
+    const { context } = readContextFile();
+    const suggestions = await suggestKeywords(context?.activeProjects || []);
+    res.json({ success: true, suggestions });
+  } catch (error) {
+    console.error('Context suggestions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to suggest keywords' });
+  }
+});
+
+// GET /usage - Model spend by day, pass and engine, with the monthly budget
+app.get('/usage', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    res.send(renderUsagePage(await summarizeUsage({ days })));
+  } catch (error) {
+    console.error('Usage page error:', error);
+    res.status(500).send('<html><body><h1>Error loading usage</h1></body></html>');
+  }
+});
+
+// GET /api/usage?days=30 - Usage summary
+app.get('/api/usage', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    res.json({ success: true, ...(await summarizeUsage({ days })) });
+  } catch (error) {
+    console.error('Usage summary error:', error);
+    res.status(500).json({ success: false, message: 'Failed to summarize usage' });
+  }
+});
+
+// POST /api/usage/budget - Set { monthlyBudgetUsd } (null removes the budget)
+app.post('/api/usage/budget', async (req, res) => {
+  const { monthlyBudgetUsd } = req.body || {};
+  if (monthlyBudgetUsd === undefined) {
+    return res.status(400).json({ success: false, message: 'monthlyBudgetUsd required (null to remove)' });
+  }
+  const result = await setMonthlyBudget(monthlyBudgetUsd);
+  res.status(result.success ? 200 : 400).json(result);
+});
+
 // ═══════════════════════════════════════════════════════════════
 // TASK ROUTES - Task-Driven Attention System
 // "One Thing, One Goal" - surfaces the most important task
@@ -634,20 +1012,35 @@ app.get('/workbench/:sessionId', async (req, res) => {
       return res.status(404).send('<html><body><h1>Session not found</h1></body></html>');
     }
 
-    res.send(renderWorkbenchPage(session, sessionId));
+    // Template behind each pass, at the version this session used when it's known
+    const templates = [1, 2, 3, 4].map(pass => {
+      const name = passTemplateName(session, pass);
+      const usedVersion = session.meta?.prompts?.[`pass${pass}`]?.version || null;
+      let template;
+      try {
+        template = getTemplate(name, usedVersion);
+      } catch {
+        template = getTemplate(name);
+      }
+      const versions = listTemplates().find(t => t.name === name)?.versions || [];
+      return { pass, usedVersion, versions, ...template };
+    });
+
+    res.send(renderWorkbenchPage(session, sessionId, templates));
   } catch (error) {
     console.error('Workbench error:', error);
     res.status(500).send('<html><body><h1>Error loading workbench</h1></body></html>');
   }
 });
 
-// POST /api/workbench/rerun - Re-run a single pass with modified prompt
+// POST /api/workbench/rerun - Re-run a single pass with a modified prompt,
+// or with { template } text rendered from this session's inputs
 app.post('/api/workbench/rerun', async (req, res) => {
   try {
-    const { sessionId, pass, prompt, engine } = req.body;
+    const { sessionId, pass, prompt, template, engine } = req.body;
 
-    if (!sessionId || !pass || !prompt) {
-      return res.status(400).json({ error: 'sessionId, pass, and prompt required' });
+    if (!sessionId || !pass || (!prompt && !template)) {
+      return res.status(400).json({ error: 'sessionId, pass, and prompt or template required' });
     }
 
     // Load original session for context
@@ -660,10 +1053,31 @@ app.post('/api/workbench/rerun', async (req, res) => {
     const useEngine = engine || session.meta?.engine || 'claude';
     const engineInfo = getEngineInfo(useEngine);
 
+    if (template) {
+      const templateName = passTemplateName(session, Number(pass));
+      console.log(`[Workbench] Re-running ${templateName} (edited template) for session ${sessionId} via ${useEngine}`);
+      const [run] = await replayPass(templateName, session, useEngine, { prompt: { template }, purpose: 'workbench' });
+      if (!run) {
+        return res.status(400).json({ error: `Nothing to replay for pass ${pass} in this session` });
+      }
+      return res.json({
+        success: true,
+        pass,
+        engine: engineInfo.engine,
+        model: engineInfo.model,
+        template: templateName,
+        prompt: run.prompt,
+        status: run.status,
+        error: run.error,
+        rawResponse: run.rawResponse,
+        usage: run.usage
+      });
+    }
+
     console.log(`[Workbench] Re-running pass ${pass} for session ${sessionId} via ${useEngine}`);
 
     // Run the model with the modified prompt
-    const response = await runModel(useEngine, prompt);
+    const response = await runModel(useEngine, prompt, { purpose: 'workbench' });
 
     res.json({
       success: true,
@@ -679,6 +1093,42 @@ app.post('/api/workbench/rerun', async (req, res) => {
   }
 });
 
+// GET /api/prompts - Prompt templates with their versions
+app.get('/api/prompts', (req, res) => {
+  try {
+    res.json({ success: true, templates: listTemplates() });
+  } catch (error) {
+    console.error('List prompts error:', error);
+    res.status(500).json({ success: false, message: 'Failed to read prompt registry' });
+  }
+});
+
+// GET /api/prompts/:name?version=v2 - Template text (active version by default)
+app.get('/api/prompts/:name', (req, res) => {
+  try {
+    res.json({ success: true, ...getTemplate(req.params.name, req.query.version || null) });
+  } catch (error) {
+    res.status(404).json({ success: false, message: error.message });
+  }
+});
+
+// POST /api/prompts/:name/versions - Save { template, note?, basedOn?, activate? } as the next version
+app.post('/api/prompts/:name/versions', (req, res) => {
+  const { template, note, basedOn, activate } = req.body || {};
+  const result = saveVersion(req.params.name, template, { note, basedOn, activate: Boolean(activate) });
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+// POST /api/prompts/:name/active - Use { version } for new captures
+app.post('/api/prompts/:name/active', (req, res) => {
+  const { version } = req.body || {};
+  if (!version) {
+    return res.status(400).json({ success: false, message: 'version required' });
+  }
+  const result = setActiveVersion(req.params.name, version);
+  res.status(result.success ? 200 : 400).json(result);
+});
+
 // ═══════════════════════════════════════════════════════════════
 // PREFERENCES ROUTES - Learned classification preferences
 // Closes the feedback loop: corrections → preferences → better classification
@@ -713,6 +1163,16 @@ app.get('/api/preferences', async (req, res) => {
   }
 });
 
+// GET /api/extractors - Per-domain field extractors the extension runs at capture
+app.get('/api/extractors', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getCaptureExtractors()) });
+  } catch (error) {
+    console.error('Extractors fetch error:', error);
+    res.status(500).json({ success: false, message: 'Failed to read extractors config' });
+  }
+});
+
 // GET /api/rules - Alias for /api/preferences (backwards compatibility)
 app.get('/api/rules', async (req, res) => {
   try {
@@ -891,7 +1351,7 @@ app.get('/intentions', async (req, res) => {
       const data = await intentDetection.getIntentProposals();
       res.send(intentionsRenderer.renderIntentionsPage(data, stats));
     } else {
-      const data = await themeDetection.getThemeProposals();
+      const data = await themeDetection.getThemeProposals({ excludeImported: req.query.imported === 'exclude' });
       res.send(renderThemesPage(data, stats));
     }
   } catch (err) {
@@ -939,7 +1399,7 @@ app.get('/api/intentions/resolved', async (req, res) => {
 // API: Get theme proposals
 app.get('/api/intentions/themes', async (req, res) => {
   try {
-    const data = await themeDetection.getThemeProposals();
+    const data = await themeDetection.getThemeProposals({ excludeImported: req.query.imported === 'exclude' });
     res.json(data);
   } catch (err) {
     console.error('Error getting themes:', err);
@@ -997,10 +1457,16 @@ app.get('/api/intentions/stats', async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
   console.log(`Memento backend running at http://localhost:${PORT}`);
+  try {
+    await jobQueue.recoverInterruptedJobs();
+  } catch (error) {
+    console.error('Failed to recover interrupted jobs:', error);
+  }
   console.log(`POST /classifyBrowserContext - Classify tabs and return JSON`);
   console.log(`POST /classifyAndRender - Classify tabs and return HTML page`);
+  console.log(`POST /api/captures - Classify in background, stream progress (SSE)`);
   console.log(`GET  /launchpad/:sessionId - Launchpad UI (Nuclear Option mode)`);
   console.log(`GET  /tasks - Task-Driven Attention System (One Thing)`);
   console.log(`GET  /workbench/:sessionId - Prompt Workbench (inspect/edit traces)`);
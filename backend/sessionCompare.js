@@ -0,0 +1,158 @@
+/**
+ * Session Compare Module
+ *
+ * Diffs two captures: which tabs were added, closed or persisted, which
+ * persisted tabs moved category or changed disposition, and how the Pass 4
+ * session pattern shifted between them.
+ *
+ * Tabs are matched by URL. Both sides are read with dispositions applied,
+ * so categories reflect user regroups and resolved tabs carry their status.
+ */
+
+const aggregator = require('./aggregator');
+const { getSessionWithDispositionsApplied } = require('./dispositions');
+
+/**
+ * Load a session as a URL -> tab row map
+ * @returns {Promise<{session: Object, tabs: Map<string, Object>}|null>}
+ */
+async function loadSessionTabs(sessionId) {
+  const applied = await getSessionWithDispositionsApplied(sessionId);
+  if (!applied) return null;
+
+  // Original categories from the session index (resolved tabs are no longer in applied.groups)
+  const originalRows = await aggregator.extractAllTabs([{ _id: sessionId, ...applied }]);
+  const originalCategory = new Map(originalRows.map(row => [row.url, row.category]));
+
+  const resolved = [
+    ...(applied._trashedItems || []),
+    ...(applied._completedItems || []),
+    ...(applied._laterItems || [])
+  ];
+
+  const tabs = new Map();
+  const addRow = (url, title, category, status) => {
+    if (!url || url.startsWith('blob:') || tabs.has(url)) return;
+    tabs.set(url, { url, title, category, status });
+  };
+
+  // Active tabs, in their current (possibly regrouped) category
+  const activeRows = await aggregator.extractAllTabs([{ groups: applied.groups }]);
+  for (const row of activeRows) {
+    addRow(row.url, row.title, row.category, 'pending');
+  }
+  for (const item of resolved) {
+    addRow(item.url, item.title, originalCategory.get(item.url) || 'Unknown', item._dispositionStatus);
+  }
+
+  return { session: applied, tabs };
+}
+
+/**
+ * Read intake/output percentages from a Pass 4 sessionPattern
+ * Older sessions store intakePercentage/outputPercentage; current ones
+ * carry an "X% intake, Y% output" string.
+ */
+function parsePattern(pattern) {
+  if (!pattern) return null;
+
+  const text = pattern.intakeVsOutput || '';
+  const intake = text.match(/(\d+(?:\.\d+)?)\s*%\s*intake/i);
+  const output = text.match(/(\d+(?:\.\d+)?)\s*%\s*output/i);
+
+  return {
+    type: pattern.type || null,
+    intakeVsOutput: text || null,
+    intake: pattern.intakePercentage ?? (intake ? Number(intake[1]) : null),
+    output: pattern.outputPercentage ?? (output ? Number(output[1]) : null)
+  };
+}
+
+function delta(from, to) {
+  return typeof from === 'number' && typeof to === 'number' ? to - from : null;
+}
+
+function describeSession(sessionId, session, tabs) {
+  return {
+    id: sessionId,
+    timestamp: session.timestamp || null,
+    totalTabs: tabs.size,
+    narrative: session.narrative || null,
+    pattern: parsePattern(session.thematicAnalysis?.sessionPattern)
+  };
+}
+
+/**
+ * Compare two sessions
+ * @param {string} sessionIdA - Earlier ("from") session
+ * @param {string} sessionIdB - Later ("to") session
+ * @returns {Promise<Object|null>} Comparison, or null if either session is missing
+ */
+async function compareSessions(sessionIdA, sessionIdB) {
+  const [a, b] = await Promise.all([loadSessionTabs(sessionIdA), loadSessionTabs(sessionIdB)]);
+  if (!a || !b) return null;
+
+  const added = [];
+  const closed = [];
+  const persisted = [];
+  const categoryMoves = [];
+  const dispositionChanges = [];
+
+  for (const [url, tabB] of b.tabs) {
+    const tabA = a.tabs.get(url);
+    if (!tabA) {
+      added.push(tabB);
+      continue;
+    }
+
+    persisted.push({
+      url,
+      title: tabB.title || tabA.title,
+      categoryA: tabA.category,
+      categoryB: tabB.category,
+      statusA: tabA.status,
+      statusB: tabB.status
+    });
+    if (tabA.category !== tabB.category) {
+      categoryMoves.push({ url, title: tabB.title || tabA.title, from: tabA.category, to: tabB.category });
+    }
+    if (tabA.status !== tabB.status) {
+      dispositionChanges.push({ url, title: tabB.title || tabA.title, from: tabA.status, to: tabB.status });
+    }
+  }
+
+  for (const [url, tabA] of a.tabs) {
+    if (!b.tabs.has(url)) closed.push(tabA);
+  }
+
+  const sessionA = describeSession(sessionIdA, a.session, a.tabs);
+  const sessionB = describeSession(sessionIdB, b.session, b.tabs);
+
+  return {
+    a: sessionA,
+    b: sessionB,
+    summary: {
+      added: added.length,
+      closed: closed.length,
+      persisted: persisted.length,
+      categoryMoves: categoryMoves.length,
+      dispositionChanges: dispositionChanges.length
+    },
+    added,
+    closed,
+    persisted,
+    categoryMoves,
+    dispositionChanges,
+    patternShift: (sessionA.pattern || sessionB.pattern) ? {
+      from: sessionA.pattern,
+      to: sessionB.pattern,
+      intakeDelta: delta(sessionA.pattern?.intake, sessionB.pattern?.intake),
+      outputDelta: delta(sessionA.pattern?.output, sessionB.pattern?.output)
+    } : null
+  };
+}
+
+module.exports = {
+  compareSessions,
+  parsePattern
+};
@@ -0,0 +1,256 @@
+/**
+ * Session Export
+ *
+ * Renders a saved session as a portable document. Every format is built
+ * from the same markdown (see markdownNote.js):
+ *   md       - plain markdown
+ *   obsidian - markdown with YAML frontmatter and [[wiki-links]] to project notes
+ *   html     - standalone page rendered from the md variant
+ *   json     - the session with dispositions applied (debug trace omitted)
+ *
+ * Sessions are read with dispositions applied, so groups reflect regroups
+ * and resolved tabs are listed separately.
+ */
+
+const { getSessionWithDispositionsApplied } = require('./dispositions');
+const { escapeHtml } = require('./renderers/layout');
+const { frontmatter, observation, table, mdLink, wikiLink, markdownToHtml } = require('./markdownNote');
+
+const EXPORT_FORMATS = ['md', 'obsidian', 'json', 'html'];
+
+function formatTimestamp(timestamp) {
+  if (!timestamp) return 'Unknown time';
+  return new Date(timestamp).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Projects referenced by Pass 4 (project support and suggested actions)
+ */
+function getProjects(session) {
+  const projects = new Set(Object.keys(session.thematicAnalysis?.projectSupport || {}));
+  for (const action of session.thematicAnalysis?.suggestedActions || []) {
+    if (action.project) projects.add(action.project);
+  }
+  return Array.from(projects);
+}
+
+/**
+ * Render a session as markdown
+ * @param {Object} session - Session with dispositions applied
+ * @param {string} sessionId - Session ID
+ * @param {Object} [options]
+ * @param {boolean} [options.obsidian=false] - Add frontmatter and wiki-link projects
+ * @returns {string}
+ */
+function renderSessionMarkdown(session, sessionId, { obsidian = false } = {}) {
+  const pattern = session.thematicAnalysis?.sessionPattern;
+  const projects = getProjects(session);
+  const projectRef = name => obsidian ? wikiLink(name) : name;
+  const sections = [];
+
+  if (obsidian) {
+    sections.push(frontmatter({
+      title: `Browsing Session ${sessionId}`,
+      type: 'memento-session',
+      session_id: sessionId,
+      captured_at: session.timestamp,
+      total_tabs: session.totalTabs || 0,
+      engine: session.meta?.engine,
+      session_pattern: pattern?.type,
+      projects: projects.length > 0 ? projects : null,
+      tags: ['memento', 'browsing-session']
+    }));
+  }
+
+  sections.push(`# Browsing Session — ${formatTimestamp(session.timestamp)}`);
+
+  if (session.narrative) {
+    sections.push(session.narrative);
+  }
+
+  const overview = [
+    observation('Captured', session.timestamp || 'unknown'),
+    observation('Tabs', session.totalTabs || 0)
+  ];
+  if (session.sessionIntent) overview.push(observation('Intent', session.sessionIntent));
+  if (session.meta?.engine) {
+    overview.push(observation('Engine', session.meta.model ? `${session.meta.engine} (${session.meta.model})` : session.meta.engine));
+  }
+  if (pattern?.type) {
+    overview.push(observation('Pattern', pattern.intakeVsOutput ? `${pattern.type} — ${pattern.intakeVsOutput}` : pattern.type));
+  }
+  if (session._dispositions?.count > 0) {
+    overview.push(observation('Dispositions', `${session._dispositions.count} applied`));
+  }
+  if (projects.length > 0) {
+    overview.push(observation('Projects', projects.map(projectRef).join(', ')));
+  }
+  sections.push(overview.join('\n'));
+
+  // === Groups ===
+  sections.push('## Tabs');
+  for (const [category, items] of Object.entries(session.groups || {})) {
+    if (!items || items.length === 0) continue;
+    sections.push(`### ${category} (${items.length})`);
+    sections.push(items.map(item =>
+      `- ${mdLink(item.title || item.url, item.url)}${item._regroupedFrom ? ` *(moved from ${item._regroupedFrom})*` : ''}`
+    ).join('\n'));
+  }
+
+  const resolved = [
+    ['Completed', session._completedItems],
+    ['Later', session._laterItems],
+    ['Trashed', session._trashedItems]
+  ].filter(([, items]) => items && items.length > 0);
+  if (resolved.length > 0) {
+    sections.push('## Resolved');
+    for (const [label, items] of resolved) {
+      sections.push(`### ${label} (${items.length})`);
+      sections.push(items.map(item => `- ${mdLink(item.title || item.url, item.url)}`).join('\n'));
+    }
+  }
+
+  // === Pass 2: Deep dives ===
+  const deepDives = session.deepDiveResults || [];
+  if (deepDives.length > 0) {
+    sections.push('## Deep Dives');
+    for (const dive of deepDives) {
+      sections.push(`### ${mdLink(dive.title || dive.url, dive.url)}`);
+      if (!dive.analysis) {
+        sections.push(`*Deep dive failed: ${dive.error || 'unknown error'}*`);
+        continue;
+      }
+      if (dive.analysis.summary) sections.push(dive.analysis.summary);
+      if (dive.analysis.keyPoints?.length > 0) {
+        sections.push(dive.analysis.keyPoints.map(point => `- ${point}`).join('\n'));
+      }
+    }
+  }
+
+  // === Pass 3: Mermaid ===
+  if (session.visualization?.mermaid) {
+    sections.push('## Session Map');
+    sections.push('```mermaid\n' + session.visualization.mermaid.trim() + '\n```');
+  }
+
+  // === Pass 4: Suggested actions ===
+  const actions = session.thematicAnalysis?.suggestedActions || [];
+  if (actions.length > 0) {
+    sections.push('## Suggested Actions');
+    sections.push(actions.map((action, i) => {
+      const details = [];
+      if (action.priority) details.push(action.priority);
+      if (action.project) details.push(`project: ${projectRef(action.project)}`);
+      return `${i + 1}. **${action.action}**${details.length > 0 ? ` (${details.join(', ')})` : ''}${action.reason ? ` — ${action.reason}` : ''}`;
+    }).join('\n'));
+  }
+
+  // === Disposition log ===
+  const dispositions = session.dispositions || [];
+  if (dispositions.length > 0) {
+    const titles = new Map();
+    for (const items of [...Object.values(session.groups || {}), session._trashedItems, session._completedItems, session._laterItems]) {
+      for (const item of items || []) titles.set(item.url, item.title);
+    }
+
+    sections.push('## Dispositions');
+    sections.push(table(
+      ['When', 'Action', 'Item', 'Detail'],
+      dispositions.map(d => [
+        d.at ? d.at.replace('T', ' ').slice(0, 16) : '',
+        d.action,
+        titles.get(d.itemId) || d.itemId,
+        d.to || d.target || d.undoes || ''
+      ])
+    ));
+  }
+
+  if (obsidian && projects.length > 0) {
+    sections.push('## Relations');
+    sections.push(projects.map(name => `- relates_to ${wikiLink(name)}`).join('\n'));
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Wrap exported markdown in a standalone HTML page
+ */
+function renderSessionHtml(markdown, sessionId) {
+  const hasMermaid = markdown.includes('```mermaid');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Memento Session ${escapeHtml(sessionId)}</title>
+  <style>
+    body { font-family: Georgia, serif; max-width: 800px; margin: 2em auto; padding: 0 1em; line-height: 1.6; color: #2c2c2c; }
+    h1, h2, h3 { line-height: 1.3; }
+    a { color: #8b4513; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+    th, td { border: 1px solid #ddd; padding: 0.4em 0.6em; text-align: left; }
+    .wikilink { color: #6b5b95; }
+    pre { background: #f5f5f0; padding: 1em; overflow-x: auto; }
+  </style>
+</head>
+<body>
+${markdownToHtml(markdown)}
+${hasMermaid ? `<script src="https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js"></script>
+<script>mermaid.initialize({ startOnLoad: true, theme: 'neutral' });</script>` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Export a session
+ * @param {string} sessionId - Session ID
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Promise<{filename, contentType, body}|null>} null if the session is not found
+ */
+async function exportSession(sessionId, format = 'md') {
+  const session = await getSessionWithDispositionsApplied(sessionId);
+  if (!session) return null;
+
+  switch (format) {
+    case 'json': {
+      const { trace, ...portable } = session;
+      return {
+        filename: `memento-${sessionId}.json`,
+        contentType: 'application/json; charset=utf-8',
+        body: JSON.stringify(portable, null, 2)
+      };
+    }
+    case 'html':
+      return {
+        filename: `memento-${sessionId}.html`,
+        contentType: 'text/html; charset=utf-8',
+        body: renderSessionHtml(renderSessionMarkdown(session, sessionId), sessionId)
+      };
+    case 'obsidian':
+      return {
+        filename: `memento-${sessionId}.md`,
+        contentType: 'text/markdown; charset=utf-8',
+        body: renderSessionMarkdown(session, sessionId, { obsidian: true })
+      };
+    default:
+      return {
+        filename: `memento-${sessionId}.md`,
+        contentType: 'text/markdown; charset=utf-8',
+        body: renderSessionMarkdown(session, sessionId)
+      };
+  }
+}
+
+module.exports = {
+  exportSession,
+  renderSessionMarkdown,
+  EXPORT_FORMATS
+};
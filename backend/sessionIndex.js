@@ -0,0 +1,363 @@
+/**
+ * Session Index Module
+ *
+ * Persistent manifest of every session in memory/sessions/ so that listing,
+ * longitudinal queries and grouping do not re-read and re-parse every file
+ * on every page load.
+ *
+ * Index location: memory/session-index.json
+ *
+ * Each entry holds the summary fields and flattened tab rows for one session,
+ * keyed by session ID and stamped with the file's mtime/size. Writers
+ * (saveSession, appendDisposition, effort writes) call updateSession() after
+ * touching a file. Readers call getEntries(), which reconciles the manifest
+ * against the directory with a cheap stat pass and only re-parses files whose
+ * mtime or size changed (e.g. written by the MCP server process).
+ *
+ * Full session objects for getAllSessions() are cached in-process under the
+ * same mtime check, with the debug `trace` stripped to keep memory bounded.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const MEMORY_DIR = path.join(__dirname, '..', 'memory', 'sessions');
+const INDEX_PATH = path.join(__dirname, '..', 'memory', 'session-index.json');
+const INDEX_VERSION = '1.4.0';
+
+// In-process state: persisted manifest + parsed session cache
+let index = null;                 // { version, updatedAt, entries: { [id]: entry } }
+const sessionCache = new Map();   // id -> { mtimeMs, size, session }
+
+// Serialize index mutations within this process
+let queue = Promise.resolve();
+function serialize(fn) {
+  const run = queue.then(fn, fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Session files in memory/sessions/ (excludes the schema file)
+ */
+function isSessionFile(file) {
+  return file.endsWith('.json') && !file.includes('schema');
+}
+
+/**
+ * Find disposition for a specific tab in a session
+ * Dispositions reference items by various identifiers (tabIndex, url, title)
+ */
+function findDisposition(session, tab) {
+  if (!session.dispositions || !Array.isArray(session.dispositions)) {
+    return null;
+  }
+
+  const disposition = session.dispositions.find(d =>
+    d.itemId === tab.tabIndex ||
+    d.url === tab.url ||
+    d.title === tab.title
+  );
+
+  return disposition ? disposition.action : null;
+}
+
+/**
+ * Flatten a session's groups into tab rows (no session context)
+ * Handles both object and array group formats
+ * @param {Object} session - Full session object
+ * @returns {Array<{url, title, category, disposition, contentHash, contentPreview}>}
+ */
+function flattenTabs(session) {
+  if (!session.groups) return [];
+
+  const groups = Array.isArray(session.groups)
+    ? session.groups
+    : Object.entries(session.groups);
+
+  const rows = [];
+  for (const entry of groups) {
+    const [category, items] = Array.isArray(entry)
+      ? entry
+      : [entry.name, entry.items];
+
+    if (!Array.isArray(items)) continue;
+
+    for (const tab of items) {
+      rows.push({
+        url: tab.url,
+        title: tab.title,
+        category,
+        disposition: findDisposition(session, tab),
+        contentHash: tab.contentHash || null,
+        contentPreview: tab.contentPreview || ''
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Build an index entry from a parsed session and its file stat
+ */
+function buildEntry(id, session, stat) {
+  const projectSupport = session.thematicAnalysis?.projectSupport || {};
+  const projects = {};
+  for (const [name, support] of Object.entries(projectSupport)) {
+    projects[name] = (support?.explicit?.length || 0) + (support?.implicit?.length || 0);
+  }
+
+  return {
+    id,
+    mtimeMs: stat.mtimeMs,
+    size: stat.size,
+    timestamp: session.timestamp || null,
+    totalTabs: session.totalTabs || 0,
+    narrative: session.narrative || null,
+    sessionPattern: session.thematicAnalysis?.sessionPattern?.type || null,
+    engine: session.meta?.engine || null,
+    source: session.meta?.source || 'capture',   // Or chrome-extension, firefox-extension, api, import, or an adapter name
+    importKey: session.meta?.importKey || null,
+    dispositionCount: (session.dispositions || []).length,
+    projects,
+    tabs: flattenTabs(session)
+  };
+}
+
+/**
+ * Strip heavy debug-only fields before caching a full session
+ */
+function slimSession(session) {
+  const { trace, ...rest } = session;
+  return rest;
+}
+
+async function loadIndexFile() {
+  try {
+    const content = await fs.readFile(INDEX_PATH, 'utf-8');
+    const data = JSON.parse(content);
+    if (data.version === INDEX_VERSION && data.entries) {
+      return data;
+    }
+    console.error('[SessionIndex] Index version changed, rebuilding');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[SessionIndex] Unreadable index, rebuilding: ${error.message}`);
+    }
+  }
+  return { version: INDEX_VERSION, updatedAt: null, entries: {} };
+}
+
+/**
+ * Write the index atomically (tmp file + rename) so readers in another
+ * process never see a partial file
+ */
+async function persistIndex() {
+  index.updatedAt = new Date().toISOString();
+  const tmpPath = `${INDEX_PATH}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(INDEX_PATH), { recursive: true });
+  await fs.writeFile(tmpPath, JSON.stringify(index));
+  await fs.rename(tmpPath, INDEX_PATH);
+}
+
+/**
+ * Read, parse and index one session file
+ * @returns {Promise<Object|null>} Parsed session or null if malformed
+ */
+async function indexFile(id, stat) {
+  const filepath = path.join(MEMORY_DIR, `${id}.json`);
+  try {
+    const content = await fs.readFile(filepath, 'utf-8');
+    const session = JSON.parse(content);
+    index.entries[id] = buildEntry(id, session, stat);
+    sessionCache.set(id, { mtimeMs: stat.mtimeMs, size: stat.size, session: slimSession(session) });
+    return session;
+  } catch (err) {
+    console.warn(`Skipping malformed session: ${id}.json`);
+    delete index.entries[id];
+    sessionCache.delete(id);
+    return null;
+  }
+}
+
+/**
+ * Bring the index in line with the directory: stat every file, re-index
+ * new or changed ones, drop entries for deleted files
+ */
+function reconcile() {
+  return serialize(async () => {
+    if (!index) {
+      index = await loadIndexFile();
+    }
+
+    let files;
+    try {
+      files = (await fs.readdir(MEMORY_DIR)).filter(isSessionFile);
+    } catch (error) {
+      if (error.code === 'ENOENT') return index;
+      throw error;
+    }
+
+    let changed = false;
+    const seen = new Set();
+
+    for (const file of files) {
+      const id = file.replace('.json', '');
+      seen.add(id);
+
+      let stat;
+      try {
+        stat = await fs.stat(path.join(MEMORY_DIR, file));
+      } catch (err) {
+        continue; // Removed between readdir and stat
+      }
+
+      const entry = index.entries[id];
+      if (!entry || entry.mtimeMs !== stat.mtimeMs || entry.size !== stat.size) {
+        await indexFile(id, stat);
+        changed = true;
+      }
+    }
+
+    for (const id of Object.keys(index.entries)) {
+      if (!seen.has(id)) {
+        delete index.entries[id];
+        sessionCache.delete(id);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await persistIndex();
+    }
+    return index;
+  });
+}
+
+/**
+ * Get all index entries, sorted by timestamp descending
+ * @returns {Promise<Array<Object>>}
+ */
+async function getEntries() {
+  try {
+    const current = await reconcile();
+    return Object.values(current.entries).sort((a, b) =>
+      (b.timestamp || '').localeCompare(a.timestamp || '')
+    );
+  } catch (error) {
+    console.error('Failed to load session index:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the index entry for one session
+ * @param {string} id - Session ID
+ * @returns {Promise<Object|null>}
+ */
+async function getEntry(id) {
+  const current = await reconcile();
+  return current.entries[id] || null;
+}
+
+/**
+ * Get full session objects (without debug traces), sorted by timestamp
+ * descending. Only files whose mtime/size changed since the last call are
+ * re-read.
+ * @returns {Promise<Array<Object>>} Sessions with _id and _filename added
+ */
+async function getSessions() {
+  const entries = await getEntries();
+  const sessions = [];
+
+  for (const entry of entries) {
+    const session = await loadCached(entry);
+    if (session) sessions.push(session);
+  }
+
+  return sessions;
+}
+
+/**
+ * Get one full session (without debug trace) through the cache
+ * @param {string} id - Session ID
+ * @returns {Promise<Object|null>}
+ */
+async function getSession(id) {
+  const entry = await getEntry(id);
+  return entry ? loadCached(entry) : null;
+}
+
+/**
+ * Return the cached parse for an entry, re-reading if the file changed
+ */
+async function loadCached(entry) {
+  let cached = sessionCache.get(entry.id);
+  if (!cached || cached.mtimeMs !== entry.mtimeMs || cached.size !== entry.size) {
+    try {
+      const content = await fs.readFile(path.join(MEMORY_DIR, `${entry.id}.json`), 'utf-8');
+      cached = { mtimeMs: entry.mtimeMs, size: entry.size, session: slimSession(JSON.parse(content)) };
+      sessionCache.set(entry.id, cached);
+    } catch (err) {
+      console.warn(`Skipping malformed session: ${entry.id}.json`);
+      return null;
+    }
+  }
+
+  // Hand out a shallow copy so callers tagging fields don't touch the cache
+  return {
+    ...cached.session,
+    _id: entry.id,
+    _filename: `${entry.id}.json`
+  };
+}
+
+/**
+ * Update the index after a session file was written.
+ * Called by saveSession, appendDisposition/appendBatchDisposition and
+ * effort writes. Non-fatal: a failed update is repaired by the next
+ * reconcile() stat pass.
+ *
+ * @param {string} id - Session ID
+ * @param {Object} [session] - The session object just written (avoids a re-read)
+ */
+function updateSession(id, session = null) {
+  return serialize(async () => {
+    if (!index) {
+      index = await loadIndexFile();
+    }
+    const filepath = path.join(MEMORY_DIR, `${id}.json`);
+    const stat = await fs.stat(filepath);
+
+    if (session) {
+      index.entries[id] = buildEntry(id, session, stat);
+      sessionCache.set(id, { mtimeMs: stat.mtimeMs, size: stat.size, session: slimSession(session) });
+    } else {
+      await indexFile(id, stat);
+    }
+
+    await persistIndex();
+  }).catch(error => {
+    console.warn(`[SessionIndex] Failed to update ${id}: ${error.message}`);
+  });
+}
+
+/**
+ * Drop the in-process state (next read reloads from disk)
+ */
+function resetCache() {
+  index = null;
+  sessionCache.clear();
+}
+
+module.exports = {
+  getEntries,
+  getEntry,
+  getSessions,
+  getSession,
+  updateSession,
+  flattenTabs,
+  findDisposition,
+  resetCache,
+  INDEX_PATH
+};
@@ -0,0 +1,554 @@
+/**
+ * Session Search Module
+ *
+ * Inverted index over session content with BM25-style ranking, phrase
+ * queries, field filters and highlighted snippets. Backs /history,
+ * /api/search and the search_sessions MCP tool.
+ *
+ * Indexed text (per document):
+ *   - Tab documents: title, URL, captured content, Pass 2 deep-dive summary
+ *   - Session document: narrative, session intent, Pass 4 themes/actions
+ *
+ * Query syntax:
+ *   transformer attention          all terms must appear in the session
+ *   "rise and fall"                phrase (adjacent tokens in one field)
+ *   domain:arxiv.org               tab hostname (subdomains included)
+ *   category:Research              tab category (case-insensitive, quote multi-word)
+ *   disposition:pending            current tab disposition (pending, trash, complete, ...)
+ *   before:2026-03-01 after:2026-02-01   session timestamp bounds (any date Date.parse accepts;
+ *                                         anything else is a query error, see queryError)
+ *   pattern:research-heavy         Pass 4 sessionPattern type
+ *
+ * The index is built in-process from the session index cache and updated
+ * incrementally: a session's documents are rebuilt only when its file
+ * mtime/size changes.
+ */
+
+const sessionIndex = require('./sessionIndex');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Field weights (BM25F-style: weighted term frequency and length)
+const FIELD_WEIGHTS = {
+  title: 3,
+  url: 1.5,
+  content: 1,
+  deepDive: 2,
+  narrative: 1.5,
+  themes: 2
+};
+
+const FILTER_KEYS = ['domain', 'category', 'disposition', 'before', 'after', 'pattern'];
+const SNIPPET_RADIUS = 80;
+
+// In-process inverted index
+const docs = new Map();          // docId -> doc
+const postings = new Map();      // term -> Map(docId -> { field: [positions] })
+const sessionDocs = new Map();   // sessionId -> { mtimeMs, size, docIds: [] }
+let totalWeightedLength = 0;
+
+/**
+ * Lowercase and split text into tokens with character offsets
+ * @returns {Array<{term: string, start: number, end: number}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  if (!text) return tokens;
+  const re = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    tokens.push({
+      term: match[0].toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the current disposition of a tab from the append-only log
+ * (itemId is the URL in Launchpad, tabIndex in older sessions)
+ */
+function resolveDisposition(session, tab) {
+  let status = 'pending';
+  for (const d of session.dispositions || []) {
+    if (d.itemId !== tab.url && d.itemId !== tab.tabIndex && d.itemId !== `tab-${tab.tabIndex}`) continue;
+    if (d.action === 'undo') {
+      status = 'pending';
+    } else if (d.action !== 'regroup' && d.action !== 'reprioritize') {
+      status = d.action;
+    }
+  }
+  return status;
+}
+
+/**
+ * Build searchable documents for one session
+ */
+function buildDocs(session) {
+  const result = [];
+
+  const deepDiveByUrl = new Map();
+  for (const dive of session.deepDiveResults || []) {
+    if (!dive.analysis) continue;
+    const parts = [dive.analysis.summary, ...(dive.analysis.keyPoints || []), dive.analysis.relevance];
+    deepDiveByUrl.set(dive.url, parts.filter(Boolean).join(' • '));
+  }
+
+  // Raw captured content, when the session carries it
+  const contentByUrl = new Map();
+  for (const tab of session.tabs || []) {
+    if (tab.url && tab.content) contentByUrl.set(tab.url, tab.content);
+  }
+
+  const groups = Array.isArray(session.groups)
+    ? session.groups.map(g => [g.category || g.name, g.items])
+    : Object.entries(session.groups || {});
+
+  for (const [category, items] of groups) {
+    if (!Array.isArray(items)) continue;
+    for (const tab of items) {
+      result.push({
+        kind: 'tab',
+        tab: {
+          url: tab.url || '',
+          title: tab.title || '',
+          category,
+          domain: getHostname(tab.url),
+          disposition: resolveDisposition(session, tab)
+        },
+        text: {
+          title: tab.title || '',
+          url: tab.url || '',
+          content: contentByUrl.get(tab.url) || tab.contentPreview || '',
+          deepDive: deepDiveByUrl.get(tab.url) || ''
+        }
+      });
+    }
+  }
+
+  const ta = session.thematicAnalysis || {};
+  const themeParts = [
+    ta.alternativeNarrative,
+    ta.hiddenConnection,
+    ...(ta.thematicThroughlines || []).map(t => [t.theme, t.insight].filter(Boolean).join(': ')),
+    ...(ta.suggestedActions || []).map(a => a.action)
+  ];
+
+  result.push({
+    kind: 'session',
+    tab: null,
+    text: {
+      narrative: [session.narrative, session.sessionIntent].filter(Boolean).join(' '),
+      themes: themeParts.filter(Boolean).join(' • ')
+    }
+  });
+
+  return result;
+}
+
+function removeSessionDocs(sessionId) {
+  const existing = sessionDocs.get(sessionId);
+  if (!existing) return;
+
+  for (const docId of existing.docIds) {
+    const doc = docs.get(docId);
+    if (!doc) continue;
+    totalWeightedLength -= doc.length;
+    for (const term of doc.terms) {
+      const list = postings.get(term);
+      if (!list) continue;
+      list.delete(docId);
+      if (list.size === 0) postings.delete(term);
+    }
+    docs.delete(docId);
+  }
+  sessionDocs.delete(sessionId);
+}
+
+function addSessionDocs(entry, session) {
+  const docIds = [];
+
+  buildDocs(session).forEach((raw, n) => {
+    const docId = `${entry.id}#${n}`;
+    const doc = {
+      id: docId,
+      sessionId: entry.id,
+      timestamp: entry.timestamp,
+      sessionPattern: entry.sessionPattern,
+      kind: raw.kind,
+      tab: raw.tab,
+      text: raw.text,
+      tokens: {},
+      termFreq: new Map(),
+      terms: new Set(),
+      length: 0
+    };
+
+    for (const [field, value] of Object.entries(raw.text)) {
+      const weight = FIELD_WEIGHTS[field] || 1;
+      const tokens = tokenize(value);
+      doc.tokens[field] = tokens;
+      doc.length += tokens.length * weight;
+
+      tokens.forEach((tok, pos) => {
+        doc.terms.add(tok.term);
+        doc.termFreq.set(tok.term, (doc.termFreq.get(tok.term) || 0) + weight);
+
+        if (!postings.has(tok.term)) postings.set(tok.term, new Map());
+        const list = postings.get(tok.term);
+        if (!list.has(docId)) list.set(docId, {});
+        const fields = list.get(docId);
+        (fields[field] = fields[field] || []).push(pos);
+      });
+    }
+
+    totalWeightedLength += doc.length;
+    docs.set(docId, doc);
+    docIds.push(docId);
+  });
+
+  sessionDocs.set(entry.id, { mtimeMs: entry.mtimeMs, size: entry.size, docIds });
+}
+
+/**
+ * Bring the inverted index in line with the session index
+ */
+async function refresh() {
+  const entries = await sessionIndex.getEntries();
+  const live = new Set();
+
+  for (const entry of entries) {
+    live.add(entry.id);
+    const indexed = sessionDocs.get(entry.id);
+    if (indexed && indexed.mtimeMs === entry.mtimeMs && indexed.size === entry.size) continue;
+
+    const session = await sessionIndex.getSession(entry.id);
+    removeSessionDocs(entry.id);
+    if (session) addSessionDocs(entry, session);
+  }
+
+  for (const sessionId of Array.from(sessionDocs.keys())) {
+    if (!live.has(sessionId)) removeSessionDocs(sessionId);
+  }
+
+  return entries;
+}
+
+/**
+ * Parse a query string into text clauses and filters. before/after are
+ * normalized to ISO timestamps; unparseable dates are reported in errors
+ * and left out of filters.
+ * @param {string} query
+ * @returns {{ clauses: Array<{terms: string[], phrase: boolean}>, filters: Object, errors: string[] }}
+ */
+function parseQuery(query) {
+  const clauses = [];
+  const filters = {};
+  const errors = [];
+  const re = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = re.exec(query || '')) !== null) {
+    const key = (match[1] || match[3] || '').toLowerCase();
+    const value = match[2] ?? match[4];
+
+    if (key === 'before' || key === 'after') {
+      const time = Date.parse(value);
+      if (Number.isNaN(time)) {
+        errors.push(`Invalid ${key}: date "${value}" (use a date like 2026-03-01)`);
+      } else {
+        filters[key] = new Date(time).toISOString();
+      }
+      continue;
+    }
+    if (key && FILTER_KEYS.includes(key)) {
+      filters[key] = value;
+      continue;
+    }
+
+    const text = match[5] ?? match[6] ?? match[0];
+    const terms = tokenize(text).map(t => t.term);
+    if (terms.length === 0) continue;
+
+    if (match[5] !== undefined && terms.length > 1) {
+      clauses.push({ terms, phrase: true });
+    } else {
+      for (const term of terms) clauses.push({ terms: [term], phrase: false });
+    }
+  }
+
+  return { clauses, filters, errors };
+}
+
+/**
+ * First problem with a query, for callers to report before searching
+ * @param {string} query
+ * @returns {string|null} Error message, or null if the query is valid
+ */
+function queryError(query) {
+  return parseQuery(query).errors[0] || null;
+}
+
+function passesSessionFilters(doc, filters) {
+  if (filters.before && !(doc.timestamp && doc.timestamp < filters.before)) return false;
+  if (filters.after && !(doc.timestamp && doc.timestamp >= filters.after)) return false;
+  if (filters.pattern && (doc.sessionPattern || '').toLowerCase() !== filters.pattern.toLowerCase()) return false;
+  return true;
+}
+
+function passesTabFilters(doc, filters) {
+  const hasTabFilter = filters.domain || filters.category || filters.disposition;
+  if (!hasTabFilter) return true;
+  if (doc.kind !== 'tab') return false;
+
+  if (filters.domain) {
+    const domain = filters.domain.toLowerCase().replace(/^www\./, '');
+    const host = (doc.tab.domain || '').replace(/^www\./, '');
+    if (host !== domain && !host.endsWith('.' + domain)) return false;
+  }
+  if (filters.category && (doc.tab.category || '').toLowerCase() !== filters.category.toLowerCase()) return false;
+  if (filters.disposition && doc.tab.disposition !== filters.disposition.toLowerCase()) return false;
+  return true;
+}
+
+/**
+ * Positions in each field where the phrase starts
+ * @returns {Object<string, number[]>} field -> start positions
+ */
+function phraseMatches(docId, terms) {
+  const first = postings.get(terms[0])?.get(docId);
+  if (!first) return {};
+
+  const result = {};
+  for (const [field, starts] of Object.entries(first)) {
+    const hits = starts.filter(start =>
+      terms.every((term, i) => postings.get(term)?.get(docId)?.[field]?.includes(start + i))
+    );
+    if (hits.length > 0) result[field] = hits;
+  }
+  return result;
+}
+
+/**
+ * Which docs a clause matches, with the field positions it hit
+ * @returns {Map<string, Object<string, number[]>>} docId -> field -> positions
+ */
+function clauseMatches(clause) {
+  const result = new Map();
+  if (!clause.phrase) {
+    for (const [docId, fields] of postings.get(clause.terms[0]) || []) {
+      result.set(docId, fields);
+    }
+    return result;
+  }
+
+  for (const docId of (postings.get(clause.terms[0]) || new Map()).keys()) {
+    const hits = phraseMatches(docId, clause.terms);
+    if (Object.keys(hits).length > 0) result.set(docId, hits);
+  }
+  return result;
+}
+
+function bm25(doc, clauses, avgdl, totalDocs) {
+  let score = 0;
+  for (const clause of clauses) {
+    let clauseScore = 0;
+    for (const term of clause.terms) {
+      const tf = doc.termFreq.get(term);
+      if (!tf) continue;
+      const df = postings.get(term)?.size || 0;
+      const idf = Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
+      clauseScore += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / avgdl));
+    }
+    // Exact phrase hits outrank the same terms scattered
+    score += clause.phrase ? clauseScore * 1.5 : clauseScore;
+  }
+  return score;
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a snippet around the first hit, with <mark> highlights
+ * @param {Object} doc
+ * @param {string} field
+ * @param {Array<[number, number]>} spans - [startToken, endToken) ranges
+ */
+function buildSnippet(doc, field, spans) {
+  const text = doc.text[field] || '';
+  const tokens = doc.tokens[field] || [];
+  const ranges = spans
+    .map(([from, to]) => [tokens[from]?.start, tokens[to - 1]?.end])
+    .filter(([s, e]) => s !== undefined && e !== undefined)
+    .sort((a, b) => a[0] - b[0]);
+
+  if (ranges.length === 0) {
+    const plain = text.slice(0, SNIPPET_RADIUS * 2);
+    return { field, text: plain, html: escapeHtml(plain) };
+  }
+
+  const winStart = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  const winEnd = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS);
+  const prefix = winStart > 0 ? '...' : '';
+  const suffix = winEnd < text.length ? '...' : '';
+
+  let html = '';
+  let cursor = winStart;
+  for (const [s, e] of ranges) {
+    if (s < cursor || e > winEnd) continue;
+    html += escapeHtml(text.slice(cursor, s)) + '<mark>' + escapeHtml(text.slice(s, e)) + '</mark>';
+    cursor = e;
+  }
+  html += escapeHtml(text.slice(cursor, winEnd));
+
+  return {
+    field,
+    text: prefix + text.slice(winStart, winEnd).replace(/\s+/g, ' ') + suffix,
+    html: prefix + html.replace(/\s+/g, ' ') + suffix
+  };
+}
+
+/**
+ * Search sessions
+ *
+ * @param {string} query - Query string (see module header for syntax)
+ * @param {Object} options
+ * @param {number} options.limit - Max sessions to return (default: all)
+ * @throws {Error} On an invalid query (check queryError() first to report it)
+ * @returns {Promise<Array<Object>>} Sessions ranked by score, each with
+ *   score, matchCount, snippet, snippetHtml, matchContext and top tab matches
+ */
+async function search(query, options = {}) {
+  const { limit = null } = options;
+  const entries = await refresh();
+  const entryMap = new Map(entries.map(e => [e.id, e]));
+  const { clauses, filters, errors } = parseQuery(query);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  if (clauses.length === 0 && Object.keys(filters).length === 0) {
+    return [];
+  }
+
+  const totalDocs = docs.size || 1;
+  const avgdl = totalWeightedLength / totalDocs || 1;
+
+  // Candidate docs per clause (after filters)
+  const eligible = doc => passesSessionFilters(doc, filters) && passesTabFilters(doc, filters);
+  const perClause = clauses.map(clause => {
+    const matches = clauseMatches(clause);
+    for (const docId of Array.from(matches.keys())) {
+      if (!eligible(docs.get(docId))) matches.delete(docId);
+    }
+    return matches;
+  });
+
+  // Group matching docs by session; a session must satisfy every clause
+  const bySession = new Map();
+  if (clauses.length === 0) {
+    for (const doc of docs.values()) {
+      if (!eligible(doc)) continue;
+      if (!bySession.has(doc.sessionId)) bySession.set(doc.sessionId, new Map());
+      bySession.get(doc.sessionId).set(doc.id, []);
+    }
+  } else {
+    perClause.forEach((matches, clauseIdx) => {
+      for (const [docId, fields] of matches) {
+        const doc = docs.get(docId);
+        if (!bySession.has(doc.sessionId)) bySession.set(doc.sessionId, new Map());
+        const docHits = bySession.get(doc.sessionId);
+        if (!docHits.has(docId)) docHits.set(docId, []);
+        docHits.get(docId).push({ clauseIdx, fields });
+      }
+    });
+  }
+
+  const results = [];
+  for (const [sessionId, docHits] of bySession) {
+    if (clauses.length > 0) {
+      const satisfied = new Set();
+      for (const hits of docHits.values()) hits.forEach(h => satisfied.add(h.clauseIdx));
+      if (satisfied.size < clauses.length) continue;
+    }
+
+    const scored = Array.from(docHits.entries()).map(([docId, hits]) => {
+      const doc = docs.get(docId);
+      const matchedClauses = hits.map(h => clauses[h.clauseIdx]);
+      return { doc, hits, score: clauses.length > 0 ? bm25(doc, matchedClauses, avgdl, totalDocs) : 1 };
+    }).sort((a, b) => b.score - a.score);
+
+    const matches = scored.slice(0, 3).map(({ doc, hits }) => {
+      // Highlight in the highest-weighted field that has a hit
+      const spansByField = {};
+      for (const { clauseIdx, fields } of hits) {
+        const width = clauses[clauseIdx].terms.length;
+        for (const [field, positions] of Object.entries(fields)) {
+          (spansByField[field] = spansByField[field] || []).push(...positions.map(p => [p, p + width]));
+        }
+      }
+      const field = Object.keys(spansByField)
+        .sort((a, b) => (FIELD_WEIGHTS[b] || 1) - (FIELD_WEIGHTS[a] || 1))[0]
+        || (doc.kind === 'tab' ? 'title' : 'narrative');
+      const snippet = buildSnippet(doc, field, spansByField[field] || []);
+
+      return {
+        kind: doc.kind,
+        url: doc.tab?.url || null,
+        title: doc.tab?.title || null,
+        category: doc.tab?.category || null,
+        disposition: doc.tab?.disposition || null,
+        field: snippet.field,
+        snippet: snippet.text,
+        snippetHtml: snippet.html
+      };
+    });
+
+    const entry = entryMap.get(sessionId);
+    results.push({
+      id: sessionId,
+      timestamp: entry?.timestamp || null,
+      tabCount: entry?.totalTabs || 0,
+      narrative: entry?.narrative || null,
+      sessionPattern: entry?.sessionPattern || null,
+      score: Math.round(scored.reduce((sum, s) => sum + s.score, 0) * 1000) / 1000,
+      matchCount: docHits.size,
+      snippet: matches[0]?.snippet || '',
+      snippetHtml: matches[0]?.snippetHtml || '',
+      // Backwards-compatible field from the old substring search
+      matchContext: matches[0]?.snippet || '',
+      matches
+    });
+  }
+
+  results.sort((a, b) =>
+    b.score - a.score || (b.timestamp || '').localeCompare(a.timestamp || '')
+  );
+
+  return limit ? results.slice(0, limit) : results;
+}
+
+module.exports = {
+  search,
+  parseQuery,
+  queryError,
+  tokenize
+};
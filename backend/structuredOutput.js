@@ -0,0 +1,205 @@
+/**
+ * Structured Output Runner
+ *
+ * Runs a model call against a declared pass schema (see passSchemas.js):
+ *   1. Request structured output from the engine where supported
+ *   2. Extract JSON from the response text
+ *   3. Validate with zod
+ *   4. On failure, one repair round-trip that shows the model its errors
+ *   5. If still invalid, throw StructuredOutputError (callers decide fallback)
+ *
+ * Every call returns a `parsing` record for trace.passN.parsing:
+ *   { mode, attempts, repaired, status, errors, ansiStripped, fencesRemoved, jsonByteRange }
+ */
+
+const { runModel, getEngineInfo } = require('./models');
+
+class StructuredOutputError extends Error {
+  constructor(message, parsing, rawResponses, usage) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.parsing = parsing;
+    this.rawResponses = rawResponses;
+    this.usage = usage;  // Tokens spent on the failed attempts
+  }
+}
+
+/**
+ * Strip ANSI escape codes and count how many were removed
+ */
+function stripAnsiCodesWithCount(text) {
+  if (!text) return { text, count: 0 };
+
+  let count = 0;
+  const cleaned = text
+    .replace(/\u001b\[[0-9;]*[a-zA-Z]/g, () => { count++; return ''; })
+    .replace(/\u001b\[[0-9;]*m/g, () => { count++; return ''; });
+
+  return { text: cleaned, count };
+}
+
+/**
+ * Extract a JSON value from model text
+ * Structured-output engines return bare JSON; prompt-only responses may
+ * still carry ANSI codes, markdown fences or surrounding prose.
+ *
+ * @returns {{ value: any, meta: Object }} throws SyntaxError if no JSON found
+ */
+function extractJson(responseText) {
+  const stripped = stripAnsiCodesWithCount(responseText || '');
+  const meta = { ansiStripped: stripped.count, fencesRemoved: 0, jsonByteRange: null };
+
+  let jsonStr = stripped.text.trim();
+
+  const fenceMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenceMatch) {
+    jsonStr = fenceMatch[1].trim();
+    meta.fencesRemoved = 1;
+  }
+
+  const startIdx = jsonStr.indexOf('{');
+  const endIdx = jsonStr.lastIndexOf('}');
+  if (startIdx !== -1 && endIdx !== -1) {
+    meta.jsonByteRange = [startIdx, endIdx + 1];
+    jsonStr = jsonStr.slice(startIdx, endIdx + 1);
+  }
+
+  return { value: JSON.parse(jsonStr), meta };
+}
+
+/**
+ * Flatten zod issues into short "path: message" strings
+ */
+function formatIssues(error) {
+  return error.issues.slice(0, 20).map(issue => {
+    const where = issue.path.length > 0 ? issue.path.join('.') : '(root)';
+    return `${where}: ${issue.message}`;
+  });
+}
+
+/**
+ * Parse and validate one response
+ * @returns {{ ok: boolean, data?: any, errors?: string[], meta: Object }}
+ */
+function validateResponse(text, schemaDef) {
+  let extracted;
+  try {
+    extracted = extractJson(text);
+  } catch (error) {
+    return {
+      ok: false,
+      errors: [`Invalid JSON: ${error.message}`],
+      meta: { ansiStripped: 0, fencesRemoved: 0, jsonByteRange: null }
+    };
+  }
+
+  const result = schemaDef.schema.safeParse(extracted.value);
+  if (!result.success) {
+    return { ok: false, errors: formatIssues(result.error), meta: extracted.meta };
+  }
+  return { ok: true, data: result.data, meta: extracted.meta };
+}
+
+/**
+ * Build the repair prompt for the second attempt
+ */
+function buildRepairPrompt(originalPrompt, badResponse, errors) {
+  return `${originalPrompt}
+
+---
+YOUR PREVIOUS RESPONSE WAS REJECTED.
+
+Previous response:
+${(badResponse || '').slice(0, 6000)}
+
+Validation errors:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Respond again with ONLY a corrected JSON object that fixes every error above. No markdown fences, no explanation.`;
+}
+
+/**
+ * Sum two { input_tokens, output_tokens } usages (either may be null)
+ */
+function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    input_tokens: (total?.input_tokens || 0) + (usage.input_tokens || 0),
+    output_tokens: (total?.output_tokens || 0) + (usage.output_tokens || 0)
+  };
+}
+
+/**
+ * Run a model call with schema validation and one repair round-trip
+ *
+ * @param {string} engine - Engine name
+ * @param {string} prompt - Prompt text
+ * @param {Object} schemaDef - Entry from PASS_SCHEMAS
+ * @param {Object} [options]
+ * @param {string} [options.purpose] - Usage ledger tag (defaults to the schema name)
+ * @returns {Promise<{data, text, usage, parsing, rawResponses}>}
+ * @throws {StructuredOutputError} when both attempts fail validation
+ */
+async function runStructured(engine, prompt, schemaDef, { purpose } = {}) {
+  const engineInfo = getEngineInfo(engine);
+  const parsing = {
+    schema: schemaDef.name,
+    mode: engineInfo.structuredOutput || 'prompt',
+    attempts: 0,
+    repaired: false,
+    status: 'unknown',
+    errors: [],
+    ansiStripped: 0,
+    fencesRemoved: 0,
+    jsonByteRange: null
+  };
+  const rawResponses = [];
+  let usage = null;
+  let currentPrompt = prompt;
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    parsing.attempts = attempt;
+
+    const response = await runModel(engine, currentPrompt, {
+      purpose: purpose || schemaDef.name,
+      schema: {
+        name: schemaDef.name,
+        description: schemaDef.description,
+        jsonSchema: schemaDef.jsonSchema
+      }
+    });
+    rawResponses.push(response.text);
+    usage = addUsage(usage, response.usage);
+
+    const check = validateResponse(response.text, schemaDef);
+    Object.assign(parsing, check.meta);
+
+    if (check.ok) {
+      parsing.status = attempt === 1 ? 'success' : 'repaired';
+      parsing.repaired = attempt > 1;
+      return { data: check.data, text: response.text, usage, parsing, rawResponses };
+    }
+
+    parsing.errors.push({ attempt, errors: check.errors });
+    console.warn(`[Structured] ${schemaDef.name} attempt ${attempt} failed validation: ${check.errors.slice(0, 3).join('; ')}`);
+
+    currentPrompt = buildRepairPrompt(prompt, response.text, check.errors);
+  }
+
+  parsing.status = 'failed';
+  const lastErrors = parsing.errors[parsing.errors.length - 1].errors;
+  throw new StructuredOutputError(
+    `${schemaDef.name} response failed validation after repair: ${lastErrors.slice(0, 3).join('; ')}`,
+    parsing,
+    rawResponses,
+    usage
+  );
+}
+
+module.exports = {
+  runStructured,
+  extractJson,
+  validateResponse,
+  addUsage,
+  StructuredOutputError
+};
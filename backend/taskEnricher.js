@@ -8,11 +8,14 @@
  * - Context-appropriate actions (not generic)
  * - Conversation prompts for exploration
  *
+ * Prompts are the task-* templates in the prompt registry (promptRegistry.js).
+ *
  * @see ../docs/plans/task-driven-attention.md for design context
  */
 
 const { runModel, getEngineInfo } = require('./models');
 const { loadContext } = require('./contextLoader');
+const { renderPrompt } = require('./promptRegistry');
 
 const DEFAULT_ENGINE = 'ollama-local';
 
@@ -36,51 +39,17 @@ function buildGhostTabPrompt(task, userContext) {
     ? userContext.activeProjects.map(p => `- ${p.name}${p.keywords?.length ? ` (${p.keywords.join(', ')})` : ''}`).join('\n')
     : 'No active projects defined';
 
-  return `You are analyzing a user's attention pattern to help them make a decision.
-
-BEHAVIORAL DATA:
-- Item: "${task.title}" (${task.url})
-- Domain: ${task.domain}
-- Category: ${task.categories?.join(', ') || 'Unknown'}
-- Opened ${task.openCount} times since ${task.firstSeen}
-- Last seen: ${task.lastSeen}
-- Average gap between visits: ${task.gapPattern?.avgDaysBetween || 'unknown'} days
-
-USER'S ACTIVE PROJECTS:
-${contextStr}
-
-TASK:
-1. Write a confrontational insight (1 sentence, direct, specific to this item)
-2. Explain WHY THIS MATTERS - connect to their goals (2-3 sentences)
-3. Frame THE QUESTION they need to answer (1 sentence)
-4. Generate 2-3 context-appropriate actions (not generic - specific to this situation)
-5. Suggest 2-3 conversation prompts if they want to explore
-
-RESPOND WITH ONLY THIS JSON (no markdown, no explanation):
-{
-  "insight": "You've opened this 48 times. You've never finished it.",
-  "whyThisMatters": "This paper keeps appearing alongside your PREY novel tabs...",
-  "theQuestion": "Is this serving your creative work, or replacing it?",
-  "actions": [
-    {"label": "Read the abstract now", "type": "engage", "icon": "📖"},
-    {"label": "Let this one go", "type": "release", "icon": "🌊"},
-    {"label": "Add to reading list", "type": "defer", "icon": "📋"}
-  ],
-  "conversationPrompts": [
-    "Why do I keep coming back to this?",
-    "Is this actually useful for my work?",
-    "What would happen if I just let it go?"
-  ]
-}
-
-RULES:
-- Be DIRECT and CONFRONTATIONAL, not gentle
-- The insight should provoke reflection, not just describe data
-- Connect to their stated goals/projects when possible
-- Actions should be specific to THIS item, not generic
-- If it's an arxiv paper, suggest reading the abstract
-- If it's documentation, suggest bookmarking or completing the task
-- If it's entertainment, challenge whether it serves them`;
+  return renderPrompt('task-ghost-tab', {
+    title: task.title,
+    url: task.url,
+    domain: task.domain,
+    categories: task.categories?.join(', ') || 'Unknown',
+    openCount: task.openCount,
+    firstSeen: task.firstSeen,
+    lastSeen: task.lastSeen,
+    avgDaysBetween: task.gapPattern?.avgDaysBetween || 'unknown',
+    projects: contextStr
+  });
 }
 
 /**
@@ -91,49 +60,16 @@ function buildProjectRevivalPrompt(task, userContext) {
     ? userContext.activeProjects.map(p => `- ${p.name}${p.keywords?.length ? ` (${p.keywords.join(', ')})` : ''}`).join('\n')
     : 'No active projects defined';
 
-  return `You are analyzing a user's attention pattern to help them reconnect with a neglected project.
-
-BEHAVIORAL DATA:
-- Project: "${task.projectName}"
-- Days since last activity: ${task.daysSinceActive}
-- Last active: ${task.lastActive}
-- First seen: ${task.firstSeen}
-- Total sessions with this project: ${task.totalSessions}
-- Total tabs related to project: ${task.totalTabs}
-- Status: ${task.status}
-
-USER'S ACTIVE PROJECTS:
-${contextStr}
-
-TASK:
-1. Write a confrontational insight about the neglect
-2. Explain WHY THIS MATTERS - what might be lost?
-3. Frame THE QUESTION about whether to revive or consciously pause
-4. Generate 2-3 context-appropriate actions
-5. Suggest 2-3 conversation prompts
-
-RESPOND WITH ONLY THIS JSON (no markdown, no explanation):
-{
-  "insight": "This project hasn't been touched in 12 days. It's starting to fade.",
-  "whyThisMatters": "You spent significant time on this...",
-  "theQuestion": "Do you want to keep this momentum, or consciously put it aside?",
-  "actions": [
-    {"label": "Work on it for 10 minutes", "type": "engage", "icon": "⚡"},
-    {"label": "Put on hold until next month", "type": "pause", "icon": "⏸️"},
-    {"label": "Talk about why I stopped", "type": "explore", "icon": "💬"}
-  ],
-  "conversationPrompts": [
-    "Why did I stop working on this?",
-    "What would finishing this mean?",
-    "Is this still important to me?"
-  ]
-}
-
-RULES:
-- Be DIRECT about the neglect, not apologetic
-- Acknowledge the investment they've already made
-- Actions should include both revival and conscious pause options
-- Don't assume they should always continue - sometimes pausing is right`;
+  return renderPrompt('task-project-revival', {
+    projectName: task.projectName,
+    daysSinceActive: task.daysSinceActive,
+    lastActive: task.lastActive,
+    firstSeen: task.firstSeen,
+    totalSessions: task.totalSessions,
+    totalTabs: task.totalTabs,
+    status: task.status,
+    projects: contextStr
+  });
 }
 
 /**
@@ -145,43 +81,11 @@ function buildTabBankruptcyPrompt(task, userContext) {
     .map(t => `- "${t.title}"`)
     .join('\n');
 
-  return `You are analyzing a user's attention debt to help them achieve cognitive relief.
-
-BEHAVIORAL DATA:
-- Stale tabs count: ${task.affectedCount}
-- Average days stale: ${task.avgDaysStale}
-- Sample of stale tabs:
-${sampleTitles}
-
-TASK:
-1. Write a confrontational insight about the cognitive load
-2. Explain WHY THIS MATTERS - the cost of open loops
-3. Frame THE QUESTION about how to handle this debt
-4. Generate 2-3 context-appropriate actions
-5. Suggest 2-3 conversation prompts
-
-RESPOND WITH ONLY THIS JSON (no markdown, no explanation):
-{
-  "insight": "${task.affectedCount} tabs have been waiting. They're not going anywhere.",
-  "whyThisMatters": "Each open tab is a small cognitive burden...",
-  "theQuestion": "Are you ready to clear this debt, or keep carrying it?",
-  "actions": [
-    {"label": "Keep 5, release rest", "type": "triage", "icon": "🎯"},
-    {"label": "Review each one", "type": "detailed", "icon": "📋"},
-    {"label": "Declare bankruptcy", "type": "release_all", "icon": "🔥"}
-  ],
-  "conversationPrompts": [
-    "What am I afraid of losing?",
-    "Which 5 really matter?",
-    "What's the cost of keeping these open?"
-  ]
-}
-
-RULES:
-- Be DIRECT about the cognitive cost
-- Acknowledge that letting go is hard but necessary
-- Triage option should be the default recommendation
-- Make bankruptcy feel acceptable, not shameful`;
+  return renderPrompt('task-tab-bankruptcy', {
+    affectedCount: task.affectedCount,
+    avgDaysStale: task.avgDaysStale,
+    sampleTitles
+  });
 }
 
 /**
@@ -226,7 +130,7 @@ async function enrichTask(task, engine = DEFAULT_ENGINE) {
   const engineInfo = getEngineInfo(engine);
   const userContext = loadContext();
 
-  // Build prompt based on task type
+  // Build prompt based on task type ({ text, template, version })
   let prompt;
   switch (task.type) {
     case 'ghost_tab':
@@ -246,7 +150,7 @@ async function enrichTask(task, engine = DEFAULT_ENGINE) {
   const startTime = Date.now();
 
   try {
-    const response = await runModel(engine, prompt);
+    const response = await runModel(engine, prompt.text, { purpose: 'task-enrich' });
     const duration = Date.now() - startTime;
     console.error(`[TaskEnricher] Enrichment completed in ${duration}ms`);
 
@@ -259,6 +163,7 @@ async function enrichTask(task, engine = DEFAULT_ENGINE) {
       meta: {
         engine: engineInfo.engine,
         model: engineInfo.model,
+        prompt: { template: prompt.template, version: prompt.version },
         duration
       }
     };
@@ -364,27 +269,18 @@ async function chatAboutTask(enrichedTask, userMessage, conversationHistory = []
     ? conversationHistory.map(m => `${m.role}: ${m.content}`).join('\n')
     : '';
 
-  const prompt = `You are helping a user understand their attention patterns. Be direct, insightful, possibly confrontational.
-
-CONTEXT:
-- Item: "${enrichedTask.title || enrichedTask.projectName || 'this pattern'}"
-- Type: ${enrichedTask.type}
-- Insight: "${enrichedTask.insight}"
-- The Question: "${enrichedTask.theQuestion}"
-
-USER'S PROJECTS:
-${contextStr}
-
-${historyStr ? `CONVERSATION SO FAR:\n${historyStr}\n` : ''}
-
-USER'S MESSAGE: ${userMessage}
-
-Respond directly and helpfully. Be concise (2-4 sentences). Don't be preachy or lecture them.
-Connect observations to their stated goals when relevant.
-If they're resisting, acknowledge it but gently push back if you think they're avoiding something.`;
+  const { text: prompt } = renderPrompt('task-chat', {
+    item: enrichedTask.title || enrichedTask.projectName || 'this pattern',
+    type: enrichedTask.type,
+    insight: enrichedTask.insight,
+    question: enrichedTask.theQuestion,
+    projects: contextStr,
+    historyBlock: historyStr ? `CONVERSATION SO FAR:\n${historyStr}\n` : '',
+    userMessage
+  });
 
   try {
-    const response = await runModel(engine, prompt);
+    const response = await runModel(engine, prompt, { purpose: 'task-chat' });
     let text = stripAnsiCodes(response.text).trim();
 
     // Remove any JSON wrapping if present
@@ -32,7 +32,8 @@ const VALID_ACTIONS = [
   'release_all', // User chose to release all (bankruptcy)
   'explore',     // User chose to explore/talk about it
   'skip',        // User skipped this task (show me something else)
-  'dismiss'      // User dismissed without action
+  'dismiss',     // User dismissed without action
+  'write'        // User started writing from a suggested action (writingBrief.js)
 ];
 
 /**
@@ -83,6 +84,7 @@ async function readLog() {
  * @param {string} entry.taskType - The task type (ghost_tab, project_revival, tab_bankruptcy)
  * @param {string} entry.action - One of VALID_ACTIONS
  * @param {Object} entry.task - Snapshot of the task at action time
+ * @param {Object} [entry.outcome] - Optional result of the action (what changed)
  * @param {string} [entry.userReflection] - Optional user comment
  * @param {Array} [entry.conversation] - Optional chat history
  * @returns {Promise<{success: boolean, message: string, entry?: Object}>}
@@ -125,6 +127,7 @@ async function appendAction(entry) {
       },
 
       // Optional fields
+      ...(entry.outcome && { outcome: entry.outcome }),
       ...(entry.userReflection && { userReflection: entry.userReflection }),
       ...(entry.conversation && { conversation: entry.conversation }),
       ...(entry.derivedGoal && { derivedGoal: entry.derivedGoal })
@@ -9,7 +9,7 @@
  * Run: node backend/test-context.js
  */
 
-const { loadContext, isStale, getContextPath } = require('./contextLoader');
+const { loadContext, isStale, getContextPath, readContextFile } = require('./contextLoader');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -154,6 +154,40 @@ if (test('loadContext rejects stale context', () => {
   assertEqual(result, null, 'Should return null for stale context');
 })) passed++; else failed++;
 
+if (test('readContextFile still returns stale context, flagged stale', () => {
+  const result = readContextFile();
+  assertTrue(result.exists, 'File should exist');
+  assertTrue(result.stale, 'Should be flagged stale');
+  assertEqual(result.context.activeProjects[0].name, 'Old Project', 'Should return stored projects');
+})) passed++; else failed++;
+
+// Test 5: Keyword suggestions from regrouped tabs and attribution misses
+const { suggestForProject } = require('./contextSuggestions');
+
+if (test('suggestForProject mines regrouped and unmatched tabs', () => {
+  const session = {
+    groups: {
+      'Creative Writing: PREY Novel': [
+        { url: 'https://a.com/1', title: 'Villain monologue techniques', tabIndex: 0 },
+        { url: 'https://a.com/2', title: 'Dave character interiority', tabIndex: 1 }
+      ],
+      'Research': [
+        { url: 'https://b.com/1', title: 'Writing a villain backstory', tabIndex: 2 }
+      ]
+    },
+    dispositions: [
+      { action: 'regroup', itemId: 'https://b.com/1', from: 'Research', to: 'Creative Writing: PREY Novel' }
+    ]
+  };
+
+  const suggestions = suggestForProject(mockContext.activeProjects[0], [session]);
+  const villain = suggestions.find(s => s.keyword === 'villain');
+  assertTrue(villain, 'Should suggest "villain"');
+  assertEqual(villain.score, 3, 'Regroup (2) + miss (1)');
+  assertFalse(suggestions.some(s => s.keyword === 'interiority'), 'Existing keywords are not suggested');
+  assertFalse(suggestions.some(s => s.keyword === 'monologue'), 'A single miss is not enough');
+})) passed++; else failed++;
+
 // Cleanup: Restore valid context for actual use
 if (cleanupNeeded) {
   console.log('\n--- Restoring valid context for actual use ---');
@@ -2,8 +2,11 @@
  * Theme Detection Module
  *
  * Clusters recurring tabs into thematic threads rather than showing
- * flat per-tab proposals. Uses domain co-occurrence, title keyword
- * extraction, and Basic Memory enrichment.
+ * flat per-tab proposals. Tabs are embedded (embeddings.js: Ollama, or a
+ * keyword-level local fallback) and grouped by average-linkage agglomerative
+ * clustering on cosine similarity, with session co-occurrence blended in as
+ * a secondary signal. Title keywords only name the themes; Basic Memory
+ * enriches them.
  *
  * The user explicitly rejected shallow tab-level proposals ("no duh, I know
  * I visit arxiv"). This module surfaces higher-level patterns like
@@ -15,7 +18,7 @@
  *
  * Theme shape:
  * {
- *   themeId: string,          // hash of sorted constituent URLs
+ *   themeId: string,          // stable across reruns (see assignThemeIds)
  *   label: string,            // e.g. "PREY / Null Provenance"
  *   description: string,      // "Tabs exploring authorship, Borges, Dickinson..."
  *   tabs: TabEntry[],         // constituent tabs with recurrence data
@@ -27,12 +30,24 @@
  */
 
 const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
 const aggregator = require('./aggregator');
+const { embedItems, cosineSimilarity } = require('./embeddings');
 const intentDetection = require('./intentDetection');
 const { getDomainRules, applyDomainFilter } = require('./domainRules');
 const { getResearchInterests, matchThemeToInterests } = require('./basicMemoryBridge');
 
-// --- Stop words for keyword extraction ---
+// Known themes and their member URLs, so IDs survive reclustering
+const THEMES_PATH = process.env.MEMENTO_THEMES_PATH || path.join(os.homedir(), '.memento', 'themes.json');
+
+const MAX_THEME_TABS = 1500;        // Most recurrent tabs clustered (similarity matrix is n²)
+const CO_OCCURRENCE_WEIGHT = 0.2;   // Share of pair similarity from appearing in the same sessions
+const DEFAULT_SIMILARITY = { ollama: 0.6, local: 0.25 };  // Merge threshold per embedding provider
+const THEME_MATCH = 0.5;            // Share of a known theme's URLs a cluster must hold to inherit its ID
+
+// --- Stop words for keyword extraction (theme labels) ---
 
 const STOP_WORDS = new Set([
   'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
@@ -105,6 +120,8 @@ function buildTabRecurrence(tabs) {
         days: new Set(),
         categories: new Set(),
         keywords: extractTitleKeywords(tab.title),
+        contentHash: tab.contentHash || null,
+        contentPreview: tab.contentPreview || '',
         firstSeen: tab.sessionTimestamp,
         lastSeen: tab.sessionTimestamp
       });
@@ -119,7 +136,12 @@ function buildTabRecurrence(tabs) {
     } catch {}
 
     if (tab.sessionTimestamp < entry.firstSeen) entry.firstSeen = tab.sessionTimestamp;
-    if (tab.sessionTimestamp > entry.lastSeen) entry.lastSeen = tab.sessionTimestamp;
+    if (tab.sessionTimestamp >= entry.lastSeen) {
+      // Latest capture's content is the one embedded
+      entry.lastSeen = tab.sessionTimestamp;
+      if (tab.contentHash) entry.contentHash = tab.contentHash;
+      if (tab.contentPreview) entry.contentPreview = tab.contentPreview;
+    }
   }
 
   return urlMap;
@@ -173,7 +195,9 @@ function buildKeywordIndex(tabRecurrence) {
 }
 
 /**
- * Core clustering: group tabs into themes using keyword overlap + co-occurrence.
+ * Legacy clustering on title keyword overlap + co-occurrence. Only used to
+ * seed the theme registry with the IDs this produced, so feedback given on
+ * those themes carries over (see loadThemeRegistry).
  *
  * Algorithm:
  * 1. Build keyword → URL index
@@ -182,7 +206,7 @@ function buildKeywordIndex(tabRecurrence) {
  * 4. Greedily build clusters starting from most specific keywords
  * 5. Merge clusters with high co-occurrence overlap
  */
-function clusterTabs(tabRecurrence, coMap, minClusterSize = 2) {
+function clusterTabsByKeywords(tabRecurrence, coMap, minClusterSize = 2) {
   const kwIndex = buildKeywordIndex(tabRecurrence);
 
   // Score keywords by specificity: shared by 2+ but not too many tabs
@@ -275,6 +299,180 @@ function clusterTabs(tabRecurrence, coMap, minClusterSize = 2) {
   return clusters;
 }
 
+/**
+ * Text embedded for a tab: title, site and path words, captured preview
+ */
+function themeText(data) {
+  let where = data.domain || '';
+  try {
+    const { pathname } = new URL(data.url);
+    where += ` ${decodeURIComponent(pathname).replace(/[/_\-.+]+/g, ' ').trim()}`;
+  } catch {}
+  return [data.title || '', where.trim(), data.contentPreview || ''].filter(Boolean).join('\n');
+}
+
+/**
+ * Tabs to cluster: the most recurrent, capped at MAX_THEME_TABS, in URL
+ * order so reruns on the same data cluster the same way
+ */
+function selectThemeTabs(tabRecurrence) {
+  return Array.from(tabRecurrence.values())
+    .sort((a, b) => b.sessions.size - a.sessions.size || b.lastSeen.localeCompare(a.lastSeen))
+    .slice(0, MAX_THEME_TABS)
+    .sort((a, b) => a.url.localeCompare(b.url));
+}
+
+/**
+ * Keyword → count over a cluster's tabs, for labels
+ */
+function clusterKeywords(urls, tabRecurrence) {
+  const keywords = new Map();
+  for (const url of urls) {
+    for (const kw of tabRecurrence.get(url)?.keywords || []) {
+      keywords.set(kw, (keywords.get(kw) || 0) + 1);
+    }
+  }
+  return keywords;
+}
+
+/**
+ * Core clustering: average-linkage agglomerative clustering on embeddings.
+ *
+ * Pair similarity = cosine similarity of the tab vectors, blended with the
+ * share of sessions the two tabs appeared in together
+ * (CO_OCCURRENCE_WEIGHT). Clusters merge while their average pairwise
+ * similarity stays at or above `similarity`. Uses the nearest-neighbor chain
+ * algorithm (O(n²) time and memory): average linkage never brings clusters
+ * closer by merging, so a cluster whose nearest neighbor is past the
+ * threshold is final.
+ *
+ * @param {Map} tabRecurrence - From buildTabRecurrence
+ * @param {Map} coMap - From buildCoOccurrence
+ * @param {Map<string, Float32Array>} vectors - URL → embedding
+ * @param {Object} [options]
+ * @param {number} [options.minClusterSize=2]
+ * @param {number} [options.similarity=0.6] - Merge threshold
+ * @returns {Array<{urls, keywords, coScore}>}
+ */
+function clusterTabs(tabRecurrence, coMap, vectors, { minClusterSize = 2, similarity = DEFAULT_SIMILARITY.ollama } = {}) {
+  const urls = Array.from(vectors.keys()).filter(url => tabRecurrence.has(url));
+  const n = urls.length;
+  if (n < minClusterSize) return [];
+
+  // Pairwise distances (1 - similarity)
+  const distance = new Float32Array(n * n);
+  for (let i = 0; i < n; i++) {
+    const a = tabRecurrence.get(urls[i]);
+    for (let j = i + 1; j < n; j++) {
+      const b = tabRecurrence.get(urls[j]);
+      const together = coMap.get([urls[i], urls[j]].sort().join('|')) || 0;
+      const coShare = together / Math.max(1, Math.min(a.sessions.size, b.sessions.size));
+      const pairSimilarity = (1 - CO_OCCURRENCE_WEIGHT) * cosineSimilarity(vectors.get(urls[i]), vectors.get(urls[j]))
+        + CO_OCCURRENCE_WEIGHT * Math.min(1, coShare);
+      distance[i * n + j] = distance[j * n + i] = 1 - pairSimilarity;
+    }
+  }
+
+  const cutoff = 1 - similarity;
+  const members = urls.map((url, i) => [i]);
+  const active = new Set(urls.map((url, i) => i));
+  const done = [];
+  const chain = [];
+
+  while (active.size > 0) {
+    if (chain.length === 0) chain.push(active.values().next().value);
+    const current = chain[chain.length - 1];
+    const previous = chain.length > 1 ? chain[chain.length - 2] : -1;
+
+    // Nearest active cluster, preferring the previous chain link on ties
+    let nearest = previous;
+    let nearestDistance = previous >= 0 ? distance[current * n + previous] : Infinity;
+    for (const other of active) {
+      if (other === current) continue;
+      const d = distance[current * n + other];
+      if (d < nearestDistance) {
+        nearest = other;
+        nearestDistance = d;
+      }
+    }
+
+    if (nearest < 0 || nearestDistance > cutoff) {
+      // Nothing close enough now or after any later merge: this cluster is final
+      chain.pop();
+      active.delete(current);
+      done.push(members[current]);
+      continue;
+    }
+
+    if (nearest !== previous) {
+      chain.push(nearest);
+      continue;
+    }
+
+    // Reciprocal nearest neighbors: merge previous into current. Both leave
+    // the chain; the links below stay valid since merging never brings
+    // clusters closer
+    chain.length -= 2;
+    const sizeA = members[current].length;
+    const sizeB = members[previous].length;
+    for (const other of active) {
+      if (other === current || other === previous) continue;
+      const merged = (sizeA * distance[current * n + other] + sizeB * distance[previous * n + other]) / (sizeA + sizeB);
+      distance[current * n + other] = distance[other * n + current] = merged;
+    }
+    members[current] = members[current].concat(members[previous]);
+    active.delete(previous);
+  }
+
+  return done
+    .filter(group => group.length >= minClusterSize)
+    .map(group => {
+      const clusterUrls = group.map(i => urls[i]).sort();
+      let coScore = 0;
+      for (let i = 0; i < clusterUrls.length; i++) {
+        for (let j = i + 1; j < clusterUrls.length; j++) {
+          coScore += coMap.get(`${clusterUrls[i]}|${clusterUrls[j]}`) || 0;
+        }
+      }
+      return { urls: clusterUrls, keywords: clusterKeywords(clusterUrls, tabRecurrence), coScore };
+    });
+}
+
+/**
+ * Give each cluster a theme ID that survives reclustering. A cluster
+ * holding at least THEME_MATCH of a known theme's URLs inherits its ID
+ * (largest overlaps first, each ID used once); others get a new ID from
+ * their URLs. Updates the registry in place.
+ */
+function assignThemeIds(clusters, registry, now = new Date().toISOString()) {
+  const candidates = [];
+  clusters.forEach((cluster, index) => {
+    const urls = new Set(cluster.urls);
+    for (const [themeId, known] of Object.entries(registry.themes)) {
+      const shared = known.urls.filter(url => urls.has(url)).length;
+      if (shared > 0 && shared / known.urls.length >= THEME_MATCH) {
+        candidates.push({ index, themeId, shared, share: shared / known.urls.length });
+      }
+    }
+  });
+  candidates.sort((a, b) => b.shared - a.shared || b.share - a.share || a.themeId.localeCompare(b.themeId));
+
+  const ids = new Array(clusters.length).fill(null);
+  const used = new Set();
+  for (const { index, themeId } of candidates) {
+    if (ids[index] || used.has(themeId)) continue;
+    ids[index] = themeId;
+    used.add(themeId);
+  }
+
+  clusters.forEach((cluster, index) => {
+    if (!ids[index]) ids[index] = generateThemeId(cluster.urls);
+    const known = registry.themes[ids[index]];
+    registry.themes[ids[index]] = { urls: cluster.urls, firstSeen: known?.firstSeen || now, lastSeen: now };
+  });
+  return ids;
+}
+
 /**
  * Generate a human-readable label for a theme cluster.
  * Uses the most distinctive shared keywords.
@@ -427,18 +625,27 @@ function enrichFromFeedback(clusters, tabRecurrence, feedback) {
  * @param {Object} options
  * @param {number} options.minClusterSize - Min tabs per theme (default: 2)
  * @param {number} options.limit - Max themes to return (default: 10)
+ * @param {boolean} options.excludeImported - Ignore bulk-imported history sessions (default: false)
+ * @param {number} options.similarity - Merge threshold (default: MEMENTO_THEME_SIMILARITY, else per embedding provider)
  * @returns {{ themes: Theme[], meta: Object }}
  */
 async function getThemeProposals(options = {}) {
-  const { minClusterSize = 2, limit = 10 } = options;
+  const {
+    minClusterSize = 2,
+    limit = 10,
+    excludeImported = false,
+    similarity = Number(process.env.MEMENTO_THEME_SIMILARITY) || null
+  } = options;
 
   // 1. Load all data in parallel
-  const [sessions, feedback, researchInterests] = await Promise.all([
+  const [allSessions, feedback, researchInterests] = await Promise.all([
     aggregator.getAllSessions(),
     intentDetection.loadFeedback(),
     getResearchInterests()
   ]);
 
+  const importedSessions = allSessions.filter(aggregator.isImported).length;
+  const sessions = excludeImported ? allSessions.filter(s => !aggregator.isImported(s)) : allSessions;
   const allTabs = await aggregator.extractAllTabs(sessions);
 
   // 2. Apply domain rules to filter noise
@@ -449,8 +656,23 @@ async function getThemeProposals(options = {}) {
   const tabRecurrence = buildTabRecurrence(filteredTabs);
   const { coMap } = buildCoOccurrence(filteredTabs);
 
-  // 4. Cluster tabs into themes
-  const clusters = clusterTabs(tabRecurrence, coMap, minClusterSize);
+  // 4. Embed and cluster tabs into themes; known themes keep their IDs
+  const themeTabs = selectThemeTabs(tabRecurrence);
+  const embedding = await embedItems(themeTabs.map(data => ({
+    url: data.url,
+    contentHash: data.contentHash,
+    text: themeText(data)
+  })));
+  const vectors = new Map(themeTabs.map((data, i) => [data.url, embedding.vectors[i]]));
+  const clusters = clusterTabs(tabRecurrence, coMap, vectors, {
+    minClusterSize,
+    similarity: similarity ?? DEFAULT_SIMILARITY[embedding.provider]
+  });
+
+  const registry = await loadThemeRegistry(tabRecurrence, coMap, minClusterSize);
+  const themeIds = assignThemeIds(clusters, registry);
+  // Until there are themes, keep seeding from the keyword clustering
+  if (clusters.length > 0) await saveThemeRegistry(registry);
 
   // 5. Enrich clusters from existing user feedback
   enrichFromFeedback(clusters, tabRecurrence, feedback);
@@ -458,7 +680,7 @@ async function getThemeProposals(options = {}) {
   // 6. Build theme objects
   const themes = [];
 
-  for (const cluster of clusters) {
+  clusters.forEach((cluster, index) => {
     const urls = cluster.urls;
     const tabs = urls.map(url => {
       const data = tabRecurrence.get(url);
@@ -477,12 +699,12 @@ async function getThemeProposals(options = {}) {
       };
     }).filter(Boolean);
 
-    if (tabs.length < minClusterSize) continue;
+    if (tabs.length < minClusterSize) return;
 
     const label = generateThemeLabel(cluster, tabRecurrence);
     const description = generateThemeDescription(cluster, tabRecurrence);
     const signalScore = computeThemeScore(cluster, tabRecurrence);
-    const themeId = generateThemeId(urls);
+    const themeId = themeIds[index];
 
     // Match against Basic Memory research interests
     const themeForMatching = { tabs, label };
@@ -505,7 +727,7 @@ async function getThemeProposals(options = {}) {
       // Include user corrections if any tabs in this theme were corrected
       userCorrections: cluster.userCorrections || []
     });
-  }
+  });
 
   // Sort by signal score descending
   themes.sort((a, b) => b.signalScore - a.signalScore);
@@ -541,22 +763,63 @@ async function getThemeProposals(options = {}) {
     allThemes: themes,
     meta: {
       sessionsAnalyzed: sessions.length,
+      importedSessions,
+      excludeImported,
       tabsAnalyzed: allTabs.length,
       tabsAfterFilter: filteredTabs.length,
       feedbackCount: feedback.length,
       themesFound: themes.length,
       activeThemes: activeThemes.length,
       domainRulesApplied: Object.keys(domainRules).length,
+      embeddings: {
+        provider: embedding.provider,
+        model: embedding.model,
+        cached: embedding.cached,
+        computed: embedding.computed,
+        ...(embedding.fallbackReason && { fallbackReason: embedding.fallbackReason })
+      },
       researchInterestsLoaded: researchInterests.length,
       themeFeedback
     }
   };
 }
 
+// --- Theme registry ---
+
+/**
+ * Known themes ({ themes: { [themeId]: { urls, firstSeen, lastSeen } } }).
+ * Without a registry file, it is seeded from the keyword clustering that
+ * produced theme IDs before embeddings, so existing feedback keeps attaching.
+ */
+async function loadThemeRegistry(tabRecurrence, coMap, minClusterSize) {
+  try {
+    const data = JSON.parse(await fs.readFile(THEMES_PATH, 'utf8'));
+    if (data.themes) return data;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Themes] Rebuilding unreadable registry ${THEMES_PATH}: ${error.message}`);
+    }
+  }
+
+  const registry = { themes: {} };
+  const seededAt = new Date().toISOString();
+  for (const cluster of clusterTabsByKeywords(tabRecurrence, coMap, minClusterSize)) {
+    registry.themes[generateThemeId(cluster.urls)] = { urls: [...cluster.urls].sort(), firstSeen: seededAt, lastSeen: seededAt, seeded: 'keywords' };
+  }
+  return registry;
+}
+
+async function saveThemeRegistry(registry) {
+  try {
+    await fs.mkdir(path.dirname(THEMES_PATH), { recursive: true });
+    await fs.writeFile(THEMES_PATH, JSON.stringify(registry, null, 2));
+  } catch (error) {
+    console.error(`[Themes] Failed to write registry: ${error.message}`);
+  }
+}
+
 // --- Theme feedback storage ---
 
-const fs = require('fs').promises;
-const path = require('path');
 const INTENTIONS_FILE = path.join(__dirname, '..', 'memory', 'intentions.json');
 
 async function loadThemeFeedback() {
@@ -575,5 +838,9 @@ module.exports = {
   buildTabRecurrence,
   buildCoOccurrence,
   clusterTabs,
+  clusterTabsByKeywords,
+  assignThemeIds,
+  loadThemeRegistry,
+  themeText,
   loadThemeFeedback
 };
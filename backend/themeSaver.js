@@ -11,6 +11,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { frontmatter, table, mdLink, wikiLink, slugify } = require('./markdownNote');
 
 const BM_BASE = 'C:/Users/Guest1/basic-memory';
 const THEMES_DIR = path.join(BM_BASE, 'projects', 'memento', 'themes');
@@ -32,29 +33,20 @@ function generateNote(theme) {
 
   // Build a readable label — clean up keyword-salad if needed
   const title = theme.label;
-  const permalink = 'projects/memento/themes/' + title.toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-');
-
-  // Frontmatter
-  const frontmatter = [
-    '---',
-    `title: "${title}"`,
-    'type: research-note',
-    `permalink: ${permalink}`,
-    'status: active',
-    'temporal_type: dynamic',
-    `valid_from: "${dateStr}"`,
-    `last_verified: "${dateStr}"`,
-    'detection_source: memento-theme-detection',
-    `generated_at: "${now}"`,
-    'tags:',
-    '- memento-generated',
-    '- research-thread',
-    '- theme-detection',
-    '---',
-  ].join('\n');
+  const permalink = 'projects/memento/themes/' + slugify(title);
+
+  const header = frontmatter({
+    title,
+    type: 'research-note',
+    permalink,
+    status: 'active',
+    temporal_type: 'dynamic',
+    valid_from: dateStr,
+    last_verified: dateStr,
+    detection_source: 'memento-theme-detection',
+    generated_at: now,
+    tags: ['memento-generated', 'research-thread', 'theme-detection']
+  });
 
   // Body sections
   const sections = [];
@@ -88,21 +80,22 @@ function generateNote(theme) {
     sections.push(`## Connected Research Interests\n`);
     for (const conn of theme.memoryConnections) {
       const keywords = conn.matchedKeywords ? conn.matchedKeywords.slice(0, 5).join(', ') : '';
-      sections.push(`- [[${conn.name}]]${keywords ? ` (via: ${keywords})` : ''}`);
+      sections.push(`- ${wikiLink(conn.name)}${keywords ? ` (via: ${keywords})` : ''}`);
     }
     sections.push('');
   }
 
   // Constituent tabs
   sections.push(`## Tabs in This Thread\n`);
-  sections.push('| Title | Domain | Seen | Days |');
-  sections.push('|-------|--------|------|------|');
-  for (const tab of theme.tabs) {
-    const domain = tab.domain || '';
-    const title = (tab.title || tab.url || '').replace(/\|/g, '\\|');
-    const link = `[${title}](${tab.url})`;
-    sections.push(`| ${link} | ${domain} | ${tab.recurrenceCount}x | ${tab.distinctDays}d |`);
-  }
+  sections.push(table(
+    ['Title', 'Domain', 'Seen', 'Days'],
+    theme.tabs.map(tab => [
+      mdLink(tab.title || tab.url || '', tab.url),
+      tab.domain || '',
+      `${tab.recurrenceCount}x`,
+      `${tab.distinctDays}d`
+    ])
+  ));
   sections.push('');
 
   // Categories observed
@@ -116,14 +109,14 @@ function generateNote(theme) {
 
   // Relations
   sections.push(`## Relations\n`);
-  sections.push(`- generated_by [[Memento - Project Index]]`);
+  sections.push(`- generated_by ${wikiLink('Memento - Project Index')}`);
   if (theme.memoryConnections) {
     for (const conn of theme.memoryConnections.slice(0, 3)) {
-      sections.push(`- relates_to [[${conn.name}]]`);
+      sections.push(`- relates_to ${wikiLink(conn.name)}`);
     }
   }
 
-  return frontmatter + '\n\n' + sections.join('\n');
+  return header + '\n\n' + sections.join('\n');
 }
 
 /**
@@ -139,11 +132,7 @@ async function saveThemeAsNote(theme) {
   const note = generateNote(theme);
 
   // Filename from label
-  const filename = theme.label.toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-')
-    + '.md';
+  const filename = slugify(theme.label) + '.md';
 
   const filePath = path.join(THEMES_DIR, filename);
 
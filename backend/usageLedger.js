@@ -0,0 +1,246 @@
+/**
+ * Usage Ledger
+ *
+ * Append-only record of every model call, one JSON object per line in
+ * ~/.memento/usage.jsonl (MEMENTO_USAGE_PATH overrides):
+ *
+ *   { at, purpose, engine, model, inputTokens, outputTokens, costUsd, durationMs }
+ *
+ * runModel() records its calls (tagged with options.purpose); calls made
+ * outside it, like theme embeddings (purpose 'theme-embed'), call recordUsage()
+ * directly.
+ * costUsd comes from models/pricing.js and is null for unpriced models.
+ *
+ * An optional monthly budget (usage-settings.json next to the ledger, or
+ * MEMENTO_MONTHLY_BUDGET_USD) makes checkBudget() report paid engines as
+ * over budget so the classifier can fall back to the local engine.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { computeCost, getPrice } = require('./models/pricing');
+
+const LEDGER_PATH = process.env.MEMENTO_USAGE_PATH || path.join(os.homedir(), '.memento', 'usage.jsonl');
+const SETTINGS_PATH = path.join(path.dirname(LEDGER_PATH), 'usage-settings.json');
+const DEFAULT_FALLBACK_ENGINE = 'ollama-local';
+
+/**
+ * Append one model call to the ledger. Non-fatal: errors are logged.
+ * @param {Object} call
+ * @param {string} call.purpose - pass1..pass4, task-enrich, task-chat, workbench, pdf-vision, page-vision, theme-embed, ...
+ * @param {string} call.engine
+ * @param {string} [call.model]
+ * @param {Object} [call.usage] - { input_tokens, output_tokens }
+ * @param {number} [call.durationMs]
+ * @returns {Promise<Object|null>} The entry written
+ */
+async function recordUsage({ purpose, engine, model = null, usage = null, durationMs = null }) {
+  const entry = {
+    at: new Date().toISOString(),
+    purpose: purpose || 'other',
+    engine,
+    model,
+    inputTokens: usage?.input_tokens || 0,
+    outputTokens: usage?.output_tokens || 0,
+    costUsd: computeCost(engine, model, usage),
+    ...(durationMs !== null && { durationMs })
+  };
+
+  try {
+    await fs.mkdir(path.dirname(LEDGER_PATH), { recursive: true });
+    await fs.appendFile(LEDGER_PATH, JSON.stringify(entry) + '\n');
+    return entry;
+  } catch (error) {
+    console.error(`[Usage] Failed to record ${entry.purpose} call: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Ledger entries, oldest first; unreadable lines are skipped
+ * @param {Object} [options]
+ * @param {Date|string} [options.since] - Only entries at or after this time
+ */
+async function readEntries({ since } = {}) {
+  let content;
+  try {
+    content = await fs.readFile(LEDGER_PATH, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`[Usage] Failed to read ledger: ${error.message}`);
+    return [];
+  }
+
+  const sinceIso = since ? new Date(since).toISOString() : null;
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (!sinceIso || entry.at >= sinceIso) entries.push(entry);
+    } catch {
+      // Partial line from an interrupted write
+    }
+  }
+  return entries;
+}
+
+function monthStart(now = new Date()) {
+  return new Date(now.getFullYear(), now.getMonth(), 1);
+}
+
+function localDay(iso) {
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Budget settings: the settings file wins over MEMENTO_MONTHLY_BUDGET_USD
+ * @returns {Promise<{monthlyBudgetUsd: number|null, fallbackEngine: string}>}
+ */
+async function getBudgetSettings() {
+  const envBudget = parseFloat(process.env.MEMENTO_MONTHLY_BUDGET_USD);
+  let stored = {};
+  try {
+    stored = JSON.parse(await fs.readFile(SETTINGS_PATH, 'utf-8'));
+  } catch {
+    // No settings saved yet
+  }
+
+  const budget = 'monthlyBudgetUsd' in stored ? stored.monthlyBudgetUsd : (Number.isFinite(envBudget) ? envBudget : null);
+  return {
+    monthlyBudgetUsd: Number.isFinite(budget) && budget > 0 ? budget : null,
+    fallbackEngine: stored.fallbackEngine || DEFAULT_FALLBACK_ENGINE
+  };
+}
+
+/**
+ * Set or clear (null) the monthly budget
+ * @returns {Promise<{success: boolean, message: string, settings?: Object}>}
+ */
+async function setMonthlyBudget(amount) {
+  const budget = amount === null || amount === '' ? null : Number(amount);
+  if (budget !== null && (!Number.isFinite(budget) || budget <= 0)) {
+    return { success: false, message: 'Budget must be a positive number of USD, or empty to remove it' };
+  }
+
+  try {
+    const current = await getBudgetSettings();
+    const settings = { ...current, monthlyBudgetUsd: budget };
+    await fs.mkdir(path.dirname(SETTINGS_PATH), { recursive: true });
+    await fs.writeFile(SETTINGS_PATH, JSON.stringify(settings, null, 2));
+    console.error(`[Usage] Monthly budget ${budget === null ? 'removed' : `set to $${budget}`}`);
+    return { success: true, message: budget === null ? 'Budget removed' : 'Budget saved', settings };
+  } catch (error) {
+    console.error(`[Usage] Failed to save budget: ${error.message}`);
+    return { success: false, message: `Failed to save budget: ${error.message}` };
+  }
+}
+
+/**
+ * Spend so far this calendar month
+ */
+async function getMonthSpend(now = new Date()) {
+  const entries = await readEntries({ since: monthStart(now) });
+  return entries.reduce((sum, e) => sum + (e.costUsd || 0), 0);
+}
+
+function isFree(engine, model) {
+  const price = getPrice(engine, model);
+  return !!price && price.input === 0 && price.output === 0;
+}
+
+/**
+ * Whether a run on this engine would go over the monthly budget.
+ * Free models are never over budget; unpriced ones count as paid (price
+ * local OpenAI-compatible models at 0 via MEMENTO_PRICING_PATH).
+ * @returns {Promise<{exceeded: boolean, spentUsd?: number, budgetUsd?: number, fallbackEngine?: string}>}
+ */
+async function checkBudget(engine, model = null) {
+  const { monthlyBudgetUsd, fallbackEngine } = await getBudgetSettings();
+  if (!monthlyBudgetUsd || engine === fallbackEngine || isFree(engine, model)) {
+    return { exceeded: false };
+  }
+
+  const spentUsd = await getMonthSpend();
+  return {
+    exceeded: spentUsd >= monthlyBudgetUsd,
+    spentUsd,
+    budgetUsd: monthlyBudgetUsd,
+    fallbackEngine
+  };
+}
+
+function addToBucket(map, key, entry, extra = {}) {
+  const bucket = map.get(key) || { key, ...extra, calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0 };
+  bucket.calls++;
+  bucket.inputTokens += entry.inputTokens || 0;
+  bucket.outputTokens += entry.outputTokens || 0;
+  if (entry.costUsd === null || entry.costUsd === undefined) bucket.unpricedCalls++;
+  else bucket.costUsd += entry.costUsd;
+  map.set(key, bucket);
+}
+
+/**
+ * Spend by day, purpose and engine/model over a window, plus the month's budget state
+ * @param {Object} [options]
+ * @param {number} [options.days=30]
+ * @returns {Promise<Object>}
+ */
+async function summarizeUsage({ days = 30 } = {}) {
+  const now = new Date();
+  const since = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (days - 1));
+  const windowStart = since < monthStart(now) ? since : monthStart(now);
+  const entries = await readEntries({ since: windowStart });
+
+  const totals = { key: 'total', calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0 };
+  const byDay = new Map();
+  const byPurpose = new Map();
+  const byEngine = new Map();
+  let monthSpend = 0;
+  const monthIso = monthStart(now).toISOString();
+
+  for (const entry of entries) {
+    if (entry.at >= monthIso) monthSpend += entry.costUsd || 0;
+    if (entry.at < since.toISOString()) continue;
+
+    totals.calls++;
+    totals.inputTokens += entry.inputTokens || 0;
+    totals.outputTokens += entry.outputTokens || 0;
+    if (entry.costUsd === null || entry.costUsd === undefined) totals.unpricedCalls++;
+    else totals.costUsd += entry.costUsd;
+
+    addToBucket(byDay, localDay(entry.at), entry);
+    addToBucket(byPurpose, entry.purpose, entry);
+    addToBucket(byEngine, `${entry.engine}/${entry.model || '?'}`, entry, { engine: entry.engine, model: entry.model });
+  }
+
+  const { monthlyBudgetUsd, fallbackEngine } = await getBudgetSettings();
+  const byCost = (a, b) => b.costUsd - a.costUsd || b.calls - a.calls;
+
+  return {
+    days,
+    since: since.toISOString(),
+    totals,
+    byDay: [...byDay.values()].sort((a, b) => a.key.localeCompare(b.key)),
+    byPurpose: [...byPurpose.values()].sort(byCost),
+    byEngine: [...byEngine.values()].sort(byCost),
+    month: {
+      spentUsd: monthSpend,
+      budgetUsd: monthlyBudgetUsd,
+      exceeded: monthlyBudgetUsd !== null && monthSpend >= monthlyBudgetUsd,
+      fallbackEngine
+    }
+  };
+}
+
+module.exports = {
+  recordUsage,
+  readEntries,
+  summarizeUsage,
+  getBudgetSettings,
+  setMonthlyBudget,
+  getMonthSpend,
+  checkBudget,
+  LEDGER_PATH
+};
@@ -0,0 +1,249 @@
+/**
+ * Writing Brief
+ *
+ * Backs the summary page "Start Writing" button on Pass 4 suggested actions:
+ * consolidates the action's supporting tabs (Pass 4 project support, deep
+ * dive results, captured content) into a markdown brief and hands it to the
+ * project's writing target from context.json.
+ *
+ * writingTarget formats (unset means copy to clipboard only):
+ *   https://...                  - open the URL; the brief is copied to paste in
+ *   obsidian://new?vault=X       - open Obsidian with a new note holding the brief
+ *   obsidian:<folder>            - same, in OBSIDIAN_VAULT_PATH's vault
+ *   vscode:<directory>           - write <slug>.md there and open vscode://file/...
+ *   basic-memory:<folder>,
+ *   markdown:<folder>            - write a note (same targets as Launchpad promote)
+ *
+ * Every Start Writing is recorded in the task log as a "write" action.
+ */
+
+const path = require('path');
+const { readSession } = require('./memory');
+const { readContextFile } = require('./contextLoader');
+const { appendAction } = require('./taskLog');
+const { resolveTarget, writeUnique, noteUri, getExcerpt, OBSIDIAN_VAULT } = require('./notePromoter');
+const { frontmatter, observation, mdLink, slugify } = require('./markdownNote');
+
+/**
+ * Active project from context.json by name (case-insensitive).
+ * Read without the staleness check: a writing target doesn't go stale.
+ */
+function findProject(name) {
+  if (!name) return null;
+  const projects = readContextFile().context?.activeProjects || [];
+  return projects.find(p => p.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Tabs supporting a project, from Pass 4 project support
+ * (falling back to throughlines that name the project)
+ * @returns {Array<{item, reason, deepDive, excerpt}>}
+ */
+function getSupportingTabs(session, projectName) {
+  const analysis = session.thematicAnalysis || {};
+  const items = new Map();
+  for (const groupItems of Object.values(session.groups || {})) {
+    for (const item of groupItems || []) items.set(item.tabIndex, item);
+  }
+
+  const supportKey = Object.keys(analysis.projectSupport || {})
+    .find(key => projectName && key.toLowerCase() === projectName.toLowerCase());
+  const support = supportKey ? analysis.projectSupport[supportKey] : null;
+
+  let indices;
+  if (support) {
+    indices = [...(support.directTabs || []), ...(support.supportingTabs || [])];
+  } else {
+    indices = (analysis.thematicThroughlines || [])
+      .filter(t => (t.projects || []).some(p => projectName && p.toLowerCase() === projectName.toLowerCase()))
+      .flatMap(t => t.tabs || []);
+  }
+
+  const reasons = new Map((support?.supportingEvidence || []).map(e => [e.tabIndex, e.reason]));
+  return [...new Set(indices)]
+    .map(index => items.get(index))
+    .filter(Boolean)
+    .map(item => ({
+      item,
+      reason: reasons.get(item.tabIndex) || null,
+      deepDive: (session.deepDiveResults || []).find(d => d.url === item.url && d.analysis) || null,
+      excerpt: getExcerpt(session, item)
+    }));
+}
+
+/**
+ * Build the markdown brief for a suggested action
+ * @param {Object} session - Raw session
+ * @param {string} sessionId - Session ID
+ * @param {Object} action - Entry from thematicAnalysis.suggestedActions
+ * @param {Object} [options]
+ * @param {boolean} [options.withFrontmatter=false] - Add frontmatter (for notes written to disk)
+ * @returns {{markdown: string, tabCount: number}}
+ */
+function buildWritingBrief(session, sessionId, action, { withFrontmatter = false } = {}) {
+  const tabs = getSupportingTabs(session, action.project);
+  const sections = [];
+
+  if (withFrontmatter) {
+    const dateStr = new Date().toISOString().split('T')[0];
+    sections.push(frontmatter({
+      title: action.action,
+      type: 'writing-brief',
+      status: 'active',
+      valid_from: dateStr,
+      detection_source: 'memento-start-writing',
+      project: action.project,
+      session_id: sessionId,
+      tags: ['memento-generated', 'writing-brief']
+    }));
+  }
+
+  sections.push(`# ${action.action}`);
+
+  const overview = [];
+  if (action.project) overview.push(observation('Project', action.project));
+  if (action.reason) overview.push(observation('Why now', action.reason));
+  overview.push(observation('Session', session.timestamp ? `${sessionId} (${session.timestamp.split('T')[0]})` : sessionId));
+  sections.push(overview.join('\n'));
+
+  const throughlines = (session.thematicAnalysis?.thematicThroughlines || [])
+    .filter(t => (t.projects || []).some(p => action.project && p.toLowerCase() === action.project.toLowerCase()));
+  if (throughlines.length > 0) {
+    sections.push('## Throughlines');
+    sections.push(throughlines.map(t => `- **${t.theme}**${t.insight ? ` — ${t.insight}` : ''}`).join('\n'));
+  }
+
+  if (tabs.length > 0) {
+    sections.push('## Sources');
+    for (const { item, reason, deepDive, excerpt } of tabs) {
+      const parts = [`### ${mdLink(item.title || item.url, item.url)}`];
+      if (reason) parts.push(`*${reason}*`);
+      if (deepDive?.analysis?.summary) parts.push(deepDive.analysis.summary);
+      if (deepDive?.analysis?.keyPoints?.length > 0) {
+        parts.push(deepDive.analysis.keyPoints.map(point => `- ${point}`).join('\n'));
+      }
+      if (excerpt && !deepDive) parts.push(`> ${excerpt}`);
+      sections.push(parts.join('\n\n'));
+    }
+  }
+
+  sections.push('## Draft');
+
+  return { markdown: sections.join('\n\n') + '\n', tabCount: tabs.length };
+}
+
+function obsidianNewUri(base, file, content) {
+  const separator = base.includes('?') ? '&' : '?';
+  return `${base}${separator}file=${encodeURIComponent(file)}&content=${encodeURIComponent(content)}`;
+}
+
+/**
+ * Deliver a brief to a writing target
+ * @returns {Promise<{kind: string, openUrl?: string, filePath?: string, uri?: string}>}
+ * @throws {Error} For malformed or unavailable targets
+ */
+async function deliverBrief(target, slug, build) {
+  if (!target || target === 'clipboard') {
+    return { kind: 'clipboard' };
+  }
+
+  if (/^https?:\/\//i.test(target)) {
+    return { kind: 'url', openUrl: target };
+  }
+
+  if (target.startsWith('obsidian://')) {
+    return { kind: 'obsidian', openUrl: obsidianNewUri(target, slug, build(true)) };
+  }
+
+  const match = /^([a-z-]+):(.*)$/.exec(target);
+  const kind = match?.[1];
+
+  if (kind === 'obsidian') {
+    if (!OBSIDIAN_VAULT) throw new Error('OBSIDIAN_VAULT_PATH is not set');
+    const folder = match[2].replace(/^\/+|\/+$/g, '');
+    const vault = path.basename(path.resolve(OBSIDIAN_VAULT));
+    const base = `obsidian://new?vault=${encodeURIComponent(vault)}`;
+    return { kind, openUrl: obsidianNewUri(base, folder ? `${folder}/${slug}` : slug, build(true)) };
+  }
+
+  if (kind === 'vscode') {
+    const dir = path.resolve(match[2]);
+    const filename = await writeUnique(dir, slug, build(true));
+    const filePath = path.join(dir, filename);
+    return { kind, filePath, openUrl: `vscode://file/${filePath.replace(/\\/g, '/').replace(/^\/+/, '')}` };
+  }
+
+  const noteTarget = resolveTarget(target);
+  if (noteTarget) {
+    const filename = await writeUnique(noteTarget.dir, slug, build(true));
+    return {
+      kind: noteTarget.root.kind,
+      filePath: path.join(noteTarget.dir, filename),
+      uri: noteUri(noteTarget.root, noteTarget.folder, filename)
+    };
+  }
+
+  throw new Error(`Unknown writing target: ${target}`);
+}
+
+/**
+ * Start Writing on a suggested action: build the brief, deliver it to the
+ * project's writing target and log a "write" task action
+ * @param {string} sessionId - Session ID
+ * @param {number} actionIndex - Index into thematicAnalysis.suggestedActions
+ * @returns {Promise<{success, message, brief?, target?}>}
+ */
+async function startWriting(sessionId, actionIndex) {
+  const session = await readSession(sessionId);
+  if (!session) {
+    return { success: false, message: 'Session not found' };
+  }
+
+  const action = (session.thematicAnalysis?.suggestedActions || [])[actionIndex];
+  if (!action) {
+    return { success: false, message: `No suggested action at index ${actionIndex}` };
+  }
+
+  const project = findProject(action.project);
+  const writingTarget = project?.writingTarget || null;
+  const slug = slugify(action.action).slice(0, 80).replace(/^-+|-+$/g, '') || 'writing-brief';
+  const { markdown, tabCount } = buildWritingBrief(session, sessionId, action);
+
+  let delivered;
+  try {
+    delivered = await deliverBrief(writingTarget, slug,
+      withFrontmatter => buildWritingBrief(session, sessionId, action, { withFrontmatter }).markdown);
+  } catch (error) {
+    console.error(`[Writing] ${error.message}`);
+    return { success: false, message: `Writing target failed: ${error.message}`, brief: markdown };
+  }
+
+  await appendAction({
+    taskId: `write-${sessionId}-${actionIndex}`,
+    taskType: 'suggested_action',
+    action: 'write',
+    task: {
+      title: action.action,
+      projectName: action.project,
+      type: 'suggested_action',
+      insight: action.reason
+    },
+    outcome: {
+      sessionId,
+      project: action.project || null,
+      target: delivered.kind,
+      ...(delivered.filePath && { filePath: delivered.filePath }),
+      sourceTabs: tabCount
+    }
+  });
+
+  console.error(`[Writing] "${action.action}" → ${delivered.kind} (${tabCount} source tabs)`);
+  return {
+    success: true,
+    message: delivered.filePath ? `Brief written to ${delivered.filePath}` : 'Brief ready',
+    brief: markdown,
+    target: { ...delivered, writingTarget }
+  };
+}
+
+module.exports = { buildWritingBrief, getSupportingTabs, deliverBrief, startWriting };
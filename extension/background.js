@@ -0,0 +1,245 @@
+// Memento background service worker (an event page in the Firefox build)
+//
+// 1. Scheduled and idle-triggered snapshots
+//
+// Settings are written by the popup to chrome.storage.local:
+//   autoCaptureEnabled  - master switch
+//   autoCaptureInterval - minutes between alarm snapshots
+//   autoCaptureOnIdle   - also snapshot when the machine goes idle
+// The outcome of the last attempt is stored as lastAutoCapture for the popup.
+//
+// 2. Tab actions for Launchpad, relayed by bridge.js from localhost:3000 pages:
+//   closeTabs { urls }         - close the captured tabs for these URLs
+//   groupTabs { title, urls }  - put them in a named Chrome tab group
+//   openTabs  { title, urls }  - reopen URLs (grouped when a title is given)
+// Captured tabs are looked up in the capturedTabs map (see capture.js).
+
+// Firefox loads capture.js as an earlier background script instead
+if (typeof importScripts === 'function') importScripts('capture.js');
+
+const ALARM_NAME = 'memento-auto-capture';
+const IDLE_SECONDS = 10 * 60;
+const MIN_IDLE_GAP_MS = 30 * 60 * 1000;  // Don't re-snapshot on every idle/active flip
+
+const SETTING_DEFAULTS = {
+  autoCaptureEnabled: false,
+  autoCaptureInterval: 60,
+  autoCaptureOnIdle: false
+};
+
+let snapshotInFlight = false;
+
+async function getSettings() {
+  return chrome.storage.local.get({
+    ...SETTING_DEFAULTS,
+    selectedEngine: null,
+    devMode: false,
+    lastCaptureSignature: null,
+    lastAutoCapture: null
+  });
+}
+
+// Create, update or remove the alarm to match the stored settings
+async function configureSchedule() {
+  const settings = await getSettings();
+  const existing = await chrome.alarms.get(ALARM_NAME);
+
+  if (!settings.autoCaptureEnabled) {
+    if (existing) await chrome.alarms.clear(ALARM_NAME);
+    return;
+  }
+
+  const period = Number(settings.autoCaptureInterval) || SETTING_DEFAULTS.autoCaptureInterval;
+  if (existing?.periodInMinutes === period) return;
+
+  await chrome.alarms.create(ALARM_NAME, { delayInMinutes: period, periodInMinutes: period });
+  console.log(`[Memento] Automatic capture every ${period} min`);
+}
+
+// Gather tabs and queue a scheduled capture unless locked or unchanged
+// Returns { status: 'captured' | 'skipped', message, ... }
+async function runSnapshot(settings) {
+  const lockResponse = await fetch(`${BACKEND_URL}/api/lock-status`);
+  const lock = await lockResponse.json();
+  if (lock.locked) {
+    return { status: 'skipped', message: 'Launchpad session unresolved' };
+  }
+
+  // Compare URLs before reading any page: unchanged is the common case
+  const signature = tabSignature(await chrome.tabs.query({}));
+  if (!signature) {
+    return { status: 'skipped', message: 'No tabs to capture' };
+  }
+  if (signature === settings.lastCaptureSignature) {
+    return { status: 'skipped', message: 'Tabs unchanged since last capture' };
+  }
+
+  const tabs = await withTimeout(gatherTabData(), 30000, []);
+  if (tabs.length === 0) {
+    return { status: 'skipped', message: 'No tabs to capture' };
+  }
+
+  await rememberCapturedTabs(tabs);
+  const response = await fetch(`${BACKEND_URL}/api/captures`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      tabs: toCapturePayload(tabs),
+      engine: settings.selectedEngine || undefined,
+      debugMode: settings.devMode,
+      mode: 'results',
+      trigger: 'scheduled',
+      ...captureSource()
+    })
+  });
+
+  // The lock can be acquired between the status check and the capture
+  if (response.status === 409) {
+    return { status: 'skipped', message: 'Launchpad session unresolved' };
+  }
+  if (!response.ok) {
+    throw new Error(`Backend error: ${response.status}`);
+  }
+
+  const { captureId } = await response.json();
+  await chrome.storage.local.set({ lastCaptureSignature: signature });
+  return { status: 'captured', message: `${tabs.length} tabs queued`, captureId };
+}
+
+async function takeSnapshot(reason) {
+  if (snapshotInFlight) return;
+  snapshotInFlight = true;
+
+  try {
+    const settings = await getSettings();
+    if (!settings.autoCaptureEnabled) return;
+    if (reason === 'idle') {
+      if (!settings.autoCaptureOnIdle) return;
+      const lastAt = settings.lastAutoCapture ? new Date(settings.lastAutoCapture.at).getTime() : 0;
+      if (Date.now() - lastAt < MIN_IDLE_GAP_MS) return;
+    }
+
+    let outcome;
+    try {
+      outcome = await runSnapshot(settings);
+    } catch (error) {
+      outcome = {
+        status: 'failed',
+        message: error.message.includes('Failed to fetch') ? 'Backend not running' : error.message
+      };
+    }
+
+    console.log(`[Memento] ${reason} snapshot ${outcome.status}: ${outcome.message}`);
+    await chrome.storage.local.set({
+      lastAutoCapture: { at: new Date().toISOString(), reason, ...outcome }
+    });
+  } finally {
+    snapshotInFlight = false;
+  }
+}
+
+// Listeners are registered at the top level so they survive worker restarts
+chrome.runtime.onInstalled.addListener(configureSchedule);
+chrome.runtime.onStartup.addListener(configureSchedule);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && Object.keys(changes).some(key => key in SETTING_DEFAULTS)) {
+    configureSchedule();
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ALARM_NAME) takeSnapshot('scheduled');
+});
+
+chrome.idle.setDetectionInterval(IDLE_SECONDS);
+chrome.idle.onStateChanged.addListener((state) => {
+  if (state === 'idle') takeSnapshot('idle');
+});
+
+// === Tab actions ===
+
+// A captured tab stops counting once it is closed or navigates elsewhere
+async function forgetTab(tabId, currentUrl = null) {
+  const { capturedTabs = {} } = await chrome.storage.session.get('capturedTabs');
+  let changed = false;
+  for (const [url, ids] of Object.entries(capturedTabs)) {
+    if (url === currentUrl || !ids.includes(tabId)) continue;
+    const rest = ids.filter(id => id !== tabId);
+    if (rest.length > 0) capturedTabs[url] = rest;
+    else delete capturedTabs[url];
+    changed = true;
+  }
+  if (changed) await chrome.storage.session.set({ capturedTabs });
+}
+
+// Open tab IDs for the given URLs; falls back to an exact URL match for tabs
+// captured before this browser session. The requesting tab is never included.
+async function findTabIds(urls, excludeTabId) {
+  const { capturedTabs = {} } = await chrome.storage.session.get('capturedTabs');
+  const openTabs = await chrome.tabs.query({});
+  const openById = new Map(openTabs.map(tab => [tab.id, tab]));
+
+  const ids = new Set();
+  for (const url of urls) {
+    const mapped = (capturedTabs[url] || []).filter(id => openById.get(id)?.url === url);
+    const matches = mapped.length > 0 ? mapped : openTabs.filter(tab => tab.url === url).map(tab => tab.id);
+    matches.forEach(id => ids.add(id));
+  }
+  ids.delete(excludeTabId);
+  return Array.from(ids);
+}
+
+async function closeTabs({ urls = [] }, sender) {
+  const tabIds = await findTabIds(urls, sender.tab?.id);
+  if (tabIds.length > 0) await chrome.tabs.remove(tabIds);
+  return { success: true, closed: tabIds.length };
+}
+
+async function groupTabs({ title, urls = [] }, sender) {
+  const tabIds = await findTabIds(urls, sender.tab?.id);
+  if (tabIds.length === 0) return { success: true, grouped: 0 };
+
+  // Tab groups can't span windows; group within the window holding most of them
+  const tabs = await Promise.all(tabIds.map(id => chrome.tabs.get(id)));
+  const counts = new Map();
+  tabs.forEach(tab => counts.set(tab.windowId, (counts.get(tab.windowId) || 0) + 1));
+  const windowId = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  const ids = tabs.filter(tab => tab.windowId === windowId).map(tab => tab.id);
+
+  const groupId = await chrome.tabs.group({ tabIds: ids });
+  await chrome.tabGroups.update(groupId, { title: title || 'Memento effort', collapsed: false });
+  return { success: true, grouped: ids.length, groupId };
+}
+
+async function openTabs({ title, urls = [] }, sender) {
+  const windowId = sender.tab?.windowId;
+  const tabs = [];
+  for (const url of urls) {
+    tabs.push(await chrome.tabs.create({ url, windowId, active: false }));
+  }
+  await rememberCapturedTabs(tabs.map((tab, i) => ({ tabId: tab.id, url: urls[i] })));
+
+  if (title && tabs.length > 0) {
+    const groupId = await chrome.tabs.group({ tabIds: tabs.map(tab => tab.id) });
+    await chrome.tabGroups.update(groupId, { title });
+  }
+  return { success: true, opened: tabs.length };
+}
+
+const TAB_ACTIONS = { closeTabs, groupTabs, openTabs };
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const action = TAB_ACTIONS[message?.type];
+  if (!action) return false;
+
+  action(message, sender)
+    .then(sendResponse)
+    .catch(error => sendResponse({ success: false, message: error.message }));
+  return true;  // Respond asynchronously
+});
+
+chrome.tabs.onRemoved.addListener(tabId => forgetTab(tabId));
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) forgetTab(tabId, changeInfo.url);
+});
@@ -0,0 +1,25 @@
+// Content script on localhost:3000: relays Launchpad tab actions to background.js
+//
+// Page → extension: window.postMessage({ source: 'memento-page', requestId, type, ...payload })
+// Extension → page: window.postMessage({ source: 'memento-extension', requestId, response })
+// The page checks document.documentElement.dataset.mementoExtension to see if the bridge is present.
+
+const BRIDGE_TYPES = ['closeTabs', 'groupTabs', 'openTabs'];
+
+document.documentElement.dataset.mementoExtension = 'ready';
+
+window.addEventListener('message', (event) => {
+  if (event.source !== window || event.data?.source !== 'memento-page') return;
+
+  const { requestId, type, ...payload } = event.data;
+  if (!BRIDGE_TYPES.includes(type)) return;
+
+  chrome.runtime.sendMessage({ type, ...payload }, (response) => {
+    const error = chrome.runtime.lastError;
+    window.postMessage({
+      source: 'memento-extension',
+      requestId,
+      response: error ? { success: false, message: error.message } : response
+    }, window.location.origin);
+  });
+});
@@ -0,0 +1,408 @@
+// Shared by popup.js and background.js (loaded via <script> / importScripts,
+// or listed first in the Firefox build's background scripts). Firefox runs the
+// same code through its chrome.* namespace; APIs it lacks are feature-checked.
+
+const BACKEND_URL = 'http://localhost:3000';
+
+// Timeout helper - resolves with fallback after ms
+function withTimeout(promise, ms, fallback) {
+  return Promise.race([
+    promise,
+    new Promise(resolve => setTimeout(() => resolve(fallback), ms))
+  ]);
+}
+
+// Content extraction limit (8k chars for deep dive capability)
+const CONTENT_LIMIT = 8000;
+// Default cap per extracted field value (field specs can set maxLength)
+const FIELD_LIMIT = 2000;
+// Main text counted and hashed (beyond CONTENT_LIMIT, so late edits still change the hash)
+const HASH_LIMIT = 100000;
+const WORDS_PER_MINUTE = 230;
+
+// Which extension build sent a capture, saved as meta.source / meta.sourceInfo
+// (the Firefox manifest is the one with gecko settings)
+function captureSource() {
+  const manifest = chrome.runtime.getManifest();
+  return {
+    source: manifest.browser_specific_settings?.gecko ? 'firefox-extension' : 'chrome-extension',
+    sourceInfo: { extensionVersion: manifest.version }
+  };
+}
+
+// Per-domain field extractors from the backend (see correctionAnalyzer.js).
+// Null when the backend can't be reached: tabs then get body text only.
+async function fetchExtractors() {
+  try {
+    const response = await withTimeout(fetch(`${BACKEND_URL}/api/extractors`), 2000, null);
+    if (!response?.ok) return null;
+    const config = await response.json();
+    return config.domains || null;
+  } catch (error) {
+    console.log(`[Memento] Could not load extractors: ${error.message}`);
+    return null;
+  }
+}
+
+// Extractor for a URL: exact host or any subdomain of a configured domain
+function extractorFor(url, extractors) {
+  if (!extractors) return null;
+  let host;
+  try {
+    host = new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+  const domain = Object.keys(extractors)
+    .filter(d => host === d || host.endsWith(`.${d}`))
+    .sort((a, b) => b.length - a.length)[0];
+  return domain ? { domain, ...extractors[domain] } : null;
+}
+
+// Runs inside the page via chrome.scripting, which serializes the function:
+// it must not reference anything outside itself.
+//
+// Main content: readability-style scoring. Paragraph-like blocks score their
+// parent (and half to the grandparent) by length and commas; class/id names
+// like "article"/"content" add weight, "nav"/"sidebar"/"comment" subtract it,
+// and link-heavy containers are discounted. The best container (or the
+// <article>/<main> around it) gives the text; short results fall back to the
+// whole body. Canvas-rendered pages: canvases cover most of the viewport and
+// there is next to no text.
+function snapshotPage(limit, fieldSpecs, fieldLimit, hashLimit) {
+  const clean = value => (value || '').replace(/[ \t\u00a0]+/g, ' ').replace(/\n\s*\n\s*/g, '\n\n').trim();
+  const valueOf = (el, spec) => {
+    if (spec.attribute) return el.getAttribute(spec.attribute);
+    return el.tagName === 'META' ? el.getAttribute('content') : el.innerText || el.textContent;
+  };
+
+  const fields = {};
+  for (const [name, spec] of Object.entries(fieldSpecs || {})) {
+    let elements;
+    try {
+      elements = [...document.querySelectorAll(spec.selector)];
+    } catch {
+      continue;  // Invalid selector: skip the field, not the tab
+    }
+    const max = spec.maxLength || fieldLimit;
+    const values = [...new Set(elements.map(el => clean(valueOf(el, spec))).filter(Boolean))]
+      .map(value => value.slice(0, max));
+    if (values.length === 0) continue;
+    fields[name] = spec.multiple ? values.slice(0, 50) : values[0];
+  }
+
+  const LIKELY = /article|body|content|entry|main|page|post|story|text|blog|prose|markdown/i;
+  const UNLIKELY = /comment|footer|footnote|nav|menu|sidebar|header|masthead|breadcrumb|share|social|related|promo|banner|sponsor|advert|cookie|subscribe|newsletter|popup|modal/i;
+  const SKIP = 'nav, header, footer, aside, form, script, style, noscript, [role="navigation"], [role="banner"], [role="contentinfo"], [aria-hidden="true"]';
+  const BLOCKS = 'h1, h2, h3, h4, h5, h6, p, pre, li, blockquote, figcaption, dd, dt, td, th';
+  const WHOLE_BLOCKS = 'li, blockquote, pre, td, th';
+
+  const classWeight = el => {
+    const names = `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+    return (LIKELY.test(names) ? 25 : 0) - (UNLIKELY.test(names) ? 25 : 0);
+  };
+  const linkDensity = el => {
+    const length = (el.innerText || '').length || 1;
+    let linked = 0;
+    for (const a of el.querySelectorAll('a')) linked += (a.innerText || '').length;
+    return Math.min(1, linked / length);
+  };
+
+  const scores = new Map();
+  for (const block of document.querySelectorAll('p, pre, td, blockquote, li')) {
+    if (block.closest(SKIP)) continue;
+    const text = (block.innerText || '').trim();
+    if (text.length < 25) continue;
+    const score = 1 + text.split(/[,，、]/).length + Math.min(3, Math.floor(text.length / 100));
+    const parent = block.parentElement;
+    for (const [el, share] of [[parent, 1], [parent?.parentElement, 0.5]]) {
+      if (!el || el === document.documentElement) continue;
+      if (!scores.has(el)) scores.set(el, classWeight(el));
+      scores.set(el, scores.get(el) + score * share);
+    }
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(el));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+  const semantic = best?.closest('article, main, [role="main"]');
+  const root = semantic && (semantic.innerText || '').length <= (best.innerText || '').length * 3 ? semantic : best;
+
+  const blocks = [];
+  if (root) {
+    for (const el of root.querySelectorAll(BLOCKS)) {
+      const skipped = el.closest(SKIP);
+      if (skipped && root.contains(skipped)) continue;
+      const outer = el.parentElement?.closest(WHOLE_BLOCKS);
+      if (outer && root.contains(outer)) continue;  // Taken whole with its outer block
+      const text = clean(el.innerText);
+      if (text) blocks.push(text);
+    }
+  }
+  const article = blocks.join('\n\n');
+  const readable = article.length >= 250;
+  const main = readable ? article : clean(document.body?.innerText || '');
+  const counted = main.slice(0, hashLimit);
+
+  let wordCount = 0;
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    for (const segment of new Intl.Segmenter(undefined, { granularity: 'word' }).segment(counted)) {
+      if (segment.isWordLike) wordCount++;
+    }
+  } else {
+    wordCount = (counted.match(/\S+/g) || []).length;
+  }
+
+  const declared = document.documentElement.lang
+    || document.querySelector('meta[http-equiv="content-language" i]')?.getAttribute('content')
+    || '';
+
+  const viewportArea = (window.innerWidth * window.innerHeight) || 1;
+  let canvasArea = 0;
+  for (const canvas of document.querySelectorAll('canvas')) {
+    const r = canvas.getBoundingClientRect();
+    const width = Math.max(0, Math.min(r.right, window.innerWidth) - Math.max(r.left, 0));
+    const height = Math.max(0, Math.min(r.bottom, window.innerHeight) - Math.max(r.top, 0));
+    canvasArea += width * height;
+  }
+
+  return {
+    content: main.slice(0, limit),
+    hashText: counted,
+    fields,
+    info: {
+      extraction: readable ? 'readability' : 'body',
+      wordCount,
+      language: declared.split(/[-_,;\s]/)[0].toLowerCase() || null,
+      canvasRendered: canvasArea / viewportArea > 0.5 && wordCount < 150
+    }
+  };
+}
+
+// SHA-256 of the main text with whitespace and case normalized, so a
+// re-render of the same article hashes the same
+async function contentHashOf(text) {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  if (!normalized) return null;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Language of pages that don't declare one
+async function detectLanguage(text) {
+  if (!text || !chrome.i18n?.detectLanguage) return null;
+  try {
+    const result = await withTimeout(chrome.i18n.detectLanguage(text.slice(0, 2000)), 500, null);
+    return result?.isReliable ? result.languages[0]?.language || null : null;
+  } catch {
+    return null;
+  }
+}
+
+// Extract main content, reading stats and the extractor's fields (when one
+// matches) from a tab using scripting API (with 2s timeout per tab)
+// Returns { content, fields, contentHash, contentInfo }
+async function extractPageContent(tabId, extractor = null) {
+  const empty = { content: '', fields: {}, contentHash: null, contentInfo: null };
+  try {
+    const extraction = chrome.scripting.executeScript({
+      target: { tabId },
+      func: snapshotPage,
+      args: [CONTENT_LIMIT, extractor?.fields || null, FIELD_LIMIT, HASH_LIMIT]
+    });
+    const results = await withTimeout(extraction, 2000, null);
+    const snapshot = results?.[0]?.result;
+    if (!snapshot) return empty;
+
+    const { wordCount, language, ...info } = snapshot.info;
+    return {
+      content: snapshot.content,
+      fields: snapshot.fields,
+      contentHash: await contentHashOf(snapshot.hashText),
+      contentInfo: {
+        ...info,
+        wordCount,
+        readingMinutes: wordCount > 0 ? Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)) : 0,
+        language: language || await detectLanguage(snapshot.content)
+      }
+    };
+  } catch (error) {
+    console.log(`Could not extract content from tab ${tabId}:`, error.message);
+    return empty;
+  }
+}
+
+// Screenshot of a canvas-rendered tab for Pass 0 vision. Only the visible
+// tab of a window can be captured; the backend renders the others itself.
+async function captureScreenshot(tab) {
+  if (!tab.active) return null;
+  try {
+    return await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 70 });
+  } catch (error) {
+    console.log(`[Memento] Could not screenshot tab ${tab.id}: ${error.message}`);
+    return null;
+  }
+}
+
+// Window order and tab group details for every open window. Windows are
+// numbered 1..n in getAll() order; Chrome window/group IDs don't survive a restart.
+async function gatherBrowserLayout() {
+  const windows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+  const windowNumbers = new Map(windows.map((w, i) => [w.id, i + 1]));
+  const groups = new Map();
+  try {
+    // Firefox: only from 139 on, and once the optional tabGroups permission is granted
+    for (const group of chrome.tabGroups ? await chrome.tabGroups.query({}) : []) {
+      groups.set(group.id, { id: group.id, title: group.title || '', color: group.color, collapsed: group.collapsed });
+    }
+  } catch (error) {
+    console.log(`[Memento] Could not read tab groups: ${error.message}`);
+  }
+  return { windowNumbers, focusedWindowId: windows.find(w => w.focused)?.id, groups };
+}
+
+// Where a tab sat in the browser at capture time
+function browserInfo(tab, layout) {
+  const group = tab.groupId >= 0 ? layout.groups.get(tab.groupId) || null : null;
+  return {
+    window: layout.windowNumbers.get(tab.windowId) || null,
+    focusedWindow: tab.windowId === layout.focusedWindowId,
+    position: tab.index,
+    pinned: Boolean(tab.pinned),
+    audible: Boolean(tab.audible),
+    lastAccessed: tab.lastAccessed ? new Date(tab.lastAccessed).toISOString() : null,
+    group
+  };
+}
+
+// Gather all open tabs with their data
+async function gatherTabData() {
+  const tabs = await chrome.tabs.query({});
+  const layout = await gatherBrowserLayout();
+  const extractors = await fetchExtractors();
+
+  // === DIAGNOSTIC LOGGING ===
+  console.log(`[Memento] chrome.tabs.query returned ${tabs.length} tabs in ${layout.windowNumbers.size} window(s), ${layout.groups.size} tab group(s)`);
+  console.table(tabs.map(t => ({
+    id: t.id,
+    windowId: t.windowId,
+    groupId: t.groupId,
+    title: t.title?.slice(0, 40),
+    url: t.url?.slice(0, 60),
+    status: t.status
+  })));
+
+  const tabData = [];
+  let skippedChrome = 0;
+  let skippedExtension = 0;
+  let skippedAbout = 0;
+  let skippedError = 0;
+
+  for (const tab of tabs) {
+    try {
+      // Skip chrome:// and other restricted URLs
+      if (tab.url?.startsWith('chrome://')) {
+        skippedChrome++;
+        console.log(`[Memento] SKIP chrome:// - ${tab.title}`);
+        continue;
+      }
+      if (tab.url?.startsWith('chrome-extension://') || tab.url?.startsWith('moz-extension://')) {
+        skippedExtension++;
+        console.log(`[Memento] SKIP extension page - ${tab.title}`);
+        continue;
+      }
+      if (tab.url?.startsWith('about:')) {
+        skippedAbout++;
+        console.log(`[Memento] SKIP about: - ${tab.title}`);
+        continue;
+      }
+
+      let page = { content: '', fields: {}, contentHash: null, contentInfo: null };
+      const extractor = extractorFor(tab.url || '', extractors);
+      if (tab.id) {
+        page = await extractPageContent(tab.id, extractor);
+      }
+      const { content, fields, contentHash, contentInfo } = page;
+
+      // Detect if this is likely a PDF (can't extract content from Chrome's PDF viewer)
+      const isPdf = (tab.url || '').toLowerCase().endsWith('.pdf') ||
+                    (tab.url || '').includes('/pdf/') ||
+                    (tab.title || '').toLowerCase().includes('.pdf');
+      const visualSource = isPdf && !content ? 'pdf' : (contentInfo?.canvasRendered ? 'canvas' : null);
+      const needsVisualExtraction = Boolean(visualSource);
+      const screenshot = visualSource === 'canvas' ? await captureScreenshot(tab) : null;
+
+      console.log(`[Memento] CAPTURED: ${tab.title?.slice(0, 50)} (groupId: ${tab.groupId}, windowId: ${tab.windowId})${needsVisualExtraction ? ` [${visualSource} - needs visual extraction]` : ''}`);
+
+      tabData.push({
+        tabId: tab.id,  // Extension-side only; stripped by toCapturePayload()
+        url: tab.url || '',
+        title: tab.title || '',
+        content: content,
+        needsVisualExtraction: needsVisualExtraction,  // Flag for backend Pass 0 (PDF text layer, vision for scans and canvas pages)
+        ...(visualSource && { visualSource }),
+        ...(screenshot && { screenshot }),
+        // Same URL with a different hash = changed content, not a plain revisit
+        contentHash,
+        contentInfo,
+        browser: browserInfo(tab, layout),
+        // Structured fields from the domain's extractor, and which version produced them
+        ...(extractor && {
+          fields,
+          extractor: { domain: extractor.domain, version: extractor.version }
+        })
+      });
+    } catch (error) {
+      skippedError++;
+      console.log(`[Memento] ERROR skipping tab ${tab.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`[Memento] === SUMMARY ===`);
+  console.log(`[Memento] Raw from query: ${tabs.length}`);
+  console.log(`[Memento] Skipped chrome://: ${skippedChrome}`);
+  console.log(`[Memento] Skipped extension://: ${skippedExtension}`);
+  console.log(`[Memento] Skipped about:: ${skippedAbout}`);
+  console.log(`[Memento] Skipped errors: ${skippedError}`);
+  console.log(`[Memento] Final captured: ${tabData.length}`);
+  console.log(`[Memento] In collapsed groups: ${tabData.filter(t => t.browser.group?.collapsed).length}`);
+  // === END DIAGNOSTIC LOGGING ===
+
+  return tabData;
+}
+
+// URLs gatherTabData() skips: browser pages, extension pages, about:
+function isCapturableUrl(url) {
+  return !/^(chrome|chrome-extension|moz-extension):\/\//.test(url) && !url.startsWith('about:');
+}
+
+// Order-independent fingerprint of the captured URLs; equal signatures mean nothing changed.
+// Takes gathered tabs or raw chrome.tabs.query() results, so a snapshot can
+// be skipped before any page is read.
+function tabSignature(tabs) {
+  return tabs.map(t => t.url || '').filter(isCapturableUrl).sort().join('\n');
+}
+
+// Tab data as sent to the backend (Chrome tab IDs stay in the extension)
+function toCapturePayload(tabs) {
+  return tabs.map(({ tabId, ...tab }) => tab);
+}
+
+// Record url → Chrome tab IDs for the captured tabs so Launchpad actions can
+// close, group or reopen them (see background.js). Session storage: tab IDs
+// don't outlive the browser either.
+async function rememberCapturedTabs(tabs) {
+  const { capturedTabs = {} } = await chrome.storage.session.get('capturedTabs');
+  const fresh = {};
+  for (const tab of tabs) {
+    if (!tab.tabId || !tab.url) continue;
+    (fresh[tab.url] = fresh[tab.url] || []).push(tab.tabId);
+  }
+  await chrome.storage.session.set({ capturedTabs: { ...capturedTabs, ...fresh } });
+}
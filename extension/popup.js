@@ -1,5 +1,3 @@
-const BACKEND_URL = 'http://localhost:3000';
-
 const captureBtn = document.getElementById('captureBtn');
 const statusDiv = document.getElementById('status');
 const engineSelect = document.getElementById('engineSelect');
@@ -11,6 +9,12 @@ const lockLink = document.getElementById('lockLink');
 const dashboardLink = document.getElementById('dashboardLink');
 const statsArea = document.getElementById('statsArea');
 const engineSection = document.getElementById('engineSection');
+const progressList = document.getElementById('progressList');
+const progressLink = document.getElementById('progressLink');
+const autoCaptureEnabled = document.getElementById('autoCaptureEnabled');
+const autoCaptureInterval = document.getElementById('autoCaptureInterval');
+const autoCaptureOnIdle = document.getElementById('autoCaptureOnIdle');
+const autoCaptureStatus = document.getElementById('autoCaptureStatus');
 
 let selectedMode = 'results';
 let currentLockStatus = null;
@@ -35,6 +39,47 @@ chrome.storage.local.get(['devMode', 'selectedEngine', 'outputMode'], (result) =
   }
 });
 
+// Restore automatic capture settings (the background worker reacts to changes)
+chrome.storage.local.get({
+  autoCaptureEnabled: false,
+  autoCaptureInterval: 60,
+  autoCaptureOnIdle: false,
+  lastAutoCapture: null
+}, (result) => {
+  autoCaptureEnabled.checked = result.autoCaptureEnabled;
+  autoCaptureInterval.value = String(result.autoCaptureInterval);
+  autoCaptureOnIdle.checked = result.autoCaptureOnIdle;
+  updateAutoCaptureControls();
+  renderAutoCaptureStatus(result.lastAutoCapture);
+});
+
+autoCaptureEnabled.addEventListener('change', () => {
+  chrome.storage.local.set({ autoCaptureEnabled: autoCaptureEnabled.checked });
+  updateAutoCaptureControls();
+});
+
+autoCaptureInterval.addEventListener('change', () => {
+  chrome.storage.local.set({ autoCaptureInterval: Number(autoCaptureInterval.value) });
+});
+
+autoCaptureOnIdle.addEventListener('change', () => {
+  chrome.storage.local.set({ autoCaptureOnIdle: autoCaptureOnIdle.checked });
+});
+
+function updateAutoCaptureControls() {
+  autoCaptureInterval.disabled = !autoCaptureEnabled.checked;
+  autoCaptureOnIdle.disabled = !autoCaptureEnabled.checked;
+}
+
+function renderAutoCaptureStatus(last) {
+  if (!last) {
+    autoCaptureStatus.textContent = '';
+    return;
+  }
+  const time = new Date(last.at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  autoCaptureStatus.textContent = `Last ${last.reason} snapshot ${time}: ${last.status} (${last.message})`;
+}
+
 // Check lock status on popup open
 checkLockStatus();
 
@@ -146,139 +191,114 @@ function setLoading(loading) {
   }
 }
 
-// Timeout helper - resolves with fallback after ms
-function withTimeout(promise, ms, fallback) {
-  return Promise.race([
-    promise,
-    new Promise(resolve => setTimeout(() => resolve(fallback), ms))
-  ]);
+const PASS_LABELS = {
+  0: 'PDF extraction',
+  1: 'Classification',
+  2: 'Deep dives',
+  3: 'Visualization',
+  4: 'Thematic analysis'
+};
+
+// One line per pass, updated in place as progress events arrive
+const progressLines = {};
+
+function resetProgress() {
+  Object.keys(progressLines).forEach(key => delete progressLines[key]);
+  progressList.innerHTML = '';
+  progressLink.style.display = 'none';
 }
 
-// Content extraction limit (8k chars for deep dive capability)
-const CONTENT_LIMIT = 8000;
+function formatProgressStats(event) {
+  const parts = [];
+  if (typeof event.durationMs === 'number') parts.push(`${(event.durationMs / 1000).toFixed(1)}s`);
+  if (event.usage) parts.push(`${(event.usage.input_tokens || 0) + (event.usage.output_tokens || 0)} tok`);
+  return parts.join(', ');
+}
 
-// Extract page content from a tab using scripting API (with 2s timeout per tab)
-async function extractPageContent(tabId) {
-  try {
-    const extraction = chrome.scripting.executeScript({
-      target: { tabId },
-      func: (limit) => {
-        const bodyText = document.body?.innerText || '';
-        return bodyText.slice(0, limit);
-      },
-      args: [CONTENT_LIMIT]
-    });
-    const results = await withTimeout(extraction, 2000, null);
-    return results?.[0]?.result || '';
-  } catch (error) {
-    console.log(`Could not extract content from tab ${tabId}:`, error.message);
-    return '';
+function renderProgressEvent(event) {
+  if (event.status === 'fallback') {
+    setStatus('<span class="spinner"></span>LLM failed, using keyword fallback...');
+    return;
   }
-}
 
-// Gather all open tabs with their data
-async function gatherTabData() {
-  const tabs = await chrome.tabs.query({});
-
-  // === DIAGNOSTIC LOGGING ===
-  console.log(`[Memento] chrome.tabs.query returned ${tabs.length} tabs`);
-  console.table(tabs.map(t => ({
-    id: t.id,
-    windowId: t.windowId,
-    groupId: t.groupId,
-    title: t.title?.slice(0, 40),
-    url: t.url?.slice(0, 60),
-    status: t.status
-  })));
-
-  const tabData = [];
-  let skippedChrome = 0;
-  let skippedExtension = 0;
-  let skippedAbout = 0;
-  let skippedError = 0;
-
-  for (const tab of tabs) {
-    try {
-      // Skip chrome:// and other restricted URLs
-      if (tab.url?.startsWith('chrome://')) {
-        skippedChrome++;
-        console.log(`[Memento] SKIP chrome:// - ${tab.title}`);
-        continue;
-      }
-      if (tab.url?.startsWith('chrome-extension://')) {
-        skippedExtension++;
-        console.log(`[Memento] SKIP chrome-extension:// - ${tab.title}`);
-        continue;
-      }
-      if (tab.url?.startsWith('about:')) {
-        skippedAbout++;
-        console.log(`[Memento] SKIP about: - ${tab.title}`);
-        continue;
-      }
-
-      let content = '';
-      if (tab.id) {
-        content = await extractPageContent(tab.id);
-      }
-
-      // Detect if this is likely a PDF (can't extract content from Chrome's PDF viewer)
-      const isPdf = (tab.url || '').toLowerCase().endsWith('.pdf') ||
-                    (tab.url || '').includes('/pdf/') ||
-                    (tab.title || '').toLowerCase().includes('.pdf');
-      const needsVisualExtraction = isPdf && !content;
-
-      console.log(`[Memento] CAPTURED: ${tab.title?.slice(0, 50)} (groupId: ${tab.groupId}, windowId: ${tab.windowId})${needsVisualExtraction ? ' [PDF - needs visual extraction]' : ''}`);
-
-      tabData.push({
-        url: tab.url || '',
-        title: tab.title || '',
-        content: content,
-        needsVisualExtraction: needsVisualExtraction  // Flag for backend to use Playwright + vision
-      });
-    } catch (error) {
-      skippedError++;
-      console.log(`[Memento] ERROR skipping tab ${tab.id}: ${error.message}`);
-    }
+  const label = PASS_LABELS[event.pass];
+  if (!label) return;
+
+  let line = progressLines[event.pass];
+  if (!line) {
+    line = document.createElement('li');
+    progressLines[event.pass] = line;
+    progressList.appendChild(line);
+  }
+
+  if (event.status === 'started') {
+    line.className = 'running';
+    line.textContent = `${label}${event.total ? ` 0/${event.total}` : ''}...`;
+  } else if (event.status === 'item') {
+    line.className = 'running';
+    line.textContent = `${label} ${event.index}/${event.total}...`;
+  } else if (event.status === 'complete') {
+    line.className = event.success === false ? 'failed' : 'done';
+    const stats = event.skipped ? 'skipped' : formatProgressStats(event);
+    line.textContent = `${event.success === false ? '\u2717' : '\u2713'} ${label}${stats ? ` (${stats})` : ''}`;
   }
+}
 
-  console.log(`[Memento] === SUMMARY ===`);
-  console.log(`[Memento] Raw from query: ${tabs.length}`);
-  console.log(`[Memento] Skipped chrome://: ${skippedChrome}`);
-  console.log(`[Memento] Skipped extension://: ${skippedExtension}`);
-  console.log(`[Memento] Skipped about:: ${skippedAbout}`);
-  console.log(`[Memento] Skipped errors: ${skippedError}`);
-  console.log(`[Memento] Final captured: ${tabData.length}`);
-  // === END DIAGNOSTIC LOGGING ===
+// Follow a capture's SSE stream until it finishes
+// Resolves with the 'done' payload { sessionId, totalTabs, source }
+function followCapture(eventsUrl) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`${BACKEND_URL}${eventsUrl}`);
 
-  return tabData;
+    source.addEventListener('progress', (e) => renderProgressEvent(JSON.parse(e.data)));
+    source.addEventListener('done', (e) => {
+      source.close();
+      resolve(JSON.parse(e.data));
+    });
+    source.addEventListener('failed', (e) => {
+      source.close();
+      const { error } = JSON.parse(e.data);
+      reject(new Error(`${error || 'Classification failed'}. Completed passes are saved; retry from History.`));
+    });
+    source.onerror = () => {
+      source.close();
+      reject(new Error('Lost connection to backend'));
+    };
+  });
 }
 
-// Send data to backend for classification
-// Returns { html, sessionId } for results mode
-// Returns { sessionId } for launchpad mode
+// Send data to backend for classification and stream its progress
+// Returns { sessionId, totalTabs }; in launchpad mode also acquires the session lock
 async function classifySession(tabs, engine, debugMode, mode) {
-  if (mode === 'launchpad') {
-    // Launchpad mode: get JSON, acquire lock, return session ID
-    const response = await fetch(`${BACKEND_URL}/classifyBrowserContext`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ tabs, engine, debugMode, mode: 'launchpad' })
-    });
+  const response = await fetch(`${BACKEND_URL}/api/captures`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tabs, engine, debugMode, mode, ...captureSource() })
+  });
 
-    if (!response.ok) {
-      throw new Error(`Backend error: ${response.status}`);
-    }
+  if (!response.ok) {
+    throw new Error(`Backend error: ${response.status}`);
+  }
+
+  const { eventsUrl, progressUrl } = await response.json();
+
+  // The capture keeps running server-side even if the popup closes
+  progressLink.onclick = (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: `${BACKEND_URL}${progressUrl}` });
+  };
+  progressLink.style.display = 'block';
 
-    const classification = await response.json();
-    const sessionId = classification.meta?.sessionId || classification.timestamp?.replace(/:/g, '-').replace(/\.\d{3}Z$/, '');
+  const outcome = await followCapture(eventsUrl);
 
+  if (mode === 'launchpad') {
     // Acquire lock
     const lockResponse = await fetch(`${BACKEND_URL}/api/acquire-lock`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        sessionId,
-        itemsRemaining: classification.totalTabs || 0
+        sessionId: outcome.sessionId,
+        itemsRemaining: outcome.totalTabs || 0
       })
     });
 
@@ -286,25 +306,9 @@ async function classifySession(tabs, engine, debugMode, mode) {
     if (!lockResult.success) {
       console.warn('Could not acquire lock:', lockResult.message);
     }
-
-    return { sessionId, totalTabs: classification.totalTabs };
-  } else {
-    // Results mode: get JSON, return session ID (opens localhost URL for proper Mermaid rendering)
-    const response = await fetch(`${BACKEND_URL}/classifyBrowserContext`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ tabs, engine, debugMode })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Backend error: ${response.status}`);
-    }
-
-    const classification = await response.json();
-    const sessionId = classification.meta?.sessionId || classification.timestamp?.replace(/:/g, '-').replace(/\.\d{3}Z$/, '');
-
-    return { sessionId, totalTabs: classification.totalTabs };
   }
+
+  return { sessionId: outcome.sessionId, totalTabs: outcome.totalTabs };
 }
 
 // Main capture flow with 5-minute global timeout (exhaustive classification needs time)
@@ -316,6 +320,7 @@ async function captureSession() {
   }
 
   setLoading(true);
+  resetProgress();
   setStatus('<span class="spinner"></span>Gathering tab data...');
 
   const timeoutId = setTimeout(() => {
@@ -342,12 +347,16 @@ async function captureSession() {
     setStatus(`<span class="spinner"></span>Classifying ${tabs.length} tabs via ${engineLabel}${debugLabel}${modeLabel}...`);
 
     // Step 2: Send to backend (4 min budget for exhaustive LLM classification)
-    const result = await withTimeout(classifySession(tabs, engine, devMode, selectedMode), 240000, null);
+    await rememberCapturedTabs(tabs);
+    const result = await withTimeout(classifySession(toCapturePayload(tabs), engine, devMode, selectedMode), 240000, null);
 
     clearTimeout(timeoutId);
 
+    // Scheduled snapshots skip this tab set until it changes
+    chrome.storage.local.set({ lastCaptureSignature: tabSignature(tabs) });
+
     if (!result) {
-      setStatus('Classification timed out', true);
+      setStatus('Still classifying. Follow progress in a tab.', true);
       setLoading(false);
       return;
     }
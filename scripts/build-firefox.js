@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * build-firefox.js — Assemble the Firefox build of the extension.
+ *
+ * Usage:
+ *   npm run build:firefox [-- <outDir>]
+ *
+ * Copies the shared extension scripts and popup from extension/ into
+ * <outDir> (default: dist/firefox) with extension/manifest.firefox.json as
+ * its manifest. Load it from about:debugging → This Firefox → Load
+ * Temporary Add-on, picking <outDir>/manifest.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+const SOURCE_DIR = path.join(REPO_ROOT, 'extension');
+
+/**
+ * outDir is wiped before each build, so it must not be (or hold) the sources
+ */
+function checkOutDir(outDir) {
+  for (const protectedDir of [SOURCE_DIR, REPO_ROOT]) {
+    const relative = path.relative(outDir, protectedDir);
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+      throw new Error(`Refusing to build into ${outDir}: it would delete ${protectedDir}`);
+    }
+  }
+}
+
+function build(outDir) {
+  checkOutDir(outDir);
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const files = fs.readdirSync(SOURCE_DIR).filter(f => /\.(js|html|css|png|svg)$/.test(f));
+  for (const file of files) {
+    fs.copyFileSync(path.join(SOURCE_DIR, file), path.join(outDir, file));
+  }
+  fs.copyFileSync(path.join(SOURCE_DIR, 'manifest.firefox.json'), path.join(outDir, 'manifest.json'));
+  return files.length;
+}
+
+const outDir = path.resolve(process.argv[2] || path.join(REPO_ROOT, 'dist', 'firefox'));
+try {
+  const count = build(outDir);
+  console.log(`Firefox extension (${count} files + manifest) written to ${outDir}`);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * eval-prompts.js — Compare two versions of a prompt template on stored sessions.
+ *
+ * Usage:
+ *   npm run eval:prompts -- <template> <versionA> <versionB> [options]
+ *   npm run eval:prompts -- --list
+ *
+ * Options:
+ *   --engine <name>     LLM engine (default: classifier default)
+ *   --limit <n>         Replay the n most recent sessions (default: 5)
+ *   --session <id>      Replay this session (repeatable; overrides --limit)
+ *   --json              Print the full report as JSON
+ *   --list              List templates and their versions, then exit
+ *
+ * Templates that can be evaluated: pass1-classify, pass2-deep-dive,
+ * pass3-visualization, pass4-thematic, pass4-simplified. Every replay is a
+ * real model call and is recorded in the usage ledger as 'eval'.
+ */
+
+const { evaluatePromptVersions } = require('../backend/promptEval');
+const { listTemplates } = require('../backend/promptRegistry');
+
+function parseArgs(argv) {
+  const options = { sessionIds: [] };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') options.json = true;
+    else if (arg === '--list') options.list = true;
+    else if (arg === '--engine') options.engine = argv[++i];
+    else if (arg === '--limit') options.limit = Number(argv[++i]);
+    else if (arg === '--session') options.sessionIds.push(argv[++i]);
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else positional.push(arg);
+  }
+
+  [options.template, options.versionA, options.versionB] = positional;
+  return options;
+}
+
+function percent(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printList() {
+  for (const t of listTemplates()) {
+    console.log(`${t.name}  (active ${t.active})  ${t.description}`);
+    for (const v of t.versions) {
+      console.log(`    ${v.version}  ${v.createdAt.split('T')[0]}${v.basedOn ? `  from ${v.basedOn}` : ''}  ${v.note || ''}`);
+    }
+  }
+}
+
+function printReport(report) {
+  console.log(`\n${report.template}: ${report.versionA} vs ${report.versionB} on ${report.sessions.length} session(s) via ${report.engine} (${report.model || 'default model'})\n`);
+
+  const rows = [
+    ['', report.versionA, report.versionB],
+    ['Runs', ...[report.versionA, report.versionB].map(v => String(report.versions[v].runs))],
+    ['Parse failures', ...[report.versionA, report.versionB].map(v =>
+      `${report.versions[v].parseFailures} (${percent(report.versions[v].parseFailureRate)})`)],
+    ['Repaired', ...[report.versionA, report.versionB].map(v => String(report.versions[v].repaired))],
+    ['Errors', ...[report.versionA, report.versionB].map(v => String(report.versions[v].errors))],
+    ['Tokens in/out', ...[report.versionA, report.versionB].map(v =>
+      `${report.versions[v].inputTokens}/${report.versions[v].outputTokens}`)],
+    ['Cost', ...[report.versionA, report.versionB].map(v =>
+      report.versions[v].costUsd === null ? 'unpriced' : `$${report.versions[v].costUsd.toFixed(4)}`)]
+  ];
+  if (report.agreement) {
+    rows.push(['Agrees w/ session', ...[report.versionA, report.versionB].map(v => percent(report.versions[v].agreementWithSession))]);
+  }
+
+  const widths = [0, 1, 2].map(col => Math.max(...rows.map(r => r[col].length)));
+  for (const row of rows) {
+    console.log(`  ${row[0].padEnd(widths[0])}  ${row[1].padStart(widths[1])}  ${row[2].padStart(widths[2])}`);
+  }
+
+  if (report.agreement) {
+    console.log(`\n  Category agreement: ${percent(report.agreement.rate)} (${report.agreement.agreed}/${report.agreement.compared} tabs)`);
+    for (const s of report.sessions) {
+      console.log(`    ${s.sessionId}  ${percent(s.agreement)}`);
+    }
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (options.list) {
+    printList();
+    return;
+  }
+
+  if (!options.template || !options.versionA || !options.versionB) {
+    console.error('Usage: npm run eval:prompts -- <template> <versionA> <versionB> [--engine e] [--limit n] [--session id] [--json]');
+    process.exit(1);
+  }
+
+  const report = await evaluatePromptVersions({
+    template: options.template,
+    versionA: options.versionA,
+    versionB: options.versionB,
+    sessionIds: options.sessionIds,
+    limit: options.limit || 5,
+    engine: options.engine,
+    onProgress: ({ sessionId, version, runs }) => {
+      if (!options.json) console.error(`  ${sessionId} ${version}: ${runs.map(r => r.status).join(', ') || 'nothing to replay'}`);
+    }
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+}
+
+main().catch(error => {
+  console.error('Eval failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * import-history.js — Import browser history/bookmarks as synthetic sessions.
+ *
+ * Usage:
+ *   npm run import:history -- <file> [options]
+ *
+ * Options:
+ *   --format <f>        chrome | bookmarks | onetab | sessionbuddy (default: auto-detect)
+ *   --mock              Classify with the keyword classifier instead of the LLM
+ *   --engine <name>     LLM engine (default: classifier default)
+ *   --window-hours <n>  Window size for history/bookmarks (default: 3)
+ *   --min-tabs <n>      Skip windows with fewer distinct URLs (default: 3)
+ *   --max-tabs <n>      Most-visited URLs kept per window (default: 40)
+ *   --since <date>      Only import activity on/after this date
+ *   --until <date>      Only import activity on/before this date
+ *   --dry-run           List the sessions that would be created, then exit
+ *
+ * Chrome keeps History locked while running; copy the file first
+ * (e.g. ~/.config/google-chrome/Default/History) and import the copy.
+ */
+
+const { importHistory } = require('../backend/historyImport');
+
+const NUMERIC = { '--window-hours': 'windowHours', '--min-tabs': 'minTabs', '--max-tabs': 'maxTabs' };
+const STRING = { '--format': 'format', '--engine': 'engine', '--since': 'since', '--until': 'until' };
+
+function parseArgs(argv) {
+  const options = {};
+  let file = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--mock') options.mock = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (NUMERIC[arg]) options[NUMERIC[arg]] = Number(argv[++i]);
+    else if (STRING[arg]) options[STRING[arg]] = argv[++i];
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else file = arg;
+  }
+
+  return { file, options };
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (!args.file) {
+    console.error('Usage: npm run import:history -- <file> [--format f] [--mock] [--dry-run] ...');
+    process.exit(1);
+  }
+
+  const result = await importHistory(args.file, args.options);
+  if (!result.success) {
+    console.error(result.message);
+    process.exit(1);
+  }
+
+  if (args.options.dryRun) {
+    for (const w of result.windows) {
+      console.log(`  ${w.sessionId}  ${String(w.tabs).padStart(3)} tabs  ${w.visits} visits${w.label ? `  ${w.label}` : ''}`);
+    }
+  }
+  console.log(result.message);
+}
+
+main().catch(error => {
+  console.error('Import failed:', error);
+  process.exit(1);
+});
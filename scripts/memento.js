@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * memento.js — Command-line capture from sources other than the Chrome popup.
+ *
+ * Usage:
+ *   memento capture --from <file|stdin> [options]
+ *   npm run capture -- --from <file|stdin> [options]
+ *
+ * Options:
+ *   --from <input>      File to read, or 'stdin' (also '-')
+ *   --format <f>        firefox-sessionstore | urls | tabs-json (default: auto-detect)
+ *   --engine <name>     LLM engine (default: server default)
+ *   --server <url>      Memento backend (default: MEMENTO_URL or http://localhost:3000)
+ *   --no-debug          Don't keep the per-pass trace on the session
+ *   --dry-run           Print the tabs that would be captured, then exit
+ *
+ * Examples:
+ *   memento capture --from ~/.mozilla/firefox/<profile>/sessionstore-backups/recovery.jsonlz4
+ *   memento capture --from urls.txt --engine ollama-local
+ *   pbpaste | memento capture --from stdin
+ *
+ * The capture is queued on the running backend (POST /api/captures) and
+ * follows its progress stream, so it gets Pass 0, retries from History and
+ * the usage ledger like a popup capture. The session records the adapter
+ * as meta.source (see backend/captureSources.js).
+ */
+
+const fs = require('fs');
+const { readCaptureSource } = require('../backend/captureSources');
+
+const DEFAULT_SERVER = process.env.MEMENTO_URL || 'http://localhost:3000';
+const PASS_LABELS = { 0: 'PDF extraction', 1: 'Classification', 2: 'Deep dives', 3: 'Visualization', 4: 'Thematic analysis' };
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { server: DEFAULT_SERVER, debugMode: true };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--no-debug') options.debugMode = false;
+    else if (arg === '--from') options.from = rest[++i];
+    else if (arg === '--format') options.format = rest[++i];
+    else if (arg === '--engine') options.engine = rest[++i];
+    else if (arg === '--server') options.server = rest[++i];
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return { command, options };
+}
+
+function readInput(from) {
+  if (from === 'stdin' || from === '-') {
+    return { buffer: fs.readFileSync(0), input: 'stdin' };
+  }
+  return { buffer: fs.readFileSync(from), input: from };
+}
+
+/**
+ * Read a capture's SSE stream until done or failed
+ * @returns {Promise<Object>} The 'done' payload { sessionId, totalTabs, source }
+ */
+async function followCapture(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Progress stream: HTTP ${response.status}`);
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const name = /^event: (.+)$/m.exec(frame)?.[1];
+      const data = /^data: (.+)$/m.exec(frame)?.[1];
+      if (!name || !data) continue;  // Heartbeat
+
+      const event = JSON.parse(data);
+      if (name === 'done') return event;
+      if (name === 'failed') {
+        throw new Error(`${event.error || 'Classification failed'}. Completed passes are saved; retry from History.`);
+      }
+      if (name === 'progress' && event.status === 'complete' && PASS_LABELS[event.pass]) {
+        const seconds = typeof event.durationMs === 'number' ? ` (${(event.durationMs / 1000).toFixed(1)}s)` : '';
+        console.log(`  ${event.success === false ? '✗' : '✓'} ${PASS_LABELS[event.pass]}${event.skipped ? ' (skipped)' : seconds}`);
+      }
+    }
+  }
+  throw new Error('Progress stream closed before the capture finished');
+}
+
+async function capture(options) {
+  if (!options.from) {
+    throw new Error('Usage: memento capture --from <file|stdin> [--format f] [--engine e] [--dry-run]');
+  }
+
+  const { buffer, input } = readInput(options.from);
+  const result = readCaptureSource(buffer, { format: options.format, input });
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+
+  if (options.dryRun) {
+    for (const tab of result.tabs) {
+      const where = tab.browser ? `  [window ${tab.browser.window}${tab.browser.group ? `, ${tab.browser.group.title || 'group'}` : ''}]` : '';
+      console.log(`  ${tab.url}${tab.title ? `  ${tab.title}` : ''}${where}`);
+    }
+    console.log(result.message);
+    return;
+  }
+
+  const response = await fetch(`${options.server}/api/captures`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      tabs: result.tabs,
+      engine: options.engine,
+      debugMode: options.debugMode,
+      source: result.source,
+      sourceInfo: result.sourceInfo
+    })
+  });
+  if (!response.ok) {
+    throw new Error(`Backend error: ${response.status}`);
+  }
+
+  const { eventsUrl, progressUrl } = await response.json();
+  console.log(`Capturing ${result.message}; progress at ${options.server}${progressUrl}`);
+  const outcome = await followCapture(`${options.server}${eventsUrl}`);
+  console.log(`Captured ${outcome.totalTabs} tabs: ${options.server}/results/${outcome.sessionId}`);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (args.command !== 'capture') {
+    console.error('Usage: memento capture --from <file|stdin> [options]');
+    process.exit(1);
+  }
+
+  try {
+    await capture(args.options);
+  } catch (error) {
+    const message = error.cause?.code === 'ECONNREFUSED'
+      ? `Backend not running at ${args.options.server}. Start it with npm start.`
+      : error.message;
+    console.error(message);
+    process.exit(1);
+  }
+}
+
+main();
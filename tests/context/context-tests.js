@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * Context Tests
+ *
+ * Saves and refreshes a temp context.json (MEMENTO_CONTEXT_PATH) the way
+ * set_active_projects and the /context editor do, and mines keyword
+ * suggestions from fixture sessions. The fixture sessions are written to
+ * memory/sessions/ under context-test-* IDs and deleted afterwards.
+ * Run with: npm run test:context
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memento-context-'));
+const CONTEXT_PATH = path.join(dir, 'memento', 'context.json');
+process.env.MEMENTO_CONTEXT_PATH = CONTEXT_PATH;
+
+const { loadContext, readContextFile, saveContext, refreshContext } = require('../../backend/contextLoader');
+const { suggestKeywords, suggestForProject, isProjectCategory } = require('../../backend/contextSuggestions');
+const sessionIndex = require('../../backend/sessionIndex');
+
+const SESSIONS_DIR = path.join(__dirname, '../../memory/sessions');
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+const NOVEL = { name: 'PREY Novel', keywords: ['Dave', 'interiority'], categoryType: 'Creative Writing', writingTarget: 'obsidian:Drafts' };
+const PORTFOLIO = { name: 'Portfolio Site', keywords: ['resume'], categoryType: 'Project' };
+const GARDEN = { name: 'Garden Plan', keywords: ['tomatoes'], categoryType: 'Project', writingTarget: 'markdown:garden' };
+
+const SOURDOUGH = { name: 'Sourdough Lab', keywords: ['starter'], categoryType: 'Project' };
+const LAB = 'Project: Sourdough Lab';
+
+// Session A: one miss, one keyword match (by content) and two tabs regrouped into the project.
+// Session B files a regrouped URL under the project directly; it still counts once, as a regroup.
+const FIXTURES = {
+  'context-test-a': {
+    timestamp: '2026-03-01T10:00:00.000Z',
+    totalTabs: 5,
+    groups: {
+      [LAB]: [
+        { tabIndex: 1, title: 'Sourdough hydration ratios', url: 'https://bake.test/1' },
+        { tabIndex: 2, title: 'Feeding your starter', url: 'https://bake.test/2' },
+        { tabIndex: 3, title: 'Crumb structure', url: 'https://bake.test/3', contentPreview: 'Starter discard crackers' }
+      ],
+      Reading: [{ tabIndex: 4, title: 'Banneton proofing hydration starters', url: 'https://bake.test/4' }],
+      Shopping: [{ tabIndex: 5, title: 'Banneton care', url: 'https://bake.test/5' }]
+    },
+    dispositions: [
+      { action: 'regroup', itemId: 'https://bake.test/4', from: 'Reading', to: LAB, at: '2026-03-01T11:00:00.000Z' },
+      { action: 'regroup', itemId: 'https://bake.test/5', from: 'Shopping', to: 'Sourdough Lab notes', at: '2026-03-01T11:01:00.000Z' }
+    ]
+  },
+  'context-test-b': {
+    timestamp: '2026-03-02T10:00:00.000Z',
+    totalTabs: 2,
+    groups: {
+      [LAB]: [
+        { tabIndex: 1, title: 'Sourdough hydration ratios', url: 'https://bake.test/1' },
+        { tabIndex: 2, title: 'Banneton proofing hydration starters', url: 'https://bake.test/4' }
+      ]
+    },
+    dispositions: []
+  }
+};
+
+async function runAllTests() {
+  console.log('=== Context Tests ===');
+
+  console.log('\n--- Testing saveContext ---');
+  const first = await saveContext({
+    activeProjects: [{ ...NOVEL, name: ' PREY Novel ', keywords: ['Dave', ' dave ', 'interiority', ''] }, PORTFOLIO, { name: '  ' }],
+    archivedProjects: [GARDEN]
+  });
+  await logResult('context file created with its directory', fs.existsSync(CONTEXT_PATH) && readContextFile().context.generated === first.generated);
+  await logResult('names trimmed, keywords deduplicated, nameless projects dropped',
+    first.activeProjects.map(p => p.name).join() === 'PREY Novel,Portfolio Site' && first.activeProjects[0].keywords.join() === 'Dave,interiority');
+  await logResult('writing target stored', first.activeProjects[0].writingTarget === 'obsidian:Drafts' && !('writingTarget' in first.activeProjects[1]));
+
+  // set_active_projects passes a bare array of {name, keywords, categoryType}
+  const fromTool = await saveContext([{ name: 'PREY Novel', keywords: ['Dave', 'villain'], categoryType: 'Creative Writing' }, GARDEN]);
+  await logResult('array input keeps archived projects', fromTool.archivedProjects.map(p => p.name).join() === 'Garden Plan');
+  await logResult('array input keeps the stored writing target',
+    fromTool.activeProjects[0].writingTarget === 'obsidian:Drafts' && fromTool.activeProjects[0].keywords.join() === 'Dave,villain');
+  await logResult('restored project keeps its archived writing target', fromTool.activeProjects[1].writingTarget === 'markdown:garden');
+
+  const cleared = await saveContext({ activeProjects: [{ ...NOVEL, writingTarget: '' }] });
+  await logResult('empty writing target clears it', !('writingTarget' in cleared.activeProjects[0]));
+  await logResult('archived projects kept when omitted', cleared.archivedProjects.map(p => p.name).join() === 'Garden Plan');
+  await logResult('saved context loads', loadContext()?.activeProjects[0].name === 'PREY Novel');
+
+  console.log('\n--- Testing refreshContext ---');
+  const stale = { ...readContextFile().context, generated: new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString() };
+  fs.writeFileSync(CONTEXT_PATH, JSON.stringify(stale, null, 2));
+  await logResult('stale context ignored', loadContext() === null && readContextFile().stale === true);
+
+  const refreshed = await refreshContext();
+  const reloaded = loadContext();
+  await logResult('refresh re-dates the file', refreshed.success && reloaded?.generated === refreshed.generated && !readContextFile().stale, refreshed.message);
+  await logResult('refresh keeps projects as stored',
+    JSON.stringify(reloaded.activeProjects) === JSON.stringify(stale.activeProjects) && reloaded.archivedProjects.length === 1);
+
+  fs.writeFileSync(CONTEXT_PATH, '{"version": ');
+  const invalid = await refreshContext();
+  await logResult('invalid file not refreshed', !invalid.success && invalid.message.startsWith('Invalid context file:'), invalid.message);
+  fs.rmSync(CONTEXT_PATH);
+  const missing = await refreshContext();
+  await logResult('missing file not refreshed', !missing.success && missing.message === 'No context file to refresh' && !fs.existsSync(CONTEXT_PATH));
+
+  console.log('\n--- Testing keyword suggestions ---');
+  await logResult('exact project category matched', isProjectCategory(LAB, SOURDOUGH) && isProjectCategory('Creative Writing: PREY Novel', NOVEL));
+  await logResult('category naming the project matched', isProjectCategory('sourdough lab notes', SOURDOUGH));
+  await logResult('other categories not matched', !isProjectCategory('Reading', SOURDOUGH) && !isProjectCategory(undefined, SOURDOUGH));
+
+  const sessions = Object.values(FIXTURES);
+  const suggestions = suggestForProject(SOURDOUGH, sessions);
+  const byKeyword = Object.fromEntries(suggestions.map(s => [s.keyword, s]));
+  await logResult('regrouped tabs weigh double',
+    byKeyword.banneton?.score === 4 && byKeyword.banneton.regrouped === 2 && byKeyword.banneton.misses === 0, JSON.stringify(byKeyword.banneton));
+  await logResult('each URL counted once, at its highest weight',
+    byKeyword.hydration?.score === 3 && byKeyword.hydration.regrouped === 1 && byKeyword.hydration.misses === 1, JSON.stringify(byKeyword.hydration));
+  await logResult('best suggestions first', suggestions[0].keyword === 'banneton' && suggestions[1].keyword === 'hydration');
+  await logResult('single misses and keyword-matched tabs not suggested', !byKeyword.ratios && !byKeyword.feeding && !byKeyword.crumb);
+  await logResult('project name and existing keywords not suggested', !byKeyword.sourdough && !byKeyword.starters);
+  await logResult('examples list the evidence titles',
+    byKeyword.banneton.examples.join() === 'Banneton proofing hydration starters,Banneton care', byKeyword.banneton.examples.join(' / '));
+
+  for (const [id, session] of Object.entries(FIXTURES)) {
+    fs.writeFileSync(path.join(SESSIONS_DIR, `${id}.json`), JSON.stringify(session));
+  }
+
+  try {
+    const all = await suggestKeywords([SOURDOUGH, { keywords: ['nameless'] }, null]);
+    await logResult('suggestKeywords reads stored sessions per named project',
+      Object.keys(all).join() === 'Sourdough Lab' && all['Sourdough Lab'].slice(0, 2).map(s => `${s.keyword}:${s.score}`).join() === 'banneton:4,hydration:3',
+      Object.keys(all).join());
+  } catch (error) {
+    await logResult('suggestKeywords', false, error.message);
+  } finally {
+    for (const id of Object.keys(FIXTURES)) {
+      fs.rmSync(path.join(SESSIONS_DIR, `${id}.json`), { force: true });
+    }
+    await sessionIndex.getEntries();  // Drop the fixtures from the index
+  }
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  fs.rmSync(dir, { recursive: true, force: true });
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Effort Registry Tests
+ *
+ * Exercises the cross-session effort registry against a temp efforts.json
+ * (MEMENTO_EFFORTS_PATH), so ~/.memento is never touched.
+ * Run with: npm run test:efforts
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memento-efforts-'));
+process.env.MEMENTO_EFFORTS_PATH = path.join(dir, 'efforts.json');
+
+const effortRegistry = require('../../backend/effortRegistry');
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+const SESSION_EFFORT = {
+  id: 'effort-test-1',
+  name: 'Flow debugging',
+  createdAt: '2026-02-01T10:00:00.000Z',
+  items: [
+    { itemId: 'https://docs.example.com/flow/', title: 'Flow docs', url: 'https://docs.example.com/flow/' },
+    { itemId: 'https://github.com/a/b/issues/1', title: 'Issue', url: 'https://github.com/a/b/issues/1' }
+  ]
+};
+
+async function runAllTests() {
+  console.log('=== Effort Registry Tests ===');
+
+  console.log('\n--- Testing session sync ---');
+  await effortRegistry.syncFromSession(SESSION_EFFORT, '2026-02-01T10-00-00', 'created');
+  let [effort] = await effortRegistry.listEfforts();
+  await logResult('created effort registered', effort?.status === 'pending' && effort.itemCount === 2);
+  await logResult('history starts with created', effort?.history[0]?.event === 'created');
+
+  await effortRegistry.syncFromSession(SESSION_EFFORT, '2026-02-01T10-00-00', 'deferred');
+  const open = await effortRegistry.listEfforts({ status: 'open' });
+  await logResult('deferred effort is still open', open.length === 1 && open[0].status === 'deferred');
+
+  console.log('\n--- Testing capture matching ---');
+  const { efforts } = JSON.parse(fs.readFileSync(process.env.MEMENTO_EFFORTS_PATH, 'utf-8'));
+  const session = {
+    groups: {
+      Development: [
+        { url: 'https://docs.example.com/flow#setup', title: 'Flow docs' },
+        { url: 'https://news.example.com/', title: 'News' }
+      ]
+    }
+  };
+  const matches = effortRegistry.matchSession(efforts, session);
+  await logResult('URL matched across fragment and trailing slash',
+    matches.length === 1 && matches[0].items.length === 1 && matches[0].items[0].category === 'Development');
+  const none = effortRegistry.matchSession(efforts.map(e => ({ ...e, status: 'completed' })), session);
+  await logResult('completed efforts not matched', none.length === 0);
+
+  console.log('\n--- Testing item and effort resolution ---');
+  const ticked = await effortRegistry.setItemCompleted('effort-test-1', 'https://github.com/a/b/issues/1');
+  await logResult('item ticked off', ticked.success && ticked.effort.completedItems === 1, ticked.message);
+  const afterTick = effortRegistry.matchSession(
+    JSON.parse(fs.readFileSync(process.env.MEMENTO_EFFORTS_PATH, 'utf-8')).efforts,
+    { groups: { Dev: [{ url: 'https://github.com/a/b/issues/1', title: 'Issue' }] } }
+  );
+  await logResult('completed items not matched', afterTick.length === 0);
+
+  const completed = await effortRegistry.completeEffort('effort-test-1');
+  await logResult('effort completed', completed.success && completed.effort.completedItems === 2, completed.message);
+  const again = await effortRegistry.deferEffort('effort-test-1');
+  await logResult('completed effort cannot be deferred', again.success === false, again.message);
+
+  await effortRegistry.syncFromSession({ ...SESSION_EFFORT, status: 'completed' }, '2026-02-01T10-00-00', 'completed');
+  effort = await effortRegistry.getEffort('effort-test-1');
+  await logResult('session completion not recorded twice',
+    effort.history.filter(h => h.event === 'completed').length === 1);
+
+  const missing = await effortRegistry.completeEffort('effort-nope');
+  await logResult('unknown effort reported', missing.success === false, missing.message);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * Session Export Tests
+ *
+ * Renders a fixture session in every export format (md, obsidian, json,
+ * html) and checks frontmatter, wiki-links and escaping, plus the shared
+ * markdown helpers behind theme notes and attention-sync summaries.
+ * The fixture sessions are written to memory/sessions/ under export-test-*
+ * IDs and deleted afterwards.
+ * Run with: npm run test:export
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { exportSession, EXPORT_FORMATS } = require('../../backend/sessionExport');
+const { markdownToHtml, table, mdLink, wikiLink, frontmatter } = require('../../backend/markdownNote');
+const { generateNote } = require('../../backend/themeSaver');
+const { generateRecurringUnfinished } = require('../../backend/attention-sync');
+const sessionIndex = require('../../backend/sessionIndex');
+
+const SESSIONS_DIR = path.join(__dirname, '../../memory/sessions');
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+const TRICKY_TITLE = 'Pipes | <script>alert(1)</script> [draft]';
+const RECURRING_URL = 'https://example.com/long-read';
+const RECURRING_TITLE = 'A very long article title that keeps showing up in every single browsing session';
+
+const FIXTURES = {
+  'export-test-session': {
+    timestamp: '2026-03-01T10:00:00.000Z',
+    totalTabs: 5,
+    narrative: 'Reading about async runtimes',
+    groups: {
+      Research: [
+        { tabIndex: 1, title: TRICKY_TITLE, url: 'https://example.com/a?x=1&y=2' },
+        { tabIndex: 2, title: 'Tokio tutorial', url: 'https://tokio.rs/tokio/tutorial' },
+        { tabIndex: 3, title: 'Sneaky link', url: 'javascript:alert(1)' }
+      ],
+      Reading: [
+        { tabIndex: 4, title: 'Sourdough guide', url: 'https://example.com/sourdough' },
+        { tabIndex: 5, title: RECURRING_TITLE, url: RECURRING_URL }
+      ]
+    },
+    deepDiveResults: [
+      { url: 'https://tokio.rs/tokio/tutorial', title: 'Tokio tutorial', analysis: { summary: 'Spawning tasks on the runtime.', keyPoints: ['Use `tokio::spawn`', 'Tasks are *cheap*'] } },
+      { url: 'https://example.com/sourdough', title: 'Sourdough guide', error: 'timeout' }
+    ],
+    visualization: { mermaid: 'graph TD\n  A["<b>Research</b>"] --> B[Reading]' },
+    thematicAnalysis: {
+      sessionPattern: { type: 'research-heavy', intakeVsOutput: '80% intake, 20% output' },
+      projectSupport: { 'Async Runtime': { directTabs: [2], supportingTabs: [] } },
+      suggestedActions: [{ action: 'Write up **scheduler** notes', project: 'Async Runtime', priority: 'high', reason: 'Two sessions this week' }]
+    },
+    meta: { engine: 'mock' },
+    trace: { pass1: { prompt: 'secret prompt' } },
+    dispositions: [
+      { action: 'regroup', itemId: 'https://tokio.rs/tokio/tutorial', from: 'Research', to: 'Development', at: '2026-03-01T11:00:00.000Z' },
+      { action: 'complete', itemId: 'https://example.com/a?x=1&y=2', at: '2026-03-01T11:05:00.000Z' }
+    ]
+  },
+  'export-test-repeat': {
+    timestamp: '2026-03-02T10:00:00.000Z',
+    totalTabs: 1,
+    groups: { Reading: [{ tabIndex: 1, title: RECURRING_TITLE, url: RECURRING_URL }] },
+    meta: { engine: 'mock' },
+    dispositions: []
+  }
+};
+
+async function runAllTests() {
+  console.log('=== Session Export Tests ===');
+
+  console.log('\n--- Testing markdown helpers ---');
+  const link = mdLink('a [b]', 'https://x.test/p (1)');
+  await logResult('mdLink escapes label brackets, URL spaces and closing parens', link === '[a \\[b\\]](https://x.test/p%20(1%29)', link);
+  await logResult('wikiLink strips reserved characters', wikiLink(' Async [Runtime]|#^ ') === '[[Async Runtime]]');
+  await logResult('table escapes pipes and newlines', table(['A'], [['x | y\nz']]).endsWith('| x \\| y z |'));
+  const yaml = frontmatter({ title: 'Notes: draft', date: '2026-03-01', count: 2, skip: null, tags: ['a', 'b c'] });
+  await logResult('frontmatter quotes non-plain scalars',
+    yaml === '---\ntitle: "Notes: draft"\ndate: "2026-03-01"\ncount: 2\ntags:\n- a\n- "b c"\n---', yaml);
+
+  const rendered = markdownToHtml([
+    '---', 'title: dropped', '---',
+    '[ok](https://x.test) [bad](javascript:alert) [[Project]] **bold** `<b>code</b>`',
+    '',
+    '| Item | Detail |',
+    '|------|--------|',
+    '| a \\| b | c |',
+    '',
+    '```mermaid',
+    'graph TD',
+    '  A["<i>x</i>"] --> B',
+    '```'
+  ].join('\n'));
+  await logResult('frontmatter dropped from HTML', !rendered.includes('dropped'));
+  await logResult('only safe link schemes kept',
+    rendered.includes('<a href="https://x.test">ok</a>') && rendered.includes('<a href="#">bad</a>') && !rendered.includes('javascript:'), rendered.split('\n')[0]);
+  await logResult('wiki-links, bold and code rendered',
+    rendered.includes('<span class="wikilink">Project</span>') && rendered.includes('<strong>bold</strong>') && rendered.includes('<code>&lt;b&gt;code&lt;/b&gt;</code>'));
+  await logResult('escaped pipe stays in its cell', rendered.includes('<tr><td>a | b</td><td>c</td></tr>'));
+  await logResult('mermaid fence becomes an escaped mermaid block',
+    rendered.includes('<pre class="mermaid">graph TD\n  A[&quot;&lt;i&gt;x&lt;/i&gt;&quot;] --&gt; B</pre>'));
+
+  console.log('\n--- Testing exports ---');
+  for (const [id, session] of Object.entries(FIXTURES)) {
+    fs.writeFileSync(path.join(SESSIONS_DIR, `${id}.json`), JSON.stringify(session));
+  }
+
+  try {
+    await logResult('four formats', EXPORT_FORMATS.join() === 'md,obsidian,json,html');
+    await logResult('missing session exports nothing', (await exportSession('export-test-missing', 'md')) === null);
+
+    const md = await exportSession('export-test-session', 'md');
+    await logResult('md named and typed', md.filename === 'memento-export-test-session.md' && md.contentType.startsWith('text/markdown'));
+    await logResult('md has no frontmatter or wiki-links', md.body.startsWith('# Browsing Session') && !md.body.includes('[['));
+    await logResult('md applies dispositions',
+      md.body.includes('### Development (1)') && md.body.includes('*(moved from Research)*') && md.body.includes('## Resolved\n\n### Completed (1)'));
+    await logResult('md escapes link labels', md.body.includes('[Pipes | <script>alert(1)</script> \\[draft\\]](https://example.com/a?x=1&y=2)'));
+    await logResult('md disposition log escapes pipes', md.body.includes('| complete | Pipes \\| <script>alert(1)</script> [draft] |'));
+    await logResult('md keeps mermaid and failed deep dives',
+      md.body.includes('```mermaid\ngraph TD') && md.body.includes('*Deep dive failed: timeout*'));
+
+    const obsidian = await exportSession('export-test-session', 'obsidian');
+    const [, yamlBlock] = obsidian.body.split('---\n');
+    await logResult('obsidian frontmatter',
+      yamlBlock.includes('session_id: export-test-session') && yamlBlock.includes('projects:\n- "Async Runtime"') && yamlBlock.includes('session_pattern: research-heavy'),
+      yamlBlock.split('\n').slice(0, 4).join(' / '));
+    await logResult('obsidian wiki-links projects',
+      obsidian.body.includes('- [Projects] [[Async Runtime]]') && obsidian.body.includes('project: [[Async Runtime]]') && obsidian.body.includes('- relates_to [[Async Runtime]]'));
+
+    const json = await exportSession('export-test-session', 'json');
+    const parsed = JSON.parse(json.body);
+    await logResult('json omits the debug trace', !('trace' in parsed) && json.contentType.startsWith('application/json'));
+    await logResult('json has dispositions applied', parsed._completedItems?.length === 1 && Boolean(parsed.groups.Development));
+
+    const html = await exportSession('export-test-session', 'html');
+    await logResult('html is a standalone page', html.body.startsWith('<!DOCTYPE html>') && html.body.includes('<title>Memento Session export-test-session</title>'));
+    await logResult('html escapes tab titles', !html.body.includes('<script>alert') && html.body.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    await logResult('html neutralizes javascript: links', html.body.includes('<a href="#">Sneaky link</a>'));
+    await logResult('html renders the disposition table', /<tr><td>[^<]*<\/td><td>complete<\/td><td>Pipes \| &lt;script&gt;/.test(html.body));
+    const plain = await exportSession('export-test-repeat', 'html');
+    await logResult('html loads mermaid only for a session map',
+      html.body.includes('<pre class="mermaid">') && html.body.includes('mermaid.min.js') && !plain.body.includes('mermaid'));
+
+    console.log('\n--- Testing shared helpers in notes ---');
+    const note = generateNote({
+      label: 'Async Runtimes',
+      signalScore: 7,
+      candidateIntent: 'Learning how schedulers work',
+      memoryConnections: [{ name: 'Rust [async]', matchedKeywords: ['tokio'] }],
+      tabs: [{ title: TRICKY_TITLE, url: 'https://example.com/a', domain: 'example.com', recurrenceCount: 3, distinctDays: 2 }]
+    });
+    await logResult('theme note frontmatter', note.startsWith('---\ntitle: "Async Runtimes"\ntype: research-note\npermalink: projects/memento/themes/async-runtimes\n'));
+    await logResult('theme note wiki-links connections', note.includes('- [[Rust async]] (via: tokio)') && note.includes('- relates_to [[Rust async]]'));
+    await logResult('theme note tab table escapes pipes', note.includes('| [Pipes \\| <script>alert(1)</script> \\[draft\\]](https://example.com/a) | example.com | 3x | 2d |'));
+
+    const recurring = await generateRecurringUnfinished();
+    await logResult('attention-sync recurring note truncates titles',
+      recurring.content.includes(`**${RECURRING_TITLE.slice(0, 47)}...**\n  - Seen 2 times\n  - URL: ${RECURRING_URL}`));
+  } finally {
+    for (const id of Object.keys(FIXTURES)) {
+      fs.rmSync(path.join(SESSIONS_DIR, `${id}.json`), { force: true });
+    }
+    await sessionIndex.getEntries();  // Drop the fixtures from the index
+  }
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  process.exit(1);
+});
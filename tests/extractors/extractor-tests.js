@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Domain Extractor Tests
+ *
+ * Covers the extractor config the extension fetches (GET /api/extractors),
+ * per-domain versioning, the fields and extractor version kept on session
+ * items, extracted fields in the Pass 2 prompt (on the 'openai' engine
+ * backed by a stub server), and the extension's domain matching and
+ * content hashing.
+ * Run with: npm run test:extractors
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memento-extractors-'));
+fs.copyFileSync(path.join(__dirname, '../../backend/extractors.json'), path.join(dir, 'extractors.json'));
+process.env.MEMENTO_EXTRACTORS_PATH = path.join(dir, 'extractors.json');
+process.env.MEMENTO_USAGE_PATH = path.join(dir, 'usage.jsonl');
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+/**
+ * Chat-completions stub that keeps each prompt and returns a valid deep dive
+ */
+function startStubServer(prompts) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      prompts.push(JSON.parse(body || '{}').messages?.[0]?.content || '');
+      const content = JSON.stringify({
+        summary: 'A paper on structured concurrency.',
+        keyPoints: ['Task groups bound child lifetimes'],
+        entities: { people: ['Alice Smith'], tools: [], concepts: ['structured concurrency'] },
+        relevance: 'Background reading'
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'chatcmpl-stub',
+        object: 'chat.completion',
+        model: 'stub-model',
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 300, completion_tokens: 40, total_tokens: 340 }
+      }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * extension/capture.js in a sandbox, for its pure helpers
+ */
+function loadCaptureScript() {
+  const sandbox = { console, URL, setTimeout, crypto, TextEncoder, Uint8Array };
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../../extension/capture.js'), 'utf-8'), sandbox);
+  return sandbox;
+}
+
+async function runAllTests() {
+  console.log('=== Domain Extractor Tests ===');
+
+  const prompts = [];
+  const server = await startStubServer(prompts);
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.OPENAI_MODEL = 'local-test-model';
+  delete process.env.OPENAI_API_KEY;
+
+  const { getCaptureExtractors, addExtractor } = require('../../backend/correctionAnalyzer');
+  const { classifyWithMock, runDeepDive } = require('../../backend/classifier');
+
+  console.log('\n--- Testing capture config ---');
+  const config = await getCaptureExtractors();
+  const arxiv = config.domains['arxiv.org'];
+  await logResult('arxiv fields normalized to specs',
+    arxiv?.fields.abstract?.selector?.includes('citation_abstract') && arxiv.fields.title?.selector === 'meta[name="citation_title"]');
+  await logResult('authors collected as a list', arxiv?.fields.authors?.multiple === true);
+  await logResult('domain version included', arxiv?.version === 2, String(arxiv?.version));
+
+  await addExtractor('example.org', { selectors: ['main h1', '.lede'] });
+  const legacy = (await getCaptureExtractors()).domains['example.org'];
+  await logResult('selector-only config captured as one field',
+    legacy?.fields.selected?.selector === 'main h1, .lede' && legacy.fields.selected.multiple === true);
+  await logResult('new domain starts at version 1', legacy?.version === 1);
+
+  await addExtractor('example.org', { fields: { headline: 'main h1' } });
+  const updated = (await getCaptureExtractors()).domains['example.org'];
+  await logResult('replacing a domain bumps its version', updated?.version === 2 && updated.fields.headline?.selector === 'main h1');
+  const saved = JSON.parse(fs.readFileSync(process.env.MEMENTO_EXTRACTORS_PATH, 'utf-8'));
+  await logResult('written to MEMENTO_EXTRACTORS_PATH', saved.domains['example.org']?.version === 2);
+
+  console.log('\n--- Testing session items ---');
+  const abstract = 'We study structured concurrency. '.repeat(60);
+  const tab = {
+    url: 'https://arxiv.org/abs/2401.01234',
+    title: 'Structured Concurrency in Practice',
+    content: 'arXiv:2401.01234 Structured Concurrency in Practice ...',
+    fields: { title: 'Structured Concurrency in Practice', authors: ['Alice Smith', 'Bob Jones'], abstract },
+    extractor: { domain: 'arxiv.org', version: 2 }
+  };
+  const mock = await classifyWithMock([tab, { url: 'https://example.com/', title: 'Example', content: 'Example Domain' }]);
+  const items = Object.values(mock.groups).flat();
+  const item = items.find(i => i.url === tab.url);
+  await logResult('fields kept on the session item', JSON.stringify(item?.fields?.authors) === '["Alice Smith","Bob Jones"]');
+  await logResult('long field values shortened for storage', item?.fields?.abstract.length === 1000, String(item?.fields?.abstract.length));
+  await logResult('extractor version recorded', item?.extractor?.domain === 'arxiv.org' && item.extractor.version === 2);
+  await logResult('tabs without an extractor unchanged', items.find(i => i.url === 'https://example.com/')?.extractor === undefined);
+
+  console.log('\n--- Testing deep dive ---');
+  const dive = await runDeepDive(tab, ['methodology'], 'openai', true);
+  await logResult('deep dive succeeds', !dive.error, dive.error || '');
+  await logResult('extracted fields lead the Pass 2 content',
+    /EXTRACTED FIELDS:\ntitle: Structured Concurrency in Practice\nauthors: Alice Smith; Bob Jones\nabstract: We study/.test(prompts[0] || ''));
+  await logResult('page text follows', /PAGE TEXT:\narXiv:2401\.01234/.test(prompts[0] || ''));
+
+  console.log('\n--- Testing extension matching ---');
+  const capture = loadCaptureScript();
+  const domains = (await getCaptureExtractors()).domains;
+  await logResult('www prefix matches', capture.extractorFor('https://www.arxiv.org/abs/1', domains)?.domain === 'arxiv.org');
+  await logResult('subdomain matches', capture.extractorFor('https://gist.github.com/a/b', domains)?.domain === 'github.com');
+  await logResult('lookalike host does not match', capture.extractorFor('https://notgithub.com/', domains) === null);
+  await logResult('matched extractor carries version and fields',
+    capture.extractorFor('https://github.com/a/b', domains)?.version === 2 && Boolean(capture.extractorFor('https://github.com/a/b', domains).fields.readme));
+  await logResult('no config, no extractor', capture.extractorFor('https://arxiv.org/abs/1', null) === null);
+
+  console.log('\n--- Testing content hashing ---');
+  const hash = await capture.contentHashOf('Task groups bound\nchild lifetimes.');
+  await logResult('hash is hex SHA-256', /^[0-9a-f]{64}$/.test(hash || ''), hash);
+  await logResult('whitespace and case ignored',
+    await capture.contentHashOf('  task groups   bound child\n\nLifetimes. ') === hash);
+  await logResult('changed text changes the hash', await capture.contentHashOf('Task groups bound child lifetimes!') !== hash);
+  await logResult('empty page has no hash', await capture.contentHashOf('  \n ') === null);
+
+  const classified = Object.values((await classifyWithMock([{ ...tab, contentHash: hash, contentInfo: { extraction: 'readability', wordCount: 6, readingMinutes: 1, language: 'en' } }])).groups).flat()[0];
+  await logResult('hash and reading stats kept on the session item',
+    classified?.contentHash === hash && classified.contentInfo?.language === 'en');
+
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  fs.rmSync(dir, { recursive: true, force: true });
+  process.exit(1);
+});
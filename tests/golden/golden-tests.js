@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+/**
+ * Golden-file Classification Tests
+ *
+ * Runs classifyWithLLM end to end on the 'replay' engine (models/replay.js)
+ * for each fixture in tests/golden/fixtures/<name>/:
+ *
+ *   input.json        { tabs, context }
+ *   recordings.json   model responses keyed by prompt hash
+ *   expected.json     groups, deep dives, visualization and thematic analysis
+ *
+ * and diffs the result against expected.json, then resumes each fixture from
+ * its pass-2 checkpoint to check earlier passes are not re-run. No server or
+ * live model needed.
+ *
+ * Run with: npm run test:golden [-- options]
+ *   --fixture <name>        Only this fixture
+ *   --update                Rewrite expected.json from the current output
+ *   --record --engine <e>   Re-record responses from a live engine, then update
+ *   --from-session <id> --name <fixture>
+ *                           Seed a fixture from a debug-mode session's trace
+ *   --verbose               Show classifier logs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memento-golden-'));
+// Keep replayed runs out of ~/.memento and independent of approved preferences
+process.env.MEMENTO_USAGE_PATH = path.join(tmpDir, 'usage.jsonl');
+process.env.MEMENTO_LEARNED_RULES_PATH = path.join(tmpDir, 'learned-rules.json');
+
+const { classifyWithLLM } = require('../../backend/classifier');
+const { useRecordings, recordingsFromTrace } = require('../../backend/models/replay');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const MAX_DIFFS = 20;
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+function parseArgs(argv) {
+  const args = { fixture: null, update: false, record: false, engine: null, fromSession: null, name: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--fixture') args.fixture = argv[++i];
+    else if (arg === '--update') args.update = true;
+    else if (arg === '--record') args.record = true;
+    else if (arg === '--engine') args.engine = argv[++i];
+    else if (arg === '--from-session') args.fromSession = argv[++i];
+    else if (arg === '--name') args.name = argv[++i];
+    else if (arg === '--verbose') args.verbose = true;
+  }
+  return args;
+}
+
+function readJson(file, fallback = null) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : fallback;
+}
+
+function writeJson(file, value) {
+  fs.writeFileSync(file, JSON.stringify(value, null, 2) + '\n');
+}
+
+/**
+ * The parts of a result a classifier change can regress
+ */
+function goldenView(result) {
+  return {
+    groups: result.groups,
+    deepDiveResults: result.deepDiveResults || [],
+    visualization: result.visualization?.mermaid || null,
+    thematicAnalysis: result.thematicAnalysis || null
+  };
+}
+
+/**
+ * Path-level differences between two JSON values
+ */
+function diffValues(expected, actual, at = '', diffs = []) {
+  if (diffs.length >= MAX_DIFFS) return diffs;
+  if (JSON.stringify(expected) === JSON.stringify(actual)) return diffs;
+
+  const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object'
+    && Array.isArray(expected) === Array.isArray(actual);
+  if (!bothObjects) {
+    diffs.push(`${at || '(root)'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    return diffs;
+  }
+
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  for (const key of keys) {
+    diffValues(expected[key], actual[key], Array.isArray(expected) ? `${at}[${key}]` : (at ? `${at}.${key}` : key), diffs);
+  }
+  return diffs;
+}
+
+/**
+ * Run the classifier for one fixture, quietly unless --verbose
+ */
+async function classifyFixture(input, verbose, checkpoint = null) {
+  const { error: logError, warn: logWarn } = console;
+  if (!verbose) {
+    console.error = () => {};
+    console.warn = () => {};
+  }
+  try {
+    return await classifyWithLLM(input.tabs, 'replay', input.context || null, false, null, checkpoint);
+  } finally {
+    console.error = logError;
+    console.warn = logWarn;
+  }
+}
+
+async function runFixture(name, args) {
+  const dir = path.join(FIXTURES_DIR, name);
+  const input = readJson(path.join(dir, 'input.json'));
+  const recordingsPath = path.join(dir, 'recordings.json');
+  const expectedPath = path.join(dir, 'expected.json');
+
+  if (args.record) {
+    useRecordings({}, { mode: 'record', recordEngine: args.engine, path: recordingsPath });
+  } else {
+    useRecordings(readJson(recordingsPath, {}), { mode: 'replay' });
+  }
+
+  let result;
+  try {
+    result = await classifyFixture(input, args.verbose);
+  } catch (error) {
+    await logResult(`${name}: classification ran`, false, error.message);
+    return;
+  }
+
+  // Missing recordings surface as per-pass errors rather than throwing
+  const actual = goldenView(result);
+  const replayErrors = [
+    ...actual.deepDiveResults.filter(d => d.error).map(d => `deep dive ${d.url}: ${d.error}`),
+    ...(result.visualization?.error ? [`visualization: ${result.visualization.error}`] : []),
+    ...(actual.thematicAnalysis?.error ? [`thematic analysis: ${actual.thematicAnalysis.error}`] : [])
+  ];
+
+  if (args.update || args.record) {
+    writeJson(expectedPath, actual);
+    await logResult(`${name}: expected.json updated`, replayErrors.length === 0, replayErrors.join('; '));
+    return;
+  }
+
+  await logResult(`${name}: every pass replayed`, replayErrors.length === 0, replayErrors.join('; '));
+
+  const expected = readJson(expectedPath);
+  if (!expected) {
+    await logResult(`${name}: matches expected.json`, false, 'no expected.json yet (run with --update)');
+    return;
+  }
+  for (const section of Object.keys(expected)) {
+    const diffs = diffValues(expected[section], actual[section], section);
+    await logResult(`${name}: ${section} matches`, diffs.length === 0, diffs.length ? `\n      ${diffs.join('\n      ')}` : '');
+  }
+}
+
+/**
+ * Resume a fixture from its pass-2 checkpoint, the way the job queue retries
+ * a failed capture: passes 1 and 2 must not reach the model again.
+ */
+async function checkResume(name, verbose) {
+  const dir = path.join(FIXTURES_DIR, name);
+  const input = readJson(path.join(dir, 'input.json'));
+  const recordings = readJson(path.join(dir, 'recordings.json'), {});
+
+  // Every prompt hash the replay engine looks up, in call order
+  const lookups = [];
+  useRecordings(new Proxy(recordings, {
+    get(target, hash) {
+      if (typeof hash === 'string') lookups.push(hash);
+      return target[hash];
+    }
+  }), { mode: 'replay' });
+
+  let checkpointed = null;
+  const earlyLookups = [];
+  const full = await classifyFixture(input, verbose, {
+    state: null,
+    save(state) {
+      if (state.completedPass === 2) {
+        checkpointed = JSON.parse(JSON.stringify(state));
+        earlyLookups.push(...lookups);
+      }
+    }
+  });
+  await logResult(`${name}: pass-2 checkpoint saved`, Boolean(checkpointed) && earlyLookups.length > 0);
+  if (!checkpointed) return;
+
+  lookups.length = 0;
+  const resumed = await classifyFixture(input, verbose, { state: checkpointed, save() {} });
+  const repeated = lookups.filter(hash => earlyLookups.includes(hash));
+  await logResult(`${name}: resume skips passes 1 and 2`, repeated.length === 0 && lookups.length > 0,
+    `${repeated.length} repeated call(s), ${lookups.length} after resume`);
+  const diffs = diffValues(goldenView(full), goldenView(resumed));
+  await logResult(`${name}: resumed result matches a full run`, diffs.length === 0, diffs.join('; '));
+}
+
+/**
+ * Seed a fixture from a debug-mode session: tabs rebuilt from its groups,
+ * the current context, and recordings from its trace. Prompts only match
+ * when the tabs and context reproduce the ones used at capture.
+ */
+async function seedFromSession(sessionId, name) {
+  const { readSession } = require('../../backend/memory');
+  const { loadContext } = require('../../backend/contextLoader');
+  const { reconstructTabsFromSession } = require('../../backend/mcp/reclassify');
+
+  const session = await readSession(sessionId);
+  if (!session?.trace?.pass1?.prompt) {
+    throw new Error(`${sessionId} has no trace; capture it with debug mode on`);
+  }
+
+  const dir = path.join(FIXTURES_DIR, name);
+  fs.mkdirSync(dir, { recursive: true });
+  writeJson(path.join(dir, 'input.json'), { tabs: reconstructTabsFromSession(session), context: loadContext() });
+  const recordings = recordingsFromTrace(session.trace);
+  writeJson(path.join(dir, 'recordings.json'), recordings);
+  console.log(`Seeded ${name} with ${Object.keys(recordings).length} recorded response(s) from ${sessionId}`);
+}
+
+async function runAllTests() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.record && !args.engine) {
+    throw new Error('--record needs --engine (ollama-local, anthropic or openai)');
+  }
+  if (args.fromSession) {
+    if (!args.name) throw new Error('--from-session needs --name <fixture>');
+    await seedFromSession(args.fromSession, args.name);
+    args.fixture = args.name;
+    args.update = true;
+  }
+
+  console.log('=== Golden-file Classification Tests ===');
+  const fixtures = args.fixture
+    ? [args.fixture]
+    : fs.readdirSync(FIXTURES_DIR).filter(f => fs.existsSync(path.join(FIXTURES_DIR, f, 'input.json')));
+
+  for (const name of fixtures) {
+    console.log(`\n--- ${name} ---`);
+    await runFixture(name, args);
+    if (!args.update && !args.record) {
+      await checkResume(name, args.verbose);
+    }
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(1);
+});
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * History Import Tests
+ *
+ * Builds small Chrome History / bookmark / OneTab / Session Buddy fixtures in
+ * a temp directory and checks format detection, parsing and windowing.
+ * Uses dryRun, except the re-import checks, which save mock-classified
+ * sessions to memory/sessions/ and delete them afterwards.
+ * Run with: npm run test:import
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importHistory, detectFormat, IMPORT_FORMATS } = require('../../backend/historyImport');
+const sessionIndex = require('../../backend/sessionIndex');
+const { sessionIdForDate } = require('../../backend/memory');
+
+const SESSIONS_DIR = path.join(__dirname, '../../memory/sessions');
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+// 2026-02-03 09:00 UTC, as Chrome's microseconds-since-1601
+const BASE_MS = Date.UTC(2026, 1, 3, 9, 0, 0);
+const toWebkit = ms => (ms + 11644473600000) * 1000;
+
+async function writeChromeHistory(file) {
+  const initSqlJs = require('sql.js');
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run('CREATE TABLE urls (id INTEGER PRIMARY KEY, url TEXT, title TEXT)');
+  db.run('CREATE TABLE visits (id INTEGER PRIMARY KEY, url INTEGER, visit_time INTEGER)');
+
+  const urls = [
+    [1, 'https://github.com/a/repo', 'Repo'],
+    [2, 'https://arxiv.org/abs/1', 'Paper'],
+    [3, 'https://docs.example.com/guide', 'Guide'],
+    [4, 'chrome://settings', 'Settings'],
+    [5, 'https://news.example.com/x', 'News']
+  ];
+  urls.forEach(u => db.run('INSERT INTO urls VALUES (?, ?, ?)', u));
+
+  // Window 1 (09:00-12:00): repo x3, paper, guide, settings (ignored)
+  // Window 2 (next day): only news, below minTabs
+  const visits = [
+    [1, BASE_MS], [1, BASE_MS + 60000], [1, BASE_MS + 120000],
+    [2, BASE_MS + 600000], [3, BASE_MS + 3600000], [4, BASE_MS + 3700000],
+    [5, BASE_MS + 86400000]
+  ];
+  visits.forEach(([url, ms], i) => db.run('INSERT INTO visits VALUES (?, ?, ?)', [i + 1, url, toWebkit(ms)]));
+
+  fs.writeFileSync(file, Buffer.from(db.export()));
+  db.close();
+}
+
+async function runAllTests() {
+  console.log('=== History Import Tests ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memento-import-'));
+  const files = {
+    chrome: path.join(dir, 'History'),
+    bookmarks: path.join(dir, 'bookmarks.html'),
+    onetab: path.join(dir, 'onetab.txt'),
+    sessionbuddy: path.join(dir, 'sessionbuddy.json')
+  };
+
+  await writeChromeHistory(files.chrome);
+  const addDate = Math.floor(BASE_MS / 1000);
+  fs.writeFileSync(files.bookmarks, `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<DL><p>
+  <DT><A HREF="https://a.example.com/?x=1&amp;y=2" ADD_DATE="${addDate}">A &amp; B</A>
+  <DT><A HREF="https://b.example.com" ADD_DATE="${addDate + 60}">B</A>
+  <DT><A HREF="https://c.example.com" ADD_DATE="${addDate + 120}">C</A>
+</DL>`);
+  fs.writeFileSync(files.onetab, [
+    'https://one.example.com | One',
+    'https://two.example.com | Two | with pipe',
+    'https://three.example.com | Three',
+    '',
+    'https://four.example.com | Four',
+    'https://five.example.com | Five',
+    'https://six.example.com | Six'
+  ].join('\n'));
+  fs.writeFileSync(files.sessionbuddy, JSON.stringify({
+    sessions: [{
+      name: 'Research',
+      created: BASE_MS,
+      windows: [{ tabs: [
+        { url: 'https://x.example.com', title: 'X' },
+        { url: 'https://y.example.com', title: 'Y' },
+        { url: 'https://z.example.com', title: 'Z' }
+      ] }]
+    }]
+  }));
+
+  console.log('\n--- Testing format detection ---');
+  for (const format of IMPORT_FORMATS) {
+    const detected = detectFormat(fs.readFileSync(files[format]));
+    await logResult(`detects ${format}`, detected === format, detected);
+  }
+
+  console.log('\n--- Testing Chrome History windows ---');
+  try {
+    const result = await importHistory(files.chrome, { dryRun: true });
+    const [window] = result.windows;
+    await logResult('one window above minTabs', result.windows.length === 1, result.message);
+    await logResult('non-http URLs skipped, URLs deduped', window?.tabs === 3 && window.visits === 6,
+      `${window?.tabs} tabs / ${window?.visits} visits`);
+    await logResult('window starts at visit time bucket', window?.start === new Date(BASE_MS).toISOString(), window?.start);
+
+    const narrow = await importHistory(files.chrome, { dryRun: true, minTabs: 1, since: '2026-02-04' });
+    await logResult('since filter applied', narrow.windows.length === 1 && narrow.windows[0].tabs === 1);
+  } catch (error) {
+    await logResult('chrome import', false, error.message);
+  }
+
+  console.log('\n--- Testing grouped exports ---');
+  try {
+    const onetab = await importHistory(files.onetab, { dryRun: true });
+    const ids = new Set(onetab.windows.map(w => w.sessionId));
+    await logResult('OneTab groups become sessions', onetab.windows.length === 2);
+    await logResult('OneTab session IDs are distinct', ids.size === 2);
+    await logResult('OneTab groups marked undated', onetab.windows.every(w => w.undated));
+    const rerun = await importHistory(files.onetab, { dryRun: true });
+    await logResult('OneTab import keys stable across runs',
+      JSON.stringify(rerun.windows.map(w => w.importKey)) === JSON.stringify(onetab.windows.map(w => w.importKey)));
+    const ranged = await importHistory(files.onetab, { dryRun: true, since: '2026-01-01' });
+    await logResult('since/until refused for undated groups', ranged.success === false, ranged.message);
+
+    const buddy = await importHistory(files.sessionbuddy, { dryRun: true });
+    await logResult('Session Buddy session keeps its date',
+      buddy.windows.length === 1 && buddy.windows[0].start === new Date(BASE_MS).toISOString() && buddy.windows[0].label === 'Research');
+
+    const bookmarks = await importHistory(files.bookmarks, { dryRun: true });
+    await logResult('bookmarks bucketed by ADD_DATE', bookmarks.windows.length === 1 && bookmarks.windows[0].tabs === 3);
+  } catch (error) {
+    await logResult('grouped import', false, error.message);
+  }
+
+  console.log('\n--- Testing re-import ---');
+  const saved = [];
+  try {
+    const first = await importHistory(files.onetab, { mock: true });
+    saved.push(...(first.imported || []));
+    const second = await importHistory(files.onetab, { mock: true });
+    saved.push(...(second.imported || []));
+    await logResult('first OneTab import saves both groups', first.imported?.length === 2, first.message);
+    await logResult('same OneTab export imports zero new sessions',
+      second.imported?.length === 0 && second.existing?.length === 2, second.message);
+
+    // A capture saved at the same second as a dated window is not a duplicate
+    const captureId = sessionIdForDate(new Date(BASE_MS));
+    fs.writeFileSync(path.join(SESSIONS_DIR, `${captureId}.json`), JSON.stringify({ timestamp: new Date(BASE_MS).toISOString(), totalTabs: 0, groups: {} }));
+    saved.push(captureId);
+    const buddy = await importHistory(files.sessionbuddy, { mock: true });
+    saved.push(...(buddy.imported || []));
+    await logResult('window sharing a second with another session moves to the next one',
+      buddy.imported?.length === 1 && buddy.existing?.length === 0 && buddy.imported[0] === sessionIdForDate(new Date(BASE_MS + 1000)),
+      buddy.message);
+  } catch (error) {
+    await logResult('re-import', false, error.message);
+  } finally {
+    for (const id of saved) fs.rmSync(path.join(SESSIONS_DIR, `${id}.json`), { force: true });
+    await sessionIndex.getEntries();  // Drop the deleted sessions from the index
+  }
+
+  console.log('\n--- Testing errors ---');
+  const missing = await importHistory(path.join(dir, 'nope'));
+  await logResult('missing file reported', missing.success === false);
+  const badFormat = await importHistory(files.onetab, { format: 'safari' });
+  await logResult('unknown format rejected', badFormat.success === false, badFormat.message);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  process.exit(1);
+});
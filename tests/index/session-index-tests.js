@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Session Index Tests
+ *
+ * Writes, rewrites and deletes fixture session files behind the index's back
+ * and checks that the reconcile stat pass picks each change up by mtime and
+ * size, and that appendDisposition updates the entry through updateSession.
+ * Fixture sessions are written to memory/sessions/ under index-test-* IDs and
+ * deleted afterwards.
+ * Run with: npm run test:index
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const sessionIndex = require('../../backend/sessionIndex');
+const { appendDisposition } = require('../../backend/dispositions');
+
+const SESSIONS_DIR = path.join(__dirname, '../../memory/sessions');
+const IDS = ['index-test-session', 'index-test-malformed', 'index-test-dispositions'];
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+function sessionFile(id) {
+  return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+function fixture(titles, extra = {}) {
+  return {
+    timestamp: '2026-03-01T10:00:00.000Z',
+    totalTabs: titles.length,
+    groups: { Research: titles.map((title, i) => ({ tabIndex: i + 1, title, url: `https://example.com/${i + 1}` })) },
+    meta: { engine: 'mock' },
+    dispositions: [],
+    ...extra
+  };
+}
+
+/**
+ * Write a session file and pin its mtime, so changes of the same size can be
+ * told apart (or deliberately hidden) within the filesystem's mtime resolution
+ */
+function writeSession(id, session, mtime) {
+  fs.writeFileSync(sessionFile(id), JSON.stringify(session));
+  fs.utimesSync(sessionFile(id), mtime, mtime);
+}
+
+async function entryFor(id) {
+  return (await sessionIndex.getEntries()).find(e => e.id === id) || null;
+}
+
+async function runAllTests() {
+  console.log('=== Session Index Tests ===');
+
+  const id = IDS[0];
+  const base = new Date('2026-03-01T12:00:00.000Z');
+
+  try {
+    console.log('\n--- Testing reconcile ---');
+    await sessionIndex.getEntries();
+    writeSession(id, fixture(['Tokio tutorial'], { trace: { pass1: 'prompt' } }), base);
+    const added = await entryFor(id);
+    const stat = fs.statSync(sessionFile(id));
+    await logResult('new file indexed', added?.tabs.length === 1 && added.tabs[0].title === 'Tokio tutorial' && added.engine === 'mock');
+    await logResult('entry stamped with mtime and size', added.mtimeMs === stat.mtimeMs && added.size === stat.size);
+    await logResult('unchanged file not re-parsed', (await sessionIndex.getEntry(id)) === added);
+
+    writeSession(id, fixture(['Tokio tutorial', 'Async book']), base);
+    const grown = await entryFor(id);
+    await logResult('size change picked up', grown.tabs.length === 2 && grown.totalTabs === 2 && grown.mtimeMs === base.getTime());
+
+    const sameSize = fixture(['Tokio tutorial', 'Async BOOK']);
+    writeSession(id, sameSize, base);
+    await logResult('same mtime and size trusted as unchanged', (await entryFor(id)).tabs[1].title === 'Async book');
+    writeSession(id, sameSize, new Date(base.getTime() + 60000));
+    const touched = await entryFor(id);
+    await logResult('mtime change picked up', touched.tabs[1].title === 'Async BOOK' && touched.size === grown.size);
+
+    sessionIndex.resetCache();
+    writeSession(id, fixture(['Tokio tutorial', 'Async book', 'Pin and Unpin']), new Date(base.getTime() + 120000));
+    await logResult('write from another process picked up after reload', (await entryFor(id))?.tabs.length === 3);
+    const persisted = JSON.parse(fs.readFileSync(sessionIndex.INDEX_PATH, 'utf-8'));
+    await logResult('index persisted', persisted.entries[id]?.tabs.length === 3);
+
+    const session = await sessionIndex.getSession(id);
+    session.narrative = 'tagged by a caller';
+    await logResult('full session served without trace', session._id === id && !('trace' in session) && session.groups.Research.length === 3);
+    await logResult('callers get a copy', (await sessionIndex.getSession(id)).narrative === undefined);
+
+    fs.writeFileSync(sessionFile(IDS[1]), '{"timestamp": ');
+    await logResult('malformed file skipped', (await entryFor(IDS[1])) === null && (await entryFor(id)) !== null);
+    fs.rmSync(sessionFile(IDS[1]));
+
+    fs.rmSync(sessionFile(id));
+    await logResult('deleted file dropped', (await entryFor(id)) === null && (await sessionIndex.getSession(id)) === null);
+    await logResult('deletion persisted', !(id in JSON.parse(fs.readFileSync(sessionIndex.INDEX_PATH, 'utf-8')).entries));
+
+    console.log('\n--- Testing updateSession via appendDisposition ---');
+    const dispositionsId = IDS[2];
+    writeSession(dispositionsId, fixture(['Tokio tutorial', 'Async book']), base);
+    const before = await entryFor(dispositionsId);
+    const appended = await appendDisposition(dispositionsId, { action: 'complete', itemId: 1 });
+    const onDisk = JSON.parse(fs.readFileSync(sessionIndex.INDEX_PATH, 'utf-8')).entries[dispositionsId];
+    await logResult('index file updated without a stat pass',
+      appended.success && before.dispositionCount === 0 && onDisk?.dispositionCount === 1, appended.message);
+    await logResult('entry restamped with the new file',
+      onDisk.mtimeMs === fs.statSync(sessionFile(dispositionsId)).mtimeMs && onDisk.size === fs.statSync(sessionFile(dispositionsId)).size);
+
+    const after = await sessionIndex.getEntry(dispositionsId);
+    await logResult('tab rows carry the disposition', after.tabs[0].disposition === 'complete' && after.tabs[1].disposition === null);
+    await logResult('updated entry not re-parsed by the next reconcile', (await sessionIndex.getEntry(dispositionsId)) === after);
+    await logResult('cached session has the disposition', (await sessionIndex.getSession(dispositionsId)).dispositions.length === 1);
+
+    await appendDisposition(dispositionsId, { action: 'trash', itemId: 2 });
+    sessionIndex.resetCache();
+    await logResult('second disposition survives a reload', (await sessionIndex.getEntry(dispositionsId)).dispositionCount === 2);
+  } catch (error) {
+    await logResult('session index', false, error.message);
+  } finally {
+    for (const fixtureId of IDS) {
+      fs.rmSync(sessionFile(fixtureId), { force: true });
+    }
+    await sessionIndex.getEntries();  // Drop the fixtures from the index
+  }
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  process.exit(1);
+});
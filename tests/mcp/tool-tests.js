@@ -3,12 +3,21 @@
  * Memento MCP Tool Tests
  *
  * Validates each tool works correctly before Claude Desktop integration.
+ * The compare_sessions fixtures are written to memory/sessions/ under
+ * compare-test-* IDs and deleted afterwards.
  * Run with: npm run test:mcp
  */
 
+const fs = require('fs');
+const path = require('path');
+
 const { listSessions, readSession, getLatestSession, searchSessions } = require('../../backend/memory');
 const { loadContext, saveContext } = require('../../backend/contextLoader');
 const { reclassifySession, listReclassifications } = require('../../backend/mcp/reclassify');
+const { compareSessions } = require('../../backend/sessionCompare');
+const sessionIndex = require('../../backend/sessionIndex');
+
+const SESSIONS_DIR = path.join(__dirname, '../../memory/sessions');
 
 const results = [];
 const TEST_PROJECTS = [
@@ -97,6 +106,117 @@ async function testSearchSessions() {
   }
 }
 
+async function testCompareSessions() {
+  console.log('\n--- Testing compare_sessions ---');
+  try {
+    const missing = await compareSessions('nonexistent-session-id', 'nonexistent-session-id');
+    await logResult('compare_sessions handles missing', missing === null);
+
+    const sessions = await listSessions();
+    if (sessions.length < 2) {
+      await logResult('compare_sessions', false, 'Need two sessions to compare');
+      return;
+    }
+
+    const [later, earlier] = sessions;
+    const comparison = await compareSessions(earlier.id, later.id);
+    const { summary } = comparison;
+    await logResult('compare_sessions returns diff', true,
+      `+${summary.added} -${summary.closed} =${summary.persisted}, ${summary.categoryMoves} moved`);
+
+    // Every tab in the later session is either added or persisted
+    await logResult('compare_sessions accounts for all tabs',
+      summary.added + summary.persisted === comparison.b.totalTabs);
+
+    const self = await compareSessions(later.id, later.id);
+    await logResult('compare_sessions self-diff is empty',
+      self.summary.added === 0 && self.summary.closed === 0 && self.summary.categoryMoves === 0);
+  } catch (error) {
+    await logResult('compare_sessions', false, error.message);
+  }
+}
+
+// Two captures of the same window: one tab closed, one opened, one regrouped,
+// one completed. The earlier one carries the legacy percentage fields.
+const COMPARE_FIXTURES = {
+  'compare-test-earlier': {
+    timestamp: '2026-03-01T10:00:00.000Z',
+    totalTabs: 4,
+    groups: {
+      Research: [
+        { tabIndex: 0, title: 'Tokio tutorial', url: 'https://tokio.rs/tokio/tutorial' },
+        { tabIndex: 1, title: 'Async book', url: 'https://rust-lang.github.io/async-book/' }
+      ],
+      Reading: [
+        { tabIndex: 2, title: 'Sourdough guide', url: 'https://example.com/sourdough' },
+        { tabIndex: 3, title: 'Old news', url: 'https://news.example.com/old' }
+      ]
+    },
+    thematicAnalysis: { sessionPattern: { type: 'research-heavy', intakePercentage: 80, outputPercentage: 20 } },
+    dispositions: []
+  },
+  'compare-test-later': {
+    timestamp: '2026-03-02T10:00:00.000Z',
+    totalTabs: 4,
+    groups: {
+      Research: [
+        { tabIndex: 0, title: 'Tokio tutorial', url: 'https://tokio.rs/tokio/tutorial' },
+        { tabIndex: 1, title: 'Async book', url: 'https://rust-lang.github.io/async-book/' }
+      ],
+      Reading: [
+        { tabIndex: 2, title: 'Sourdough guide', url: 'https://example.com/sourdough' }
+      ],
+      Development: [
+        { tabIndex: 3, title: 'Runtime repo', url: 'https://github.com/example/runtime' }
+      ]
+    },
+    thematicAnalysis: { sessionPattern: { type: 'balanced', intakeVsOutput: '50% intake, 50% output' } },
+    dispositions: [
+      { action: 'regroup', itemId: 'https://rust-lang.github.io/async-book/', from: 'Research', to: 'Development', at: '2026-03-02T11:00:00.000Z' },
+      { action: 'complete', itemId: 'https://example.com/sourdough', at: '2026-03-02T11:05:00.000Z' }
+    ]
+  }
+};
+
+async function testCompareFixtureSessions() {
+  console.log('\n--- Testing compare_sessions on fixtures ---');
+  for (const [id, session] of Object.entries(COMPARE_FIXTURES)) {
+    fs.writeFileSync(path.join(SESSIONS_DIR, `${id}.json`), JSON.stringify(session));
+  }
+
+  try {
+    const comparison = await compareSessions('compare-test-earlier', 'compare-test-later');
+    const urls = list => list.map(t => t.url).join(', ');
+
+    await logResult('compare_sessions finds added tabs', urls(comparison.added) === 'https://github.com/example/runtime', urls(comparison.added));
+    await logResult('compare_sessions finds closed tabs', urls(comparison.closed) === 'https://news.example.com/old', urls(comparison.closed));
+    await logResult('compare_sessions finds persisted tabs', comparison.summary.persisted === 3);
+
+    const [move] = comparison.categoryMoves;
+    await logResult('compare_sessions applies regroups as category moves',
+      comparison.categoryMoves.length === 1 && move.url === 'https://rust-lang.github.io/async-book/' && move.from === 'Research' && move.to === 'Development',
+      JSON.stringify(comparison.categoryMoves));
+
+    const [change] = comparison.dispositionChanges;
+    await logResult('compare_sessions reports disposition changes',
+      comparison.dispositionChanges.length === 1 && change.url === 'https://example.com/sourdough' && change.from === 'pending' && change.to === 'completed',
+      JSON.stringify(comparison.dispositionChanges));
+
+    const shift = comparison.patternShift;
+    await logResult('compare_sessions reads legacy percentage fields', shift.from.intake === 80 && shift.from.output === 20, JSON.stringify(shift.from));
+    await logResult('compare_sessions computes the pattern shift',
+      shift.from.type === 'research-heavy' && shift.to.type === 'balanced' && shift.intakeDelta === -30 && shift.outputDelta === 30,
+      JSON.stringify(shift));
+  } catch (error) {
+    await logResult('compare_sessions on fixtures', false, error.message);
+  } finally {
+    for (const id of Object.keys(COMPARE_FIXTURES)) {
+      fs.rmSync(path.join(SESSIONS_DIR, `${id}.json`), { force: true });
+    }
+    await sessionIndex.getEntries();  // Drop the fixtures from the index
+  }
+}
+
 // === CONTEXT MANAGEMENT TOOL TESTS ===
 
 async function testGetActiveProjects() {
@@ -188,6 +308,8 @@ async function runAllTests() {
   await testReadSession();
   await testGetLatest();
   await testSearchSessions();
+  await testCompareSessions();
+  await testCompareFixtureSessions();
 
   // Context Management Tools
   await testGetActiveProjects();
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * OpenAI-compatible Driver Tests
+ *
+ * Runs the 'openai' engine against a stub /v1/chat/completions server,
+ * so no real endpoint or API key is needed.
+ * Run with: npm run test:models
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Keep stub calls out of ~/.memento/usage.jsonl
+process.env.MEMENTO_USAGE_PATH = path.join(os.tmpdir(), `memento-usage-${process.pid}.jsonl`);
+
+const results = [];
+const requests = [];
+let stubMode = 'ok';
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+/**
+ * Minimal chat-completions stub (llama.cpp / LM Studio / vLLM shape)
+ */
+function startStubServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+
+      if (stubMode === 'error') {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'stub failure' } }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'chatcmpl-stub',
+        object: 'chat.completion',
+        model: 'stub-model',
+        choices: [{ index: 0, message: { role: 'assistant', content: '{"ok":true}' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 42, completion_tokens: 7, total_tokens: 49 }
+      }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function runAllTests() {
+  console.log('=== OpenAI-compatible Driver Tests ===');
+
+  const server = await startStubServer();
+  const { port } = server.address();
+
+  // Driver reads its config at load time
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${port}/v1/`;
+  process.env.OPENAI_MODEL = 'local-test-model';
+  delete process.env.OPENAI_API_KEY;
+  const { runModel, getEngineInfo } = require('../../backend/models');
+
+  console.log('\n--- Testing engine info ---');
+  const info = getEngineInfo('openai');
+  await logResult('engine is openai', info.engine === 'openai');
+  await logResult('endpoint uses configured base URL',
+    info.endpoint === `http://127.0.0.1:${port}/v1/chat/completions`, info.endpoint);
+  await logResult('model comes from OPENAI_MODEL', info.model === 'local-test-model');
+
+  console.log('\n--- Testing runModel ---');
+  try {
+    const response = await runModel('openai', 'Classify these tabs', { purpose: 'pass1' });
+    const sent = requests[requests.length - 1];
+
+    await logResult('returns message text', response.text === '{"ok":true}');
+    await logResult('usage mapped to input/output tokens',
+      response.usage?.input_tokens === 42 && response.usage?.output_tokens === 7,
+      JSON.stringify(response.usage));
+    await logResult('POSTs to /v1/chat/completions', sent.method === 'POST' && sent.url === '/v1/chat/completions');
+    await logResult('sends prompt as user message',
+      sent.body.messages?.[0]?.role === 'user' && sent.body.messages[0].content === 'Classify these tabs');
+    await logResult('sends configured model', sent.body.model === 'local-test-model');
+    await logResult('no Authorization header without key', !sent.headers.authorization);
+
+    const ledger = fs.readFileSync(process.env.MEMENTO_USAGE_PATH, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    await logResult('call recorded in usage ledger with its purpose',
+      ledger.length === 1 && ledger[0].purpose === 'pass1' && ledger[0].model === 'local-test-model' &&
+      ledger[0].inputTokens === 42 && ledger[0].costUsd === null,
+      JSON.stringify(ledger[0]));
+  } catch (error) {
+    await logResult('runModel', false, error.message);
+  }
+
+  console.log('\n--- Testing error handling ---');
+  stubMode = 'error';
+  const before = requests.length;
+  try {
+    await runModel('openai', 'will fail');
+    await logResult('HTTP errors throw', false, 'did not throw');
+  } catch (error) {
+    await logResult('HTTP errors throw', /OpenAI HTTP 500/.test(error.message), error.message.slice(0, 60));
+    await logResult('retries once before failing', requests.length - before === 2, `${requests.length - before} attempts`);
+  }
+
+  server.close();
+  fs.rmSync(process.env.MEMENTO_USAGE_PATH, { force: true });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Structured Output Tests
+ *
+ * Runs runStructured() through the 'openai' engine against a stub server
+ * that replays scripted responses, covering validation, the single repair
+ * round-trip and final failure.
+ * Run with: npm run test:models
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Keep stub calls out of ~/.memento/usage.jsonl
+process.env.MEMENTO_USAGE_PATH = path.join(os.tmpdir(), `memento-usage-${process.pid}.jsonl`);
+
+const results = [];
+const requests = [];
+let scripted = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+/**
+ * Chat-completions stub that answers with the next scripted content
+ */
+function startStubServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body || '{}'));
+      const content = scripted.shift() || '';
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 10, completion_tokens: 5 }
+      }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function runAllTests() {
+  console.log('=== Structured Output Tests ===');
+
+  const server = await startStubServer();
+  const { port } = server.address();
+
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${port}/v1`;
+  const { runStructured, StructuredOutputError } = require('../../backend/structuredOutput');
+  const { PASS_SCHEMAS } = require('../../backend/passSchemas');
+
+  console.log('\n--- Testing valid response ---');
+  scripted = [JSON.stringify({
+    assignments: { '1': { category: 'Development', signals: ['github.com'] }, '2': 'Research' },
+    narrative: 'Reading code',
+    deepDive: ['2']
+  })];
+  try {
+    const response = await runStructured('openai', 'classify', PASS_SCHEMAS.pass1);
+    const sent = requests[requests.length - 1];
+
+    await logResult('sends json_schema response_format',
+      sent.response_format?.type === 'json_schema' && sent.response_format.json_schema.name === 'classify_tabs');
+    await logResult('schema defaults applied', response.data.assignments['1'].confidence === 'unknown');
+    await logResult('string tab refs coerced to numbers', response.data.deepDive[0] === 2);
+    await logResult('parsing status success',
+      response.parsing.status === 'success' && response.parsing.attempts === 1 && response.parsing.mode === 'json_schema');
+  } catch (error) {
+    await logResult('valid response', false, error.message);
+  }
+
+  console.log('\n--- Testing repair round-trip ---');
+  scripted = [
+    '```json\n{"summary": 42}\n```',
+    '{"summary":"Fixed","keyPoints":["a"]}'
+  ];
+  try {
+    const response = await runStructured('openai', 'deep dive', PASS_SCHEMAS.pass2);
+    const repairPrompt = requests[requests.length - 1].messages[0].content;
+
+    await logResult('repaired on second attempt',
+      response.parsing.status === 'repaired' && response.parsing.attempts === 2 && response.data.summary === 'Fixed');
+    await logResult('repair prompt includes validation errors', /summary: /.test(repairPrompt), repairPrompt.split('\n').find(l => l.startsWith('- ')));
+    await logResult('first attempt errors recorded', response.parsing.errors.length === 1);
+    await logResult('usage summed across attempts',
+      response.usage.input_tokens === 20 && response.usage.output_tokens === 10, JSON.stringify(response.usage));
+  } catch (error) {
+    await logResult('repair round-trip', false, error.message);
+  }
+
+  console.log('\n--- Testing final failure ---');
+  scripted = ['not json', '{"mermaid":"pie title nope"}'];
+  try {
+    await runStructured('openai', 'diagram', PASS_SCHEMAS.pass3);
+    await logResult('throws after failed repair', false, 'did not throw');
+  } catch (error) {
+    await logResult('throws StructuredOutputError', error instanceof StructuredOutputError);
+    await logResult('parsing status failed', error.parsing?.status === 'failed' && error.parsing.attempts === 2);
+    await logResult('raw responses kept', error.rawResponses?.length === 2);
+    await logResult('refine message surfaced', /graph\/flowchart/.test(error.message), error.message.slice(0, 80));
+  }
+
+  server.close();
+  fs.rmSync(process.env.MEMENTO_USAGE_PATH, { force: true });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  process.exit(1);
+});
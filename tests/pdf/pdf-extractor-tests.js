@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * PDF Extractor Tests
+ *
+ * Serves generated PDFs from a local HTTP server and checks Pass 0:
+ * text layers across pages, metadata and DOI, the page and character
+ * budgets, and the vision fallback for a scanned page and for a
+ * canvas-rendered page's screenshot on the 'openai' engine backed by a stub
+ * chat-completions endpoint on the same server.
+ * Run with: npm run test:pdf
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memento-pdf-'));
+process.env.MEMENTO_USAGE_PATH = path.join(dir, 'usage.jsonl');
+process.env.MEMENTO_VISION_ENGINE = 'off';
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+/**
+ * Minimal valid PDF: one Helvetica text page per string, a filled
+ * rectangle (no text layer, like a scan) per null
+ */
+function buildPdf({ pages, info = {} }) {
+  const objects = [];
+  const add = body => { objects.push(body); return objects.length; };
+  const catalog = add(null);
+  const pagesObj = add(null);
+  const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const kids = [];
+  for (const text of pages) {
+    const stream = text
+      ? `BT /F1 12 Tf 72 720 Td 14 TL ${text.split('\n').map(line => `(${line.replace(/[()\\]/g, '\\$&')}) Tj T*`).join(' ')} ET`
+      : '0 0 1 rg 100 100 200 200 re f';
+    const content = add(`<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`);
+    kids.push(add(`<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${content} 0 R >>`));
+  }
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`;
+  objects[pagesObj - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+  const infoObj = add(`<< ${Object.entries(info).map(([key, value]) => `/${key} (${value})`).join(' ')} >>`);
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(pdf));
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoObj} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf);
+}
+
+const PAPER = buildPdf({
+  pages: [
+    'Structured Concurrency in Practice\nAlice Smith and Bob Jones\nhttps://doi.org/10.1145/3591234.3591250.',
+    'Task groups bound the lifetime of child tasks to a lexical scope.',
+    'Cancellation propagates from a parent scope to every child.'
+  ],
+  info: { Title: 'Structured Concurrency in Practice', Author: 'Alice Smith; Bob Jones' }
+});
+const SCANNED = buildPdf({
+  pages: ['Appendix A: survey responses, transcribed below.', null],
+  info: { Title: 'paper-final-v3.pdf' }
+});
+const SCANNED_ONLY = buildPdf({ pages: [null] });
+
+/**
+ * PDFs by path, plus a chat-completions stub that transcribes any page image
+ */
+function startServer(visionRequests) {
+  const files = {
+    '/paper.pdf': PAPER,
+    '/scanned.pdf': SCANNED,
+    '/scanned-only.pdf': SCANNED_ONLY,
+    '/not-a-pdf.pdf': Buffer.from('<html><body>Sign in to continue</body></html>')
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = JSON.parse(body || '{}');
+        visionRequests.push(request);
+        const parts = request.messages?.[0]?.content;
+        const hasImage = Array.isArray(parts) && parts.some(p => /^data:image\/(png|jpeg);base64,/.test(p.image_url?.url || ''));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: 'chatcmpl-stub',
+          object: 'chat.completion',
+          model: 'stub-vision-model',
+          choices: [{ index: 0, message: { role: 'assistant', content: hasImage ? 'Q1: Strongly agree\nQ2: Neutral' : '' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 900, completion_tokens: 12, total_tokens: 912 }
+        }));
+      });
+      return;
+    }
+
+    const file = files[req.url];
+    if (!file) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': file.length });
+    res.end(file);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function runAllTests() {
+  console.log('=== PDF Extractor Tests ===');
+
+  const visionRequests = [];
+  const server = await startServer(visionRequests);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.OPENAI_BASE_URL = `${base}/v1`;
+  process.env.OPENAI_MODEL = 'local-test-model';
+  delete process.env.OPENAI_API_KEY;
+
+  const { extractPdfContent, processVisualExtractionTabs } = require('../../backend/pdfExtractor');
+
+  console.log('\n--- Testing text layers ---');
+  const paper = await extractPdfContent(`${base}/paper.pdf`);
+  await logResult('extraction succeeds', paper.success, paper.error || '');
+  await logResult('every page read', paper.pageCount === 3 && paper.pagesExtracted === 3,
+    `${paper.pagesExtracted}/${paper.pageCount}`);
+  await logResult('text from first and last page',
+    paper.text?.includes('Structured Concurrency in Practice') && paper.text.includes('Cancellation propagates'));
+  await logResult('text-only method, not truncated', paper.method === 'pdf-text' && paper.truncated === false);
+
+  console.log('\n--- Testing metadata ---');
+  await logResult('title from info', paper.metadata?.title === 'Structured Concurrency in Practice');
+  await logResult('authors split', JSON.stringify(paper.metadata?.authors) === '["Alice Smith","Bob Jones"]',
+    JSON.stringify(paper.metadata?.authors));
+  await logResult('DOI found in text without trailing period', paper.metadata?.doi === '10.1145/3591234.3591250',
+    paper.metadata?.doi);
+
+  console.log('\n--- Testing budgets ---');
+  const onePage = await extractPdfContent(`${base}/paper.pdf`, { maxPages: 1 });
+  await logResult('page budget respected', onePage.pagesExtracted === 1 && onePage.truncated === true && onePage.pageCount === 3);
+  const short = await extractPdfContent(`${base}/paper.pdf`, { maxChars: 40 });
+  await logResult('character budget respected', short.text?.length === 40 && short.truncated === true);
+  await logResult('DOI still found when text is cut', short.metadata?.doi === '10.1145/3591234.3591250');
+
+  console.log('\n--- Testing failures ---');
+  const notPdf = await extractPdfContent(`${base}/not-a-pdf.pdf`);
+  await logResult('non-PDF response rejected', notPdf.success === false && /%PDF/.test(notPdf.error || ''), notPdf.error);
+  const missing = await extractPdfContent(`${base}/missing.pdf`);
+  await logResult('HTTP error reported', missing.success === false && /404/.test(missing.error || ''), missing.error);
+  const unreadable = await extractPdfContent(`${base}/scanned-only.pdf`);
+  await logResult('scan without vision engine fails with a hint',
+    unreadable.success === false && /MEMENTO_VISION_ENGINE/.test(unreadable.error || ''), unreadable.error);
+
+  console.log('\n--- Testing vision fallback ---');
+  const textOnly = await extractPdfContent(`${base}/scanned.pdf`);
+  await logResult('scanned page skipped without an engine',
+    textOnly.method === 'pdf-text' && JSON.stringify(textOnly.scannedPages) === '[2]' && visionRequests.length === 0);
+  await logResult('file-name title ignored', textOnly.metadata?.title === null, String(textOnly.metadata?.title));
+
+  const withVision = await extractPdfContent(`${base}/scanned.pdf`, { visionEngine: 'openai' });
+  await logResult('only the scanned page sent to vision', visionRequests.length === 1, `${visionRequests.length} request(s)`);
+  await logResult('page image attached', Array.isArray(visionRequests[0]?.messages?.[0]?.content));
+  await logResult('transcription merged after text page',
+    withVision.method === 'pdf-text+vision' && /Appendix A[\s\S]*Q1: Strongly agree/.test(withVision.text || ''), withVision.method);
+  await logResult('vision usage returned', withVision.usage?.input_tokens === 900);
+
+  const ledger = fs.readFileSync(process.env.MEMENTO_USAGE_PATH, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  await logResult('vision call tagged pdf-vision in the ledger',
+    ledger.length === 1 && ledger[0].purpose === 'pdf-vision' && ledger[0].model === 'local-test-model');
+
+  console.log('\n--- Testing Pass 0 tabs ---');
+  const tabs = await processVisualExtractionTabs([
+    { url: `${base}/paper.pdf`, title: 'paper.pdf', content: '', needsVisualExtraction: true },
+    { url: 'https://example.com/', title: 'Example', content: 'Example Domain' }
+  ]);
+  await logResult('metadata leads the content', tabs[0].content.startsWith(
+    'Title: Structured Concurrency in Practice\nAuthors: Alice Smith, Bob Jones\nDOI: 10.1145/3591234.3591250\n\n'));
+  await logResult('pdf metadata kept on the tab',
+    tabs[0].pdf?.pageCount === 3 && tabs[0].pdf.doi === '10.1145/3591234.3591250' && tabs[0].extractionMethod === 'pdf-text');
+  await logResult('flag cleared, other tabs untouched', tabs[0].needsVisualExtraction === false && tabs[1].content === 'Example Domain');
+
+  console.log('\n--- Testing canvas pages ---');
+  const canvasTab = {
+    url: 'https://docs.example.com/d/1/edit',
+    title: 'Survey notes',
+    content: 'File Edit View',
+    needsVisualExtraction: true,
+    visualSource: 'canvas',
+    screenshot: `data:image/jpeg;base64,${Buffer.from('jpeg bytes').toString('base64')}`
+  };
+  const [skipped] = await processVisualExtractionTabs([canvasTab]);
+  await logResult('canvas page without an engine keeps its text',
+    skipped.content === 'File Edit View' && /MEMENTO_VISION_ENGINE/.test(skipped.extractionError || ''));
+
+  process.env.MEMENTO_VISION_ENGINE = 'openai';
+  const [canvas] = await processVisualExtractionTabs([canvasTab]);
+  process.env.MEMENTO_VISION_ENGINE = 'off';
+  await logResult('captured screenshot sent to vision',
+    visionRequests[1]?.messages?.[0]?.content?.some(p => p.image_url?.url === canvasTab.screenshot));
+  await logResult('transcription replaces the page text',
+    canvas.content.startsWith('Q1: Strongly agree') && canvas.extractionMethod === 'screenshot-vision' && canvas.pdf === undefined);
+  await logResult('screenshot not kept on the tab', canvas.screenshot === undefined && skipped.screenshot === undefined);
+  const pageLedger = fs.readFileSync(process.env.MEMENTO_USAGE_PATH, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  await logResult('canvas call tagged page-vision in the ledger', pageLedger.length === 2 && pageLedger[1].purpose === 'page-vision');
+
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  fs.rmSync(dir, { recursive: true, force: true });
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * Note Promoter Tests
+ *
+ * Promotes Launchpad items from a fixture session into temp Basic Memory,
+ * Obsidian and markdown roots (BASIC_MEMORY_PATH, OBSIDIAN_VAULT_PATH,
+ * MEMENTO_NOTES_DIR) and checks target resolution, unique filenames,
+ * note URIs and the recorded promote disposition. The fixture session is
+ * written to memory/sessions/ as promote-test-session and deleted afterwards.
+ * Run with: npm run test:promote
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memento-promote-'));
+const BM_DIR = path.join(dir, 'basic-memory');
+const VAULT_DIR = path.join(dir, 'My Vault');
+const NOTES_DIR = path.join(dir, 'notes');
+process.env.BASIC_MEMORY_PATH = BM_DIR;
+process.env.OBSIDIAN_VAULT_PATH = VAULT_DIR;
+process.env.MEMENTO_NOTES_DIR = NOTES_DIR;
+fs.mkdirSync(path.join(BM_DIR, 'research', 'rust'), { recursive: true });
+fs.mkdirSync(path.join(VAULT_DIR, '.obsidian'), { recursive: true });
+fs.mkdirSync(path.join(VAULT_DIR, 'Inbox'));
+
+const { listPromoteTargets, promoteItem, resolveTarget, noteUri } = require('../../backend/notePromoter');
+const { readSession } = require('../../backend/memory');
+const sessionIndex = require('../../backend/sessionIndex');
+
+const SESSIONS_DIR = path.join(__dirname, '../../memory/sessions');
+const SESSION_ID = 'promote-test-session';
+const TOKIO_URL = 'https://tokio.rs/tokio/tutorial';
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+const SESSION = {
+  timestamp: '2026-03-01T10:00:00.000Z',
+  totalTabs: 2,
+  groups: {
+    Research: [
+      { tabIndex: 1, title: 'Tokio: Tutorial', url: TOKIO_URL, contentPreview: 'Spawning   tasks\non the runtime' },
+      { tabIndex: 2, title: 'Sourdough guide', url: 'https://example.com/sourdough' }
+    ]
+  },
+  deepDiveResults: [
+    { url: TOKIO_URL, analysis: { summary: 'How tasks are spawned.', keyPoints: ['tokio::spawn returns a JoinHandle'] } }
+  ],
+  dispositions: [
+    { action: 'regroup', itemId: TOKIO_URL, from: 'Research', to: 'Async Rust', at: '2026-03-01T11:00:00.000Z' }
+  ]
+};
+
+function readNote(filePath) {
+  return fs.readFileSync(filePath, 'utf-8');
+}
+
+async function runAllTests() {
+  console.log('=== Note Promoter Tests ===');
+
+  console.log('\n--- Testing resolveTarget ---');
+  const research = resolveTarget('basic-memory:/research/rust/');
+  await logResult('folder resolved under its root', research?.dir === path.join(BM_DIR, 'research', 'rust') && research.folder === 'research/rust');
+  await logResult('backslashes normalized', resolveTarget('obsidian:Inbox\\daily')?.folder === 'Inbox/daily');
+  await logResult('.. inside the root allowed', resolveTarget('basic-memory:research/../research')?.dir === path.join(BM_DIR, 'research'));
+  await logResult('.. out of the root refused', resolveTarget('basic-memory:../outside') === null && resolveTarget('obsidian:Inbox/../../x') === null);
+  await logResult('unknown kind refused', resolveTarget('notion:Inbox') === null && resolveTarget('research') === null);
+
+  console.log('\n--- Testing listPromoteTargets ---');
+  const { roots, targets } = await listPromoteTargets();
+  const ids = targets.map(t => t.id);
+  await logResult('folders listed per root', ['basic-memory:', 'basic-memory:research', 'basic-memory:research/rust', 'obsidian:Inbox', 'markdown:'].every(id => ids.includes(id)), ids.join(', '));
+  await logResult('dot-folders hidden', !ids.some(id => id.includes('.obsidian')));
+  await logResult('markdown root available before it exists', roots.find(r => r.kind === 'markdown')?.available === true && !fs.existsSync(NOTES_DIR));
+
+  console.log('\n--- Testing noteUri ---');
+  const [bmRoot, obsidianRoot, markdownRoot] = ['basic-memory:', 'obsidian:', 'markdown:'].map(id => resolveTarget(id).root);
+  await logResult('basic-memory URI', noteUri(bmRoot, 'research', 'tokio.md') === 'memory://research/tokio');
+  await logResult('obsidian URI', noteUri(obsidianRoot, 'Inbox', 'tokio.md') === 'obsidian://open?vault=My%20Vault&file=Inbox%2Ftokio');
+  await logResult('markdown file URI', noteUri(markdownRoot, '', 'tokio.md') === pathToFileURL(path.join(NOTES_DIR, 'tokio.md')).href);
+
+  console.log('\n--- Testing promoteItem ---');
+  fs.writeFileSync(path.join(SESSIONS_DIR, `${SESSION_ID}.json`), JSON.stringify(SESSION));
+
+  try {
+    const first = await promoteItem(SESSION_ID, TOKIO_URL, 'basic-memory:research');
+    const firstPath = path.join(BM_DIR, 'research', 'tokio-tutorial.md');
+    await logResult('note written under the folder', first.success && first.filePath === firstPath && fs.existsSync(firstPath), first.message);
+    const note = readNote(firstPath);
+    await logResult('note frontmatter', note.includes('permalink: research/tokio-tutorial') && note.includes(`source_url: "${TOKIO_URL}"`) && note.includes(`session_id: ${SESSION_ID}`));
+    await logResult('note uses the regrouped category', note.includes('- [Category] Async Rust'));
+    await logResult('note carries the deep dive and excerpt',
+      note.includes('## Summary\n\nHow tasks are spawned.') && note.includes('- tokio::spawn returns a JoinHandle') && note.includes('> Spawning tasks on the runtime'));
+    await logResult('memory:// target returned', first.target === 'memory://research/tokio-tutorial');
+
+    const second = await promoteItem(SESSION_ID, TOKIO_URL, 'basic-memory:research');
+    await logResult('second promote gets a suffixed file', second.filePath === path.join(BM_DIR, 'research', 'tokio-tutorial-2.md'));
+    await logResult('permalink rewritten for the suffixed file',
+      readNote(second.filePath).includes('permalink: research/tokio-tutorial-2') && second.target === 'memory://research/tokio-tutorial-2');
+    await logResult('first note left untouched', readNote(firstPath) === note);
+
+    const obsidian = await promoteItem(SESSION_ID, TOKIO_URL, 'obsidian:Inbox');
+    await logResult('obsidian target', obsidian.target === 'obsidian://open?vault=My%20Vault&file=Inbox%2Ftokio-tutorial', obsidian.target);
+    const markdown = await promoteItem(SESSION_ID, 'https://example.com/sourdough', 'markdown:');
+    await logResult('markdown target creates the notes dir',
+      markdown.filePath === path.join(NOTES_DIR, 'sourdough-guide.md') && markdown.target.startsWith('file://'), markdown.target);
+
+    const escaped = await promoteItem(SESSION_ID, TOKIO_URL, 'basic-memory:../outside');
+    await logResult('.. target refused', !escaped.success && escaped.message === 'Unknown promote target: basic-memory:../outside' && !fs.existsSync(path.join(dir, 'outside')));
+    const missingItem = await promoteItem(SESSION_ID, 'https://example.com/nope', 'markdown:');
+    await logResult('missing item refused', !missingItem.success && missingItem.message === 'Item not found in session');
+    const missingSession = await promoteItem('promote-test-missing', TOKIO_URL, 'markdown:');
+    await logResult('missing session refused', !missingSession.success && missingSession.message === 'Session not found');
+
+    const promotes = (await readSession(SESSION_ID)).dispositions.filter(d => d.action === 'promote');
+    await logResult('one promote disposition per written note',
+      promotes.map(d => d.target).join() === [first.target, second.target, obsidian.target, markdown.target].join(),
+      promotes.map(d => d.target).join(', '));
+    await logResult('disposition keyed by item ID', promotes[0].itemId === TOKIO_URL && promotes[3].itemId === 'https://example.com/sourdough');
+  } catch (error) {
+    await logResult('promoteItem', false, error.message);
+  } finally {
+    fs.rmSync(path.join(SESSIONS_DIR, `${SESSION_ID}.json`), { force: true });
+    await sessionIndex.getEntries();  // Drop the fixture from the index
+  }
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  fs.rmSync(dir, { recursive: true, force: true });
+  process.exit(1);
+});
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Prompt Registry Tests
+ *
+ * Covers rendering, version saving and activation against a temp copy of
+ * backend/prompts (MEMENTO_PROMPTS_DIR), then replays a session's Pass 1
+ * through two versions on the 'openai' engine backed by a stub server.
+ * Run with: npm run test:prompts
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memento-prompts-'));
+fs.cpSync(path.join(__dirname, '../../backend/prompts'), path.join(dir, 'prompts'), { recursive: true });
+process.env.MEMENTO_PROMPTS_DIR = path.join(dir, 'prompts');
+process.env.MEMENTO_USAGE_PATH = path.join(dir, 'usage.jsonl');
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+/**
+ * Chat-completions stub: files every tab under "News" when the prompt
+ * carries the v2 marker, "Development" otherwise
+ */
+function startStubServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const prompt = JSON.parse(body || '{}').messages?.map(m => m.content).join('\n') || '';
+      const category = prompt.includes('FILE EVERYTHING UNDER NEWS') ? 'News' : 'Development';
+      const content = JSON.stringify({
+        assignments: { 1: category, 2: category },
+        narrative: 'Stub narrative'
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'chatcmpl-stub',
+        object: 'chat.completion',
+        model: 'stub-model',
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }
+      }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function runAllTests() {
+  console.log('=== Prompt Registry Tests ===');
+
+  const server = await startStubServer();
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1/`;
+  process.env.OPENAI_MODEL = 'local-test-model';
+  delete process.env.OPENAI_API_KEY;
+
+  const registry = require('../../backend/promptRegistry');
+  const { replayPass } = require('../../backend/promptEval');
+
+  console.log('\n--- Testing render ---');
+  const templates = registry.listTemplates();
+  await logResult('every template has an existing active version',
+    templates.length > 0 && templates.every(t => t.versions.some(v => v.version === t.active)),
+    `${templates.length} templates`);
+
+  const chat = registry.renderPrompt('task-chat', {
+    item: 'Rust book', type: 'ghost_tab', insight: 'Open for weeks', question: 'Read it or close it?',
+    projects: '- Memento', historyBlock: null, userMessage: 'Hello there'
+  });
+  await logResult('placeholders filled', chat.text.includes('"Rust book"') && chat.text.includes('Hello there') && !chat.text.includes('{{'));
+  await logResult('render reports template and version', chat.template === 'task-chat' && chat.version === 'v1');
+
+  let missingError = null;
+  try {
+    registry.renderPrompt('task-chat', { item: 'Rust book' });
+  } catch (error) {
+    missingError = error.message;
+  }
+  await logResult('missing variable throws', /userMessage/.test(missingError || ''), missingError);
+
+  const unsaved = registry.renderPrompt('task-chat', { userMessage: 'hi' }, { template: 'Q: {{userMessage}}' });
+  await logResult('unsaved template text renders without a version', unsaved.text === 'Q: hi' && unsaved.version === null);
+
+  console.log('\n--- Testing versions ---');
+  const rejected = registry.saveVersion('pass1-classify', 'Classify {{nonsense}}');
+  await logResult('unknown placeholder rejected', rejected.success === false, rejected.message);
+
+  const base = registry.getTemplate('pass1-classify');
+  const pass1Versions = templates.find(t => t.name === 'pass1-classify').versions;
+  const expectedVersion = `v${pass1Versions.length + 1}`;
+  const saved = registry.saveVersion('pass1-classify', `FILE EVERYTHING UNDER NEWS\n${base.template}`, { note: 'News bias', basedOn: base.version });
+  await logResult('saved as the next version', saved.success && saved.version === expectedVersion, saved.message);
+  await logResult('saving does not activate by default', registry.getTemplate('pass1-classify').version === base.version);
+  const candidate = registry.getTemplate('pass1-classify', saved.version);
+  await logResult('version metadata kept', candidate.meta.note === 'News bias' && candidate.meta.basedOn === base.version);
+
+  const activated = registry.setActiveVersion('pass1-classify', saved.version);
+  await logResult('new version activated', activated.success && registry.getTemplate('pass1-classify').version === saved.version);
+  const unknown = registry.setActiveVersion('pass1-classify', 'v99');
+  await logResult('unknown version not activated', unknown.success === false);
+  registry.setActiveVersion('pass1-classify', base.version);
+
+  console.log('\n--- Testing replay ---');
+  const session = {
+    groups: {
+      Development: [
+        { url: 'https://github.com/a/b', title: 'Repo', tabIndex: 1 },
+        { url: 'https://nodejs.org/docs', title: 'Docs', tabIndex: 2 }
+      ]
+    }
+  };
+  const [runA] = await replayPass('pass1-classify', session, 'openai', { prompt: { version: base.version } });
+  const [runB] = await replayPass('pass1-classify', session, 'openai', { prompt: { version: saved.version } });
+  await logResult('active version replay parses', runA.status === 'success' && runA.categories['1'] === 'Development', runA.error || '');
+  await logResult('candidate replay uses its own text', runB.categories?.['1'] === 'News' && runB.prompt.startsWith('FILE EVERYTHING'));
+  await logResult('replay usage captured', runA.usage?.input_tokens === 100);
+
+  const ledger = fs.readFileSync(process.env.MEMENTO_USAGE_PATH, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  await logResult('replays tagged eval in the ledger', ledger.length === 2 && ledger.every(e => e.purpose === 'eval'));
+
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Session Search Tests
+ *
+ * Checks query parsing (phrases, each filter, bad dates) and BM25F ranking
+ * on a small fixture corpus. The fixture sessions are written to
+ * memory/sessions/ under search-test-* IDs and deleted afterwards.
+ * Run with: npm run test:search
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const sessionSearch = require('../../backend/sessionSearch');
+const sessionIndex = require('../../backend/sessionIndex');
+
+const SESSIONS_DIR = path.join(__dirname, '../../memory/sessions');
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+const FIXTURES = {
+  'search-test-papers': {
+    timestamp: '2026-02-10T10:00:00.000Z',
+    totalTabs: 2,
+    narrative: 'Reading transformer papers',
+    groups: {
+      Research: [
+        { tabIndex: 0, title: 'Attention Is All You Need', url: 'https://arxiv.org/abs/1706.03762', contentPreview: 'The dominant sequence transduction models' },
+        { tabIndex: 1, title: 'Layer normalization', url: 'https://export.arxiv.org/abs/1607.06450', contentPreview: 'Training deep networks' }
+      ]
+    },
+    thematicAnalysis: { sessionPattern: { type: 'research-heavy' } },
+    meta: { engine: 'mock' }
+  },
+  'search-test-essays': {
+    timestamp: '2026-02-20T10:00:00.000Z',
+    totalTabs: 1,
+    narrative: 'Evening reading',
+    groups: {
+      Reading: [
+        { tabIndex: 0, title: 'The rise and fall of the attention span', url: 'https://medium.com/p/attention-span', contentPreview: 'Essays on the rise and fall of focus' }
+      ]
+    },
+    thematicAnalysis: { sessionPattern: { type: 'balanced' } },
+    meta: { engine: 'mock' }
+  },
+  'search-test-cooking': {
+    timestamp: '2026-03-05T10:00:00.000Z',
+    totalTabs: 1,
+    narrative: 'Dinner plans',
+    groups: {
+      'Home Cooking': [
+        { tabIndex: 0, title: 'Cacio e pepe', url: 'https://cooking.example.com/cacio', contentPreview: 'Pay attention to the pasta water, fall back to butter if the sauce breaks' }
+      ]
+    },
+    dispositions: [{ itemId: 'https://cooking.example.com/cacio', action: 'complete', at: '2026-03-05T11:00:00.000Z' }],
+    meta: { engine: 'mock' }
+  }
+};
+
+async function ids(query, options) {
+  return (await sessionSearch.search(query, options)).map(r => r.id);
+}
+
+async function runAllTests() {
+  console.log('=== Session Search Tests ===');
+
+  console.log('\n--- Testing parseQuery ---');
+  const phrase = sessionSearch.parseQuery('"rise and fall" attention');
+  await logResult('quoted phrase is one clause',
+    phrase.clauses.length === 2 && phrase.clauses[0].phrase && phrase.clauses[0].terms.join(' ') === 'rise and fall');
+  await logResult('bare words are single-term clauses', phrase.clauses[1].terms[0] === 'attention' && !phrase.clauses[1].phrase);
+  const single = sessionSearch.parseQuery('"attention"');
+  await logResult('one-word quotes are a plain term', single.clauses.length === 1 && !single.clauses[0].phrase);
+
+  const filtered = sessionSearch.parseQuery('domain:arxiv.org category:"Home Cooking" disposition:pending pattern:research-heavy before:2026-03-01 after:2026-02-01 transformer');
+  await logResult('domain filter', filtered.filters.domain === 'arxiv.org');
+  await logResult('quoted multi-word category', filtered.filters.category === 'Home Cooking');
+  await logResult('disposition and pattern filters', filtered.filters.disposition === 'pending' && filtered.filters.pattern === 'research-heavy');
+  await logResult('dates normalized to ISO',
+    filtered.filters.before === '2026-03-01T00:00:00.000Z' && filtered.filters.after === '2026-02-01T00:00:00.000Z', JSON.stringify(filtered.filters));
+  await logResult('filters are not search terms', filtered.clauses.length === 1 && filtered.errors.length === 0);
+  await logResult('unknown key searched as text', sessionSearch.parseQuery('foo:bar').clauses.length === 2);
+
+  const bad = sessionSearch.parseQuery('before:yesterday attention');
+  await logResult('bad date reported, not filtered', bad.errors.length === 1 && !('before' in bad.filters), bad.errors[0]);
+  await logResult('queryError names the bad filter', /Invalid after: date "someday"/.test(sessionSearch.queryError('after:someday')));
+  await logResult('valid query has no error', sessionSearch.queryError('attention after:2026-02-01') === null);
+
+  console.log('\n--- Testing ranking ---');
+  for (const [id, session] of Object.entries(FIXTURES)) {
+    fs.writeFileSync(path.join(SESSIONS_DIR, `${id}.json`), JSON.stringify(session));
+  }
+
+  try {
+    // Other local sessions may match too; only compare the fixtures
+    const mine = list => list.filter(id => id.startsWith('search-test-'));
+
+    const attention = mine(await ids('attention'));
+    await logResult('title hits outrank content hits',
+      attention.length === 3 && attention[2] === 'search-test-cooking', attention.join(', '));
+    const phraseHits = mine(await ids('"rise and fall"'));
+    await logResult('phrase needs adjacent terms', phraseHits.join() === 'search-test-essays', phraseHits.join(', '));
+    const scattered = mine(await ids('span rise'));
+    await logResult('scattered terms still match', scattered.join() === 'search-test-essays', scattered.join(', '));
+    const allTerms = mine(await ids('attention pasta'));
+    await logResult('every term must match', allTerms.join() === 'search-test-cooking');
+
+    await logResult('domain includes subdomains', mine(await ids('normalization domain:arxiv.org')).join() === 'search-test-papers');
+    await logResult('category filter', mine(await ids('category:"home cooking"')).join() === 'search-test-cooking');
+    await logResult('disposition filter', mine(await ids('attention disposition:complete')).join() === 'search-test-cooking');
+    await logResult('pattern filter', mine(await ids('attention pattern:research-heavy')).join() === 'search-test-papers');
+    const window = mine(await ids('attention after:2026-02-15 before:2026-03-01'));
+    await logResult('before/after bound the timestamp', window.join() === 'search-test-essays', window.join(', '));
+
+    const [top] = await sessionSearch.search('"rise and fall" domain:medium.com');
+    await logResult('snippet highlights the phrase', /<mark>rise and fall<\/mark>/.test(top?.snippetHtml || '') && top.matches[0].url.includes('medium.com'),
+      top?.snippetHtml);
+
+    let thrown = null;
+    try {
+      await sessionSearch.search('attention before:yesterday');
+    } catch (error) {
+      thrown = error.message;
+    }
+    await logResult('search rejects a bad date instead of returning nothing', /Invalid before/.test(thrown || ''), thrown);
+  } finally {
+    for (const id of Object.keys(FIXTURES)) {
+      fs.rmSync(path.join(SESSIONS_DIR, `${id}.json`), { force: true });
+    }
+    await sessionIndex.getEntries();  // Drop the fixtures from the index
+  }
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Capture Source Tests
+ *
+ * Runs the capture-source adapters (backend/captureSources.js) on the
+ * fixture files in tests/sources/fixtures/, checks meta.source
+ * normalization, and drives the CLI (scripts/memento.js) from stdin in
+ * dry-run mode and against a stub /api/captures backend.
+ * Run with: npm run test:sources
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const {
+  readCaptureSource,
+  detectSource,
+  captureSourceMeta,
+  decodeMozLz4
+} = require('../../backend/captureSources');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const CLI = path.join(__dirname, '../../scripts/memento.js');
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name));
+}
+
+/**
+ * Run the CLI, optionally feeding stdin
+ * @returns {Promise<{code, stdout, stderr}>}
+ */
+function runCli(args, { stdin = null, env = {} } = {}) {
+  return new Promise(resolve => {
+    const child = execFile('node', [CLI, ...args], { env: { ...process.env, ...env }, timeout: 20000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+    if (stdin !== null) child.stdin.end(stdin);
+  });
+}
+
+/**
+ * Stub backend: accepts one capture and streams progress, then done
+ */
+function startStubBackend(requests) {
+  const server = http.createServer((req, res) => {
+    if (req.method === 'POST' && req.url === '/api/captures') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push(JSON.parse(body || '{}'));
+        res.writeHead(202, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ captureId: 'abc123', eventsUrl: '/api/captures/abc123/events', progressUrl: '/progress/abc123' }));
+      });
+      return;
+    }
+    if (req.url === '/api/captures/abc123/events') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': ping\n\n');
+      res.write(`event: progress\ndata: ${JSON.stringify({ pass: 1, status: 'complete', durationMs: 1200 })}\n\n`);
+      res.end(`event: done\ndata: ${JSON.stringify({ sessionId: '2026-10-19T10-00-00', totalTabs: 4, source: 'llm' })}\n\n`);
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function runAllTests() {
+  console.log('=== Capture Source Tests ===');
+
+  console.log('\n--- Testing detection ---');
+  await logResult('mozLz4 session detected', detectSource(fixture('firefox-sessionstore.jsonlz4')) === 'firefox-sessionstore');
+  await logResult('URL list detected', detectSource(fixture('urls.txt')) === 'urls');
+  await logResult('tabs payload detected', detectSource(fixture('tabs.json')) === 'tabs-json');
+  const plainSession = decodeMozLz4(fixture('firefox-sessionstore.jsonlz4'));
+  await logResult('mozLz4 decompresses to the session JSON', JSON.parse(plainSession.toString('utf-8')).windows?.length === 2);
+  await logResult('uncompressed session JSON detected', detectSource(plainSession) === 'firefox-sessionstore');
+  const unknown = readCaptureSource(Buffer.from('hello world'));
+  await logResult('unrecognized input rejected', unknown.success === false && /Could not detect/.test(unknown.message), unknown.message);
+
+  console.log('\n--- Testing Firefox sessionstore ---');
+  const firefox = readCaptureSource(fixture('firefox-sessionstore.jsonlz4'), { input: 'recovery.jsonlz4' });
+  const urls = (firefox.tabs || []).map(t => t.url);
+  await logResult('open http(s) tabs read', firefox.success && urls.length === 4, JSON.stringify(urls));
+  await logResult('current history entry used', urls.includes('https://tokio.rs/tokio/tutorial/spawning') && !urls.includes('https://tokio.rs/'));
+  await logResult('closed tabs and windows left out', !urls.some(u => u.includes('closed')));
+  const spawning = firefox.tabs?.find(t => t.url.endsWith('/spawning'));
+  await logResult('tab group kept as browser layout',
+    spawning?.browser.group?.title === 'Rust async' && spawning.browser.group.color === 'blue' && spawning.browser.window === 1 && spawning.browser.position === 1);
+  const hn = firefox.tabs?.find(t => t.url === 'https://news.ycombinator.com/');
+  await logResult('window number and focus', hn?.browser.window === 2 && hn.browser.focusedWindow === false && firefox.tabs[0].browser.pinned === true);
+  await logResult('source info recorded',
+    firefox.sourceInfo?.input === 'recovery.jsonlz4' && firefox.sourceInfo.windows === 2 && firefox.sourceInfo.tabsSkipped === 2 &&
+    firefox.sourceInfo.savedAt === '2025-10-19T09:10:00.000Z', JSON.stringify(firefox.sourceInfo));
+  const truncated = fixture('firefox-sessionstore.jsonlz4').subarray(0, 300);
+  const corrupt = readCaptureSource(truncated, { format: 'firefox-sessionstore' });
+  await logResult('truncated session file rejected', corrupt.success === false, corrupt.message);
+
+  console.log('\n--- Testing URL lists and tabs JSON ---');
+  const list = readCaptureSource(fixture('urls.txt'));
+  await logResult('one tab per URL line', list.success && list.tabs.length === 3, `${list.tabs?.length} tabs`);
+  await logResult('titles after "|" or a space',
+    list.tabs?.[0].title === 'Spawning | Tokio' && list.tabs[1].title === 'Fearless Concurrency' && list.tabs[2].title === '');
+  await logResult('comments skipped, other lines counted', list.sourceInfo?.linesSkipped === 2);
+  const payload = readCaptureSource(fixture('tabs.json'));
+  await logResult('tabs payload passes extra fields through',
+    payload.success && payload.tabs.length === 2 && payload.tabs[0].contentHash?.startsWith('9f2c') && payload.tabs[1].content === '');
+  const forced = readCaptureSource(fixture('tabs.json'), { format: 'bookmarks' });
+  await logResult('unknown --format rejected', forced.success === false && /Unknown format/.test(forced.message));
+
+  console.log('\n--- Testing meta.source ---');
+  await logResult('known source kept', JSON.stringify(captureSourceMeta({ source: 'firefox-extension', sourceInfo: { extensionVersion: '1.0.0' } })) ===
+    '{"source":"firefox-extension","sourceInfo":{"extensionVersion":"1.0.0"}}');
+  await logResult('missing or unknown source recorded as api',
+    captureSourceMeta({}).source === 'api' && captureSourceMeta({ source: 'import' }).source === 'api');
+  await logResult('non-object source info dropped', captureSourceMeta({ source: 'urls', sourceInfo: 'x' }).sourceInfo === undefined);
+
+  console.log('\n--- Testing CLI ---');
+  const dryRun = await runCli(['capture', '--from', 'stdin', '--dry-run'], { stdin: fixture('urls.txt') });
+  await logResult('dry run reads stdin', dryRun.code === 0 && /3 tab\(s\) from urls/.test(dryRun.stdout), dryRun.stderr.trim());
+
+  const requests = [];
+  const server = await startStubBackend(requests);
+  const serverUrl = `http://127.0.0.1:${server.address().port}`;
+  const captured = await runCli(['capture', '--from', path.join(FIXTURES_DIR, 'firefox-sessionstore.jsonlz4'), '--engine', 'ollama-local'],
+    { env: { MEMENTO_URL: serverUrl } });
+  await logResult('capture queued and followed to the session', captured.code === 0 && captured.stdout.includes('/results/2026-10-19T10-00-00'),
+    captured.stderr.trim());
+  await logResult('request names the source', requests[0]?.source === 'firefox-sessionstore' &&
+    requests[0].tabs.length === 4 && requests[0].engine === 'ollama-local' && requests[0].sourceInfo?.windows === 2);
+  await new Promise(resolve => server.close(resolve));
+
+  // Same port, nothing listening now
+  const refused = await runCli(['capture', '--from', path.join(FIXTURES_DIR, 'urls.txt'), '--server', serverUrl]);
+  await logResult('unreachable backend reported', refused.code !== 0 && /Backend not running/.test(refused.stderr), refused.stderr.trim());
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Theme Clustering Tests
+ *
+ * Embeds tabs through a stub Ollama /api/embed endpoint (and the local
+ * fallback), clusters them, and checks the embedding cache and theme ID
+ * stability. Cache, theme registry and usage ledger live in a temp dir
+ * (MEMENTO_EMBEDDINGS_PATH, MEMENTO_THEMES_PATH, MEMENTO_USAGE_PATH), so
+ * ~/.memento is never touched.
+ * Run with: npm run test:themes
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memento-themes-'));
+process.env.MEMENTO_EMBEDDINGS_PATH = path.join(dir, 'embeddings.json');
+process.env.MEMENTO_THEMES_PATH = path.join(dir, 'themes.json');
+process.env.MEMENTO_USAGE_PATH = path.join(dir, 'usage.jsonl');
+process.env.OLLAMA_EMBED_MODEL = 'stub-embed';
+delete process.env.MEMENTO_EMBEDDINGS;
+
+const results = [];
+const embedRequests = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+// Topic vectors: tabs about the same thing share no title words
+const TOPICS = [
+  { pattern: /tokio|concurrency|executor|futures/i, vector: [1, 0, 0] },
+  { pattern: /levain|hydration|banneton|sourdough/i, vector: [0, 1, 0] }
+];
+
+function topicVector(text) {
+  const topic = TOPICS.find(t => t.pattern.test(text));
+  const base = topic ? topic.vector : [0, 0, 1];
+  // Small per-text variation so vectors are not identical
+  const jitter = (crypto.createHash('md5').update(text).digest()[0] / 255) * 0.1;
+  return [...base, jitter];
+}
+
+function startStubOllama() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body || '{}');
+      embedRequests.push(request);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ model: request.model, embeddings: request.input.map(topicVector), prompt_eval_count: 42 }));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function sessionTabs(sessions) {
+  const tabs = [];
+  sessions.forEach((urls, i) => {
+    for (const [url, title] of urls) {
+      tabs.push({ url, title, category: 'Research', sessionId: `s${i}`, sessionTimestamp: `2026-10-0${i + 1}T10:00:00.000Z` });
+    }
+  });
+  return tabs;
+}
+
+const RUST = [
+  ['https://tokio.rs/tokio/tutorial/spawning', 'Spawning | Tokio'],
+  ['https://doc.rust-lang.org/book/ch16-00-concurrency.html', 'Fearless Concurrency'],
+  ['https://rust-lang.github.io/async-book/02_execution/04_executor.html', 'Build an Executor']
+];
+const BREAD = [
+  ['https://www.theperfectloaf.com/levain/', 'Building a Levain'],
+  ['https://www.kingarthurbaking.com/hydration', 'Dough Hydration Explained'],
+  ['https://example.com/banneton-care', 'Banneton Care']
+];
+
+/**
+ * Exact average linkage: repeatedly merge the most similar pair of clusters
+ * while their average pairwise similarity reaches the threshold
+ */
+function exactAverageLinkage(vectors, similarity, cosineSimilarity) {
+  // No co-occurrence in the fixture, so pair similarity is 0.8 × cosine
+  const pair = (a, b) => 0.8 * cosineSimilarity(vectors[a], vectors[b]);
+  let clusters = vectors.map((v, i) => [i]);
+  for (;;) {
+    let best = null;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        let total = 0;
+        for (const a of clusters[i]) for (const b of clusters[j]) total += pair(a, b);
+        const average = total / (clusters[i].length * clusters[j].length);
+        if (average >= similarity && (!best || average > best.average)) best = { i, j, average };
+      }
+    }
+    if (!best) return clusters;
+    clusters = clusters.filter((c, k) => k !== best.i && k !== best.j).concat([clusters[best.i].concat(clusters[best.j])]);
+  }
+}
+
+// Deterministic pseudo-random vectors (mulberry32)
+function seededVectors(seed, count, dims) {
+  let state = seed;
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return Array.from({ length: count }, () => Float32Array.from({ length: dims }, () => next() * 2 - 1));
+}
+
+async function runAllTests() {
+  console.log('=== Theme Clustering Tests ===');
+
+  const server = await startStubOllama();
+  process.env.OLLAMA_EMBED_ENDPOINT = `http://127.0.0.1:${server.address().port}/api/embed`;
+
+  const { embedItems, cosineSimilarity } = require('../../backend/embeddings');
+  const themes = require('../../backend/themeDetection');
+  const { summarizeUsage } = require('../../backend/usageLedger');
+
+  const tabs = sessionTabs([[...RUST, ...BREAD], [...RUST, BREAD[0]], [RUST[0], ...BREAD]]);
+  const recurrence = themes.buildTabRecurrence(tabs);
+  const { coMap } = themes.buildCoOccurrence(tabs);
+  const items = Array.from(recurrence.values()).map(data => ({ url: data.url, contentHash: data.contentHash, text: themes.themeText(data) }));
+
+  console.log('\n--- Testing embeddings ---');
+  const first = await embedItems(items);
+  await logResult('embedded through Ollama', first.provider === 'ollama' && first.model === 'stub-embed' && first.computed === 6, JSON.stringify({ ...first, vectors: undefined }));
+  await logResult('one batched request', embedRequests.length === 1 && embedRequests[0].input.length === 6);
+  const second = await embedItems(items);
+  await logResult('second run served from cache', second.cached === 6 && second.computed === 0 && embedRequests.length === 1);
+  await logResult('cached vectors round-trip', Math.abs(cosineSimilarity(first.vectors[2], second.vectors[2]) - 1) < 1e-6);
+  const changed = items.map((item, i) => (i === 0 ? { ...item, contentHash: 'abc123' } : item));
+  const third = await embedItems(changed);
+  await logResult('changed content hash re-embedded', third.cached === 5 && third.computed === 1 && embedRequests[1]?.input.length === 1);
+  const usage = await summarizeUsage({ days: 1 });
+  await logResult('calls recorded as theme-embed', usage.byPurpose.some(p => p.key === 'theme-embed' && p.calls === 2), JSON.stringify(usage.byPurpose));
+
+  console.log('\n--- Testing clustering ---');
+  const vectors = new Map(items.map((item, i) => [item.url, first.vectors[i]]));
+  const clusters = themes.clusterTabs(recurrence, coMap, vectors, { similarity: 0.6 });
+  const memberships = clusters.map(c => c.urls.join(' ')).sort();
+  await logResult('two themes found', clusters.length === 2, memberships.join(' / '));
+  await logResult('grouped by meaning, not shared title words',
+    clusters.some(c => RUST.every(([url]) => c.urls.includes(url))) && clusters.some(c => BREAD.every(([url]) => c.urls.includes(url))));
+  // Every tab shares sessions with the other topic; co-occurrence alone must not merge them
+  const loose = themes.clusterTabs(recurrence, coMap, vectors, { similarity: 0.3 });
+  await logResult('co-occurrence alone does not merge topics', loose.length === 2, `${loose.length} clusters`);
+  let disagreements = 0;
+  for (let seed = 1; seed <= 50; seed++) {
+    const randomVectors = seededVectors(seed, 12, 4);
+    const randomUrls = randomVectors.map((v, i) => `https://r.example/${i}`);
+    const randomRecurrence = new Map(randomUrls.map(url => [url, { url, sessions: new Set(['s0']), keywords: [] }]));
+    const clustered = themes.clusterTabs(randomRecurrence, new Map(), new Map(randomUrls.map((url, i) => [url, randomVectors[i]])), { similarity: 0.3 });
+    const expected = exactAverageLinkage(randomVectors, 0.3, cosineSimilarity)
+      .filter(c => c.length >= 2)
+      .map(c => c.map(i => randomUrls[i]).sort().join(' '))
+      .sort();
+    if (JSON.stringify(clustered.map(c => c.urls.join(' ')).sort()) !== JSON.stringify(expected)) disagreements++;
+  }
+  await logResult('matches exact average linkage', disagreements === 0, `${disagreements} of 50 random inputs differ`);
+  await logResult('co-occurrence counted for scoring', clusters.every(c => c.coScore > 0 && c.keywords instanceof Map));
+
+  console.log('\n--- Testing theme IDs ---');
+  const registry = { themes: {} };
+  const ids = themes.assignThemeIds(clusters, registry);
+  const rerun = themes.assignThemeIds(themes.clusterTabs(recurrence, coMap, vectors, { similarity: 0.6 }), registry);
+  await logResult('same IDs on rerun', JSON.stringify(ids) === JSON.stringify(rerun), ids.join(', '));
+
+  const extraTab = ['https://docs.rs/futures/latest/futures/', 'futures - Rust'];
+  const grownTabs = sessionTabs([[...RUST, ...BREAD, extraTab], [...RUST, BREAD[0]], [RUST[0], ...BREAD]]);
+  const grown = themes.buildTabRecurrence(grownTabs);
+  const grownItems = Array.from(grown.values()).map(data => ({ url: data.url, contentHash: data.contentHash, text: themes.themeText(data) }));
+  const grownEmbedding = await embedItems(grownItems);
+  const grownVectors = new Map(grownItems.map((item, i) => [item.url, grownEmbedding.vectors[i]]));
+  const grownClusters = themes.clusterTabs(grown, themes.buildCoOccurrence(grownTabs).coMap, grownVectors, { similarity: 0.6 });
+  const grownIds = themes.assignThemeIds(grownClusters, registry);
+  const rustIndex = grownClusters.findIndex(c => c.urls.includes(extraTab[0]));
+  await logResult('theme keeps its ID when a tab joins',
+    rustIndex >= 0 && grownClusters[rustIndex].urls.length === 4 && ids.includes(grownIds[rustIndex]));
+  await logResult('registry tracks current members', registry.themes[grownIds[rustIndex]]?.urls.includes(extraTab[0]));
+
+  const legacyTabs = sessionTabs([
+    [['https://a.example/guide', 'Kubernetes networking guide'], ['https://b.example/ingress', 'Kubernetes ingress deep dive']],
+    [['https://a.example/guide', 'Kubernetes networking guide'], ['https://b.example/ingress', 'Kubernetes ingress deep dive']]
+  ]);
+  const legacy = themes.buildTabRecurrence(legacyTabs);
+  const seeded = await themes.loadThemeRegistry(legacy, themes.buildCoOccurrence(legacyTabs).coMap, 2);
+  const legacyId = crypto.createHash('md5').update(['https://a.example/guide', 'https://b.example/ingress'].sort().join('|')).digest('hex').slice(0, 12);
+  await logResult('registry seeded with keyword-era IDs', Boolean(seeded.themes[legacyId]), Object.keys(seeded.themes).join(', '));
+  const inherited = themes.assignThemeIds([{ urls: ['https://a.example/guide', 'https://b.example/ingress', 'https://c.example/cni'] }], seeded);
+  await logResult('feedback ID carried over to the embedding cluster', inherited[0] === legacyId);
+
+  console.log('\n--- Testing local fallback ---');
+  await new Promise(resolve => server.close(resolve));
+  const fallback = await embedItems(items.map(item => ({ ...item, contentHash: 'fresh' })));
+  await logResult('falls back to the local embedder', fallback.provider === 'local' && Boolean(fallback.fallbackReason), fallback.fallbackReason);
+  const [guide, ingress, bread] = (await embedItems([
+    { url: 'https://x/1', text: 'Kubernetes networking guide' },
+    { url: 'https://x/2', text: 'Kubernetes ingress networking' },
+    { url: 'https://x/3', text: 'Sourdough starter feeding' }
+  ], { provider: 'local' })).vectors;
+  await logResult('local vectors follow shared vocabulary', cosineSimilarity(guide, ingress) > cosineSimilarity(guide, bread));
+  const { renderThemesPage } = require('../../backend/renderers/themesRenderer');
+  const page = renderThemesPage({ themes: [], meta: { embeddings: { provider: 'local', computed: 6, fallbackReason: fallback.fallbackReason } } }, {});
+  await logResult('themes page flags keyword-quality fallback', page.includes('embeddings-notice') && page.includes(fallback.fallbackReason));
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  process.exit(1);
+});
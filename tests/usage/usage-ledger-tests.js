@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Usage Ledger Tests
+ *
+ * Covers model pricing lookups, ledger summaries and the monthly budget
+ * check against a temp usage.jsonl (MEMENTO_USAGE_PATH), so ~/.memento
+ * is never touched. Record-mode replay calls go to a stub OpenAI server.
+ * Run with: npm run test:usage
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memento-usage-'));
+process.env.MEMENTO_USAGE_PATH = path.join(dir, 'usage.jsonl');
+delete process.env.MEMENTO_MONTHLY_BUDGET_USD;
+process.env.OPENAI_MODEL = 'gpt-4o-mini';
+
+const { getPrice, computeCost } = require('../../backend/models/pricing');
+const usageLedger = require('../../backend/usageLedger');
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+function startStubOpenAI() {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        model: 'gpt-4o-mini',
+        choices: [{ message: { content: '{"ok": true}' } }],
+        usage: { prompt_tokens: 1e6, completion_tokens: 0 }
+      }));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function runAllTests() {
+  console.log('=== Usage Ledger Tests ===');
+
+  console.log('\n--- Testing pricing ---');
+  const haiku = getPrice('anthropic', 'claude-3-5-haiku-20241022');
+  await logResult('dated model IDs match their family', haiku?.matched === 'claude-3-5-haiku', haiku?.matched);
+  const mini = getPrice('openai', 'gpt-4o-mini-2024-07-18');
+  await logResult('longest prefix wins', mini?.matched === 'gpt-4o-mini', mini?.matched);
+  await logResult('local engine is free', computeCost('ollama-local', 'llama3.2', { input_tokens: 5000, output_tokens: 500 }) === 0);
+  await logResult('unknown model has no price', computeCost('openai', 'local-test-model', { input_tokens: 10 }) === null);
+  const cost = computeCost('anthropic', 'claude-3-5-haiku-20241022', { input_tokens: 1e6, output_tokens: 1e5 });
+  await logResult('cost from per-1M prices', Math.abs(cost - 1.2) < 1e-9, String(cost));
+
+  console.log('\n--- Testing ledger summary ---');
+  await usageLedger.recordUsage({ purpose: 'pass1', engine: 'anthropic', model: 'claude-3-5-haiku-20241022', usage: { input_tokens: 1e6, output_tokens: 0 } });
+  await usageLedger.recordUsage({ purpose: 'pass2', engine: 'anthropic', model: 'claude-3-5-haiku-20241022', usage: { input_tokens: 0, output_tokens: 1e5 } });
+  await usageLedger.recordUsage({ purpose: 'pass2', engine: 'ollama-local', model: 'llama3.2', usage: { input_tokens: 300, output_tokens: 30 } });
+  await usageLedger.recordUsage({ purpose: 'workbench', engine: 'openai', model: 'local-test-model', usage: null });
+  fs.appendFileSync(process.env.MEMENTO_USAGE_PATH, '{"at": "2026-');
+
+  const summary = await usageLedger.summarizeUsage({ days: 7 });
+  await logResult('partial lines skipped', summary.totals.calls === 4, `${summary.totals.calls} calls`);
+  await logResult('total cost summed', Math.abs(summary.totals.costUsd - 1.2) < 1e-9, summary.totals.costUsd.toFixed(4));
+  await logResult('unpriced calls counted separately', summary.totals.unpricedCalls === 1);
+  const pass2 = summary.byPurpose.find(p => p.key === 'pass2');
+  await logResult('grouped by purpose', pass2?.calls === 2 && pass2.inputTokens === 300, JSON.stringify(pass2));
+  await logResult('grouped by engine and model', summary.byEngine.length === 3 && summary.byEngine[0].engine === 'anthropic');
+  await logResult('one day bucket', summary.byDay.length === 1);
+
+  console.log('\n--- Testing monthly budget ---');
+  let budget = await usageLedger.checkBudget('anthropic', 'claude-3-5-haiku-20241022');
+  await logResult('no budget, never exceeded', budget.exceeded === false);
+
+  const invalid = await usageLedger.setMonthlyBudget(-5);
+  await logResult('negative budget rejected', invalid.success === false, invalid.message);
+
+  await usageLedger.setMonthlyBudget(1);
+  budget = await usageLedger.checkBudget('anthropic', 'claude-3-5-haiku-20241022');
+  await logResult('paid engine over budget', budget.exceeded === true && budget.fallbackEngine === 'ollama-local',
+    `$${budget.spentUsd?.toFixed(2)} of $${budget.budgetUsd}`);
+  budget = await usageLedger.checkBudget('ollama-local', 'llama3.2');
+  await logResult('local engine never over budget', budget.exceeded === false);
+  budget = await usageLedger.checkBudget('openai', 'local-test-model');
+  await logResult('unpriced model counts as paid', budget.exceeded === true);
+
+  await usageLedger.setMonthlyBudget(5);
+  budget = await usageLedger.checkBudget('anthropic', 'claude-3-5-haiku-20241022');
+  await logResult('under a higher budget', budget.exceeded === false);
+
+  await usageLedger.setMonthlyBudget(null);
+  const settings = await usageLedger.getBudgetSettings();
+  await logResult('budget removed', settings.monthlyBudgetUsd === null);
+
+  console.log('\n--- Testing record-mode replay ---');
+  fs.appendFileSync(process.env.MEMENTO_USAGE_PATH, '\n');  // End the partial line written above
+  const server = await startStubOpenAI();
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  const { runModel, getEngineInfo } = require('../../backend/models');
+  const { useRecordings } = require('../../backend/models/replay');
+  useRecordings({}, { mode: 'record', recordEngine: 'openai' });
+  const billedTo = getEngineInfo('replay').billedTo;
+  await logResult('replay reports the engine it records from', billedTo?.engine === 'openai' && billedTo.model === 'gpt-4o-mini');
+  await runModel('replay', 'Record this prompt', { purpose: 'golden-record' });
+  const recorded = (await usageLedger.summarizeUsage({ days: 1 })).byEngine.find(e => e.engine === 'openai' && e.model === 'gpt-4o-mini');
+  await logResult('recorded call billed to the real engine', Math.abs((recorded?.costUsd || 0) - 0.15) < 1e-9, JSON.stringify(recorded));
+  await usageLedger.setMonthlyBudget(1);
+  budget = await usageLedger.checkBudget(billedTo.engine, billedTo.model);
+  await logResult('recording spend counts against the budget', budget.exceeded === true && Math.abs(budget.spentUsd - 1.35) < 1e-9, `$${budget.spentUsd?.toFixed(2)}`);
+  await usageLedger.setMonthlyBudget(null);
+  useRecordings({}, { mode: 'replay' });
+  await logResult('plain replay bills nothing', getEngineInfo('replay').billedTo === null);
+  await new Promise(resolve => server.close(resolve));
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  process.exit(1);
+});
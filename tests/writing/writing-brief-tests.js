@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * Writing Brief Tests
+ *
+ * Checks which tabs back a suggested action's brief (Pass 4 project support,
+ * falling back to throughlines) and how deliverBrief routes each writing
+ * target. Notes land in a temp dir (MEMENTO_NOTES_DIR, OBSIDIAN_VAULT_PATH,
+ * BASIC_MEMORY_PATH), so no real vault is touched.
+ * Run with: npm run test:writing
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memento-writing-'));
+process.env.MEMENTO_NOTES_DIR = path.join(dir, 'notes');
+process.env.OBSIDIAN_VAULT_PATH = path.join(dir, 'Research Vault');
+process.env.BASIC_MEMORY_PATH = path.join(dir, 'basic-memory');
+
+const { buildWritingBrief, getSupportingTabs, deliverBrief } = require('../../backend/writingBrief');
+
+const results = [];
+
+async function logResult(name, passed, details = '') {
+  results.push({ name, passed, details });
+  const status = passed ? '✓ PASS' : '✗ FAIL';
+  console.log(`  ${status}: ${name}${details ? ` - ${details}` : ''}`);
+}
+
+const SESSION = {
+  timestamp: '2026-10-01T10:00:00.000Z',
+  groups: {
+    Research: [
+      { tabIndex: 1, title: 'Tokio scheduler internals', url: 'https://tokio.rs/blog/scheduler', contentPreview: 'Work-stealing run queues' },
+      { tabIndex: 2, title: 'Async book: executors', url: 'https://rust-lang.github.io/async-book/executor', contentPreview: 'Building an executor' }
+    ],
+    Reading: [
+      { tabIndex: 3, title: 'Sourdough hydration', url: 'https://example.com/hydration', contentPreview: 'Dough at 75% hydration' }
+    ]
+  },
+  deepDiveResults: [
+    { url: 'https://tokio.rs/blog/scheduler', analysis: { summary: 'How the Tokio scheduler steals work.', keyPoints: ['LIFO slot', 'Global queue'] } }
+  ],
+  thematicAnalysis: {
+    projectSupport: {
+      'async runtime': {
+        directTabs: [1],
+        supportingTabs: [2, 99],
+        supportingEvidence: [{ tabIndex: 2, reason: 'Executor design background' }]
+      }
+    },
+    thematicThroughlines: [
+      { theme: 'Fermentation', insight: 'Hydration drives crumb', projects: ['Bread Blog'], tabs: [3] },
+      { theme: 'Schedulers', projects: ['Async Runtime'], tabs: [1] }
+    ]
+  }
+};
+
+const ACTION = { action: 'Write up the scheduler notes', project: 'Async Runtime', reason: 'Two sessions on schedulers this week' };
+
+async function runAllTests() {
+  console.log('=== Writing Brief Tests ===');
+
+  console.log('\n--- Testing getSupportingTabs ---');
+  const supported = getSupportingTabs(SESSION, 'Async Runtime');
+  await logResult('project support matched case-insensitively', supported.map(t => t.item.tabIndex).join() === '1,2',
+    supported.map(t => t.item.tabIndex).join());
+  await logResult('evidence reason attached', supported[1].reason === 'Executor design background' && supported[0].reason === null);
+  await logResult('deep dive attached by URL', supported[0].deepDive?.analysis.summary.includes('steals work') && supported[1].deepDive === null);
+
+  const fallback = getSupportingTabs(SESSION, 'bread blog');
+  await logResult('falls back to throughlines naming the project', fallback.length === 1 && fallback[0].item.tabIndex === 3);
+  await logResult('excerpt from captured content', fallback[0].excerpt === 'Dough at 75% hydration');
+  await logResult('unknown project has no tabs', getSupportingTabs(SESSION, 'Gardening').length === 0);
+  await logResult('no project has no tabs', getSupportingTabs(SESSION, undefined).length === 0);
+
+  console.log('\n--- Testing buildWritingBrief ---');
+  const { markdown, tabCount } = buildWritingBrief(SESSION, 'session-1', ACTION);
+  await logResult('brief counts supporting tabs', tabCount === 2);
+  await logResult('brief has title, sources and draft',
+    markdown.startsWith('# Write up the scheduler notes') && markdown.includes('## Sources') && markdown.trimEnd().endsWith('## Draft'));
+  await logResult('throughlines for the project only', markdown.includes('**Schedulers**') && !markdown.includes('Fermentation'));
+  await logResult('deep dive replaces the excerpt',
+    markdown.includes('- LIFO slot') && !markdown.includes('> Work-stealing') && markdown.includes('> Building an executor'));
+  await logResult('no frontmatter by default', !markdown.startsWith('---'));
+  const withFrontmatter = buildWritingBrief(SESSION, 'session-1', ACTION, { withFrontmatter: true }).markdown;
+  await logResult('frontmatter for notes on disk', withFrontmatter.startsWith('---') && withFrontmatter.includes('session_id: session-1'));
+  const bread = buildWritingBrief(SESSION, 'session-1', { action: 'Blog the bake', project: 'Bread Blog' });
+  await logResult('throughline fallback brief', bread.tabCount === 1 && bread.markdown.includes('Hydration drives crumb'));
+
+  console.log('\n--- Testing deliverBrief ---');
+  const build = withMeta => (withMeta ? '---\ntitle: brief\n---\n# Brief\n' : '# Brief\n');
+
+  await logResult('unset target copies to clipboard', (await deliverBrief(null, 'brief', build)).kind === 'clipboard');
+  const url = await deliverBrief('https://docs.example.com/new', 'brief', build);
+  await logResult('https target opens the URL', url.kind === 'url' && url.openUrl === 'https://docs.example.com/new');
+
+  const obsidianUri = await deliverBrief('obsidian://new?vault=Work', 'my-brief', build);
+  await logResult('obsidian:// target appends file and content',
+    obsidianUri.kind === 'obsidian' && obsidianUri.openUrl.startsWith('obsidian://new?vault=Work&file=my-brief&content=')
+      && decodeURIComponent(obsidianUri.openUrl.split('content=')[1]).startsWith('---'), obsidianUri.openUrl);
+
+  const obsidianFolder = await deliverBrief('obsidian:/Drafts/', 'my-brief', build);
+  await logResult('obsidian: target opens a new note in the vault folder',
+    obsidianFolder.openUrl.startsWith('obsidian://new?vault=Research%20Vault&file=Drafts%2Fmy-brief&content='), obsidianFolder.openUrl);
+
+  const vscodeDir = path.join(dir, 'drafts');
+  const vscode = await deliverBrief(`vscode:${vscodeDir}`, 'my-brief', build);
+  await logResult('vscode: target writes the file',
+    vscode.filePath === path.join(vscodeDir, 'my-brief.md') && fs.readFileSync(vscode.filePath, 'utf-8').startsWith('---'));
+  await logResult('vscode: target opens vscode://file', vscode.openUrl === `vscode://file/${vscode.filePath.replace(/^\/+/, '')}`, vscode.openUrl);
+  const again = await deliverBrief(`vscode:${vscodeDir}`, 'my-brief', build);
+  await logResult('existing brief not overwritten', again.filePath === path.join(vscodeDir, 'my-brief-2.md'));
+
+  const memory = await deliverBrief('basic-memory:research/briefs', 'my-brief', build);
+  await logResult('basic-memory: target writes a note',
+    memory.kind === 'basic-memory' && fs.existsSync(path.join(dir, 'basic-memory', 'research', 'briefs', 'my-brief.md')));
+  await logResult('basic-memory: note has a memory:// URI', memory.uri === 'memory://research/briefs/my-brief', memory.uri);
+
+  const markdownNote = await deliverBrief('markdown:writing', 'my-brief', build);
+  await logResult('markdown: target writes under MEMENTO_NOTES_DIR',
+    markdownNote.filePath === path.join(dir, 'notes', 'writing', 'my-brief.md') && markdownNote.uri.startsWith('file://'));
+
+  for (const target of ['notion:Drafts', 'basic-memory:../outside', 'drafts']) {
+    let thrown = null;
+    try {
+      await deliverBrief(target, 'my-brief', build);
+    } catch (error) {
+      thrown = error.message;
+    }
+    await logResult(`unknown target rejected (${target})`, thrown === `Unknown writing target: ${target}`, thrown);
+  }
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+  console.log(`  Total:  ${results.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAllTests().catch(error => {
+  console.error('Test runner failed:', error);
+  fs.rmSync(dir, { recursive: true, force: true });
+  process.exit(1);
+});